@@ -0,0 +1,30 @@
+// Player alliances (utils/allianceService.js)
+// Ranks from highest to lowest; the founder starts as the only leader.
+const ALLIANCE_RANKS = ['leader', 'officer', 'member'];
+
+// Ranks allowed to do each action. Officers can only remove plain members.
+const ALLIANCE_PERMISSIONS = {
+  invite: ['leader', 'officer'],
+  kick: ['leader', 'officer'],
+  setRank: ['leader'],
+  distribute: ['leader']
+};
+
+const ALLIANCE_LIMITS = {
+  maxMembers: 30,
+  nameMinLength: 3,
+  nameMaxLength: 40,
+  // Stored upper-case
+  tagPattern: /^[A-Za-z0-9]{2,5}$/,
+  ledgerPageSize: 50
+};
+
+// Shared warehouse. Gold is not stored (it would be a free transfer between players); donors and
+// receivers must have been members for `minMemberHours`, so a fresh alt account cannot pass
+// goods through it. Distributions travel by caravan and pay the trade tax (see allianceService).
+const ALLIANCE_WAREHOUSE = {
+  excludedResources: ['gold'],
+  minMemberHours: 72
+};
+
+module.exports = { ALLIANCE_RANKS, ALLIANCE_PERMISSIONS, ALLIANCE_LIMITS, ALLIANCE_WAREHOUSE };
@@ -0,0 +1,10 @@
+// Session lifetimes. The access token (JWT) is short-lived; the client renews it with the
+// refresh token through POST /api/refresh, which also rotates the refresh token.
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS || 15 * 60);
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+// Random bytes per refresh token (base64url encoded before being sent to the client)
+const REFRESH_TOKEN_BYTES = 48;
+// Length of the passwords accepted by /register and /account/password
+const PASSWORD_LENGTH = { min: 6, max: 128 };
+
+module.exports = { ACCESS_TOKEN_TTL_SECONDS, REFRESH_TOKEN_TTL_DAYS, REFRESH_TOKEN_BYTES, PASSWORD_LENGTH };
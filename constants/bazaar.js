@@ -0,0 +1,17 @@
+// NPC bazaars (utils/bazaarService.js): one per faction, market infrastructure without storage cap.
+// Every resource tends to a target stock: the bazaar restocks what is missing and lets the surplus
+// decay, a fraction of the difference per hour. It never buys above maxStockFactor × target.
+const BAZAAR = {
+  // Target stock per resource category (RESOURCE_CATEGORIES) and per resource, which takes precedence
+  targetStock: { common: 20000, processed: 8000, specialized: 3000, gold: 500000 },
+  targetOverrides: { food: 40000 },
+  restockPerHour: 0.1,
+  decayPerHour: 0.05,
+  maxStockFactor: 2,
+  // Spread around the reference price: baseSpread at the target stock, growing linearly up to
+  // maxSpread as the stock drains to 0 (ask) or fills up to the max stock (bid)
+  baseSpread: 0.1,
+  maxSpread: 0.5
+};
+
+module.exports = { BAZAAR };
@@ -0,0 +1,14 @@
+// Level curves used by utils/costEngine.js to scale BUILDING_COSTS and build times.
+// A curve turns a base value into the value for a target level (>= 1):
+//   power:       base * level^factor
+//   exponential: base * factor^(level - 1)
+// time.baseSeconds overrides the tier base time from ai_building_config (BUILDING_CONFIG.*.base_time_s).
+const DEFAULT_COST_CURVE = { type: 'power', factor: 1.7 };
+const DEFAULT_TIME_CURVE = { type: 'power', factor: 1.7 };
+
+// Per-building overrides. Missing keys fall back to the defaults above.
+// Example: house: { cost: { type: 'exponential', factor: 1.5 }, time: { baseSeconds: 300 } }
+const BUILDING_CURVES = {
+};
+
+module.exports = { DEFAULT_COST_CURVE, DEFAULT_TIME_CURVE, BUILDING_CURVES };
@@ -45,7 +45,15 @@ const BUILDING_COSTS = {
   salinas: { wood: 30, stone: 20, preservation_elixir: 50, popNeeded: 1 },
   mina_azufre: { wood: 50, stone: 70, explosive_compound: 10, popNeeded: 1 },
   mina_gemas: { wood: 120, stone: 200, illustrated_parchment: 30, popNeeded: 2 },
-  telar_real: { wood: 70, stone: 30, linen: 15, popNeeded: 1 }
+  telar_real: { wood: 70, stone: 30, linen: 15, popNeeded: 1 },
+
+  // Military: the barracks level unlocks unit types (see constants/units.js)
+  barracks: { wood: 60, stone: 40, food: 10, popNeeded: 1 },
+
+  // Storage: raise the capacity of the resources they hold (see constants/storage.js)
+  warehouse: { wood: 80, stone: 60, popNeeded: 1 },
+  granary: { wood: 70, stone: 40, popNeeded: 1 },
+  treasury: { wood: 40, stone: 120, gold: 50, popNeeded: 1 }
 };
 
 module.exports = { BUILDING_COSTS };
@@ -0,0 +1,92 @@
+// Nombres visibles de recursos y edificios por idioma. Las claves son los nombres internos
+// de RESOURCE_CATEGORIES y BUILDING_COSTS; lo que falte aquí se muestra con el nombre interno.
+
+const RESOURCE_NAMES = {
+  wood: { es: 'Madera', en: 'Wood' },
+  stone: { es: 'Piedra', en: 'Stone' },
+  food: { es: 'Comida', en: 'Food' },
+  water: { es: 'Agua', en: 'Water' },
+  clay: { es: 'Arcilla', en: 'Clay' },
+  leather: { es: 'Cuero', en: 'Leather' },
+  coal: { es: 'Carbón', en: 'Coal' },
+  copper: { es: 'Cobre', en: 'Copper' },
+  wool: { es: 'Lana', en: 'Wool' },
+  honey: { es: 'Miel', en: 'Honey' },
+  lumber: { es: 'Tablones', en: 'Lumber' },
+  tools: { es: 'Herramientas', en: 'Tools' },
+  iron_ingot: { es: 'Lingote de hierro', en: 'Iron ingot' },
+  beer: { es: 'Cerveza', en: 'Beer' },
+  baked_brick: { es: 'Ladrillo cocido', en: 'Baked brick' },
+  textile: { es: 'Tela', en: 'Textile' },
+  silk_cloth: { es: 'Paño de seda', en: 'Silk cloth' },
+  salted: { es: 'Salazones', en: 'Salted goods' },
+  refined_clay: { es: 'Arcilla refinada', en: 'Refined clay' },
+  books: { es: 'Libros', en: 'Books' },
+  purple_dye: { es: 'Tinte púrpura', en: 'Purple dye' },
+  spice: { es: 'Especias', en: 'Spices' },
+  damascus_steel: { es: 'Acero de Damasco', en: 'Damascus steel' },
+  preservation_elixir: { es: 'Elixir de conservación', en: 'Preservation elixir' },
+  explosive_compound: { es: 'Compuesto explosivo', en: 'Explosive compound' },
+  royal_dye: { es: 'Tinte real', en: 'Royal dye' },
+  illustrated_parchment: { es: 'Pergamino iluminado', en: 'Illuminated parchment' },
+  magic_catalyst: { es: 'Catalizador mágico', en: 'Magic catalyst' },
+  rare_iron: { es: 'Hierro raro', en: 'Rare iron' },
+  sea_salt: { es: 'Sal marina', en: 'Sea salt' },
+  linen: { es: 'Lino', en: 'Linen' },
+  gold_dye: { es: 'Tinte dorado', en: 'Gold dye' },
+  golden_dye: { es: 'Tinte áureo', en: 'Golden dye' },
+  sulfur: { es: 'Azufre', en: 'Sulfur' },
+  precious_gems: { es: 'Gemas preciosas', en: 'Precious gems' },
+  gems: { es: 'Gemas', en: 'Gems' },
+  royal_silk: { es: 'Seda real', en: 'Royal silk' },
+  silk: { es: 'Seda', en: 'Silk' },
+  gold: { es: 'Oro', en: 'Gold' }
+};
+
+const BUILDING_NAMES = {
+  house: { es: 'Casa', en: 'House' },
+  casa_de_piedra: { es: 'Casa de piedra', en: 'Stone house' },
+  casa_de_ladrillos: { es: 'Casa de ladrillos', en: 'Brick house' },
+  sawmill: { es: 'Aserradero', en: 'Sawmill' },
+  quarry: { es: 'Cantera', en: 'Quarry' },
+  farm: { es: 'Granja', en: 'Farm' },
+  well: { es: 'Pozo', en: 'Well' },
+  clay_pit: { es: 'Barrero', en: 'Clay pit' },
+  coal_mine: { es: 'Mina de carbón', en: 'Coal mine' },
+  copper_mine: { es: 'Mina de cobre', en: 'Copper mine' },
+  sheepfold: { es: 'Redil', en: 'Sheepfold' },
+  apiary: { es: 'Colmenar', en: 'Apiary' },
+  carpinteria: { es: 'Carpintería', en: 'Carpentry' },
+  tannery: { es: 'Curtiduría', en: 'Tannery' },
+  sastreria: { es: 'Sastrería', en: 'Tailor' },
+  alfareria: { es: 'Alfarería', en: 'Pottery' },
+  fabrica_ladrillos: { es: 'Fábrica de ladrillos', en: 'Brickworks' },
+  bazar_especias: { es: 'Bazar de especias', en: 'Spice bazaar' },
+  salazoneria: { es: 'Salazonería', en: 'Salting house' },
+  libreria: { es: 'Librería', en: 'Bookbinder' },
+  cerveceria: { es: 'Cervecería', en: 'Brewery' },
+  forja: { es: 'Forja', en: 'Forge' },
+  herreria: { es: 'Herrería', en: 'Smithy' },
+  elixireria: { es: 'Elixirería', en: 'Elixir workshop' },
+  tintoreria_morada: { es: 'Tintorería morada', en: 'Purple dyeworks' },
+  tintoreria_real: { es: 'Tintorería real', en: 'Royal dyeworks' },
+  escriba: { es: 'Escriba', en: 'Scriptorium' },
+  artificiero: { es: 'Artificiero', en: 'Pyrotechnist' },
+  herreria_real: { es: 'Herrería real', en: 'Royal smithy' },
+  lineria: { es: 'Linería', en: 'Linen mill' },
+  tintoreria_dorada: { es: 'Tintorería dorada', en: 'Golden dyeworks' },
+  herreria_mitica: { es: 'Herrería mítica', en: 'Mythic smithy' },
+  salinas: { es: 'Salinas', en: 'Salt pans' },
+  mina_azufre: { es: 'Mina de azufre', en: 'Sulfur mine' },
+  mina_gemas: { es: 'Mina de gemas', en: 'Gem mine' },
+  telar_real: { es: 'Telar real', en: 'Royal loom' },
+  barracks: { es: 'Cuartel', en: 'Barracks' },
+  warehouse: { es: 'Almacén', en: 'Warehouse' },
+  granary: { es: 'Granero', en: 'Granary' },
+  treasury: { es: 'Tesorería', en: 'Treasury' }
+};
+
+module.exports = {
+  RESOURCE_NAMES,
+  BUILDING_NAMES
+};
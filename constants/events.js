@@ -0,0 +1,27 @@
+// Events pushed to clients over GET /api/events (Server-Sent Events).
+// Every event is { type, entityId, data, at }; `ai.activity` goes to the entities near `origin` instead.
+const EVENT_TYPES = {
+  RESOURCES_TICK: 'resources.tick',
+  POPULATION_CHANGED: 'population.changed',
+  BUILD_COMPLETED: 'build.completed',
+  RESEARCH_COMPLETED: 'research.completed',
+  TRADE_EXECUTED: 'trade.executed',
+  CARAVAN_DELIVERED: 'caravan.delivered',
+  AI_ACTIVITY: 'ai.activity'
+};
+
+const EVENT_STREAM = {
+  // LISTEN/NOTIFY channel of the pg transport (EVENT_BUS=pg)
+  channel: 'game_events',
+  // pg_notify rejects payloads of 8000 bytes or more; bigger events go out without `data`
+  maxPayloadBytes: 7500,
+  // comment line that keeps proxies from closing an idle stream
+  heartbeatSeconds: 25,
+  // reconnection delay suggested to EventSource
+  retryMs: 5000,
+  maxConnectionsPerUser: 5,
+  // tiles around an AI city whose entities receive its ai.activity events
+  nearbyRadius: 15
+};
+
+module.exports = { EVENT_TYPES, EVENT_STREAM };
@@ -0,0 +1,31 @@
+// Reasons recorded in resource_ledger.reason. Every resource mutation passes one of these
+// in its `meta` argument ({ reason, refType, refId, details }); UNSPECIFIED marks a caller
+// that did not say why, which is worth fixing when it shows up in the ledger.
+const LEDGER_REASONS = {
+  INITIAL: 'initial',
+  PRODUCTION: 'production',
+  POPULATION_UPKEEP: 'population_upkeep',
+  BUILD: 'build',
+  BUILD_REFUND: 'build_refund',
+  RESEARCH: 'research',
+  RESEARCH_REFUND: 'research_refund',
+  TRADE: 'trade',
+  MARKET_ESCROW: 'market_escrow',
+  MARKET_FILL: 'market_fill',
+  MARKET_REFUND: 'market_refund',
+  TRADE_TAX: 'trade_tax', // share of the seller's proceeds paid to a faction treasury
+  CARAVAN_DELIVERY: 'caravan_delivery',
+  UNIT_TRAINING: 'unit_training',
+  LOOT_LOST: 'loot_lost',
+  LOOT_GAINED: 'loot_gained',
+  ALLIANCE_DONATION: 'alliance_donation', // goods given to the alliance warehouse
+  ALLIANCE_DISTRIBUTION: 'alliance_distribution', // goods handed out from the alliance warehouse
+  BAZAAR_RESTOCK: 'bazaar_restock', // restock and decay of NPC bazaars toward their target stock
+  ADMIN_SET: 'admin_set',
+  UNSPECIFIED: 'unspecified'
+};
+
+const LEDGER_PAGE_SIZE = 50;
+const LEDGER_MAX_PAGE_SIZE = 200;
+
+module.exports = { LEDGER_REASONS, LEDGER_PAGE_SIZE, LEDGER_MAX_PAGE_SIZE };
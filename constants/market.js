@@ -0,0 +1,45 @@
+// Reference prices (utils/pricingService.js). Each resource keeps a moving reference price,
+// seeded from resource_types.price_base, that every quote starts from instead of the static base.
+const PRICING = {
+  // An executed trade pulls the reference toward its unit price with weight
+  // quantity / (quantity + tradeLiquidity), never more than maxTradeWeight.
+  tradeLiquidity: 2000,
+  maxTradeWeight: 0.2,
+  // Trades cannot walk the reference more than maxTradeWindowMove away from where it opened in
+  // the current tradeWindow candle (CANDLE_INTERVALS key). Order book fills between two entities
+  // that already traded the resource within the window weigh 1 / (fills between them), so two
+  // colluding accounts dealing back and forth barely move it.
+  tradeWindow: '1d',
+  maxTradeWindowMove: 0.1,
+  // Each tick the net production of a resource (produced - consumed, all entities) moves it by
+  // -elasticity * net / global stock, at most ±maxTickMove: surplus gets cheaper, shortage dearer.
+  elasticity: 0.5,
+  maxTickMove: 0.05,
+  // The reference stays within [minFactor, maxFactor] × price_base and never below minPrice
+  minFactor: 0.25,
+  maxFactor: 4,
+  minPrice: 1
+};
+
+// Candle intervals of GET /api/market/:resource/history; older candles are pruned after each tick
+const CANDLE_INTERVALS = {
+  '5m': { seconds: 300, retentionSeconds: 2 * 86400 },
+  '1h': { seconds: 3600, retentionSeconds: 30 * 86400 },
+  '1d': { seconds: 86400, retentionSeconds: 365 * 86400 }
+};
+
+const PRICE_HISTORY = {
+  defaultInterval: '1h',
+  defaultLimit: 48,
+  maxLimit: 500
+};
+
+// Trade quotes (utils/quoteService.js): POST /api/resources/market-price signs the price, POST /api/resources/trade
+// redeems it once before it expires. If the price has moved more than maxSlippage since, the trade is refused.
+// Signed with TRADE_QUOTE_SECRET (JWT_SECRET when unset).
+const TRADE_QUOTE = {
+  ttlSeconds: Number(process.env.TRADE_QUOTE_TTL_SECONDS || 60),
+  maxSlippage: 0.05
+};
+
+module.exports = { PRICING, CANDLE_INTERVALS, PRICE_HISTORY, TRADE_QUOTE };
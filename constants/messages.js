@@ -0,0 +1,241 @@
+// Idiomas de la API. DEFAULT_LANGUAGE se usa cuando ni la preferencia del usuario
+// ni Accept-Language piden uno soportado.
+const SUPPORTED_LANGUAGES = ['es', 'en'];
+const DEFAULT_LANGUAGE = 'es';
+
+// Catálogo de mensajes por código de error o de información.
+// {param} se sustituye con los details del error o con los campos de la respuesta;
+// {param:resource} y {param:building} usan el nombre localizado del recurso o edificio.
+// Los códigos genéricos por status (BAD_REQUEST, NOT_FOUND...) no están: su mensaje lo pone la ruta.
+const MESSAGES = {
+  // --- Generales ---
+  INTERNAL_ERROR: { es: 'Error interno del servidor.', en: 'Internal server error.' },
+  INVALID_JSON: { es: 'El cuerpo de la petición no es un JSON válido.', en: 'The request body is not valid JSON.' },
+  ROUTE_NOT_FOUND: { es: 'Ruta no encontrada: {method} {path}', en: 'Route not found: {method} {path}' },
+  EVENT_STREAM_LIMIT: { es: 'Demasiados canales de eventos abiertos (máximo {max}).', en: 'Too many open event streams (max {max}).' },
+  RATE_LIMITED: { es: 'Demasiadas peticiones. Inténtalo de nuevo en {retryAfter} s.', en: 'Too many requests. Try again in {retryAfter} s.' },
+  LOGIN_LOCKED: {
+    es: 'Demasiados intentos fallidos. Cuenta bloqueada durante {retryAfter} s.',
+    en: 'Too many failed attempts. Account locked for {retryAfter} s.'
+  },
+
+  // --- Validación (VALIDATION_ERROR y cada campo de details.errors) ---
+  VALIDATION_ERROR: { es: 'Datos de entrada no válidos.', en: 'Invalid input data.' },
+  FIELD_REQUIRED: { es: 'es obligatorio', en: 'is required' },
+  FIELD_INTEGER: { es: 'debe ser un número entero', en: 'must be an integer' },
+  FIELD_NUMBER: { es: 'debe ser un número', en: 'must be a number' },
+  FIELD_MIN: { es: 'debe ser mayor o igual que {min}', en: 'must be greater than or equal to {min}' },
+  FIELD_GREATER_THAN: { es: 'debe ser mayor que {greaterThan}', en: 'must be greater than {greaterThan}' },
+  FIELD_MAX: { es: 'debe ser menor o igual que {max}', en: 'must be less than or equal to {max}' },
+  FIELD_STRING: { es: 'debe ser un texto', en: 'must be a string' },
+  FIELD_MIN_LENGTH: { es: 'debe tener al menos {min} caracteres', en: 'must be at least {min} characters long' },
+  FIELD_MAX_LENGTH: { es: 'debe tener como máximo {max} caracteres', en: 'must be at most {max} characters long' },
+  FIELD_PATTERN: { es: 'tiene un formato no válido', en: 'has an invalid format' },
+  FIELD_USERNAME_CHARS: { es: 'solo puede contener letras, números, _ . y -', en: 'may only contain letters, numbers, _ . and -' },
+  FIELD_ONE_OF: { es: 'debe ser uno de: {values}', en: 'must be one of: {values}' },
+  FIELD_NOT_ALLOWED: { es: 'no es un valor permitido', en: 'is not an allowed value' },
+  FIELD_DATE: { es: 'debe ser una fecha ISO 8601', en: 'must be an ISO 8601 date' },
+  FIELD_ARRAY: { es: 'debe ser un array', en: 'must be an array' },
+  FIELD_MIN_ITEMS: { es: 'debe tener al menos {min} elementos', en: 'must have at least {min} items' },
+  FIELD_MAX_ITEMS: { es: 'debe tener como máximo {max} elementos', en: 'must have at most {max} items' },
+  FIELD_OBJECT: { es: 'debe ser un objeto', en: 'must be an object' },
+  FIELD_MIN_ENTRIES: { es: 'debe tener al menos {min} entradas', en: 'must have at least {min} entries' },
+
+  // --- Autenticación y sesiones ---
+  TOKEN_MISSING: { es: 'Acceso denegado. Token no proporcionado.', en: 'Access denied. No token provided.' },
+  TOKEN_EXPIRED: { es: 'Token inválido o expirado.', en: 'Invalid or expired token.' },
+  TOKEN_INVALID: { es: 'Token inválido o expirado.', en: 'Invalid or expired token.' },
+  TOKEN_REVOKED: { es: 'Token inválido o expirado.', en: 'Invalid or expired token.' },
+  INVALID_CREDENTIALS: { es: 'Usuario o contraseña incorrectos.', en: 'Incorrect username or password.' },
+  USERNAME_TAKEN: { es: 'Usuario ya existe.', en: 'Username already taken.' },
+  REGISTERED: { es: 'Registro exitoso.', en: 'Registration successful.' },
+  WELCOME: { es: 'Bienvenido, {user.username}', en: 'Welcome, {user.username}' },
+  SESSION_LOADED: { es: 'Datos de sesión cargados correctamente.', en: 'Session data loaded.' },
+  LOGGED_OUT: { es: 'Sesión cerrada.', en: 'Logged out.' },
+  LOGGED_OUT_ALL: { es: 'Todas las sesiones han sido cerradas.', en: 'All sessions have been closed.' },
+  REFRESH_TOKEN_INVALID: { es: 'Refresh token inválido.', en: 'Invalid refresh token.' },
+  REFRESH_TOKEN_EXPIRED: { es: 'Refresh token caducado.', en: 'Refresh token expired.' },
+  REFRESH_TOKEN_REUSED: {
+    es: 'Refresh token ya utilizado; se han cerrado las sesiones asociadas.',
+    en: 'Refresh token already used; the related sessions have been closed.'
+  },
+
+  // --- Autorización ---
+  FORBIDDEN_NOT_OWNER: { es: 'No tienes permiso sobre esta entidad.', en: 'You do not have access to this settlement.' },
+  FORBIDDEN_ADMIN_ONLY: { es: 'Esta operación requiere rol de administrador.', en: 'This operation requires the admin role.' },
+  FORBIDDEN_NO_ENTITY: { es: 'El usuario no tiene ninguna entidad asociada.', en: 'The user has no settlement.' },
+  FORBIDDEN_COUNTERPARTY: { es: 'La contraparte debe ser un bazar o una ciudad IA.', en: 'The counterparty must be a bazaar or an AI city.' },
+
+  // --- Cuenta ---
+  USER_NOT_FOUND: { es: 'Usuario no encontrado.', en: 'User not found.' },
+  WRONG_PASSWORD: { es: 'Contraseña incorrecta.', en: 'Wrong password.' },
+  INVALID_PASSWORD: { es: 'La nueva contraseña no es válida.', en: 'The new password is not valid.' },
+  INVALID_FACTION: { es: 'Facción con ID {factionId} no encontrada.', en: 'Faction with ID {factionId} not found.' },
+  PASSWORD_CHANGED: { es: 'Contraseña actualizada.', en: 'Password updated.' },
+  ACCOUNT_DELETED: { es: 'Cuenta eliminada.', en: 'Account deleted.' },
+  RESPAWNED: { es: 'Nuevo asentamiento creado.', en: 'New settlement founded.' },
+  RESPAWN_COOLDOWN: {
+    es: 'Ya reiniciaste el asentamiento hace poco. Podrás volver a hacerlo en {retryAfter} s.',
+    en: 'You respawned recently. You can do it again in {retryAfter} s.'
+  },
+  INVALID_LANGUAGE: { es: 'Idioma no soportado: {language}', en: 'Unsupported language: {language}' },
+  LANGUAGE_UPDATED: { es: 'Idioma actualizado.', en: 'Language updated.' },
+
+  // --- Entidades ---
+  USER_ENTITY_NOT_FOUND: { es: 'No se encontró entidad asociada al usuario.', en: 'No settlement found for this user.' },
+  ENTITY_NOT_FOUND: { es: 'Entidad no encontrada.', en: 'Settlement not found.' },
+  ENTITY_ID_REQUIRED: { es: 'Falta entityId en la petición.', en: 'entityId is missing from the request.' },
+  ENTITY_CREATED: { es: 'Entidad creada correctamente.', en: 'Settlement created.' },
+  ENTITY_UPDATED: { es: 'Entidad actualizada.', en: 'Settlement updated.' },
+  ENTITY_DELETED: { es: 'Entidad eliminada.', en: 'Settlement deleted.' },
+  NO_FIELDS_TO_UPDATE: { es: 'No se enviaron campos para actualizar.', en: 'No fields to update were sent.' },
+  AI_CITY_CREATED: { es: 'AI City creada.', en: 'AI city created.' },
+  AI_CITY_NOT_FOUND: { es: 'AI City no encontrada.', en: 'AI city not found.' },
+  AI_CITY_DELETED: { es: 'AI City eliminada.', en: 'AI city deleted.' },
+  AI_UPDATE_TRIGGERED: { es: 'Actualización de las AI cities lanzada.', en: 'AI city update triggered.' },
+
+  // --- Recursos y población ---
+  INSUFFICIENT: {
+    es: 'Recursos insuficientes: {resource:resource} (necesita {need}, tiene {have})',
+    en: 'Not enough {resource:resource} (need {need}, have {have})'
+  },
+  STORAGE_FULL: {
+    es: 'Capacidad de almacenamiento insuficiente para {resource:resource} (capacidad {capacity}, tiene {have}, en camino {incoming}, recibe {need})',
+    en: 'Not enough storage for {resource:resource} (capacity {capacity}, stored {have}, incoming {incoming}, receiving {need})'
+  },
+  UNKNOWN_RESOURCE: { es: 'Tipo de recurso desconocido: {resource}', en: 'Unknown resource type: {resource}' },
+  RESOURCES_UPDATED: { es: 'Recursos actualizados.', en: 'Resources updated.' },
+  INVENTORY_UPDATED: { es: 'Inventario actualizado correctamente.', en: 'Inventory updated.' },
+  INSUFFICIENT_POPULATION: {
+    es: 'Población insuficiente para asignar al edificio (necesita {need}, tiene {have}).',
+    en: 'Not enough population to staff the building (need {need}, have {have}).'
+  },
+  POPULATION_UPDATED: { es: 'Población actualizada.', en: 'Population updated.' },
+
+  // --- Construcción ---
+  NOT_ALLOWED_FOR_FACTION: {
+    es: "La facción '{faction}' no está permitida para construir {buildingType:building}.",
+    en: "Faction '{faction}' is not allowed to build {buildingType:building}."
+  },
+  BUILD_QUEUED: { es: 'Construcción de {buildingType:building} añadida a la cola.', en: '{buildingType:building} added to the build queue.' },
+  QUEUE_FULL: { es: 'La cola de construcción está llena (máximo {max}).', en: 'The build queue is full (max {max}).' },
+  QUEUE_ITEM_NOT_FOUND: { es: 'Construcción no encontrada en la cola.', en: 'Construction not found in the queue.' },
+  INVALID_ORDER: { es: 'La orden no es válida.', en: 'The order is not valid.' },
+  BUILD_CANCELLED: { es: 'Construcción cancelada.', en: 'Construction cancelled.' },
+  QUEUE_REORDERED: { es: 'Cola reordenada.', en: 'Queue reordered.' },
+
+  // --- Mercado y comercio ---
+  ORDER_PLACED: { es: 'Orden registrada.', en: 'Order placed.' },
+  ORDER_NOT_FOUND: { es: 'Orden abierta no encontrada.', en: 'Open order not found.' },
+  ORDER_CANCELLED: { es: 'Orden cancelada.', en: 'Order cancelled.' },
+  SELF_CROSSING_ORDER: {
+    es: 'La orden cruzaría la orden abierta propia #{orderId} a {price}.',
+    en: 'The order would cross your own open order #{orderId} at {price}.'
+  },
+  RESOURCE_NOT_TRADABLE: { es: 'Recurso no negociable: {resource}', en: 'Resource cannot be traded: {resource}' },
+  TRADE_ENTITY_NOT_FOUND: { es: 'Entidad de la operación no encontrada.', en: 'Trade counterparty not found.' },
+  TRADE_EXECUTED: { es: 'Intercambio ejecutado correctamente.', en: 'Trade executed.' },
+  BAZAAR_NOT_FOUND: { es: 'Bazar no encontrado.', en: 'Bazaar not found.' },
+  QUOTE_INVALID: { es: 'Presupuesto de intercambio no válido.', en: 'Invalid trade quote.' },
+  QUOTE_EXPIRED: { es: 'El presupuesto de intercambio caducó a las {expiresAt}.', en: 'The trade quote expired at {expiresAt}.' },
+  QUOTE_NOT_YOURS: { es: 'El presupuesto pertenece a otro usuario.', en: 'The trade quote belongs to another user.' },
+  QUOTE_USED: { es: 'El presupuesto de intercambio ya se ha usado.', en: 'The trade quote has already been used.' },
+  QUOTE_PRICE_MOVED: {
+    es: 'El precio ha cambiado desde el presupuesto ({quoted} → {current}); pide uno nuevo.',
+    en: 'The price moved since the quote ({quoted} → {current}); request a new one.'
+  },
+  BAZAAR_OUT_OF_STOCK: {
+    es: 'El bazar no tiene suficiente {resource:resource} (disponible {available}, necesitas {need}).',
+    en: 'The bazaar does not have enough {resource:resource} (available {available}, need {need}).'
+  },
+  BAZAAR_STOCK_FULL: {
+    es: 'El bazar no compra más {resource:resource} (admite {available}, ofreces {need}).',
+    en: 'The bazaar does not buy more {resource:resource} (takes {available}, offered {need}).'
+  },
+  TREASURY_INSUFFICIENT: {
+    es: 'El tesoro de la facción no tiene oro suficiente (tiene {balance}, necesita {need}).',
+    en: 'The faction treasury does not have enough gold (has {balance}, needs {need}).'
+  },
+  INVALID_BONUS: { es: 'Bonificación de facción no válida: {bonus}', en: 'Invalid faction bonus: {bonus}' },
+  FACTION_BONUS_ACTIVE: { es: 'La facción ya tiene activa la bonificación {bonus}.', en: 'The faction already has the {bonus} bonus active.' },
+  FACTION_BONUS_PURCHASED: { es: 'Bonificación de facción activada.', en: 'Faction bonus activated.' },
+  NOT_FACTION_MEMBER: { es: 'Solo los miembros de la facción pueden usar su tesoro.', en: 'Only members of the faction can spend its treasury.' },
+  FACTION_MEMBER_TOO_NEW: {
+    es: 'Tu asentamiento debe llevar {minMemberHours} h en la facción para gastar su tesoro.',
+    en: 'Your settlement must have been in the faction for {minMemberHours} h to spend its treasury.'
+  },
+  FACTION_SPEND_COOLDOWN: {
+    es: 'Ya compraste una bonificación de facción hace poco. Podrás volver a hacerlo en {retryAfter} s.',
+    en: 'You bought a faction bonus recently. You can buy another in {retryAfter} s.'
+  },
+
+  // --- Alianzas ---
+  ALLIANCE_CREATED: { es: 'Alianza fundada.', en: 'Alliance founded.' },
+  ALLIANCE_NOT_FOUND: { es: 'Alianza no encontrada.', en: 'Alliance not found.' },
+  ALLIANCE_NAME_TAKEN: { es: 'Ya existe una alianza con ese nombre o etiqueta.', en: 'An alliance with that name or tag already exists.' },
+  ALLIANCE_ALREADY_MEMBER: { es: 'El jugador ya pertenece a una alianza.', en: 'The player already belongs to an alliance.' },
+  NOT_ALLIANCE_MEMBER: { es: 'No eres miembro de esta alianza.', en: 'You are not a member of this alliance.' },
+  ALLIANCE_MEMBER_NOT_FOUND: { es: 'El jugador no es miembro de la alianza.', en: 'The player is not a member of the alliance.' },
+  ALLIANCE_RANK_FORBIDDEN: { es: 'Tu rango en la alianza no permite esta acción.', en: 'Your alliance rank does not allow this action.' },
+  ALLIANCE_FULL: { es: 'La alianza está completa ({maxMembers} miembros).', en: 'The alliance is full ({maxMembers} members).' },
+  ALLIANCE_INVITATION_SENT: { es: 'Invitación enviada.', en: 'Invitation sent.' },
+  ALLIANCE_INVITATION_EXISTS: { es: 'El jugador ya tiene una invitación pendiente.', en: 'The player already has a pending invitation.' },
+  INVITATION_NOT_FOUND: { es: 'Invitación no encontrada.', en: 'Invitation not found.' },
+  ALLIANCE_JOINED: { es: 'Te has unido a la alianza.', en: 'You joined the alliance.' },
+  ALLIANCE_INVITATION_DECLINED: { es: 'Invitación rechazada.', en: 'Invitation declined.' },
+  ALLIANCE_LEFT: { es: 'Has abandonado la alianza.', en: 'You left the alliance.' },
+  ALLIANCE_MEMBER_REMOVED: { es: 'Miembro expulsado de la alianza.', en: 'Member removed from the alliance.' },
+  ALLIANCE_RANK_UPDATED: { es: 'Rango actualizado.', en: 'Rank updated.' },
+  ALLIANCE_WAREHOUSE_NOT_EMPTY: {
+    es: 'Reparte el almacén de la alianza antes de disolverla.',
+    en: 'Distribute the alliance warehouse before disbanding it.'
+  },
+  ALLIANCE_DONATION: { es: 'Donación entregada al almacén de la alianza.', en: 'Donation delivered to the alliance warehouse.' },
+  ALLIANCE_DISTRIBUTION: { es: 'Recursos repartidos desde el almacén de la alianza.', en: 'Resources handed out from the alliance warehouse.' },
+  ALLIANCE_STOCK_INSUFFICIENT: {
+    es: 'El almacén de la alianza no tiene suficiente {resource:resource} (tiene {have}, necesitas {need}).',
+    en: 'The alliance warehouse does not have enough {resource:resource} (has {have}, need {need}).'
+  },
+  ALLIANCE_RESOURCE_NOT_ALLOWED: {
+    es: 'El almacén de la alianza no admite {resource:resource}.',
+    en: 'The alliance warehouse does not take {resource:resource}.'
+  },
+  ALLIANCE_SELF_DISTRIBUTION: { es: 'El líder no puede repartirse recursos a sí mismo.', en: 'The leader cannot hand warehouse resources to themselves.' },
+  ALLIANCE_MEMBER_TOO_NEW: {
+    es: 'El miembro debe llevar {minMemberHours} h en la alianza para mover recursos del almacén.',
+    en: 'The member must have been in the alliance for {minMemberHours} h to move warehouse resources.'
+  },
+
+  // --- Militar ---
+  INVALID_UNIT: { es: 'Tipo de unidad no válido: {unitType}', en: 'Invalid unit type: {unitType}' },
+  INVALID_QUANTITY: { es: 'La cantidad debe ser un entero entre 1 y {max}.', en: 'Quantity must be an integer between 1 and {max}.' },
+  BARRACKS_REQUIRED: {
+    es: 'Se necesita un cuartel de nivel {need} para entrenar {unitType}.',
+    en: 'Barracks level {need} is required to train {unitType}.'
+  },
+  INVALID_UNITS: { es: 'Debes enviar al menos una unidad.', en: 'You must send at least one unit.' },
+  INVALID_TARGET: { es: 'Objetivo no válido.', en: 'Invalid target.' },
+  TARGET_NOT_FOUND: { es: 'Entidad objetivo no encontrada.', en: 'Target settlement not found.' },
+  INSUFFICIENT_UNITS: {
+    es: 'Unidades insuficientes: {unitType} (necesita {need}, tiene {have})',
+    en: 'Not enough {unitType} (need {need}, have {have})'
+  },
+  UNITS_TRAINED: { es: 'Unidades entrenadas.', en: 'Units trained.' },
+  MISSION_SENT: { es: 'Misión enviada.', en: 'Mission sent.' },
+  REPORT_NOT_FOUND: { es: 'Informe no encontrado.', en: 'Report not found.' },
+
+  // --- Investigación ---
+  INVALID_TECHNOLOGY: { es: 'Tecnología no válida: {technology}', en: 'Invalid technology: {technology}' },
+  RESEARCH_BUSY: { es: 'Ya hay una investigación en curso.', en: 'A research project is already in progress.' },
+  MAX_LEVEL: { es: '{technology} ya está al nivel máximo ({maxLevel}).', en: '{technology} is already at its maximum level ({maxLevel}).' },
+  REQUIREMENTS_NOT_MET: { es: 'Requisitos no cumplidos para {technology}.', en: 'Requirements not met for {technology}.' },
+  RESEARCH_STARTED: { es: 'Investigación iniciada.', en: 'Research started.' },
+  NO_ACTIVE_RESEARCH: { es: 'No hay ninguna investigación en curso.', en: 'No research in progress.' },
+  RESEARCH_CANCELLED: { es: 'Investigación cancelada.', en: 'Research cancelled.' }
+};
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  MESSAGES
+};
@@ -0,0 +1,19 @@
+// Starting settlement of a human player, used by /register and by respawns.
+// Resources not listed start at 0; gold is set by createEntityWithResources (3000).
+const PLAYER_STARTER_RESOURCES = {
+  wood: 1400,
+  stone: 1200,
+  food: 2000,
+  water: 400,
+  coal: 300,
+  clay: 300,
+  honey: 100,
+  wool: 100,
+  copper: 200,
+  leather: 100
+};
+const BASE_POPULATION = 1;
+// Minimum time between two respawns of the same user; each one hands out the starter resources again
+const RESPAWN_COOLDOWN_SECONDS = 7 * 24 * 3600;
+
+module.exports = { PLAYER_STARTER_RESOURCES, BASE_POPULATION, RESPAWN_COOLDOWN_SECONDS };
@@ -0,0 +1,23 @@
+// Fixed-window limits per route family: at most `max` requests per `windowSeconds`.
+// `by` is the key of the window: ip, username (login body) or user (authenticated user id).
+const RATE_LIMITS = {
+  loginIp: { windowSeconds: 15 * 60, max: 30, by: 'ip' },
+  loginUsername: { windowSeconds: 15 * 60, max: 10, by: 'username' },
+  // every registration also creates one AI city per faction
+  register: { windowSeconds: 60 * 60, max: 5, by: 'ip' },
+  trade: { windowSeconds: 60, max: 30, by: 'user' },
+  build: { windowSeconds: 60, max: 30, by: 'user' }
+};
+
+// Progressive lockout after failed logins for the same username:
+// after `threshold` failures the account is locked baseSeconds * factor^(failures - threshold),
+// capped at maxSeconds. Failures are forgotten `resetSeconds` after the last one or on success.
+const LOGIN_LOCKOUT = {
+  threshold: 5,
+  baseSeconds: 30,
+  factor: 2,
+  maxSeconds: 60 * 60,
+  resetSeconds: 24 * 60 * 60
+};
+
+module.exports = { RATE_LIMITS, LOGIN_LOCKOUT };
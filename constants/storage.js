@@ -0,0 +1,17 @@
+// Per-resource storage capacity.
+// capacity(resource) = base * STORAGE_GROWTH^level, where level is the level of the building
+// that stores the resource (0 when it is not built yet).
+// granary holds food, treasury holds gold and warehouse holds every other resource.
+const STORAGE_BUILDINGS = {
+  warehouse: { base: 5000 },
+  granary: { base: 8000, resources: ['food'] },
+  treasury: { base: 10000, resources: ['gold'] }
+};
+const DEFAULT_STORAGE_BUILDING = 'warehouse';
+const STORAGE_GROWTH = 1.5;
+
+// Only these entity types (lowercase) are capped; bazaars are market infrastructure
+// and keep unlimited stock
+const STORAGE_CAPPED_ENTITY_TYPES = ['player', 'cityia'];
+
+module.exports = { STORAGE_BUILDINGS, DEFAULT_STORAGE_BUILDING, STORAGE_GROWTH, STORAGE_CAPPED_ENTITY_TYPES };
@@ -0,0 +1,76 @@
+// Research tree. Each technology is researched level by level, one research at a time per entity.
+// cost: resources for level 1, scaled per level with RESEARCH_COST_CURVE (see utils/costEngine.js curves)
+// baseSeconds: research time for level 1, scaled with RESEARCH_TIME_CURVE and divided by BUILD_SPEED
+// requires: { technologies: { tech: level }, buildings: { type: level } } needed before level 1
+// effects (per level, additive):
+//   production: { resource: 0.10 }  -> +10% of the resource produced by buildings
+//   costReduction: { resource: 0.05 } -> -5% of that resource in building costs
+//   buildTime: 0.05                 -> -5% building construction time
+const TECHNOLOGIES = {
+  crop_rotation: {
+    name: 'Rotación de cultivos',
+    cost: { wood: 40, food: 60 },
+    baseSeconds: 120,
+    maxLevel: 10,
+    requires: { buildings: { farm: 1 } },
+    effects: { production: { food: 0.10 } }
+  },
+  forestry: {
+    name: 'Silvicultura',
+    cost: { wood: 30, food: 40 },
+    baseSeconds: 120,
+    maxLevel: 10,
+    requires: { buildings: { sawmill: 1 } },
+    effects: { production: { wood: 0.10 } }
+  },
+  stonecutting: {
+    name: 'Cantería',
+    cost: { wood: 50, stone: 20 },
+    baseSeconds: 150,
+    maxLevel: 10,
+    requires: { buildings: { quarry: 1 } },
+    effects: { production: { stone: 0.10 } }
+  },
+  masonry: {
+    name: 'Albañilería',
+    cost: { wood: 60, stone: 80, food: 40 },
+    baseSeconds: 240,
+    maxLevel: 8,
+    requires: { technologies: { stonecutting: 1 } },
+    effects: { costReduction: { stone: 0.05 } }
+  },
+  carpentry: {
+    name: 'Ebanistería',
+    cost: { wood: 80, stone: 40, food: 40 },
+    baseSeconds: 240,
+    maxLevel: 8,
+    requires: { technologies: { forestry: 1 } },
+    effects: { costReduction: { wood: 0.05 } }
+  },
+  architecture: {
+    name: 'Arquitectura',
+    cost: { wood: 150, stone: 150, food: 100, gold: 50 },
+    baseSeconds: 600,
+    maxLevel: 5,
+    requires: { technologies: { masonry: 2, carpentry: 2 }, buildings: { libreria: 1 } },
+    effects: { buildTime: 0.05 }
+  }
+};
+
+const RESEARCH_COST_CURVE = { type: 'power', factor: 1.8 };
+const RESEARCH_TIME_CURVE = { type: 'power', factor: 1.6 };
+
+// Reductions never take a cost or a build time below this share of its base value
+const MIN_COST_MULTIPLIER = 0.5;
+const MIN_BUILD_TIME_MULTIPLIER = 0.5;
+
+const RESEARCH_CANCEL_REFUND_RATIO = 0.5;
+
+module.exports = {
+  TECHNOLOGIES,
+  RESEARCH_COST_CURVE,
+  RESEARCH_TIME_CURVE,
+  MIN_COST_MULTIPLIER,
+  MIN_BUILD_TIME_MULTIPLIER,
+  RESEARCH_CANCEL_REFUND_RATIO
+};
@@ -0,0 +1,10 @@
+// Batch resource tick (jobs/batchTick.js): entities are processed in chunks of `chunkSize`,
+// each chunk in its own transaction, with at most `concurrency` chunks at the same time.
+// concurrency must stay well below the pg pool size (10 by default): web requests share it.
+// Both can be overridden with RESOURCE_TICK_CHUNK_SIZE / RESOURCE_TICK_CONCURRENCY.
+const TICK_BATCH = {
+  chunkSize: 200,
+  concurrency: 3
+};
+
+module.exports = { TICK_BATCH };
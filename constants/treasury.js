@@ -0,0 +1,35 @@
+// Trade taxes and faction treasuries (utils/treasuryService.js).
+// Every trade (direct or order book fill) pays a share of its gross value, taken from the
+// seller's proceeds, into the treasury of the seller's faction (the buyer's if the seller has
+// none; with neither the gold is simply destroyed). Factions spend it on timed bonuses.
+const TRADE_TAX = {
+  // Rate per resource category: `intra` when buyer and seller belong to the same faction,
+  // `cross` otherwise (including trades with an entity without faction)
+  rates: {
+    common: { intra: 0.02, cross: 0.05 },
+    processed: { intra: 0.03, cross: 0.06 },
+    specialized: { intra: 0.04, cross: 0.08 }
+  },
+  // Window of the tax report (GET /api/factions/treasury?hours=24)
+  reportDefaultHours: 24,
+  reportMaxHours: 30 * 24
+};
+
+// Bonuses a faction can buy with its treasury. While active they apply to every entity of the
+// faction: `production` multiplies building output like research does, `taxMultiplier` scales
+// the tax its members pay on their sales. A bonus cannot be bought again while it is active.
+const FACTION_TREASURY_BONUSES = {
+  granaries: { cost: 20000, durationHours: 24, effects: { production: { food: 1.15, water: 1.15 } } },
+  quarries: { cost: 25000, durationHours: 24, effects: { production: { stone: 1.1, clay: 1.1, coal: 1.1, copper: 1.1 } } },
+  sawmills: { cost: 25000, durationHours: 24, effects: { production: { wood: 1.1, lumber: 1.1 } } },
+  trade_privileges: { cost: 40000, durationHours: 24, effects: { taxMultiplier: 0.5 } }
+};
+
+// Who may spend the treasury: the buyer's settlement must have been in the faction for
+// `minMemberHours`, and each member buys at most one bonus every `userCooldownHours`
+const FACTION_TREASURY_SPENDING = {
+  minMemberHours: 72,
+  userCooldownHours: 72
+};
+
+module.exports = { TRADE_TAX, FACTION_TREASURY_BONUSES, FACTION_TREASURY_SPENDING };
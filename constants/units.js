@@ -0,0 +1,20 @@
+// Military unit definitions.
+// cost: resources paid per unit when training (same keys as BUILDING_COSTS)
+// attack / hp: combat stats used by utils/battleService.js
+// secondsPerTile: travel speed; a mission moves at the pace of its slowest unit
+// capacity: loot each surviving unit can carry home
+// barracksLevel: minimum barracks level required to train the unit
+const UNIT_TYPES = {
+  militia: { cost: { wood: 10, food: 20 }, attack: 2, hp: 10, secondsPerTile: 40, capacity: 10, barracksLevel: 1 },
+  spearman: { cost: { wood: 20, food: 20, copper: 5 }, attack: 4, hp: 16, secondsPerTile: 45, capacity: 15, barracksLevel: 2 },
+  archer: { cost: { wood: 30, food: 20, leather: 5 }, attack: 6, hp: 8, secondsPerTile: 40, capacity: 10, barracksLevel: 3 },
+  knight: { cost: { food: 60, leather: 10, iron_ingot: 5, gold: 20 }, attack: 12, hp: 40, secondsPerTile: 20, capacity: 40, barracksLevel: 5 },
+  catapult: { cost: { wood: 120, stone: 60, iron_ingot: 10 }, attack: 25, hp: 30, secondsPerTile: 90, capacity: 0, barracksLevel: 8 }
+};
+
+// Combat rules
+const BATTLE_MAX_ROUNDS = 6;
+const LOOT_RATIO = 0.5; // share of each defender resource that can be plundered
+const MAX_TRAIN_BATCH = 500;
+
+module.exports = { UNIT_TYPES, BATTLE_MAX_ROUNDS, LOOT_RATIO, MAX_TRAIN_BATCH };
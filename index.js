@@ -13,6 +13,17 @@ const { authenticateToken } = require('./middleware/auth');
 const { runResourceGeneratorJob } = require('./jobs/resourceGenerator'); 
 
 const app = express();
+// Detrás de un proxy (Render) req.ip debe salir de X-Forwarded-For para que el rate limit sea por cliente.
+// TRUST_PROXY = número de proxies delante de la app.
+if (Number(process.env.TRUST_PROXY) > 0) app.set('trust proxy', Number(process.env.TRUST_PROXY));
+// Todas las respuestas JSON salen como { ok, data } / { ok: false, error: { code, message, details } },
+// con los mensajes en el idioma de Accept-Language (o el preferido del usuario, ver middleware/auth.js).
+// Van antes de express.json para que también el error de JSON mal formado salga traducido.
+const { negotiateLocale } = require('./middleware/locale');
+const { responseEnvelope, notFoundHandler, errorHandler } = require('./middleware/errorHandler');
+const { sendError } = require('./utils/errors');
+app.use(negotiateLocale);
+app.use(responseEnvelope);
 app.use(express.json());
 app.use(cors());
 
@@ -139,8 +150,7 @@ app.post('/api/run-scheduled-job', async (req, res) => {
             res.status(200).json({ message: 'Tarea de generación de recursos y AI ejecutada.' });
 
         } catch (error) {
-            console.error('[WEB-CRON] Error durante la ejecución de la tarea:', error);
-            res.status(500).json({ message: 'Error interno al ejecutar la tarea programada.', error: error.message });
+            sendError(res, error, 'Error interno al ejecutar la tarea programada.');
         }
 });
 
@@ -161,6 +171,14 @@ app.use('/api/factions', factionRoutes);
 // Rutas de Autenticación (Login, Register, Me)
 app.use('/api', authRoutes); 
 
+// Gestión de cuenta: cambio de contraseña, borrado y respawn
+const accountRoutes = require('./routes/accountRoutes');
+app.use('/api/account', accountRoutes);
+
+// Eventos en tiempo real (SSE). EVENT_BUS=pg los reparte entre procesos con LISTEN/NOTIFY (ver utils/eventBus.js).
+const eventsRoutes = require('./routes/eventsRoutes');
+app.use('/api/events', eventsRoutes);
+
 // Public route: expose game constants (production rates, recipes, categories, building costs)
 app.get('/api/game/constants', (req, res) => {
     try {
@@ -170,14 +188,27 @@ app.get('/api/game/constants', (req, res) => {
             productionRates: gu.PRODUCTION_RATES,
             processingRecipes: gu.PROCESSING_RECIPES,
             resourceCategories: gu.RESOURCE_CATEGORIES,
-            buildingCosts: BUILDING_COSTS
+            buildingCosts: BUILDING_COSTS,
+            buildingCurves: require('./constants/buildingCurves'),
+            technologies: require('./constants/technologies').TECHNOLOGIES,
+            storage: require('./constants/storage'),
+            // Nombres de recursos y edificios en el idioma de la petición
+            displayNames: require('./utils/i18n').getDisplayNames(req.lang)
         });
     } catch (err) {
-        console.error('Failed to return game constants (public):', err && err.message ? err.message : err);
-        return res.status(500).json({ message: 'Error al obtener constantes del juego.' });
+        return sendError(res, err, 'Error al obtener constantes del juego.');
     }
 });
 
+// Mercado de órdenes limitadas (la profundidad es pública, las órdenes requieren token).
+// Se monta antes de gameRoutes para que /api/market/:resource/depth no pase por authenticateToken.
+const marketRoutes = require('./routes/marketRoutes');
+app.use('/api/market', marketRoutes);
+
+// Ofertas de los bazares NPC (públicas)
+const bazaarRoutes = require('./routes/bazaarRoutes');
+app.use('/api/bazaars', bazaarRoutes);
+
 // Rutas del Juego (Build, Generate-Resources) — protegidas por token
 app.use('/api', authenticateToken, gameRoutes); 
 
@@ -197,9 +228,31 @@ app.use('/api/resources', resourcesRoutes);
 const populationRoutes = require('./routes/populationRoutes');
 app.use('/api/population', populationRoutes);
 
+// rutas de caravanas (envíos de mercancías en camino)
+const caravanRoutes = require('./routes/caravanRoutes');
+app.use('/api/caravans', caravanRoutes);
 
+// rutas militares (unidades, misiones de ataque e informes de batalla)
+const militaryRoutes = require('./routes/militaryRoutes');
+app.use('/api/military', militaryRoutes);
 
+// rutas de investigación (árbol tecnológico)
+const researchRoutes = require('./routes/researchRoutes');
+app.use('/api/research', researchRoutes);
 
-app.listen(port, () => {
-    console.debug(`Servidor escuchando en el puerto ${port}`);
-});
+// rutas de alianzas (miembros, rangos, invitaciones y almacén compartido)
+const allianceRoutes = require('./routes/allianceRoutes');
+app.use('/api/alliances', allianceRoutes);
+
+// Rutas inexistentes y errores no capturados (GameError, JSON mal formado, errores internos)
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+// Solo escucha cuando se ejecuta directamente (los tests montan la app en un puerto libre)
+if (require.main === module) {
+    app.listen(port, () => {
+        console.debug(`Servidor escuchando en el puerto ${port}`);
+    });
+}
+
+module.exports = app;
@@ -94,16 +94,23 @@ async function perceiveSnapshot(pool, entityId, opts = {}) {
 
   // load price_base map via resourcesService
   const priceBaseMap = await resourcesService.getPriceBaseMapWithClient(client);
+  // the trade planner values goods at the market's moving reference price instead
+  const referencePriceMap = await require('../utils/pricingService').getReferencePriceMapWithClient(client);
 
   // find nearby AI city entities (limited) via entityService
   const nbRows = await entityService.listNearbyAICities(client, entityId, opts.maxNeighbors || DEFAULTS.MAX_NEIGHBORS);
   const neighbors = (nbRows || []).map(r => ({ id: r.id, x: r.x_coord, y: r.y_coord }));
+
+  // research effects (production bonuses, cheaper buildings) used by the build planner
+  const researchModifiers = await require('../utils/researchService').getModifiersWithClient(client, entityId);
   
-  return { entityId, x, y, inventory, priceBaseMap, neighbors };
+  return { entityId, x, y, inventory, priceBaseMap, referencePriceMap, neighbors, researchModifiers };
 }
 // Trade planner: produce a list of trade actions { type: 'buy'|'sell', resource, qty, counterpartyId }
 function tradePlanner(perception, opts = {}) {
-  const { inventory, priceBaseMap, neighbors } = perception;
+  const { inventory, neighbors } = perception;
+  // reference prices when perceived from the DB; the offline simulator only knows price_base
+  const priceMap = perception.referencePriceMap || perception.priceBaseMap || {};
   const MAX_TRADES = opts.maxTradesPerTick || DEFAULTS.MAX_TRADES_PER_TICK;
   const MAX_AMOUNT = opts.maxAmount || DEFAULTS.MAX_AMOUNT;
   const SAFETY = opts.safetyStock || DEFAULTS.SAFETY_STOCK;
@@ -115,7 +122,7 @@ function tradePlanner(perception, opts = {}) {
   // simple buy strategy: if our amount < buyLow, attempt to buy from neighbors
   for (const [resName, curAmt] of Object.entries(inventory)) {
     if (resName === 'gold') continue;
-    const base = priceBaseMap[resName] || 1;
+    const base = priceMap[resName] || 1;
     const buyLow = Math.max(1, Math.round(BASE_BUY_DIV / base));
     if (curAmt < buyLow) {
       const need = Math.min(MAX_AMOUNT, buyLow - curAmt);
@@ -127,7 +134,7 @@ function tradePlanner(perception, opts = {}) {
   // simple sell strategy: if our amount > sellHigh, attempt to sell surplus to neighbors
   for (const [resName, curAmt] of Object.entries(inventory)) {
     if (resName === 'gold') continue;
-    const base = priceBaseMap[resName] || 1;
+    const base = priceMap[resName] || 1;
     const buyLow = Math.max(1, Math.round(BASE_BUY_DIV / base));
     const sellHigh = Math.max(buyLow + 1, Math.round(BASE_SELL_DIV / base));
     if (curAmt > sellHigh) {
@@ -155,14 +162,15 @@ async function executeTradeAction(pool, action, perception, opts = {}) {
   try {
     await client.query('BEGIN');
 
-    // Get price_base and compute market price for desired qty
+    // Get the reference price and compute market price for desired qty
     const mp = await marketService.computeMarketPriceSingle(client, resource, qty, action.type === 'buy' ? 'buy' : 'sell');
     if (!mp) {
       await client.query('ROLLBACK');
       return { success: false, reason: 'no_market_price' };
     }
 
-    const base = (perception.priceBaseMap && perception.priceBaseMap[resource]) || 1;
+    const priceMap = perception.referencePriceMap || perception.priceBaseMap;
+    const base = (priceMap && priceMap[resource]) || 1;
 
     if (action.type === 'sell') {
       // Only sell if mp.price >= base * profit_margin
@@ -182,11 +190,11 @@ async function executeTradeAction(pool, action, perception, opts = {}) {
 
       // Execute trade: seller = our entityId, buyer = buyerId
       try {
-        const snapshot = await marketService.tradeWithClient(client, buyerId, perception.entityId, resource, mp.price, qty);
+        const { snapshot, caravan } = await marketService.tradeWithClient(client, buyerId, perception.entityId, resource, mp.price, qty);
         await client.query('COMMIT');
         recordMetric('actionsExecuted', 1); recordMetric('successfulTrades', 1);
-        logEvent({ type: 'trade', action: 'sell', entityId: perception.entityId, resource, qty, price: mp.price, buyerId });
-        return { success: true, snapshot, price: mp.price };
+        logEvent({ type: 'trade', action: 'sell', entityId: perception.entityId, resource, qty, price: mp.price, buyerId, caravanId: caravan && caravan.id });
+        return { success: true, snapshot, caravan, price: mp.price };
       } catch (tradeErr) {
         await client.query('ROLLBACK');
         recordMetric('failedActions', 1);
@@ -229,11 +237,11 @@ async function executeTradeAction(pool, action, perception, opts = {}) {
       }
       if (!sellerId) { await client.query('ROLLBACK'); return { success: false, reason: 'no_seller' }; }
       try {
-        const snapshot = await marketService.tradeWithClient(client, perception.entityId, sellerId, resource, mp.price, qty);
+        const { snapshot, caravan } = await marketService.tradeWithClient(client, perception.entityId, sellerId, resource, mp.price, qty);
         await client.query('COMMIT');
         recordMetric('actionsExecuted', 1); recordMetric('successfulTrades', 1);
-        logEvent({ type: 'trade', action: 'buy', entityId: perception.entityId, resource, qty, price: mp.price, sellerId });
-        return { success: true, snapshot, price: mp.price };
+        logEvent({ type: 'trade', action: 'buy', entityId: perception.entityId, resource, qty, price: mp.price, sellerId, caravanId: caravan && caravan.id });
+        return { success: true, snapshot, caravan, price: mp.price };
       } catch (tradeErr) {
         await client.query('ROLLBACK');
         recordMetric('failedActions', 1);
@@ -268,8 +276,8 @@ function mapBuildingToPopulationBucket(buildingType) {
 }
 
 // Wrapper helpers delegated to ai_city_service (centralized implementation)
-function calculateUpgradeRequirementsFromConstants(buildingType, currentLevel) {
-  return aiCityService.calculateUpgradeRequirementsFromConstants(buildingType, currentLevel);
+function calculateUpgradeRequirementsFromConstants(buildingType, currentLevel, modifiers = null) {
+  return aiCityService.calculateUpgradeRequirementsFromConstants(buildingType, currentLevel, modifiers);
 }
 
 function findProducerChain(resourceName, options = {}) {
@@ -277,11 +285,14 @@ function findProducerChain(resourceName, options = {}) {
 }
 
 // Build planner: rank building upgrades by payback time (cost in gold / marginal value per tick)
+// perception.buildings (getBuildings rows) and perception.population (getPopulationRowsWithClient map)
+// may come preloaded; the offline simulator passes both so the planner never touches the database.
 async function buildPlanner(perception, pool, opts = {}) {
   const priceBaseMap = perception.priceBaseMap || {};
   const entityId = perception.entityId;
+  const preloadedPopulation = perception.population || null;
   // load current buildings (light read)
-  const buildingRows = await getBuildings(entityId);
+  const buildingRows = Array.isArray(perception.buildings) ? perception.buildings : await getBuildings(entityId);
   const runtimeBuildings = {};
   buildingRows.forEach(b => { runtimeBuildings[b.type] = b.level || 0; });
 
@@ -331,7 +342,7 @@ async function buildPlanner(perception, pool, opts = {}) {
   let populationStats = { current_population: 0 };
   try {
     const populationService = require('../utils/populationService');
-    const popRows = await populationService.getPopulationRowsWithClient(pool, entityId);
+    const popRows = preloadedPopulation || await populationService.getPopulationRowsWithClient(pool, entityId);
     let total = 0;
     for (const k of Object.keys(popRows || {})) {
       total += Number(popRows[k].current || 0);
@@ -342,12 +353,14 @@ async function buildPlanner(perception, pool, opts = {}) {
   }
 
   // compute current net production per tick (includes consumption)
-  const productionPerTick = gameUtils.calculateProduction(buildingRows, populationStats) || {};
+  const researchModifiers = perception.researchModifiers || null;
+  const researchProduction = (researchModifiers && researchModifiers.production) || {};
+  const productionPerTick = gameUtils.calculateProduction(buildingRows, populationStats, null, researchModifiers) || {};
   const horizonSeconds = opts.horizonSeconds || (gameUtils.TICK_SECONDS * 6); // default 6 ticks
 
   for (const buildingId of Object.keys(BUILDING_COSTS)) {
     const currentLevel = runtimeBuildings[buildingId] || 0;
-    const reqs = calculateUpgradeRequirementsFromConstants(buildingId, currentLevel);
+    const reqs = calculateUpgradeRequirementsFromConstants(buildingId, currentLevel, researchModifiers);
     if (!reqs) continue;
 
     // cost in gold-equivalent
@@ -371,8 +384,8 @@ async function buildPlanner(perception, pool, opts = {}) {
     // We'll prioritize buildings based on the city's own inventory/deficits rather than market prices.
     let rawValueSum = 0;
     for (const res of Object.keys(rates)) {
-      const rate = Number(rates[res]) || 0;
-      rawValueSum += rate; // per level production magnitude
+      const rate = (Number(rates[res]) || 0) * (Number(researchProduction[res]) || 1);
+      rawValueSum += rate; // per level production magnitude (with research bonuses)
     }
 
     // Determine if this building should be excluded from production-value calculations
@@ -457,14 +470,17 @@ async function buildPlanner(perception, pool, opts = {}) {
     let perTypeCurrent = null;
     let perTypeAvailable = null;
     try {
-      const populationService = require('../utils/populationService');
-      const tmp = await pool.connect();
-      try {
-        const row = await populationService.getPopulationByTypeWithClient(tmp, entityId, bucket);
-        perTypeCurrent = Number(row.current || 0);
-        perTypeMax = Number(row.max || 0);
-        perTypeAvailable = Number(row.available || Math.max(0, perTypeMax - perTypeCurrent));
-      } finally { tmp.release(); }
+      let row = preloadedPopulation ? (preloadedPopulation[bucket] || { current: 0, max: 0, available: 0 }) : null;
+      if (!row) {
+        const populationService = require('../utils/populationService');
+        const tmp = await pool.connect();
+        try {
+          row = await populationService.getPopulationByTypeWithClient(tmp, entityId, bucket);
+        } finally { tmp.release(); }
+      }
+      perTypeCurrent = Number(row.current || 0);
+      perTypeMax = Number(row.max || 0);
+      perTypeAvailable = Number(row.available || Math.max(0, perTypeMax - perTypeCurrent));
     } catch (e) {
       perTypeMax = null;
     }
@@ -506,7 +522,7 @@ async function buildPlanner(perception, pool, opts = {}) {
       }
 
       // compute production per tick (already computed earlier as productionPerTick)
-      const prodPerTickForCheck = productionPerTick || gameUtils.calculateProduction(buildingRows, populationStats) || {};
+      const prodPerTickForCheck = productionPerTick || gameUtils.calculateProduction(buildingRows, populationStats, null, researchModifiers) || {};
 
       // build resource key set to inspect: union of production keys and inventory keys
       const keys = new Set([...(Object.keys(prodPerTickForCheck || {})), ...(Object.keys(perception.inventory || {}))]);
@@ -591,6 +607,16 @@ async function executeBuildAction(pool, candidate, perception, opts = {}) {
   await resourcesService.lockResourceRowsWithClient(client, entityId);
   const currentResources = await resourcesService.getResourcesWithClient(client, entityId);
 
+    // AI builds go through the construction queue like the players' (POST /api/build). The planner
+    // prices the next level from the built one, so a type already in the queue waits for it to finish.
+    const constructionQueueService = require('../utils/constructionQueueService');
+    const pending = await constructionQueueService.getPendingSummaryWithClient(client, entityId);
+    if (pending.pendingByType[buildingId]) {
+      logEvent({ type: 'build_skipped_already_queued', entityId, buildingId });
+      await client.query('ROLLBACK');
+      return { success: false, reason: 'already_queued' };
+    }
+
       for (const r in reqs.requiredCost) {
       const needAmt = reqs.requiredCost[r] || 0;
       if ((currentResources[r] || 0) < needAmt) {
@@ -630,8 +656,9 @@ async function executeBuildAction(pool, candidate, perception, opts = {}) {
         return { success: false, reason: 'population_not_initialized', bucket, current: cur, max: maxv };
       }
 
-      // If building consumes population (popNeededForThisBuild > 0) ensure there are enough available slots
-      const available = reportedAvailable;
+      // If building consumes population (popNeededForThisBuild > 0) ensure there are enough available slots;
+      // population assigned to queued buildings is already spoken for
+      const available = Math.max(0, reportedAvailable - pending.reservedPopulation);
       if (!isHouseTypeLocal && popNeededForThisBuild > 0 && available < popNeededForThisBuild) {
         logEvent({ type: 'build_failed_population_insufficient_slots', entityId, buildingId, bucket, current: cur, max: maxv, popNeeded: popNeededForThisBuild, available });
         await client.query('ROLLBACK');
@@ -647,7 +674,10 @@ async function executeBuildAction(pool, candidate, perception, opts = {}) {
     const costs = {};
     for (const r in reqs.requiredCost) { const amount = reqs.requiredCost[r] || 0; if (amount > 0) costs[r.toString().toLowerCase()] = amount; }
     try {
-      await resourcesService.consumeResourcesWithClientGeneric(client, entityId, costs);
+      await resourcesService.consumeResourcesWithClientGeneric(client, entityId, costs, {
+        reason: require('../constants/ledger').LEDGER_REASONS.BUILD,
+        details: { buildingType: buildingId, targetLevel: reqs.nextLevel, ai: true }
+      });
       for (const r in costs) logEvent({ type: 'build_deduct_resource', entityId, buildingId, resource: r, amount: costs[r] });
     } catch (consErr) {
       // log and rollback
@@ -656,33 +686,22 @@ async function executeBuildAction(pool, candidate, perception, opts = {}) {
       return { success: false, reason: 'insufficient_resources', resource: consErr && consErr.resource };
     }
 
-    // Persist building level increment
-    // Persist building level increment via buildingsService helpers
-    const { incrementBuildingLevelWithClient } = require('../utils/buildingsService');
-    await incrementBuildingLevelWithClient(client, entityId, buildingId);
-
-    // If house-type built, update population max bucket
+    // Queue the upgrade with the cost engine's build time; the resource generator applies it
+    // (level and house capacity) when it finishes, as for players
+    let queueItem;
     try {
-      const gu = require('../utils/gameUtils');
-      const inc = gu.POPULATION_PER_HOUSE || 5;
-      if (buildingId === 'casa_de_piedra') {
-        const prow = await populationService.getPopulationByTypeWithClient(client, entityId, 'burgess');
-        const cur = Number(prow.current || 0);
-        const maxv = Number(prow.max || 0) + inc;
-        await populationService.setPopulationForTypeComputedWithClient(client, entityId, 'burgess', cur, maxv);
-      } else if (buildingId === 'casa_de_ladrillos') {
-        const prow = await populationService.getPopulationByTypeWithClient(client, entityId, 'patrician');
-        const cur = Number(prow.current || 0);
-        const maxv = Number(prow.max || 0) + inc;
-        await populationService.setPopulationForTypeComputedWithClient(client, entityId, 'patrician', cur, maxv);
-      } else if (buildingId === 'house') {
-        const prow = await populationService.getPopulationByTypeWithClient(client, entityId, 'poor');
-        const cur = Number(prow.current || 0);
-        const maxv = Number(prow.max || 0) + inc;
-        await populationService.setPopulationForTypeComputedWithClient(client, entityId, 'poor', cur, maxv);
-      }
-    } catch (e) {
-      console.warn('[AI v2] Failed to update population bucket after building:', e && e.message);
+      queueItem = await constructionQueueService.enqueueBuildWithClient(client, entityId, {
+        buildingType: buildingId,
+        targetLevel: reqs.nextLevel,
+        cost: costs,
+        popNeeded: Number(reqs.popForNextLevel || 0),
+        durationSeconds: reqs.requiredTimeS
+      });
+    } catch (qErr) {
+      if (!qErr || qErr.code !== 'QUEUE_FULL') throw qErr;
+      logEvent({ type: 'build_failed_queue_full', entityId, buildingId, max: qErr.max });
+      await client.query('ROLLBACK');
+      return { success: false, reason: 'queue_full' };
     }
 
   await client.query('COMMIT');
@@ -712,8 +731,8 @@ async function executeBuildAction(pool, candidate, perception, opts = {}) {
       }
     }
   } catch (e) { /* ignore */ }
-  logEvent({ type: 'build', action: 'complete', entityId, buildingId });
-  return { success: true, built: buildingId };
+  logEvent({ type: 'build', action: 'queued', entityId, buildingId, finishAt: queueItem.finish_at });
+  return { success: true, queued: buildingId, queueItem };
   } catch (e) {
     try { await client.query('ROLLBACK'); } catch (er) { /* ignore */ }
   recordMetric('failedActions', 1);
@@ -1066,11 +1085,11 @@ async function runCityTick(poolOrClient, cityId, options = {}) {
             const mp = await marketService.computeMarketPriceSingle(client, missing, wantQty, 'buy');
             if (mp && typeof mp.price !== 'undefined') {
               try {
-                const snapshot = await marketService.tradeWithClient(client, perception.entityId, sellerId, missing, mp.price, wantQty);
+                const { snapshot, caravan } = await marketService.tradeWithClient(client, perception.entityId, sellerId, missing, mp.price, wantQty);
                 await client.query('COMMIT');
                 recordMetric('actionsExecuted', 1); recordMetric('successfulTrades', 1);
                 logEvent({ type: 'forced_buy', entityId: perception.entityId, missing, qty: wantQty, price: mp.price, sellerId });
-                execResults.push({ action: { type: 'forced_buy', resource: missing, qty: wantQty }, success: true, snapshot });
+                execResults.push({ action: { type: 'forced_buy', resource: missing, qty: wantQty }, success: true, snapshot, caravan });
                 // success — clear missing from AI memory and return early
                 try { clearMissingResourcesFromMemory(perception.entityId, [missing]); } catch (e) {}
                 return { success: true, cityId, acted: true, results: execResults };
@@ -1104,7 +1123,7 @@ async function runCityTick(poolOrClient, cityId, options = {}) {
         let calc = {};
         try { calc = await populationService.calculateAvailablePopulation(perception.entityId); } catch (e) { calc = {}; }
 
-        const chain = findProducerChain(missing, { currentResources: perception.inventory || {}, runtimeBuildings, calc, maxDepth: 4 });
+        const chain = findProducerChain(missing, { currentResources: perception.inventory || {}, runtimeBuildings, calc, maxDepth: 4, modifiers: perception.researchModifiers });
         if (Array.isArray(chain) && chain.length > 0) {
           const first = chain[0];
           logEvent({ type: 'build_producer_chain_found', entityId: cityId, missing, chain });
@@ -1113,7 +1132,7 @@ async function runCityTick(poolOrClient, cityId, options = {}) {
           if (!alt) {
             // construct a minimal candidate object if planner didn't include it
             const curLevel = runtimeBuildings[first] || 0;
-            const prodReqs = calculateUpgradeRequirementsFromConstants(first, curLevel);
+            const prodReqs = calculateUpgradeRequirementsFromConstants(first, curLevel, perception.researchModifiers);
             if (prodReqs) {
               // basic population availability check
               const bucket = mapBuildingToPopulationBucket(first);
@@ -1205,6 +1224,21 @@ async function runCityTick(poolOrClient, cityId, options = {}) {
   return { success: true, cityId, acted, results: execResults, wood_produced_per_minute: woodProducedPerMinute, wood_consumed_per_minute: woodConsumedPerMinute };
 }
 
+// Tell the players around an AI city what it just did (ai.activity, see utils/eventBus.js)
+async function publishCityActivity(pool, entityId, execResults) {
+  try {
+    const actions = (execResults || [])
+      .filter(er => er && er.action && (er.success || (er.result && er.result.success)))
+      .map(er => ({ type: er.action.type, building: er.action.building, resource: er.action.resource, qty: er.action.qty }));
+    if (actions.length === 0) return;
+    const coords = await require('../utils/entityService').getEntityCoords(pool, entityId);
+    const { EVENT_TYPES } = require('../constants/events');
+    require('../utils/eventBus').publishNearby({ entityId, x_coord: coords.x_coord, y_coord: coords.y_coord }, EVENT_TYPES.AI_ACTIVITY, { entityId, actions });
+  } catch (e) {
+    console.warn('[AI v2] failed to publish city activity', entityId, e && e.message);
+  }
+}
+
 async function runBatch(pool, options = {}) {
   options = Object.assign({ maxCitiesPerTick: 40, concurrency: 6, runPercent: 0, maxNeighbors: DEFAULTS.MAX_NEIGHBORS }, options || {});
   console.debug('[AI v2] runBatch starting with options:', options);
@@ -1225,6 +1259,7 @@ async function runBatch(pool, options = {}) {
       if (!entityId) { results.push({ cityId: c.id, skipped: true }); continue; }
       const r = await runCityTick(pool, entityId, options);
       results.push(Object.assign({ cityId: c.id }, r));
+      if (r && r.acted) await publishCityActivity(pool, entityId, r.results);
     } catch (e) {
       console.error('[AI v2] runBatch error for city', c.id, e && e.message);
       results.push({ cityId: c.id, error: e && e.message });
@@ -1237,3 +1272,7 @@ async function runBatch(pool, options = {}) {
 }
 
 module.exports = { runBatch, runCityTick };
+// Planners without side effects, reused by the offline simulator (utils/economySimulator.js)
+module.exports.DEFAULTS = DEFAULTS;
+module.exports.tradePlanner = tradePlanner;
+module.exports.buildPlanner = buildPlanner;
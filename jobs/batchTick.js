@@ -0,0 +1,329 @@
+const pool = require('../db');
+const { TICK_BATCH } = require('../constants/tick');
+const { LEDGER_REASONS } = require('../constants/ledger');
+
+/**
+ * Set-based resource tick used by runResourceGeneratorJob.
+ *
+ * Entities are split into chunks of TICK_BATCH.chunkSize, each processed in a single
+ * transaction: the chunk's entities, buildings, populations, research and inventories are
+ * loaded with one query per table, the tick rules run in memory (computeEntityTick, the same
+ * code processEntity uses) and the results are written back with one unnest() upsert per
+ * table. Only entities with an expired timer (build, caravan, research, mission) go through
+ * the per-entity completion services. At most TICK_BATCH.concurrency chunks run at a time.
+ *
+ * A chunk that fails is rolled back and retried entity by entity with processEntity, so one
+ * broken entity only costs its own tick.
+ */
+
+const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+function splitIntoChunks(ids, size) {
+  const chunks = [];
+  for (let i = 0; i < ids.length; i += size) chunks.push(ids.slice(i, i + size));
+  return chunks;
+}
+
+function groupBy(rows, key) {
+  const map = new Map();
+  for (const row of rows) {
+    const id = Number(row[key]);
+    if (!map.has(id)) map.set(id, []);
+    map.get(id).push(row);
+  }
+  return map;
+}
+
+// Everything computeEntityTick needs for the entities of a chunk, read in one query per table
+async function loadChunkState(client, ids, now) {
+  const populationService = require('../utils/populationService');
+  const { getResearchModifiers } = require('../utils/researchService');
+  const storageService = require('../utils/storageService');
+  const treasuryService = require('../utils/treasuryService');
+
+  const typesRes = await client.query('SELECT id, name FROM resource_types ORDER BY id');
+  const resourceTypeNames = typesRes.rows.map(r => (r.name || '').toLowerCase());
+  const nameToId = Object.fromEntries(typesRes.rows.map(r => [(r.name || '').toLowerCase(), r.id]));
+
+  const factionsRes = await client.query('SELECT id, name FROM factions');
+  const factionNames = new Map(factionsRes.rows.map(r => [Number(r.id), r.name]));
+  const bonusesByFaction = await treasuryService.getActiveBonusesWithClient(client, null, now);
+
+  const buildingsRes = await client.query(
+    `SELECT entity_id, type, MAX(level) AS level, COUNT(*) AS count FROM buildings
+     WHERE entity_id = ANY($1::int[]) GROUP BY entity_id, type`,
+    [ids]
+  );
+  const populationsRes = await client.query(
+    'SELECT entity_id, type, current_population, max_population, available_population FROM populations WHERE entity_id = ANY($1::int[])',
+    [ids]
+  );
+  const researchRes = await client.query('SELECT entity_id, technology, level FROM entity_research WHERE entity_id = ANY($1::int[])', [ids]);
+  // Lock the inventory rows of the whole chunk, in a stable order
+  const inventoryRes = await client.query(
+    `SELECT ri.entity_id, rt.name, ri.amount FROM resource_inventory ri JOIN resource_types rt ON ri.resource_type_id = rt.id
+     WHERE ri.entity_id = ANY($1::int[]) ORDER BY ri.entity_id, ri.resource_type_id FOR UPDATE OF ri`,
+    [ids]
+  );
+
+  const buildingsBy = groupBy(buildingsRes.rows, 'entity_id');
+  const populationsBy = groupBy(populationsRes.rows, 'entity_id');
+  const researchBy = groupBy(researchRes.rows, 'entity_id');
+  const inventoryBy = groupBy(inventoryRes.rows, 'entity_id');
+
+  const states = new Map();
+  for (const id of ids) {
+    const buildingRows = buildingsBy.get(id) || [];
+    const buildings = buildingRows.map(r => ({ type: r.type, level: r.level ? parseInt(r.level, 10) : 0, count: parseInt(r.count, 10) }));
+    const buildingLevels = Object.fromEntries(buildingRows.map(r => [r.type, parseInt(r.level, 10) || 0]));
+
+    // Same figures as populationService.calculateAvailablePopulationWithClient / getPopulationRowsWithClient
+    const breakdown = { poor: 0, burgess: 0, patrician: 0 };
+    const popMap = {};
+    let total = 0;
+    let max = 0;
+    for (const r of populationsBy.get(id) || []) {
+      const type = (r.type || '').toLowerCase();
+      const current = parseInt(r.current_population || 0, 10);
+      const typeMax = parseInt(r.max_population || 0, 10);
+      popMap[type] = { current, max: typeMax, available: parseInt(r.available_population || 0, 10) };
+      if (!has(breakdown, type)) continue;
+      breakdown[type] = current;
+      total += current;
+      max += typeMax;
+    }
+
+    const levels = Object.fromEntries((researchBy.get(id) || []).map(r => [r.technology, parseInt(r.level, 10) || 0]));
+    const resources = Object.fromEntries((inventoryBy.get(id) || []).map(r => [r.name.toLowerCase(), parseInt(r.amount, 10) || 0]));
+
+    states.set(id, {
+      buildings,
+      buildingLevels,
+      popCalc: { total, max, breakdown, occupation: populationService.computeOccupationFromBuildings(buildingRows) },
+      popMap,
+      researchModifiers: getResearchModifiers(levels),
+      resources,
+      resourceTypeNames
+    });
+  }
+
+  return {
+    states,
+    nameToId,
+    factionName: (factionId) => (factionId && factionNames.get(Number(factionId))) || '',
+    // Research plus the treasury bonuses of the faction, as researchService.getModifiersWithClient
+    modifiersFor: (factionId, state) => treasuryService.applyBonusesToModifiers(state.researchModifiers, bonusesByFaction.get(Number(factionId)) || []),
+    capacitiesFor: (entityType, state) => (storageService.isCappedEntityType(entityType)
+      ? storageService.calculateCapacities(resourceTypeNames, state.buildingLevels)
+      : null)
+  };
+}
+
+/**
+ * Replays resourcesService.setResourcesWithClientGeneric on the in-memory inventory: the
+ * amounts of `target` that would be written and the ledger rows the write would record.
+ */
+function applySnapshot(inventory, touched, target, nameToId) {
+  const ledgerService = require('../utils/ledgerService');
+  const keys = Object.keys(target).filter(k => has(nameToId, k));
+  const before = {};
+  for (const k of keys) if (has(inventory, k)) before[k] = inventory[k];
+  for (const k of keys) {
+    const amount = Math.max(0, Number(target[k]) || 0);
+    if (has(before, k) && before[k] === amount) continue;
+    inventory[k] = amount;
+    touched.add(k);
+  }
+  return ledgerService.diffSnapshots(before, inventory, keys);
+}
+
+// Entities of `ids` with a build, caravan, research or mission that expires at `now`
+async function listEntitiesWithDueTimers(client, ids, now) {
+  const res = await client.query(
+    `SELECT entity_id FROM construction_queue WHERE entity_id = ANY($1::int[]) AND status = 'pending' AND finish_at <= $2
+     UNION SELECT destination_entity_id AS entity_id FROM caravans WHERE destination_entity_id = ANY($1::int[]) AND status = 'in_transit' AND arrives_at <= $2
+     UNION SELECT entity_id FROM research_queue WHERE entity_id = ANY($1::int[]) AND status = 'pending' AND finish_at <= $2
+     UNION SELECT defender_entity_id AS entity_id FROM missions WHERE defender_entity_id = ANY($1::int[]) AND status = 'outbound' AND arrives_at <= $2
+     UNION SELECT attacker_entity_id AS entity_id FROM missions WHERE attacker_entity_id = ANY($1::int[])
+       AND ((status = 'outbound' AND defender_entity_id IS NULL AND arrives_at <= $2) OR (status = 'returning' AND returns_at <= $2))`,
+    [ids, now.toISOString()]
+  );
+  return new Set(res.rows.map(r => Number(r.entity_id)));
+}
+
+/**
+ * Tick one chunk in a single transaction. Returns { processed: [{ entityId, tick, due, result }], skipped }.
+ * Events are published by the caller once the transaction is committed.
+ */
+async function processChunk(client, ids, options, now) {
+  const rg = require('./resourceGenerator');
+  const resourcesService = require('../utils/resourcesService');
+  const populationService = require('../utils/populationService');
+  const ledgerService = require('../utils/ledgerService');
+
+  const entitiesRes = await client.query(
+    `SELECT id, user_id, faction_id, type, x_coord, y_coord, last_resource_update FROM entities
+     WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE`,
+    [ids]
+  );
+  const entities = entitiesRes.rows
+    .map(entity => ({ entity, secondsElapsed: rg.secondsSinceLastUpdate(entity, now) }))
+    .filter(e => e.secondsElapsed > 0);
+  const skipped = ids.length - entities.length;
+  if (entities.length === 0) return { processed: [], skipped };
+
+  const dueIds = entities.map(e => Number(e.entity.id));
+  const chunk = await loadChunkState(client, dueIds, now);
+
+  const processed = [];
+  const populationRows = [];
+  const inventoryRows = [];
+  const ledgerEntries = [];
+  for (const { entity, secondsElapsed } of entities) {
+    const entityId = Number(entity.id);
+    const state = chunk.states.get(entityId);
+    const factionName = chunk.factionName(entity.faction_id);
+    const tick = rg.computeEntityTick(Object.assign({}, state, {
+      factionName,
+      researchModifiers: chunk.modifiersFor(entity.faction_id, state),
+      capacities: chunk.capacitiesFor(entity.type, state),
+      secondsElapsed
+    }), options);
+
+    for (const [type, row] of Object.entries(tick.populationRows)) populationRows.push(Object.assign({ entityId, type }, row));
+
+    // Upkeep first, then production, as processEntity writes them
+    const inventory = Object.assign({}, state.resources);
+    const touched = new Set();
+    const stages = [
+      [tick.afterUpkeep, { reason: LEDGER_REASONS.POPULATION_UPKEEP }],
+      [tick.newResources, { reason: LEDGER_REASONS.PRODUCTION, details: { seconds: secondsElapsed, discarded: tick.storageDiscarded } }]
+    ];
+    for (const [target, meta] of stages) {
+      for (const row of applySnapshot(inventory, touched, target, chunk.nameToId)) {
+        ledgerEntries.push(Object.assign({ entityId }, row, meta));
+      }
+    }
+    for (const k of touched) {
+      if (has(state.resources, k) && state.resources[k] === inventory[k]) continue;
+      inventoryRows.push({ entityId, resourceTypeId: chunk.nameToId[k], amount: inventory[k] });
+    }
+
+    processed.push({ entity, entityId, factionName, tick });
+  }
+
+  await populationService.setPopulationRowsBulkWithClient(client, populationRows);
+  await resourcesService.upsertAmountsBulkWithClient(client, inventoryRows);
+  await ledgerService.recordEntriesWithClient(client, ledgerEntries);
+
+  // Expired timers go through the regular services, after the inventory is written
+  const withTimers = await listEntitiesWithDueTimers(client, dueIds, now);
+  for (const item of processed) {
+    item.due = withTimers.has(item.entityId)
+      ? await rg.completeDueWithClient(client, item.entityId, now)
+      : { completedBuilds: [], deliveredCaravans: [], completedResearch: [], battleReports: [], returnedMissions: [] };
+    item.result = rg.buildTickResult(item.entity, item.factionName, item.tick, item.due);
+  }
+
+  await client.query('UPDATE entities SET last_resource_update = $1 WHERE id = ANY($2::int[])', [now.toISOString(), dueIds]);
+  return { processed, skipped };
+}
+
+/**
+ * Run the resource tick for every entity (or options.ids).
+ * options: { woodPerTick, stonePerTick, chunkSize, concurrency, now, ids }
+ * Returns the run statistics:
+ *   { startedAt, durationMs, entities, chunks, processed, skipped, failed, fallbackChunks,
+ *     slowestChunkMs, errors: [{ entityId, error }], results }
+ */
+async function runBatchTick(options = {}) {
+  const rg = require('./resourceGenerator');
+  const chunkSize = Math.max(1, parseInt(options.chunkSize, 10) || TICK_BATCH.chunkSize);
+  const concurrency = Math.max(1, parseInt(options.concurrency, 10) || TICK_BATCH.concurrency);
+  const now = options.now ? new Date(options.now) : new Date();
+  const started = Date.now();
+
+  let ids = options.ids;
+  if (!ids) ids = await require('../utils/entityService').listAllEntityIds(pool);
+  ids = ids.map(Number).sort((a, b) => a - b);
+  const chunks = splitIntoChunks(ids, chunkSize);
+
+  const report = {
+    startedAt: new Date(started).toISOString(),
+    durationMs: 0,
+    entities: ids.length,
+    chunks: chunks.length,
+    processed: 0,
+    skipped: 0,
+    failed: 0,
+    fallbackChunks: 0,
+    slowestChunkMs: 0,
+    errors: [],
+    results: []
+  };
+
+  // Per entity, in its own transaction: isolates the entity that broke the chunk
+  const fallback = async (chunkIds) => {
+    report.fallbackChunks++;
+    for (const id of chunkIds) {
+      try {
+        const result = await rg.processEntity(id, Object.assign({}, options, { now }));
+        if (result) {
+          report.processed++;
+          report.results.push(result);
+        } else {
+          report.skipped++;
+        }
+      } catch (err) {
+        report.failed++;
+        report.errors.push({ entityId: id, error: err.message });
+      }
+    }
+  };
+
+  const runChunk = async (chunkIds) => {
+    const chunkStarted = Date.now();
+    const client = await pool.connect();
+    let outcome = null;
+    try {
+      await client.query('BEGIN');
+      outcome = await processChunk(client, chunkIds, options, now);
+      await client.query('COMMIT');
+    } catch (err) {
+      try { await client.query('ROLLBACK'); } catch (e) { /* ignore */ }
+      console.warn(`[RESOURCE_GEN] Chunk of ${chunkIds.length} entities failed, retrying one by one:`, err.message);
+      outcome = null;
+    } finally {
+      client.release();
+    }
+
+    if (outcome) {
+      report.processed += outcome.processed.length;
+      report.skipped += outcome.skipped;
+      for (const item of outcome.processed) {
+        rg.publishCommittedTick(item.entityId, item.tick, item.due);
+        report.results.push(item.result);
+      }
+    } else {
+      await fallback(chunkIds);
+    }
+    report.slowestChunkMs = Math.max(report.slowestChunkMs, Date.now() - chunkStarted);
+  };
+
+  // Bounded concurrency: `concurrency` workers take the next chunk until none is left
+  const queue = chunks.slice();
+  const worker = async () => {
+    while (queue.length > 0) await runChunk(queue.shift());
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, chunks.length) }, worker));
+
+  report.durationMs = Date.now() - started;
+  if (report.failed > 0) console.warn(`[RESOURCE_GEN] ${report.failed} entities failed:`, report.errors);
+  return report;
+}
+
+module.exports = {
+  runBatchTick,
+  processChunk,
+  splitIntoChunks
+};
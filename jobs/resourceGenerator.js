@@ -12,366 +12,482 @@ const currentOptions = {
 };
 
 /**
- * Procesa la generación de recursos y población para una sola entidad.
- * @param {Number} entityId
- * @param {Object} options
+ * Reparte los nombres de recurso por categoría: los pobres consumen los comunes,
+ * los burgueses los procesados y los patricios los especializados.
+ * @param {string[]} resourceNames
+ * @returns {{common: string[], processed: string[], specialized: string[]}}
  */
+function partitionResourcesByCategory(resourceNames) {
+    const { RESOURCE_CATEGORIES } = require('../utils/gameUtils');
+    const groups = { common: [], processed: [], specialized: [] };
+    (resourceNames || []).forEach(name => {
+        const cat = (RESOURCE_CATEGORIES[name] || 'common').toLowerCase();
+        if (cat === 'common') groups.common.push(name);
+        else if (cat === 'processed') groups.processed.push(name);
+        else if (cat === 'specialized' || cat === 'special') groups.specialized.push(name);
+    });
+    return groups;
+}
 
-// Función helper para procesar la lógica de recursos de un solo usuario
-async function processEntity(entityId, options) {
-    const client = await pool.connect();
-    let resourceDeltas = null;
-    try {
-        await client.query('BEGIN');
+/**
+ * Mantenimiento y crecimiento de un tipo de población durante `secondsElapsed`.
+ * Resta lo consumido de `resources` (se modifica in place) y devuelve { newCurrent, max }.
+ * Sin base de datos: lo usan processEntity y el simulador (utils/economySimulator.js).
+ * @param {'poor'|'burgess'|'patrician'} typeKey
+ * @param {string[]} resourceKeys recursos de la categoría que consume el tipo
+ * @param {{current:number,max:number}} popEntry
+ * @param {Object<string, number>} resources
+ * @param {number} secondsElapsed
+ */
+function consumePopulationUpkeep(typeKey, resourceKeys, popEntry, resources, secondsElapsed) {
+    const newResources = resources;
+    const cur = popEntry?.current || 0;
+    const max = popEntry?.max || 0;
+
+    // Helper: check availability of n units for each key (all keys must have >= n)
+    const haveNEachCommon = (n) => resourceKeys.length > 0 && resourceKeys.every(k => (newResources[k] || 0) >= n);
+
+    // Poor bucket: requires consuming 1 of each common resource to initialize/grow
+    if (typeKey === 'poor') {
+        // If there is currently no poor population, allow growth by consuming 1 of each common resource
+        if (cur <= 0) {
+            if (max > 0 && haveNEachCommon(1)) {
+                resourceKeys.forEach(k => { newResources[k] = Math.max(0, (newResources[k] || 0) - 1); });
+                return { newCurrent: 1, max };
+            }
+            return { newCurrent: 0, max };
+        }
 
+        // Maintenance: compute how many units are needed for maintenance over the elapsed seconds
+        // Consumption is applied per minute: required = ceil(cur * secondsElapsed / 60 * FOOD_CONSUMPTION_PER_CITIZEN)
+        const required = Math.max(0, Math.ceil((cur * (secondsElapsed / 60) * (FOOD_CONSUMPTION_PER_CITIZEN || 1))));
+
+        if (required <= 0) {
+            // No maintenance required in this interval
+            // Still allow growth if capacity and at least 1 unit of each common resource remains
+            let newCurNoMaint = cur;
+            if ((max - cur) > 0 && haveNEachCommon(1)) {
+                resourceKeys.forEach(k => { newResources[k] = Math.max(0, (newResources[k] || 0) - 1); });
+                newCurNoMaint = Math.min(max, cur + 1);
+            }
+            return { newCurrent: newCurNoMaint, max };
+        }
 
-      // 🔹 Obtener datos base de la entidad mediante entityService (bloquea si forUpdate=true)
-         const entityService = require('../utils/entityService');
-          const entity = await entityService.getEntityById(client, entityId, true);
-            if (!entity) {
-                    await client.query('ROLLBACK');
-                       return;
-                        }
-    // Obtener nombre de facción (no necesita lock)
-    let faction_name = '';
-    if (entity.faction_id) {
-        try {
-            const fRes = await client.query('SELECT name FROM factions WHERE id = $1', [entity.faction_id]);
-            faction_name = fRes.rows.length ? fRes.rows[0].name : '';
-        } catch (e) {
-            faction_name = '';
+        if (!haveNEachCommon(required)) {
+            // Not enough for full maintenance: lose one population unit (penalty is small per interval)
+            const newCur = Math.max(0, cur - 1);
+            return { newCurrent: newCur, max };
         }
+
+        // Consume maintenance resources: subtract required units from each common resource
+        resourceKeys.forEach(k => { newResources[k] = Math.max(0, (newResources[k] || 0) - required); });
+
+        // Growth: if capacity and at least 1 unit of each common resource remains, grow by 1
+        let newCur = cur;
+        if ((max - cur) > 0 && haveNEachCommon(1)) {
+            resourceKeys.forEach(k => { newResources[k] = Math.max(0, (newResources[k] || 0) - 1); });
+            newCur = Math.min(max, cur + 1);
+        }
+        return { newCurrent: newCur, max };
     }
-    // If last_resource_update is missing, treat it as one tick ago so the
-    // generator will process at least one tick on first run instead of
-    // returning early because secondsElapsed would be 0.
-    const last = entity.last_resource_update
-        ? new Date(entity.last_resource_update)
-        : new Date(Date.now() - (TICK_SECONDS * 1000));
-    const now = new Date();
-    const secondsElapsed = Math.max(0, Math.floor((now - last) / 1000));
-    if (secondsElapsed <= 0) {
-      await client.query('COMMIT');
-      return;
+
+    // Burgess/Patrician: require that ALL resources of the category are
+    // available for maintenance/growth. If not all are present, the
+    // bucket loses 1 population unit (small penalty per interval).
+    // Fall back to a representative resource if the category is empty.
+    let keysForBucket = resourceKeys && resourceKeys.length > 0 ? resourceKeys : [];
+    if (keysForBucket.length === 0) {
+        if (typeKey === 'burgess') keysForBucket = ['lumber'];
+        if (typeKey === 'patrician') keysForBucket = ['spice'];
     }
 
+    // Helper: check if we have at least n units for EVERY provided key
+    const haveNEach = (n) => keysForBucket.length > 0 && keysForBucket.every(k => (newResources[k] || 0) >= n);
 
+    // If there is currently no population of this type, allow growth by
+    // consuming 1 unit of EACH resource of the category (strict requirement)
+    if (cur <= 0) {
+        if (max > 0 && haveNEach(1)) {
+            keysForBucket.forEach(k => { newResources[k] = Math.max(0, (newResources[k] || 0) - 1); });
+            return { newCurrent: 1, max };
+        }
+        return { newCurrent: 0, max };
+    }
+
+    // Maintenance/growth for existing population: require 1 of each key
+    // to avoid decline. If we have them and space, consume 1 of each
+    // and grow by 1. If we lack them, reduce population by 1.
+    if (haveNEach(1)) {
+        let newCur = cur;
+        if ((max - cur) > 0) {
+            keysForBucket.forEach(k => { newResources[k] = Math.max(0, (newResources[k] || 0) - 1); });
+            newCur = Math.min(max, cur + 1);
+        }
+        return { newCurrent: newCur, max };
+    }
 
+    // Not enough of the full set: lose one population unit
+    return { newCurrent: Math.max(0, cur - 1), max };
+}
 
-    // Obtener edificios del usuario
-    const buildings = await getBuildings(entityId);
-    // usar populationService centralizado
-    const populationService = require('../utils/populationService');
-    // Obtener resumen poblacional y available dentro de la misma transaccion
-    const popCalc = await populationService.calculateAvailablePopulationWithClient(client, entityId);
-    const popSummary = { total: popCalc.total, max: popCalc.max, breakdown: popCalc.breakdown, available: popCalc.available };
+/**
+ * Suma la producción `produced` a `resources` (in place). Los procesados con receta solo se
+ * producen en la medida en que haya insumos, que se descuentan.
+ * @param {Object<string, number>} resources
+ * @param {Object<string, number>} produced
+ */
+function applyProductionWithRecipes(resources, produced) {
+    const { PROCESSING_RECIPES } = require('../utils/gameUtils');
+    const newResources = resources;
+    // Procesamiento con recetas: si un recurso producido es de tipo processed
+    // y tiene una receta, comprobamos si hay insumos suficientes. Solo
+    // producimos la cantidad de unidades que puedan cubrirse con insumos.
+    Object.keys(produced).forEach(k => {
+        const add = produced[k] || 0;
+        // Si no hay receta, sumar tal cual
+        const recipe = PROCESSING_RECIPES[k];
+        if (!recipe || add <= 0) {
+            newResources[k] = (newResources[k] || 0) + add;
+            return;
+        }
+
+        // Para recursos procesados con receta, calcular cuántas unidades
+        // podemos producir dado el inventario actual. La receta define
+        // insumos por unidad.
+        let producibleUnits = add;
+        Object.keys(recipe).forEach(inputKey => {
+            const requiredPerUnit = recipe[inputKey] || 0;
+            if (requiredPerUnit <= 0) return;
+            const have = newResources[inputKey] || 0;
+            const maxByThisInput = Math.floor(have / requiredPerUnit);
+            producibleUnits = Math.min(producibleUnits, maxByThisInput);
+        });
+
+        if (producibleUnits <= 0) {
+            // No hay insumos suficientes: no producir ni consumir
+            return;
+        }
+
+        // Consumir insumos
+        Object.keys(recipe).forEach(inputKey => {
+            const requiredPerUnit = recipe[inputKey] || 0;
+            if (requiredPerUnit <= 0) return;
+            newResources[inputKey] = (newResources[inputKey] || 0) - (requiredPerUnit * producibleUnits);
+        });
+
+        // Añadir producto final
+        newResources[k] = (newResources[k] || 0) + producibleUnits;
+    });
+    return newResources;
+}
+
+// Eventos en tiempo real del tick (ver utils/eventBus.js); se publican tras el COMMIT
+function publishTickEvents(entityId, tick) {
+    const eventBus = require('../utils/eventBus');
+    const { EVENT_TYPES } = require('../constants/events');
+    eventBus.publish(entityId, EVENT_TYPES.RESOURCES_TICK, {
+        resources: tick.resources,
+        deltas: tick.deltas,
+        discarded: tick.discarded,
+        seconds: tick.seconds
+    });
+    if (tick.population) eventBus.publish(entityId, EVENT_TYPES.POPULATION_CHANGED, tick.population);
+    for (const item of tick.completedBuilds) eventBus.publish(entityId, EVENT_TYPES.BUILD_COMPLETED, item);
+    for (const research of tick.completedResearch) eventBus.publish(entityId, EVENT_TYPES.RESEARCH_COMPLETED, research);
+    for (const caravan of tick.deliveredCaravans) eventBus.publish(entityId, EVENT_TYPES.CARAVAN_DELIVERED, caravan);
+}
+
+/**
+ * Reglas de un tick para una entidad, sin base de datos: mantenimiento de la población,
+ * producción (con recetas y bonos fijos por tick) y límite de los almacenes. La usan
+ * processEntity y el tick por lotes (jobs/batchTick.js), que así dan el mismo resultado.
+ * @param {Object} state lo que se lee de la base de datos:
+ *   { buildings, factionName, popCalc: { total, max, occupation }, popMap, researchModifiers,
+ *     resources, resourceTypeNames, capacities, secondsElapsed }
+ * @param {Object} options { woodPerTick, stonePerTick }
+ */
+function computeEntityTick(state, options) {
+    const { buildings, factionName, popCalc, researchModifiers, resources: currentResources, capacities, secondsElapsed } = state;
     const occupation = popCalc.occupation;
-    const popStats = calculatePopulationStats(buildings, parseInt(popSummary.total, 10));
-    const accrued = calculateProductionForDuration(buildings, popStats, secondsElapsed, faction_name);
-    const maxPopulation = popStats.max_population || entity.max_population || 0;
-
-        // Aplicar sumas fijas por tick configurables
-        const woodPerTick = options && options.woodPerTick ? parseFloat(options.woodPerTick) : 0;
-        const stonePerTick = options && options.stonePerTick ? parseFloat(options.stonePerTick) : 0;
-
-        const ticks = Math.floor(secondsElapsed / TICK_SECONDS);
-        const extraWood = ticks * Math.floor(woodPerTick);
-        const extraStone= ticks * Math.floor(stonePerTick);
-
-            // 🔹 Cargar inventario de recursos usando el servicio (client-aware)
-            const resourcesService = require('../utils/resourcesService');
-            // Lock resource rows for this entity to keep reads/writes consistent within the transaction
-            await resourcesService.lockResourceRowsWithClient(client, entityId);
-            const currentResources = await resourcesService.getResourcesWithClient(client, entityId);
-
-            // 🔹 Actualizar cantidades para todas las claves producidas
-            let produced = accrued || {};
-            const newResources = { ...currentResources };
-
-            // --- Consumo de recursos por población (se ejecuta antes de la producción) ---
-            const { RESOURCE_CATEGORIES } = require('../utils/gameUtils');
-            // fetch all resource types and partition by category
-            const allTypes = await resourcesService.getResourceTypeNames(client);
-            const COMMON_RES = [];
-            const PROCESSED_RES = [];
-            const SPECIAL_RES = [];
-            allTypes.forEach(name => {
-                const cat = (RESOURCE_CATEGORIES[name] || 'common').toLowerCase();
-                if (cat === 'common') COMMON_RES.push(name);
-                else if (cat === 'processed') PROCESSED_RES.push(name);
-                else if (cat === 'specialized' || cat === 'special') SPECIAL_RES.push(name);
-            });
+    // Copia: las filas de población se actualizan según avanza el tick
+    const popMap = Object.assign({}, state.popMap);
+
+    const popStats = calculatePopulationStats(buildings, parseInt(popCalc.total, 10));
+    const accrued = calculateProductionForDuration(buildings, popStats, secondsElapsed, factionName, researchModifiers);
+    const maxPopulation = popStats.max_population || 0;
+
+    // Aplicar sumas fijas por tick configurables
+    const woodPerTick = options && options.woodPerTick ? parseFloat(options.woodPerTick) : 0;
+    const stonePerTick = options && options.stonePerTick ? parseFloat(options.stonePerTick) : 0;
+    const ticks = Math.floor(secondsElapsed / TICK_SECONDS);
+    const extraWood = ticks * Math.floor(woodPerTick);
+    const extraStone = ticks * Math.floor(stonePerTick);
+
+    const produced = accrued || {};
+    const newResources = { ...currentResources };
+
+    // --- Consumo de recursos por población (se ejecuta antes de la producción) ---
+    const { common: COMMON_RES, processed: PROCESSED_RES, specialized: SPECIAL_RES } = partitionResourcesByCategory(state.resourceTypeNames);
+    const populationBefore = popMap.poor ? Number(popMap.poor.current) : null;
+
+    const upkeep = {
+        poor: consumePopulationUpkeep('poor', COMMON_RES, popMap.poor, newResources, secondsElapsed),
+        burgess: consumePopulationUpkeep('burgess', PROCESSED_RES, popMap.burgess, newResources, secondsElapsed),
+        patrician: consumePopulationUpkeep('patrician', SPECIAL_RES, popMap.patrician, newResources, secondsElapsed)
+    };
+    // Inventory after population upkeep, before production: lets the ledger tell both apart
+    const afterUpkeep = { ...newResources };
+
+    // Every bucket keeps at least one inhabitant
+    for (const [type, res] of Object.entries(upkeep)) {
+        const clamped = Math.max(1, Number.isFinite(Number(res.newCurrent)) ? Number(res.newCurrent) : 1);
+        popMap[type] = { current: clamped, max: res.max || 0 };
+    }
 
-            // Load per-type population rows via populationService so logic is centralized
-            const popMap = await populationService.getPopulationRowsWithClient(client, entityId);
-
-            const tryConsumeForType = (typeKey, resourceKeys) => {
-                const cur = popMap[typeKey]?.current || 0;
-                const max = popMap[typeKey]?.max || 0;
-
-                // Helper: check availability of n units for each key (all keys must have >= n)
-                const haveNEachCommon = (n) => resourceKeys.length > 0 && resourceKeys.every(k => (newResources[k] || 0) >= n);
-
-                // Poor bucket: requires consuming 1 of each common resource to initialize/grow
-                if (typeKey === 'poor') {
-                    // If there is currently no poor population, allow growth by consuming 1 of each common resource
-                    if (cur <= 0) {
-                        if (max > 0 && haveNEachCommon(1)) {
-                            resourceKeys.forEach(k => { newResources[k] = Math.max(0, (newResources[k] || 0) - 1); });
-                            return { newCurrent: 1, max };
-                        }
-                        return { newCurrent: 0, max };
-                    }
-
-                    // Maintenance: compute how many units are needed for maintenance over the elapsed seconds
-                    // Consumption is applied per minute: required = ceil(cur * secondsElapsed / 60 * FOOD_CONSUMPTION_PER_CITIZEN)
-                    const required = Math.max(0, Math.ceil((cur * (secondsElapsed / 60) * (FOOD_CONSUMPTION_PER_CITIZEN || 1))));
-
-                    if (required <= 0) {
-                        // No maintenance required in this interval
-                        // Still allow growth if capacity and at least 1 unit of each common resource remains
-                        let newCurNoMaint = cur;
-                if ((max - cur) > 0 && haveNEachCommon(1)) {
-                    resourceKeys.forEach(k => { newResources[k] = Math.max(0, (newResources[k] || 0) - 1); });
-                            newCurNoMaint = Math.min(max, cur + 1);
-                        }
-                        return { newCurrent: newCurNoMaint, max };
-                    }
-
-                    if (!haveNEachCommon(required)) {
-                        // Not enough for full maintenance: lose one population unit (penalty is small per interval)
-                        const newCur = Math.max(0, cur - 1);
-                        return { newCurrent: newCur, max };
-                    }
-
-                    // Consume maintenance resources: subtract required units from each common resource
-                    resourceKeys.forEach(k => { newResources[k] = Math.max(0, (newResources[k] || 0) - required); });
-
-                    // Growth: if capacity and at least 1 unit of each common resource remains, grow by 1
-                    let newCur = cur;
-                    if ((max - cur) > 0 && haveNEachCommon(1)) {
-                        resourceKeys.forEach(k => { newResources[k] = Math.max(0, (newResources[k] || 0) - 1); });
-                        newCur = Math.min(max, cur + 1);
-                    }
-                    return { newCurrent: newCur, max };
-                }
-
-                // Burgess/Patrician: require that ALL resources of the category are
-                // available for maintenance/growth. If not all are present, the
-                // bucket loses 1 population unit (small penalty per interval).
-                // Fall back to a representative resource if the category is empty.
-                let keysForBucket = resourceKeys && resourceKeys.length > 0 ? resourceKeys : [];
-                if (keysForBucket.length === 0) {
-                    if (typeKey === 'burgess') keysForBucket = ['lumber'];
-                    if (typeKey === 'patrician') keysForBucket = ['spice'];
-                }
-
-                // Helper: check if we have at least n units for EVERY provided key
-                const haveNEach = (n) => keysForBucket.length > 0 && keysForBucket.every(k => (newResources[k] || 0) >= n);
-
-                // If there is currently no population of this type, allow growth by
-                // consuming 1 unit of EACH resource of the category (strict requirement)
-                if (cur <= 0) {
-                    if (max > 0 && haveNEach(1)) {
-                        keysForBucket.forEach(k => { newResources[k] = Math.max(0, (newResources[k] || 0) - 1); });
-                        return { newCurrent: 1, max };
-                    }
-                    return { newCurrent: 0, max };
-                }
-
-                // Maintenance/growth for existing population: require 1 of each key
-                // to avoid decline. If we have them and space, consume 1 of each
-                // and grow by 1. If we lack them, reduce population by 1.
-                if (haveNEach(1)) {
-                    let newCur = cur;
-                    if ((max - cur) > 0) {
-                        keysForBucket.forEach(k => { newResources[k] = Math.max(0, (newResources[k] || 0) - 1); });
-                        newCur = Math.min(max, cur + 1);
-                    }
-                    return { newCurrent: newCur, max };
-                }
-
-                // Not enough of the full set: lose one population unit
-                return { newCurrent: Math.max(0, cur - 1), max };
-            };
-
-            const poorRes = tryConsumeForType('poor', COMMON_RES);
-            const burgessRes = tryConsumeForType('burgess', PROCESSED_RES);
-            const patricianRes = tryConsumeForType('patrician', SPECIAL_RES);
-
-            // Persist updated population rows for each type
-            try {
-                // occupation is an object like { poor, burgess, patrician, total }
-                const occPoor = (occupation && Number.isFinite(Number(occupation.poor)) ? Number(occupation.poor) : 0);
-                const occBurgess = (occupation && Number.isFinite(Number(occupation.burgess)) ? Number(occupation.burgess) : 0);
-                const occPatrician = (occupation && Number.isFinite(Number(occupation.patrician)) ? Number(occupation.patrician) : 0);
-
-                if (poorRes.newCurrent !== undefined) {
-                    const clampedPoor = Math.max(1, Number.isFinite(Number(poorRes.newCurrent)) ? Number(poorRes.newCurrent) : 1);
-                    console.debug('updating poor population bucket');
-                    await populationService.setPopulationForTypeComputedWithClient(client, entityId, 'poor', clampedPoor, poorRes.max || 0);
-                    // update local popMap as well
-                    popMap.poor = { current: clampedPoor, max: poorRes.max || 0 };
-                }
-                if (burgessRes.newCurrent !== undefined) {
-                    const clampedBurgess = Math.max(1, Number.isFinite(Number(burgessRes.newCurrent)) ? Number(burgessRes.newCurrent) : 1);
-                    await populationService.setPopulationForTypeComputedWithClient(client, entityId, 'burgess', clampedBurgess, burgessRes.max || 0);
-                    popMap.burgess = { current: clampedBurgess, max: burgessRes.max || 0 };
-                }
-                if (patricianRes.newCurrent !== undefined) {
-                    const clampedPatrician = Math.max(1, Number.isFinite(Number(patricianRes.newCurrent)) ? Number(patricianRes.newCurrent) : 1);
-                    await populationService.setPopulationForTypeComputedWithClient(client, entityId, 'patrician', clampedPatrician, patricianRes.max || 0);
-                    popMap.patrician = { current: clampedPatrician, max: patricianRes.max || 0 };
-                }
-            } catch (pErr) {
-                console.warn('Failed to persist population type updates:', pErr.message);
-            }
+    // Procesamiento con recetas: los procesados solo se producen si hay insumos
+    applyProductionWithRecipes(newResources, produced);
 
-            // Procesamiento con recetas: si un recurso producido es de tipo processed
-            // y tiene una receta, comprobamos si hay insumos suficientes. Solo
-            // producimos la cantidad de unidades que puedan cubrirse con insumos.
-            const { PROCESSING_RECIPES } = require('../utils/gameUtils');
-
-            Object.keys(produced).forEach(k => {
-                const add = produced[k] || 0;
-                // Si no hay receta, sumar tal cual
-                const recipe = PROCESSING_RECIPES[k];
-                if (!recipe || add <= 0) {
-                    newResources[k] = (newResources[k] || 0) + add;
-                    return;
-                }
-
-                // Para recursos procesados con receta, calcular cuántas unidades
-                // podemos producir dado el inventario actual. La receta define
-                // insumos por unidad.
-                let producibleUnits = add;
-                Object.keys(recipe).forEach(inputKey => {
-                    const requiredPerUnit = recipe[inputKey] || 0;
-                    if (requiredPerUnit <= 0) return;
-                    const have = newResources[inputKey] || 0;
-                    const maxByThisInput = Math.floor(have / requiredPerUnit);
-                    producibleUnits = Math.min(producibleUnits, maxByThisInput);
-                });
-
-                if (producibleUnits <= 0) {
-                    // No hay insumos suficientes: no producir ni consumir
-                    return;
-                }
-
-                // Consumir insumos
-                Object.keys(recipe).forEach(inputKey => {
-                    const requiredPerUnit = recipe[inputKey] || 0;
-                    if (requiredPerUnit <= 0) return;
-                    newResources[inputKey] = (newResources[inputKey] || 0) - (requiredPerUnit * producibleUnits);
-                });
-
-                // Añadir producto final
-                newResources[k] = (newResources[k] || 0) + producibleUnits;
-            });
-            // aplicar las sumas fijas por tick también
-            newResources.wood = (newResources.wood || 0) + extraWood;
-            newResources.stone = (newResources.stone || 0) + extraStone;
+    // aplicar las sumas fijas por tick también
+    newResources.wood = (newResources.wood || 0) + extraWood;
+    newResources.stone = (newResources.stone || 0) + extraStone;
 
-            // Asegurar que ningún recurso sea negativo (clamp a 0)
-            Object.keys(newResources).forEach(k => {
-                if (typeof newResources[k] === 'number') newResources[k] = Math.max(0, newResources[k]);
-            });
+    // Asegurar que ningún recurso sea negativo (clamp a 0)
+    Object.keys(newResources).forEach(k => {
+        if (typeof newResources[k] === 'number') newResources[k] = Math.max(0, newResources[k]);
+    });
 
-            // Compute deltas (new - old) and log added/subtracted resources per entity
-            try {
-                const deltas = {};
-                const produced = {};
-                const consumed = {};
-                const allKeys = new Set([...(Object.keys(currentResources || {})), ...(Object.keys(newResources || {}))]);
-                for (const k of allKeys) {
-                    const oldV = Number(currentResources && currentResources[k] ? currentResources[k] : 0);
-                    const newV = Number(newResources && newResources[k] ? newResources[k] : 0);
-                    const diff = newV - oldV;
-                    if (diff !== 0) {
-                        deltas[k] = diff;
-                        if (diff > 0) produced[k] = diff;
-                        else consumed[k] = Math.abs(diff);
-                    }
-                }
-                resourceDeltas = Object.keys(deltas).length > 0 ? deltas : null;
-                // also expose produced/consumed separately for clearer logs
-                resourceProduced = Object.keys(produced).length > 0 ? produced : null;
-                resourceConsumed = Object.keys(consumed).length > 0 ? consumed : null;
-            } catch (logErr) {
-                console.warn('Failed to compute resource deltas for entity', entityId, logErr && logErr.message);
-                resourceDeltas = null;
-                resourceProduced = null;
-                resourceConsumed = null;
-            }
+    // Descartar la producción que no cabe en los almacenes (bazares sin límite)
+    let storageDiscarded = null;
+    if (capacities) {
+        const clamped = require('../utils/storageService').clampToCapacity(currentResources, newResources, capacities);
+        Object.assign(newResources, clamped.resources);
+        storageDiscarded = Object.keys(clamped.discarded).length > 0 ? clamped.discarded : null;
+    }
 
-            // 🔹 Guardar nuevas cantidades usando la función que opera con el client actual
-            // Para soportar recursos dinámicos, llamamos a la función genérica que actualice cualquier recurso.
-            const rs = require('../utils/resourcesService');
+    // Deltas (new - old), split into produced/consumed for clearer logs
+    const deltas = {};
+    const gained = {};
+    const consumed = {};
+    const allKeys = new Set([...Object.keys(currentResources || {}), ...Object.keys(newResources)]);
+    for (const k of allKeys) {
+        const diff = Number(newResources[k] || 0) - Number((currentResources || {})[k] || 0);
+        if (diff === 0) continue;
+        deltas[k] = diff;
+        if (diff > 0) gained[k] = diff;
+        else consumed[k] = Math.abs(diff);
+    }
+
+    // Ajuste de población escalado por número de ticks pasados, partiendo del 'poor' ya actualizado
+    let newPopulation = (popMap.poor && Number.isFinite(Number(popMap.poor.current))) ? Number(popMap.poor.current) : popStats.current_population;
+    if (ticks > 0) {
+        const perTickProduction = calculateProduction(buildings, popStats, factionName, researchModifiers);
+        if ((perTickProduction.food || 0) >= 0) {
+            newPopulation = Math.min(maxPopulation, newPopulation + POPULATION_CHANGE_RATE * ticks);
+        } else {
+            newPopulation = Math.max(1, newPopulation - POPULATION_CHANGE_RATE * ticks);
+        }
+    }
+    // Use the per-type max for the 'poor' bucket (the total max would inflate it)
+    const poorMax = (popMap.poor && Number.isFinite(Number(popMap.poor.max))) ? Number(popMap.poor.max) : (popCalc.max || 0);
+    popMap.poor = { current: newPopulation, max: poorMax };
+
+    // Rows to persist per type; available = current - occupation of that type
+    const populationRows = {};
+    for (const type of ['poor', 'burgess', 'patrician']) {
+        const occ = Number(occupation && occupation[type]) || 0;
+        const current = Number(popMap[type].current || 0);
+        populationRows[type] = { current, max: Number(popMap[type].max || 0), available: Math.max(0, current - occ) };
+    }
+
+    return {
+        secondsElapsed,
+        afterUpkeep,
+        newResources,
+        storageDiscarded,
+        resourceDeltas: Object.keys(deltas).length > 0 ? deltas : null,
+        resourceProduced: Object.keys(gained).length > 0 ? gained : null,
+        resourceConsumed: Object.keys(consumed).length > 0 ? consumed : null,
+        populationRows,
+        populationBefore,
+        newPopulation,
+        maxPopulation,
+        population: {
+            current_population: newPopulation,
+            max_population: maxPopulation,
+            available_population: Math.max(0, newPopulation - occupation)
+        }
+    };
+}
+
+/**
+ * Timers that expire during the tick: finished builds, arrived caravans, finished research and
+ * military missions. Runs after the resources are saved (which writes absolute amounts and would
+ * otherwise drop what these credit). A failing step fails the tick of the entity: a failed
+ * statement aborts the whole transaction on Postgres, so it cannot be skipped and carried on
+ * from. processEntity rolls the entity back and the batch tick retries its chunk entity by entity.
+ */
+async function completeDueWithClient(client, entityId, now) {
+    const due = { completedBuilds: [], deliveredCaravans: [], completedResearch: [], battleReports: [], returnedMissions: [] };
+
+    // After population persistence so the extra house capacity is not overwritten
+    const constructionQueueService = require('../utils/constructionQueueService');
+    due.completedBuilds = await constructionQueueService.completeDueItemsWithClient(client, entityId, now);
+
+    const caravanService = require('../utils/caravanService');
+    due.deliveredCaravans = await caravanService.deliverArrivedCaravansWithClient(client, entityId, now);
+
+    // Research finished during this interval takes effect from the next tick on
+    const researchService = require('../utils/researchService');
+    due.completedResearch = await researchService.completeDueResearchWithClient(client, entityId, now);
+
+    // Military: fight attacks that reached this entity and bring home its returning armies
+    const militaryService = require('../utils/militaryService');
+    due.battleReports = await militaryService.resolveArrivedAttacksWithClient(client, entityId, now);
+    due.returnedMissions = await militaryService.completeReturningMissionsWithClient(client, entityId, now);
+    return due;
+}
+
+// Response of a processed entity (same shape for /generate-resources and the job results)
+function buildTickResult(entity, factionName, tick, due) {
+    return {
+        message: 'Recursos actualizados correctamente.',
+        entity: {
+            id: entity.id,
+            faction_id: entity.faction_id || null,
+            faction_name: factionName || '',
+            x_coord: entity.x_coord || 0,
+            y_coord: entity.y_coord || 0,
+            current_population: tick.newPopulation,
+            max_population: tick.maxPopulation,
+            resources: tick.newResources
+        },
+        population: tick.population,
+        resource_deltas: tick.resourceDeltas,
+        resource_produced: tick.resourceProduced,
+        resource_consumed: tick.resourceConsumed,
+        storage_discarded: tick.storageDiscarded,
+        completed_builds: due.completedBuilds,
+        completed_research: due.completedResearch,
+        delivered_caravans: due.deliveredCaravans,
+        battle_reports: due.battleReports.map(r => ({ id: r.id, winner: r.winner, attacker_entity_id: r.attacker_entity_id })),
+        returned_missions: due.returnedMissions
+    };
+}
+
+// Eventos del tick ya confirmado (ver publishTickEvents)
+function publishCommittedTick(entityId, tick, due) {
+    publishTickEvents(entityId, {
+        resources: tick.newResources,
+        deltas: tick.resourceDeltas,
+        discarded: tick.storageDiscarded,
+        seconds: tick.secondsElapsed,
+        population: tick.newPopulation !== tick.populationBefore ? tick.population : null,
+        completedBuilds: due.completedBuilds,
+        completedResearch: due.completedResearch,
+        deliveredCaravans: due.deliveredCaravans
+    });
+}
+
+// Seconds since the last update; a missing last_resource_update counts as one tick ago so
+// the first run processes at least one tick
+function secondsSinceLastUpdate(entity, now) {
+    const last = entity.last_resource_update
+        ? new Date(entity.last_resource_update)
+        : new Date(now.getTime() - (TICK_SECONDS * 1000));
+    return Math.max(0, Math.floor((now - last) / 1000));
+}
+
+/**
+ * Procesa la generación de recursos y población para una sola entidad, en su propia transacción.
+ * Lo usa /generate-resources y, si falla un lote, el job para aislar la entidad que falla.
+ * @param {Number} entityId
+ * @param {Object} options { woodPerTick, stonePerTick, now }
+ */
+async function processEntity(entityId, options) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        // 🔹 Obtener datos base de la entidad (bloquea la fila)
+        const entityService = require('../utils/entityService');
+        const entity = await entityService.getEntityById(client, entityId, true);
+        if (!entity) {
+            await client.query('ROLLBACK');
+            return;
+        }
+        const now = options && options.now ? new Date(options.now) : new Date();
+        const secondsElapsed = secondsSinceLastUpdate(entity, now);
+        if (secondsElapsed <= 0) {
+            await client.query('COMMIT');
+            return;
+        }
+
+        // Obtener nombre de facción (no necesita lock)
+        let factionName = '';
+        if (entity.faction_id) {
             try {
-                await rs.setResourcesWithClientGeneric(client, entityId, newResources);
-                const after = await rs.getResourcesWithClient(client, entityId);
-            } catch (saveErr) {
-                console.warn(`[RESOURCE_GEN] Failed to save resources for entity=${entityId}:`, saveErr && saveErr.message);
-                throw saveErr;
+                const fRes = await client.query('SELECT name FROM factions WHERE id = $1', [entity.faction_id]);
+                factionName = fRes.rows.length ? fRes.rows[0].name : '';
+            } catch (e) {
+                factionName = '';
             }
+        }
 
-    // Ajuste de población escalado por número de ticks pasados
-    // Use the recently-updated per-type population (popMap.poor.current) if available
-    // to avoid overwriting the increment we just persisted above.
-    let newPopulation = (popMap && popMap.poor && Number.isFinite(Number(popMap.poor.current))) ? Number(popMap.poor.current) : popStats.current_population;
-        if (ticks > 0) {
-            const perTickProduction = calculateProduction(buildings, popStats, faction_name);
-            if ((perTickProduction.food || 0) >= 0) {
-                newPopulation = Math.min(maxPopulation, newPopulation + POPULATION_CHANGE_RATE * ticks);
-            } else {
-                newPopulation = Math.max(1, newPopulation - POPULATION_CHANGE_RATE * ticks);
+        const populationService = require('../utils/populationService');
+        const researchService = require('../utils/researchService');
+        const resourcesService = require('../utils/resourcesService');
+        const storageService = require('../utils/storageService');
+        const buildings = await getBuildings(entityId);
+        const popCalc = await populationService.calculateAvailablePopulationWithClient(client, entityId);
+        const researchModifiers = await researchService.getModifiersWithClient(client, entityId, now);
+        // Lock resource rows for this entity to keep reads/writes consistent within the transaction
+        await resourcesService.lockResourceRowsWithClient(client, entityId);
+        const currentResources = await resourcesService.getResourcesWithClient(client, entityId);
+        const resourceTypeNames = await resourcesService.getResourceTypeNames(client);
+        const popMap = await populationService.getPopulationRowsWithClient(client, entityId);
+        const capacities = await storageService.getCapacitiesWithClient(client, entityId);
+
+        const tick = computeEntityTick({
+            buildings,
+            factionName,
+            popCalc,
+            popMap,
+            researchModifiers,
+            resources: currentResources,
+            resourceTypeNames,
+            capacities,
+            secondsElapsed
+        }, options);
+
+        // Persist updated population rows for each type
+        try {
+            for (const [type, row] of Object.entries(tick.populationRows)) {
+                await populationService.setPopulationForTypeWithClient(client, entityId, type, row.current, row.max, row.available);
             }
+        } catch (pErr) {
+            console.warn('Failed to persist population type updates:', pErr.message);
         }
 
-        // Persistir cambios y actualizar last_resource_update
-            // Persist new population into populations table (we'll update the 'poor' bucket as a simple default)
-            try {
-                // Use the per-type max for the 'poor' bucket (avoid passing total max which inflates per-type max)
-                const poorMax = (popMap && popMap.poor && Number.isFinite(Number(popMap.poor.max))) ? Number(popMap.poor.max) : (popSummary.max || 0);
-                // update 'poor' current_population and recompute available_population for that type
-                await populationService.setPopulationForTypeComputedWithClient(client, entityId, 'poor', newPopulation, poorMax);
-            } catch (pErr) {
-                console.warn('Failed to persist population to populations table:', pErr.message);
-            }
+        // 🔹 Guardar nuevas cantidades: primero el mantenimiento y luego la producción, para que el ledger los distinga
+        const { LEDGER_REASONS } = require('../constants/ledger');
+        try {
+            await resourcesService.setResourcesWithClientGeneric(client, entityId, tick.afterUpkeep, { reason: LEDGER_REASONS.POPULATION_UPKEEP });
+            await resourcesService.setResourcesWithClientGeneric(client, entityId, tick.newResources, {
+                reason: LEDGER_REASONS.PRODUCTION,
+                details: { seconds: secondsElapsed, discarded: tick.storageDiscarded }
+            });
+        } catch (saveErr) {
+            console.warn(`[RESOURCE_GEN] Failed to save resources for entity=${entityId}:`, saveErr && saveErr.message);
+            throw saveErr;
+        }
 
-            // Update last_resource_update in entities
-            await client.query(
-                `UPDATE entities
-                 SET last_resource_update = $1
-                 WHERE id = $2`,
-                [now.toISOString(), entityId]
-            );
+        const due = await completeDueWithClient(client, entityId, now);
 
+        await client.query('UPDATE entities SET last_resource_update = $1 WHERE id = $2', [now.toISOString(), entityId]);
         await client.query('COMMIT');
 
-        // Return full response similar to previous /generate-resources API
-        return {
-            message: 'Recursos actualizados correctamente.',
-            entity: {
-                id: entity.id,
-                faction_id: entity.faction_id || null,
-                faction_name: faction_name || '',
-                x_coord: entity.x_coord || 0,
-                y_coord: entity.y_coord || 0,
-                current_population: newPopulation,
-                max_population: maxPopulation,
-                resources: newResources
-            },
-            population: {
-                current_population: newPopulation,
-                max_population: maxPopulation,
-                available_population: Math.max(0, newPopulation - occupation)
-            },
-            // Provide resource deltas for centralized logging in runResourceGeneratorJob
-            resource_deltas: resourceDeltas,
-            resource_produced: typeof resourceProduced !== 'undefined' ? resourceProduced : null,
-            resource_consumed: typeof resourceConsumed !== 'undefined' ? resourceConsumed : null
-        };
+        publishCommittedTick(entityId, tick, due);
+        return buildTickResult(entity, factionName, tick, due);
     } catch (err) {
         try { await client.query('ROLLBACK'); } catch (e) { /* ignore */ }
         console.error('Error processing user in resourceGenerator:', err.message);
@@ -382,27 +498,62 @@ async function processEntity(entityId, options) {
 }
 
 /**
- * Función principal que recorre a todos los usuarios y procesa sus recursos.
- * Se ejecuta una sola vez por llamada (no usa timers internos).
+ * Función principal que recorre todas las entidades y procesa sus recursos.
+ * Se ejecuta una sola vez por llamada (no usa timers internos): el tick por lotes
+ * (jobs/batchTick.js) reparte las entidades en transacciones de TICK_BATCH.chunkSize.
+ * Devuelve las estadísticas de la ejecución con el resultado de cada entidad.
  */
-async function runResourceGeneratorJob() {
+async function runResourceGeneratorJob(options = {}) {
     try {
-    console.debug("-> Iniciando cálculo de recursos para todos los jugadores.");
-        // Obtener lista de usuarios usando entityService
-    const entityService = require('../utils/entityService');
-    const ids = await entityService.listAllEntityIds(pool);
-    // Usamos Promise.all para procesar los usuarios en paralelo y terminar más rápido.
-    // Si tienes miles de usuarios, considera limitar la concurrencia (ej: a 100).
-    const results = await Promise.all(ids.map(id => processEntity(id, currentOptions).catch(err => ({ error: err.message, entityId: id }))));
-    console.debug("-> Generación de recursos completada.");
-        return results;
+        console.debug('-> Iniciando cálculo de recursos para todos los jugadores.');
+        const { runBatchTick } = require('./batchTick');
+        const report = await runBatchTick(Object.assign({
+            chunkSize: process.env.RESOURCE_TICK_CHUNK_SIZE,
+            concurrency: process.env.RESOURCE_TICK_CONCURRENCY
+        }, currentOptions, options));
+        console.debug(`-> Generación de recursos completada: ${report.processed} entidades en ${report.durationMs} ms, ${report.failed} con error.`);
+
+        // Bazares NPC: uno por facción, y reposición/merma hacia sus existencias objetivo
+        try {
+            const bazaarService = require('../utils/bazaarService');
+            await bazaarService.ensureFactionBazaars(options);
+            report.bazaarRestock = await bazaarService.runRestock(options);
+        } catch (err) {
+            console.warn('[resourceGenerator] No se pudieron reponer los bazares:', err.message);
+        }
+
+        // Presupuestos de intercambio ya caducados: su registro de canje ya no hace falta
+        try {
+            await require('../utils/quoteService').pruneRedemptions(pool, options.now || new Date());
+        } catch (err) {
+            console.warn('[resourceGenerator] No se pudieron purgar los presupuestos canjeados:', err.message);
+        }
+
+        // Lo producido y consumido en el tick mueve los precios de referencia del mercado
+        try {
+            const pricingService = require('../utils/pricingService');
+            report.prices = await pricingService.applyTickFlows(pool, pricingService.flowsFromTickResults(report.results), options.now || new Date());
+        } catch (err) {
+            console.warn('[resourceGenerator] No se pudieron actualizar los precios de referencia:', err.message);
+        }
+        return report;
     } catch (err) {
         console.error('Error running resource generator job:', err.message);
     }
 }
 
 module.exports = {
-    runResourceGeneratorJob
+    runResourceGeneratorJob,
+    // Reglas puras de mantenimiento y producción (también las usan el simulador y el tick por lotes)
+    partitionResourcesByCategory,
+    consumePopulationUpkeep,
+    applyProductionWithRecipes,
+    computeEntityTick,
+    // Piezas compartidas con jobs/batchTick.js
+    secondsSinceLastUpdate,
+    completeDueWithClient,
+    buildTickResult,
+    publishCommittedTick
 };
 
 // Also export single-entity processor for API usage
@@ -1,30 +1,47 @@
 const jwt = require('jsonwebtoken'); 
+const pool = require('../db');
+const { sendError } = require('../utils/errors');
 // Asegúrate de que esta variable de entorno esté configurada en tu hosting (Render)
 const JWT_SECRET = process.env.JWT_SECRET;
 
 /**
  * Middleware para verificar la validez del token JWT en el encabezado Authorization.
  * Si es válido, añade el objeto 'user' (con id y username) a req.user.
+ * El claim `tv` del token debe coincidir con users.token_version: cerrar todas las sesiones
+ * o cambiar la contraseña incrementa la versión y deja sin efecto los tokens ya emitidos.
+ * Si el usuario tiene idioma preferido (users.language) sustituye al de Accept-Language en req.lang.
  */
 const authenticateToken = (req, res, next) => {
     // Let preflight CORS requests pass through so the CORS middleware can set headers
     if (req.method === 'OPTIONS') return next();
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Espera un formato "Bearer TOKEN"
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1]; // Espera un formato "Bearer TOKEN"
 
-    if (token == null) {
+    if (token == null) {
         // 401 Unauthorized: No hay token
-        return res.status(401).json({ message: 'Acceso denegado. Token no proporcionado.' }); 
+        return res.status(401).json({ message: 'Acceso denegado. Token no proporcionado.', code: 'TOKEN_MISSING' }); 
     }
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) {
+    jwt.verify(token, JWT_SECRET, async (err, user) => {
+        if (err) {
             // 403 Forbidden: Token inválido o expirado
-            return res.status(403).json({ message: 'Token inválido o expirado.' }); 
+            const code = err.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID';
+            return res.status(403).json({ message: 'Token inválido o expirado.', code }); 
         }
-        req.user = user; 
-        next();
-    });
+        try {
+            const { getTokenStateWithClient } = require('../utils/sessionService');
+            const state = await getTokenStateWithClient(pool, user.id);
+            // Tokens anteriores a token_version no llevan `tv` y cuentan como versión 0
+            if (state === null || (Number(user.tv) || 0) !== state.tokenVersion) {
+                return res.status(403).json({ message: 'Token inválido o expirado.', code: 'TOKEN_REVOKED' });
+            }
+            if (state.language) req.lang = state.language;
+        } catch (dbErr) {
+            return sendError(res, dbErr, 'Error de autenticación.');
+        }
+        req.user = user; 
+        next();
+    });
 };
 
 module.exports = {
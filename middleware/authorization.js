@@ -0,0 +1,68 @@
+const pool = require('../db');
+const { sendError } = require('../utils/errors');
+
+// Códigos devueltos en las respuestas 403 de autorización
+const FORBIDDEN_CODES = {
+    NOT_OWNER: 'FORBIDDEN_NOT_OWNER',
+    ADMIN_ONLY: 'FORBIDDEN_ADMIN_ONLY',
+    NO_ENTITY: 'FORBIDDEN_NO_ENTITY',
+    COUNTERPARTY: 'FORBIDDEN_COUNTERPARTY'
+};
+
+const forbidden = (res, code, message, extra = {}) => {
+    return res.status(403).json(Object.assign({ message, code }, extra));
+};
+
+/**
+ * Middleware que completa req.user (tras authenticateToken) con su rol y su entidad.
+ * Añade req.user.role, req.user.isAdmin y req.userEntity (null si el usuario no tiene entidad).
+ * El rol se lee de la base de datos en cada petición para que un cambio de rol aplique sin re-login.
+ */
+const resolveActor = async (req, res, next) => {
+    if (!req.user) return res.status(401).json({ message: 'Acceso denegado. Token no proporcionado.', code: 'TOKEN_MISSING' });
+    if (req.userEntity !== undefined) return next();
+    try {
+        const ur = await pool.query('SELECT role FROM users WHERE id = $1', [req.user.id]);
+        const role = ur.rows.length > 0 && ur.rows[0].role ? ur.rows[0].role : 'player';
+        req.user.role = role;
+        req.user.isAdmin = role === 'admin';
+        const entityService = require('../utils/entityService');
+        req.userEntity = await entityService.getEntityByUserId(pool, req.user.id);
+        next();
+    } catch (err) {
+        return sendError(res, err, 'Error de autorización.');
+    }
+};
+
+/**
+ * Solo administradores. Usar después de authenticateToken.
+ */
+const requireAdmin = [resolveActor, (req, res, next) => {
+    if (req.user.isAdmin) return next();
+    return forbidden(res, FORBIDDEN_CODES.ADMIN_ONLY, 'Esta operación requiere rol de administrador.');
+}];
+
+/**
+ * La entidad objetivo (obtenida con getEntityId(req)) debe pertenecer al usuario, salvo para administradores.
+ * Si no llega ningún id se deja pasar y la ruta responde con su propio 400.
+ */
+const requireEntityOwnership = (getEntityId) => [resolveActor, (req, res, next) => {
+    const raw = getEntityId(req);
+    if (raw === undefined || raw === null || raw === '') return next();
+    if (req.user.isAdmin) return next();
+    if (!req.userEntity) {
+        return forbidden(res, FORBIDDEN_CODES.NO_ENTITY, 'El usuario no tiene ninguna entidad asociada.');
+    }
+    if (Number(raw) !== Number(req.userEntity.id)) {
+        return forbidden(res, FORBIDDEN_CODES.NOT_OWNER, 'Solo puedes modificar tu propia entidad.', { entityId: Number(raw) });
+    }
+    next();
+}];
+
+module.exports = {
+    FORBIDDEN_CODES,
+    forbidden,
+    resolveActor,
+    requireAdmin,
+    requireEntityOwnership
+};
@@ -0,0 +1,83 @@
+const { STATUS_CODE, INTERNAL_MESSAGE, errorBody, sendError } = require('../utils/errors');
+const { DEFAULT_LANGUAGE, t } = require('../utils/i18n');
+
+/**
+ * Sobre común de todas las respuestas JSON de la API:
+ *   éxito -> { ok: true, data }
+ *   error -> { ok: false, error: { code, message, details } }
+ * Las rutas siguen respondiendo con res.json(payload) / res.status(4xx).json({ message, code, ...extra });
+ * aquí se envuelve el payload y los campos extra del error pasan a details. El campo `error`
+ * (mensaje crudo de la excepción, p. ej. de Postgres) nunca llega al cliente.
+ * Los mensajes cuyo código está en el catálogo salen traducidos al idioma de req.lang.
+ */
+const responseEnvelope = (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        const lang = req.lang || DEFAULT_LANGUAGE;
+        res.set('Content-Language', lang);
+        // Ya viene envuelto (sendError, errorHandler...)
+        if (body && typeof body === 'object' && typeof body.ok === 'boolean') return json(localize(lang, body));
+        if (res.statusCode < 400) return json(localize(lang, { ok: true, data: body === undefined ? null : body }));
+        return json(localize(lang, toErrorBody(res.statusCode, body)));
+    };
+    next();
+};
+
+/**
+ * Traduce el mensaje de un sobre: error.message (y el de cada campo de un VALIDATION_ERROR)
+ * o data.message cuando data lleva `code`. Si el código no está en el catálogo o faltan
+ * parámetros se deja el mensaje original.
+ */
+const localize = (lang, envelope) => {
+    const { error, data } = envelope;
+    if (error) {
+        const message = t(lang, error.code, error.details);
+        if (message) error.message = message;
+        const fields = error.details && Array.isArray(error.details.errors) ? error.details.errors : [];
+        for (const field of fields) {
+            const fieldMessage = field && field.code ? t(lang, field.code, field.params) : null;
+            if (fieldMessage) field.message = fieldMessage;
+        }
+    } else if (data && typeof data === 'object' && typeof data.code === 'string' && typeof data.message === 'string') {
+        const message = t(lang, data.code, data);
+        if (message) data.message = message;
+    }
+    return envelope;
+};
+
+const toErrorBody = (status, body) => {
+    const { message, code, error, ...rest } = body && typeof body === 'object' ? body : { message: body };
+    const fallbackCode = STATUS_CODE[status] || (status >= 500 ? STATUS_CODE[500] : STATUS_CODE[400]);
+    const details = {};
+    for (const [k, value] of Object.entries(rest)) {
+        if (value !== undefined && value !== null) details[k] = value;
+    }
+    return errorBody(
+        status >= 500 ? fallbackCode : (code || fallbackCode),
+        (typeof message === 'string' && message) || INTERNAL_MESSAGE,
+        Object.keys(details).length ? details : null
+    );
+};
+
+// Rutas inexistentes (se monta después de todas las rutas)
+const notFoundHandler = (req, res) => {
+    res.status(404).json(errorBody('ROUTE_NOT_FOUND', `Ruta no encontrada: ${req.method} ${req.path}`, { method: req.method, path: req.path }));
+};
+
+/**
+ * Manejador central: GameError y errores con código de los servicios -> su status;
+ * JSON mal formado -> 400 INVALID_JSON; cualquier otra cosa -> 500 INTERNAL_ERROR sin detalles.
+ */
+const errorHandler = (err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    if (err && err.type === 'entity.parse.failed') {
+        return res.status(400).json(errorBody('INVALID_JSON', 'El cuerpo de la petición no es un JSON válido.'));
+    }
+    return sendError(res, err, INTERNAL_MESSAGE);
+};
+
+module.exports = {
+    responseEnvelope,
+    notFoundHandler,
+    errorHandler
+};
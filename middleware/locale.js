@@ -0,0 +1,16 @@
+const { negotiateLanguage } = require('../utils/i18n');
+
+/**
+ * Idioma de la respuesta en req.lang según la cabecera Accept-Language.
+ * authenticateToken lo sustituye por la preferencia guardada del usuario (users.language) si la tiene;
+ * responseEnvelope traduce los mensajes a ese idioma.
+ */
+const negotiateLocale = (req, res, next) => {
+    req.lang = negotiateLanguage(req.headers['accept-language']);
+    res.vary('Accept-Language');
+    next();
+};
+
+module.exports = {
+    negotiateLocale
+};
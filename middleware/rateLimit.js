@@ -0,0 +1,158 @@
+const { RATE_LIMITS, LOGIN_LOCKOUT } = require('../constants/rateLimits');
+
+// Códigos de las respuestas 429
+const RATE_LIMIT_CODES = {
+    RATE_LIMITED: 'RATE_LIMITED',
+    LOGIN_LOCKED: 'LOGIN_LOCKED'
+};
+
+/**
+ * Store en memoria (por proceso). Cualquier backend con la misma interfaz asíncrona
+ * (p. ej. Redis, para varias instancias) se puede instalar con setRateLimitStore:
+ *  - increment(key, windowMs) -> { count, resetAt }   (abre una ventana nueva si no existe o caducó)
+ *  - get(key) -> value | null
+ *  - set(key, value, ttlMs)
+ *  - delete(key)
+ * Guarda como mucho maxKeys claves: al llegar al tope descarta la escrita hace más tiempo.
+ */
+const createMemoryStore = ({ maxKeys = 50000 } = {}) => {
+    // key -> { value, expiresAt }, en orden de escritura (la primera es la más antigua)
+    const entries = new Map();
+
+    const read = (key, now) => {
+        const entry = entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= now) {
+            entries.delete(key);
+            return null;
+        }
+        return entry;
+    };
+    const write = (key, value, expiresAt) => {
+        entries.delete(key);
+        while (entries.size >= maxKeys) entries.delete(entries.keys().next().value);
+        entries.set(key, { value, expiresAt });
+    };
+
+    return {
+        async increment(key, windowMs) {
+            const now = Date.now();
+            const entry = read(key, now);
+            if (entry) {
+                entry.value.count += 1;
+                return { count: entry.value.count, resetAt: entry.expiresAt };
+            }
+            const resetAt = now + windowMs;
+            write(key, { count: 1 }, resetAt);
+            return { count: 1, resetAt };
+        },
+        async get(key) {
+            const entry = read(key, Date.now());
+            return entry ? entry.value : null;
+        },
+        async set(key, value, ttlMs) {
+            write(key, value, Date.now() + ttlMs);
+        },
+        async delete(key) {
+            entries.delete(key);
+        }
+    };
+};
+
+let store = createMemoryStore();
+const setRateLimitStore = (newStore) => { store = newStore; };
+const getRateLimitStore = () => store;
+
+const tooManyRequests = (res, retryAfterSeconds, code, message) => {
+    const retryAfter = Math.max(1, Math.ceil(retryAfterSeconds));
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ message, code, retryAfter });
+};
+
+const normalizeUsername = (username) => (typeof username === 'string' && username.trim() ? username.trim().toLowerCase() : null);
+
+const keyFor = (req, by) => {
+    if (by === 'username') return normalizeUsername((req.body || {}).username);
+    if (by === 'user' && req.user && req.user.id != null) return `u${req.user.id}`;
+    return req.ip || (req.socket && req.socket.remoteAddress) || 'unknown';
+};
+
+/**
+ * Limita la ruta según RATE_LIMITS[name] ({ windowSeconds, max, by }).
+ * Con by: 'user' debe ir después de authenticateToken (sin usuario se limita por IP).
+ * Si el store falla se deja pasar la petición: el límite nunca tumba el juego.
+ */
+const rateLimit = (name, limit = RATE_LIMITS[name]) => {
+    if (!limit) throw new Error(`Límite desconocido: ${name}`);
+    return async (req, res, next) => {
+        if (req.method === 'OPTIONS') return next();
+        const key = keyFor(req, limit.by);
+        if (!key) return next();
+        let hit;
+        try {
+            hit = await store.increment(`rl:${name}:${key}`, limit.windowSeconds * 1000);
+        } catch (err) {
+            console.error(`Error en el rate limit ${name}:`, err.message);
+            return next();
+        }
+        if (hit.count > limit.max) {
+            return tooManyRequests(res, (hit.resetAt - Date.now()) / 1000, RATE_LIMIT_CODES.RATE_LIMITED, 'Demasiadas peticiones. Inténtalo más tarde.');
+        }
+        next();
+    };
+};
+
+const lockoutKey = (username) => `lockout:${username}`;
+
+/**
+ * Rechaza el login mientras el username (del body) esté bloqueado por fallos previos.
+ */
+const loginLockout = async (req, res, next) => {
+    const username = normalizeUsername((req.body || {}).username);
+    if (!username) return next();
+    try {
+        const state = await store.get(lockoutKey(username));
+        if (state && state.lockedUntil > Date.now()) {
+            return tooManyRequests(res, (state.lockedUntil - Date.now()) / 1000, RATE_LIMIT_CODES.LOGIN_LOCKED, 'Demasiados intentos fallidos. Cuenta bloqueada temporalmente.');
+        }
+    } catch (err) {
+        console.error('Error comprobando el bloqueo de login:', err.message);
+    }
+    next();
+};
+
+/**
+ * Registra un login fallido (exista o no el usuario). A partir de LOGIN_LOCKOUT.threshold fallos
+ * cada fallo bloquea el username el doble de tiempo que el anterior, hasta maxSeconds.
+ * Devuelve { failures, lockedUntil } (lockedUntil = 0 si no queda bloqueado).
+ */
+const recordLoginFailure = async (rawUsername) => {
+    const username = normalizeUsername(rawUsername);
+    if (!username) return { failures: 0, lockedUntil: 0 };
+    const key = lockoutKey(username);
+    const prev = (await store.get(key)) || { failures: 0, lockedUntil: 0 };
+    const failures = prev.failures + 1;
+    let lockedUntil = 0;
+    if (failures >= LOGIN_LOCKOUT.threshold) {
+        const seconds = Math.min(LOGIN_LOCKOUT.maxSeconds, LOGIN_LOCKOUT.baseSeconds * Math.pow(LOGIN_LOCKOUT.factor, failures - LOGIN_LOCKOUT.threshold));
+        lockedUntil = Date.now() + seconds * 1000;
+    }
+    await store.set(key, { failures, lockedUntil }, LOGIN_LOCKOUT.resetSeconds * 1000);
+    return { failures, lockedUntil };
+};
+
+const recordLoginSuccess = async (rawUsername) => {
+    const username = normalizeUsername(rawUsername);
+    if (username) await store.delete(lockoutKey(username));
+};
+
+module.exports = {
+    RATE_LIMIT_CODES,
+    createMemoryStore,
+    setRateLimitStore,
+    getRateLimitStore,
+    rateLimit,
+    loginLockout,
+    recordLoginFailure,
+    recordLoginSuccess
+};
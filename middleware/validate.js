@@ -0,0 +1,175 @@
+const { RESOURCE_CATEGORIES } = require('../utils/gameUtils');
+const { BUILDING_COSTS } = require('../constants/buildings');
+const { DEFAULT_LANGUAGE, t } = require('../utils/i18n');
+
+const VALIDATION_ERROR = 'VALIDATION_ERROR';
+// Columnas INTEGER de Postgres: un id o cantidad mayor revienta en SQL
+const PG_INT_MAX = 2147483647;
+// Por encima de este número de valores permitidos no se listan en el mensaje de error
+const MAX_LISTED_VALUES = 12;
+
+/**
+ * Validación de entrada por esquema. Un esquema es un objeto { check(value, field, errors) }
+ * que devuelve el valor normalizado (números desde strings, minúsculas...) o añade
+ * { field, code, params, message } a errors (code es un FIELD_* del catálogo de mensajes).
+ * Los esquemas son obligatorios salvo .optional(); .nullable() además acepta null.
+ */
+const makeSchema = (check) => ({
+    check,
+    isOptional: false,
+    isNullable: false,
+    optional() { return Object.assign({}, this, { isOptional: true }); },
+    nullable() { return Object.assign({}, this, { isOptional: true, isNullable: true }); }
+});
+
+// El mensaje sale en el idioma por defecto; responseEnvelope lo traduce al de la petición
+const fieldError = (errors, field, code, params) => {
+    const error = { field, code, message: t(DEFAULT_LANGUAGE, code, params) };
+    if (params) error.params = params;
+    errors.push(error);
+};
+
+const isMissing = (value) => value === undefined || value === '';
+
+const runSchema = (schema, value, field, errors) => {
+    if (value === null && schema.isNullable) return null;
+    if (isMissing(value) || value === null) {
+        if (!schema.isOptional) fieldError(errors, field, 'FIELD_REQUIRED');
+        return undefined;
+    }
+    return schema.check(value, field, errors);
+};
+
+const toNumber = (value) => {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+    return NaN;
+};
+
+const checkBounds = (n, field, errors, { min, max, greaterThan }) => {
+    if (min !== undefined && n < min) { fieldError(errors, field, 'FIELD_MIN', { min }); return false; }
+    if (greaterThan !== undefined && n <= greaterThan) { fieldError(errors, field, 'FIELD_GREATER_THAN', { greaterThan }); return false; }
+    if (max !== undefined && n > max) { fieldError(errors, field, 'FIELD_MAX', { max }); return false; }
+    return true;
+};
+
+const v = {
+    int: ({ min, max = PG_INT_MAX } = {}) => makeSchema((value, field, errors) => {
+        const n = toNumber(value);
+        if (!Number.isInteger(n)) { fieldError(errors, field, 'FIELD_INTEGER'); return undefined; }
+        return checkBounds(n, field, errors, { min, max }) ? n : undefined;
+    }),
+
+    number: ({ min, max, greaterThan } = {}) => makeSchema((value, field, errors) => {
+        const n = toNumber(value);
+        if (!Number.isFinite(n)) { fieldError(errors, field, 'FIELD_NUMBER'); return undefined; }
+        return checkBounds(n, field, errors, { min, max, greaterThan }) ? n : undefined;
+    }),
+
+    string: ({ min = 1, max = 255, pattern, patternCode = 'FIELD_PATTERN' } = {}) => makeSchema((value, field, errors) => {
+        if (typeof value !== 'string') { fieldError(errors, field, 'FIELD_STRING'); return undefined; }
+        if (value.length < min) { fieldError(errors, field, 'FIELD_MIN_LENGTH', { min }); return undefined; }
+        if (value.length > max) { fieldError(errors, field, 'FIELD_MAX_LENGTH', { max }); return undefined; }
+        if (pattern && !pattern.test(value)) { fieldError(errors, field, patternCode); return undefined; }
+        return value;
+    }),
+
+    // Valor de una lista cerrada; se compara sin distinguir mayúsculas y se devuelve el valor canónico
+    oneOf: (values) => {
+        const byLower = new Map(values.map(x => [String(x).toLowerCase(), x]));
+        return makeSchema((value, field, errors) => {
+            const canonical = (typeof value === 'string' || typeof value === 'number') ? byLower.get(String(value).toLowerCase()) : undefined;
+            if (canonical === undefined) {
+                if (values.length <= MAX_LISTED_VALUES) fieldError(errors, field, 'FIELD_ONE_OF', { values });
+                else fieldError(errors, field, 'FIELD_NOT_ALLOWED');
+                return undefined;
+            }
+            return canonical;
+        });
+    },
+
+    date: () => makeSchema((value, field, errors) => {
+        if (typeof value !== 'string' || Number.isNaN(new Date(value).getTime())) {
+            fieldError(errors, field, 'FIELD_DATE');
+            return undefined;
+        }
+        return value;
+    }),
+
+    array: (item, { min = 0, max = 100 } = {}) => makeSchema((value, field, errors) => {
+        if (!Array.isArray(value)) { fieldError(errors, field, 'FIELD_ARRAY'); return undefined; }
+        if (value.length < min) { fieldError(errors, field, 'FIELD_MIN_ITEMS', { min }); return undefined; }
+        if (value.length > max) { fieldError(errors, field, 'FIELD_MAX_ITEMS', { max }); return undefined; }
+        return value.map((x, i) => runSchema(item, x, `${field}[${i}]`, errors));
+    }),
+
+    // Objeto con campos conocidos; los campos que no están en el esquema se conservan sin validar
+    object: (shape) => makeSchema((value, field, errors) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) { fieldError(errors, field, 'FIELD_OBJECT'); return undefined; }
+        return checkShape(shape, value, field, errors);
+    }),
+
+    // Mapa { clave: valor } (recursos, unidades...) con claves y valores validados
+    record: (key, val, { min = 0 } = {}) => makeSchema((value, field, errors) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) { fieldError(errors, field, 'FIELD_OBJECT'); return undefined; }
+        const entries = Object.entries(value);
+        if (entries.length < min) { fieldError(errors, field, 'FIELD_MIN_ENTRIES', { min }); return undefined; }
+        const out = {};
+        for (const [k, x] of entries) {
+            const path = field ? `${field}.${k}` : k;
+            const normalizedKey = runSchema(key, k, path, errors);
+            const normalizedValue = runSchema(val, x, path, errors);
+            if (normalizedKey !== undefined) out[normalizedKey] = normalizedValue;
+        }
+        return out;
+    })
+};
+
+// Atajos para los valores que se repiten en todas las rutas
+v.id = () => v.int({ min: 1 });
+v.resourceName = () => v.oneOf(Object.keys(RESOURCE_CATEGORIES));
+v.buildingType = () => v.oneOf(Object.keys(BUILDING_COSTS));
+v.boolString = () => v.oneOf(['true', 'false']);
+
+function checkShape(shape, value, field, errors) {
+    const out = Object.assign({}, value);
+    for (const [key, schema] of Object.entries(shape)) {
+        const normalized = runSchema(schema, value[key], field ? `${field}.${key}` : key, errors);
+        if (normalized === undefined) delete out[key];
+        else out[key] = normalized;
+    }
+    return out;
+}
+
+/**
+ * Middleware de validación: spec = { params, query, body }, cada uno un mapa campo -> esquema.
+ * Si algo falla responde 400 { message, code: 'VALIDATION_ERROR', errors: [{ location, field, code, params, message }] }.
+ * Los valores normalizados quedan en req.validated.{params,query,body}; req.body también se reemplaza.
+ */
+const validate = (spec) => (req, res, next) => {
+    const errors = [];
+    const validated = {};
+    for (const location of ['params', 'query', 'body']) {
+        if (!spec[location]) continue;
+        const found = [];
+        const input = req[location] && typeof req[location] === 'object' ? req[location] : {};
+        validated[location] = checkShape(spec[location], input, '', found);
+        for (const e of found) errors.push(Object.assign({ location }, e));
+    }
+    if (errors.length > 0) return validationFailed(res, errors);
+    req.validated = validated;
+    if (validated.body) req.body = validated.body;
+    next();
+};
+
+const validationFailed = (res, errors) => {
+    return res.status(400).json({ message: 'Datos de entrada no válidos.', code: VALIDATION_ERROR, errors });
+};
+
+module.exports = {
+    VALIDATION_ERROR,
+    PG_INT_MAX,
+    v,
+    validate,
+    validationFailed
+};
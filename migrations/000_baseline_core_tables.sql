@@ -0,0 +1,55 @@
+-- Migration 000: baseline of the core tables the code assumes exist
+-- These tables were created by hand before migrations/ existed. Everything uses
+-- IF NOT EXISTS so the baseline is a no-op on databases that already have them;
+-- later migrations add the columns they introduced (role, ai_runtime, price_base...).
+
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(64) NOT NULL UNIQUE,
+  password VARCHAR(255) NOT NULL, -- bcrypt hash
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS factions (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(64) NOT NULL UNIQUE,
+  spawn_x INTEGER NOT NULL DEFAULT 0,
+  spawn_y INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS entities (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NULL REFERENCES users(id) ON DELETE CASCADE,
+  type VARCHAR(32) NOT NULL DEFAULT 'player', -- 'player', 'cityIA', 'npc_bazar'
+  faction_id INTEGER NULL REFERENCES factions(id) ON DELETE SET NULL,
+  x_coord INTEGER NOT NULL DEFAULT 0,
+  y_coord INTEGER NOT NULL DEFAULT 0,
+  last_resource_update TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_entities_user ON entities(user_id);
+CREATE INDEX IF NOT EXISTS idx_entities_type ON entities(type);
+CREATE INDEX IF NOT EXISTS idx_entities_coords ON entities(x_coord, y_coord);
+
+CREATE TABLE IF NOT EXISTS buildings (
+  id SERIAL PRIMARY KEY,
+  entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+  type VARCHAR(64) NOT NULL,
+  level INTEGER NOT NULL DEFAULT 0 CHECK (level >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_buildings_entity_type ON buildings(entity_id, type);
+
+CREATE TABLE IF NOT EXISTS resource_types (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(64) NOT NULL UNIQUE
+);
+
+CREATE TABLE IF NOT EXISTS resource_inventory (
+  id SERIAL PRIMARY KEY,
+  entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+  resource_type_id INTEGER NOT NULL REFERENCES resource_types(id) ON DELETE CASCADE,
+  amount INTEGER NOT NULL DEFAULT 0,
+  UNIQUE (entity_id, resource_type_id)
+);
@@ -0,0 +1,3 @@
+-- Down for 001_add_last_resource_update.sql
+
+ALTER TABLE users DROP COLUMN IF EXISTS last_resource_update;
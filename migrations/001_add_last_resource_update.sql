@@ -7,8 +7,6 @@
 -- - Requiere privilegios para alterar la tabla `users`.
 -- - Ejecuta esto en la base de datos correcta (producción, staging o dev).
 
-BEGIN;
-
 -- Añadir la columna si no existe (timestamp sin zona; usamos NOW() por defecto para nuevas filas)
 ALTER TABLE users
   ADD COLUMN IF NOT EXISTS last_resource_update TIMESTAMP WITHOUT TIME ZONE DEFAULT NOW();
@@ -17,12 +15,3 @@ ALTER TABLE users
 UPDATE users
   SET last_resource_update = NOW()
   WHERE last_resource_update IS NULL;
-
-COMMIT;
-
--- --------------------------------------------------
--- Para revertir (DOWN):
--- BEGIN;
--- ALTER TABLE users DROP COLUMN IF EXISTS last_resource_update;
--- COMMIT;
--- --------------------------------------------------
@@ -0,0 +1,3 @@
+-- Down for 002_create_ai_cities.sql
+
+DROP TABLE IF EXISTS ai_cities;
@@ -7,4 +7,3 @@ CREATE TABLE IF NOT EXISTS ai_cities (
   entity_id INTEGER NULL REFERENCES entities(id) ON DELETE SET NULL,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
 );
-
@@ -0,0 +1,3 @@
+-- Down for 003_add_ai_runtime_to_entities.sql
+
+ALTER TABLE entities DROP COLUMN IF EXISTS ai_runtime;
@@ -0,0 +1,3 @@
+-- Down for 003_create_map_entities.sql
+
+DROP TABLE IF EXISTS map_entities;
@@ -0,0 +1,4 @@
+-- Down for 004_create_populations_table.sql
+
+DROP TABLE IF EXISTS populations;
+DROP FUNCTION IF EXISTS populations_updated_at();
@@ -1,7 +1,5 @@
 -- Migration 004: create populations table and migrate entity population columns
 
-BEGIN;
-
 -- Create populations table
 CREATE TABLE IF NOT EXISTS populations (
   id SERIAL PRIMARY KEY,
@@ -24,9 +22,8 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+DROP TRIGGER IF EXISTS populations_updated_at_trigger ON populations;
 CREATE TRIGGER populations_updated_at_trigger
 BEFORE UPDATE ON populations
 FOR EACH ROW
 EXECUTE PROCEDURE populations_updated_at();
-
-COMMIT;
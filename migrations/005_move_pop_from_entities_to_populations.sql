@@ -1,7 +1,5 @@
 -- Migration 005: Move population columns from entities to populations and add per-type current/max/available
 
-BEGIN;
-
 -- Add new columns to populations for per-type population tracking
 ALTER TABLE populations
   ADD COLUMN IF NOT EXISTS current_population INTEGER NOT NULL DEFAULT 0,
@@ -20,5 +18,3 @@ END$$;
 -- Drop legacy columns from entities (if they exist)
 ALTER TABLE entities DROP COLUMN IF EXISTS current_population;
 ALTER TABLE entities DROP COLUMN IF EXISTS max_population;
-
-COMMIT;
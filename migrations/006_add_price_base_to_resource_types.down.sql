@@ -0,0 +1,3 @@
+-- Down for 006_add_price_base_to_resource_types.sql
+
+ALTER TABLE resource_types DROP COLUMN IF EXISTS price_base;
@@ -1,5 +1,4 @@
 -- Migration: add price_base integer column to resource_types and populate defaults
-BEGIN;
 
 ALTER TABLE resource_types
   ADD COLUMN IF NOT EXISTS price_base integer DEFAULT 0 NOT NULL;
@@ -32,5 +31,3 @@ SET price_base = CASE
   ELSE 3
 END
 WHERE name IS NOT NULL;
-
-COMMIT;
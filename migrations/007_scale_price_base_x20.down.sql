@@ -0,0 +1,5 @@
+-- Down for 007_scale_price_base_x20.sql
+
+UPDATE resource_types
+SET price_base = price_base / 20
+WHERE price_base IS NOT NULL;
@@ -0,0 +1,3 @@
+-- Down for 008_create_construction_queue.sql
+
+DROP TABLE IF EXISTS construction_queue;
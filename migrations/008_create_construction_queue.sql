@@ -0,0 +1,26 @@
+-- Migration 008: construction_queue table for timed building upgrades
+-- Each row is one paid upgrade waiting for its finish time. Rows for the same
+-- entity are executed sequentially in `position` order; `started_at` and
+-- `finish_at` hold the planned schedule and are recomputed on cancel/reorder.
+
+CREATE TABLE IF NOT EXISTS construction_queue (
+  id SERIAL PRIMARY KEY,
+  entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+  building_type VARCHAR(64) NOT NULL,
+  target_level INTEGER NOT NULL,
+  position INTEGER NOT NULL,
+  cost JSONB NOT NULL DEFAULT '{}'::jsonb,
+  pop_needed INTEGER NOT NULL DEFAULT 0,
+  duration_seconds INTEGER NOT NULL,
+  started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  finish_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'pending', -- 'pending', 'completed', 'cancelled'
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  completed_at TIMESTAMP WITH TIME ZONE NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_construction_queue_entity_pending
+  ON construction_queue(entity_id, position) WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_construction_queue_finish_pending
+  ON construction_queue(finish_at) WHERE status = 'pending';
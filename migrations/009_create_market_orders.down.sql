@@ -0,0 +1,4 @@
+-- Down for 009_create_market_orders.sql
+
+DROP TABLE IF EXISTS market_fills;
+DROP TABLE IF EXISTS market_orders;
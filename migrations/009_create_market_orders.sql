@@ -0,0 +1,39 @@
+-- Migration 009: player order book (limit orders) and executed fills
+-- Buy orders hold price * remaining gold in escrow, sell orders hold `remaining`
+-- units of the resource. Escrow leaves the inventory when the order is placed and
+-- is returned on cancellation.
+
+CREATE TABLE IF NOT EXISTS market_orders (
+  id SERIAL PRIMARY KEY,
+  entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+  resource_type_id INTEGER NOT NULL REFERENCES resource_types(id),
+  side VARCHAR(4) NOT NULL CHECK (side IN ('buy', 'sell')),
+  price INTEGER NOT NULL CHECK (price > 0), -- gold per unit
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  remaining INTEGER NOT NULL CHECK (remaining >= 0),
+  status VARCHAR(16) NOT NULL DEFAULT 'open', -- 'open', 'filled', 'cancelled'
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- Matching and depth read open orders of one book sorted by price then time
+CREATE INDEX IF NOT EXISTS idx_market_orders_book_open
+  ON market_orders(resource_type_id, side, price, created_at) WHERE status = 'open';
+
+CREATE INDEX IF NOT EXISTS idx_market_orders_entity
+  ON market_orders(entity_id, status);
+
+CREATE TABLE IF NOT EXISTS market_fills (
+  id SERIAL PRIMARY KEY,
+  resource_type_id INTEGER NOT NULL REFERENCES resource_types(id),
+  buy_order_id INTEGER REFERENCES market_orders(id) ON DELETE SET NULL,
+  sell_order_id INTEGER REFERENCES market_orders(id) ON DELETE SET NULL,
+  buyer_entity_id INTEGER REFERENCES entities(id) ON DELETE SET NULL,
+  seller_entity_id INTEGER REFERENCES entities(id) ON DELETE SET NULL,
+  price INTEGER NOT NULL,
+  quantity INTEGER NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_market_fills_resource_time
+  ON market_fills(resource_type_id, created_at DESC);
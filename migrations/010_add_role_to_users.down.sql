@@ -0,0 +1,4 @@
+-- Down for 010_add_role_to_users.sql
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users DROP COLUMN IF EXISTS role;
@@ -0,0 +1,9 @@
+-- Migration 010: role column on users for admin-only operations
+-- 'player' is the default; promote with scripts/set_user_role.js <username> admin
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS role VARCHAR(16) NOT NULL DEFAULT 'player';
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users
+  ADD CONSTRAINT users_role_check CHECK (role IN ('player', 'admin'));
@@ -0,0 +1,3 @@
+-- Down for 011_create_caravans.sql
+
+DROP TABLE IF EXISTS caravans;
@@ -0,0 +1,24 @@
+-- Migration 011: caravans carrying traded goods between entities
+-- Gold settles when the trade is made; the goods travel in `cargo` and are
+-- credited to the destination by the resource generator once `arrives_at` passes.
+
+CREATE TABLE IF NOT EXISTS caravans (
+  id SERIAL PRIMARY KEY,
+  origin_entity_id INTEGER REFERENCES entities(id) ON DELETE SET NULL,
+  destination_entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+  cargo JSONB NOT NULL DEFAULT '{}'::jsonb, -- { resource_name: amount }
+  distance NUMERIC(10,2) NOT NULL DEFAULT 0,
+  departed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  arrives_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'in_transit', -- 'in_transit', 'delivered'
+  delivered_at TIMESTAMP WITH TIME ZONE NULL,
+  ref_type VARCHAR(32) NULL, -- origin of the shipment, e.g. 'trade', 'market_fill'
+  ref_id INTEGER NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_caravans_destination_transit
+  ON caravans(destination_entity_id, arrives_at) WHERE status = 'in_transit';
+
+CREATE INDEX IF NOT EXISTS idx_caravans_origin
+  ON caravans(origin_entity_id, status);
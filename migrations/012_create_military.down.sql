@@ -0,0 +1,5 @@
+-- Down for 012_create_military.sql
+
+DROP TABLE IF EXISTS missions;
+DROP TABLE IF EXISTS battle_reports;
+DROP TABLE IF EXISTS entity_units;
@@ -0,0 +1,49 @@
+-- Migration 012: military units, attack missions and battle reports
+-- entity_units holds the units at home; units on a mission live in missions.units
+-- until they return. Battles are resolved by the resource generator when a mission
+-- reaches its target, and the survivors bring the loot home on return.
+
+CREATE TABLE IF NOT EXISTS entity_units (
+  entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+  unit_type VARCHAR(32) NOT NULL,
+  quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+  PRIMARY KEY (entity_id, unit_type)
+);
+
+CREATE TABLE IF NOT EXISTS battle_reports (
+  id SERIAL PRIMARY KEY,
+  mission_id INTEGER NULL,
+  attacker_entity_id INTEGER REFERENCES entities(id) ON DELETE SET NULL,
+  defender_entity_id INTEGER REFERENCES entities(id) ON DELETE SET NULL,
+  winner VARCHAR(16) NOT NULL, -- 'attacker', 'defender', 'draw'
+  attacker_units JSONB NOT NULL DEFAULT '{}'::jsonb,
+  defender_units JSONB NOT NULL DEFAULT '{}'::jsonb,
+  attacker_losses JSONB NOT NULL DEFAULT '{}'::jsonb,
+  defender_losses JSONB NOT NULL DEFAULT '{}'::jsonb,
+  rounds JSONB NOT NULL DEFAULT '[]'::jsonb,
+  loot JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_battle_reports_attacker ON battle_reports(attacker_entity_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_battle_reports_defender ON battle_reports(defender_entity_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS missions (
+  id SERIAL PRIMARY KEY,
+  attacker_entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+  defender_entity_id INTEGER REFERENCES entities(id) ON DELETE SET NULL,
+  mission_type VARCHAR(16) NOT NULL DEFAULT 'attack',
+  units JSONB NOT NULL DEFAULT '{}'::jsonb, -- units travelling (survivors after the battle)
+  loot JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status VARCHAR(16) NOT NULL DEFAULT 'outbound', -- 'outbound', 'returning', 'completed'
+  departed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  arrives_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  returns_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  battle_report_id INTEGER REFERENCES battle_reports(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_missions_defender_outbound
+  ON missions(defender_entity_id, arrives_at) WHERE status = 'outbound';
+CREATE INDEX IF NOT EXISTS idx_missions_attacker_returning
+  ON missions(attacker_entity_id, returns_at) WHERE status = 'returning';
@@ -0,0 +1,4 @@
+-- Down for 013_create_research.sql
+
+DROP TABLE IF EXISTS research_queue;
+DROP TABLE IF EXISTS entity_research;
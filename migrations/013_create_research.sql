@@ -0,0 +1,32 @@
+-- Migration 013: research tree
+-- entity_research holds the level reached in each technology. research_queue holds
+-- paid research, at most one 'pending' row per entity; the resource generator
+-- raises the level when finish_at has passed.
+
+CREATE TABLE IF NOT EXISTS entity_research (
+  entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+  technology VARCHAR(64) NOT NULL,
+  level INTEGER NOT NULL DEFAULT 0 CHECK (level >= 0),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  PRIMARY KEY (entity_id, technology)
+);
+
+CREATE TABLE IF NOT EXISTS research_queue (
+  id SERIAL PRIMARY KEY,
+  entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+  technology VARCHAR(64) NOT NULL,
+  target_level INTEGER NOT NULL,
+  cost JSONB NOT NULL DEFAULT '{}'::jsonb,
+  duration_seconds INTEGER NOT NULL,
+  started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  finish_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'pending', -- 'pending', 'completed', 'cancelled'
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  completed_at TIMESTAMP WITH TIME ZONE NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_research_queue_one_pending
+  ON research_queue(entity_id) WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_research_queue_finish_pending
+  ON research_queue(finish_at) WHERE status = 'pending';
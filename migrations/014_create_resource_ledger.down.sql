@@ -0,0 +1,3 @@
+-- Down for 014_create_resource_ledger.sql
+
+DROP TABLE IF EXISTS resource_ledger;
@@ -0,0 +1,21 @@
+-- Migration 014: resource_ledger audit trail
+-- One row per resource balance change, written by utils/resourcesService.js in the same
+-- transaction as the mutation. reason says why the balance moved (constants/ledger.js),
+-- ref_type/ref_id point at the object that caused it (queue item, caravan, order, ...).
+
+CREATE TABLE IF NOT EXISTS resource_ledger (
+  id BIGSERIAL PRIMARY KEY,
+  entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+  resource VARCHAR(64) NOT NULL,
+  delta BIGINT NOT NULL,
+  balance_after BIGINT NOT NULL,
+  reason VARCHAR(32) NOT NULL,
+  ref_type VARCHAR(32) NULL,
+  ref_id INTEGER NULL,
+  details JSONB NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_resource_ledger_entity ON resource_ledger(entity_id, id DESC);
+CREATE INDEX IF NOT EXISTS idx_resource_ledger_entity_resource ON resource_ledger(entity_id, resource, id DESC);
+CREATE INDEX IF NOT EXISTS idx_resource_ledger_ref ON resource_ledger(ref_type, ref_id) WHERE ref_type IS NOT NULL;
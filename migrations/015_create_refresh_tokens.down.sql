@@ -0,0 +1,4 @@
+-- Down for 015_create_refresh_tokens.sql
+
+DROP TABLE IF EXISTS refresh_tokens;
+ALTER TABLE users DROP COLUMN IF EXISTS token_version;
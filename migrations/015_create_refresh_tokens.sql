@@ -0,0 +1,23 @@
+-- Migration 015: refresh tokens and per-user token version
+-- Access tokens are short-lived JWTs that carry users.token_version (claim `tv`);
+-- bumping it invalidates every access token of the user at once (logout everywhere,
+-- password change). Refresh tokens are opaque random strings stored only as sha256 hashes.
+-- Each refresh rotates the token; all tokens descending from one login share family_id,
+-- so presenting an already rotated token revokes the whole family.
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  family_id VARCHAR(36) NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  revoked_at TIMESTAMP WITH TIME ZONE NULL,
+  replaced_by INTEGER NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id);
@@ -0,0 +1,4 @@
+-- Down for 016_add_language_to_users.sql
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_language_check;
+ALTER TABLE users DROP COLUMN IF EXISTS language;
@@ -0,0 +1,9 @@
+-- Migration 016: preferred language of the API messages per user
+-- NULL follows the Accept-Language header of each request; see utils/i18n.js
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS language VARCHAR(8) NULL;
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_language_check;
+ALTER TABLE users
+  ADD CONSTRAINT users_language_check CHECK (language IS NULL OR language IN ('es', 'en'));
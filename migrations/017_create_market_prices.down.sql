@@ -0,0 +1,4 @@
+-- Down for 017_create_market_prices.sql
+
+DROP TABLE IF EXISTS market_candles;
+DROP TABLE IF EXISTS market_prices;
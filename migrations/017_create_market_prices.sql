@@ -0,0 +1,28 @@
+-- Migration 017: moving reference price per resource and its candles
+-- Quotes read reference_price instead of resource_types.price_base; executed trades and the
+-- production/consumption of each tick move it (see utils/pricingService.js).
+-- Candles hold the OHLC of the reference price per interval plus the volume traded in it.
+
+CREATE TABLE IF NOT EXISTS market_prices (
+  resource_type_id INTEGER PRIMARY KEY REFERENCES resource_types(id) ON DELETE CASCADE,
+  reference_price NUMERIC(14,4) NOT NULL CHECK (reference_price > 0),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- Every resource starts at its static base
+INSERT INTO market_prices (resource_type_id, reference_price)
+SELECT id, price_base FROM resource_types WHERE price_base > 0
+ON CONFLICT (resource_type_id) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS market_candles (
+  resource_type_id INTEGER NOT NULL REFERENCES resource_types(id) ON DELETE CASCADE,
+  interval_seconds INTEGER NOT NULL,
+  bucket_start TIMESTAMP WITH TIME ZONE NOT NULL,
+  open NUMERIC(14,4) NOT NULL,
+  high NUMERIC(14,4) NOT NULL,
+  low NUMERIC(14,4) NOT NULL,
+  close NUMERIC(14,4) NOT NULL,
+  volume BIGINT NOT NULL DEFAULT 0, -- units traded
+  trades INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (resource_type_id, interval_seconds, bucket_start)
+);
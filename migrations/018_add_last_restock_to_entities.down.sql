@@ -0,0 +1,3 @@
+-- Down for 018_add_last_restock_to_entities.sql
+
+ALTER TABLE entities DROP COLUMN IF EXISTS last_restock_at;
@@ -0,0 +1,5 @@
+-- Migration 018: when an NPC bazaar last restocked (utils/bazaarService.js)
+-- NULL until its first restock; only npc_bazar entities use it.
+
+ALTER TABLE entities
+  ADD COLUMN IF NOT EXISTS last_restock_at TIMESTAMP WITH TIME ZONE NULL;
@@ -0,0 +1,3 @@
+-- Down for 019_create_trade_quote_redemptions.sql
+
+DROP TABLE IF EXISTS trade_quote_redemptions;
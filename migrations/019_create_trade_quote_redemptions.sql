@@ -0,0 +1,14 @@
+-- Migration 019: redeemed trade quotes (utils/quoteService.js)
+-- Quotes are signed tokens handed out by POST /api/resources/market-price and are not stored;
+-- POST /api/resources/trade records each one here when it is redeemed so it works only once.
+-- Rows past expires_at can no longer be replayed anyway and are pruned by the scheduled job.
+
+CREATE TABLE IF NOT EXISTS trade_quote_redemptions (
+  nonce VARCHAR(64) PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  redeemed_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_trade_quote_redemptions_expires
+  ON trade_quote_redemptions(expires_at);
@@ -0,0 +1,5 @@
+-- Down for 020_create_faction_treasuries.sql
+
+DROP TABLE IF EXISTS faction_bonuses;
+DROP TABLE IF EXISTS trade_taxes;
+DROP TABLE IF EXISTS faction_treasuries;
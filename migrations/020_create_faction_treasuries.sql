@@ -0,0 +1,44 @@
+-- Migration 020: trade taxes and faction treasuries (utils/treasuryService.js)
+-- faction_treasuries keeps the gold each faction has collected and not spent yet,
+-- trade_taxes one row per taxed trade (for the tax report) and faction_bonuses the
+-- bonuses bought with the treasury, active until expires_at.
+
+CREATE TABLE IF NOT EXISTS faction_treasuries (
+  faction_id INTEGER PRIMARY KEY REFERENCES factions(id) ON DELETE CASCADE,
+  balance BIGINT NOT NULL DEFAULT 0 CHECK (balance >= 0),
+  tax_collected BIGINT NOT NULL DEFAULT 0,
+  spent BIGINT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- faction_id NULL: neither side had a faction and the tax was destroyed
+CREATE TABLE IF NOT EXISTS trade_taxes (
+  id SERIAL PRIMARY KEY,
+  faction_id INTEGER REFERENCES factions(id) ON DELETE SET NULL,
+  resource_type_id INTEGER NOT NULL REFERENCES resource_types(id),
+  payer_entity_id INTEGER REFERENCES entities(id) ON DELETE SET NULL,
+  counterparty_entity_id INTEGER REFERENCES entities(id) ON DELETE SET NULL,
+  scope VARCHAR(8) NOT NULL CHECK (scope IN ('intra', 'cross')),
+  rate NUMERIC(6,4) NOT NULL,
+  gross BIGINT NOT NULL,
+  amount BIGINT NOT NULL,
+  ref_type VARCHAR(32),
+  ref_id INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_trade_taxes_created
+  ON trade_taxes(created_at);
+
+CREATE TABLE IF NOT EXISTS faction_bonuses (
+  id SERIAL PRIMARY KEY,
+  faction_id INTEGER NOT NULL REFERENCES factions(id) ON DELETE CASCADE,
+  bonus VARCHAR(32) NOT NULL,
+  cost BIGINT NOT NULL,
+  purchased_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  starts_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_faction_bonuses_faction_expires
+  ON faction_bonuses(faction_id, expires_at);
@@ -0,0 +1,7 @@
+-- Down for 021_create_alliances.sql
+
+DROP TABLE IF EXISTS alliance_ledger;
+DROP TABLE IF EXISTS alliance_inventory;
+DROP TABLE IF EXISTS alliance_invitations;
+DROP TABLE IF EXISTS alliance_members;
+DROP TABLE IF EXISTS alliances;
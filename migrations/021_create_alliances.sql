@@ -0,0 +1,58 @@
+-- Migration 021: player alliances (utils/allianceService.js)
+-- Membership is per user, so it survives a respawn; a user belongs to one alliance at most.
+-- alliance_inventory is the shared warehouse (same shape as resource_inventory) and
+-- alliance_ledger records every donation into it and every distribution out of it.
+
+CREATE TABLE IF NOT EXISTS alliances (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(40) NOT NULL UNIQUE,
+  tag VARCHAR(5) NOT NULL UNIQUE,
+  founder_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS alliance_members (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  alliance_id INTEGER NOT NULL REFERENCES alliances(id) ON DELETE CASCADE,
+  rank VARCHAR(16) NOT NULL DEFAULT 'member' CHECK (rank IN ('leader', 'officer', 'member')),
+  joined_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_alliance_members_alliance
+  ON alliance_members(alliance_id);
+
+CREATE TABLE IF NOT EXISTS alliance_invitations (
+  id SERIAL PRIMARY KEY,
+  alliance_id INTEGER NOT NULL REFERENCES alliances(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  responded_at TIMESTAMP WITH TIME ZONE NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_alliance_invitations_user
+  ON alliance_invitations(user_id, status);
+
+CREATE TABLE IF NOT EXISTS alliance_inventory (
+  alliance_id INTEGER NOT NULL REFERENCES alliances(id) ON DELETE CASCADE,
+  resource_type_id INTEGER NOT NULL REFERENCES resource_types(id),
+  amount INTEGER NOT NULL DEFAULT 0 CHECK (amount >= 0),
+  PRIMARY KEY (alliance_id, resource_type_id)
+);
+
+-- user_id is who moved the goods, entity_id the settlement they came from or went to
+CREATE TABLE IF NOT EXISTS alliance_ledger (
+  id SERIAL PRIMARY KEY,
+  alliance_id INTEGER NOT NULL REFERENCES alliances(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  entity_id INTEGER REFERENCES entities(id) ON DELETE SET NULL,
+  resource VARCHAR(64) NOT NULL,
+  delta INTEGER NOT NULL,
+  balance_after INTEGER NOT NULL,
+  reason VARCHAR(32) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_alliance_ledger_alliance
+  ON alliance_ledger(alliance_id, id DESC);
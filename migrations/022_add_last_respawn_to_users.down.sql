@@ -0,0 +1,3 @@
+-- Down for 022_add_last_respawn_to_users.sql
+
+ALTER TABLE users DROP COLUMN IF EXISTS last_respawn_at;
@@ -0,0 +1,5 @@
+-- Migration 022: when a user last respawned (utils/accountService.js respawnWithClient)
+-- NULL until the first respawn; respawns are limited by RESPAWN_COOLDOWN_SECONDS.
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS last_respawn_at TIMESTAMP WITH TIME ZONE NULL;
@@ -0,0 +1,3 @@
+-- Down for 023_add_loot_discarded_to_battle_reports.sql
+
+ALTER TABLE battle_reports DROP COLUMN IF EXISTS loot_discarded;
@@ -0,0 +1,5 @@
+-- Migration 023: loot that did not fit in the attacker's storage when the army came home
+-- (utils/militaryService.js completeReturningMissionsWithClient). Empty until the mission returns.
+
+ALTER TABLE battle_reports
+  ADD COLUMN IF NOT EXISTS loot_discarded JSONB NOT NULL DEFAULT '{}'::jsonb;
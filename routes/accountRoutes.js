@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const { authenticateToken } = require('../middleware/auth');
+const { validate, v } = require('../middleware/validate');
+const accountService = require('../utils/accountService');
+const { sendError } = require('../utils/errors');
+const { SUPPORTED_LANGUAGES, negotiateLanguage } = require('../utils/i18n');
+const { PASSWORD_LENGTH } = require('../constants/auth');
+
+// Runs fn(client) in a transaction and rolls back on error
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch (e) { /* ignore */ }
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// POST /api/account/password
+// Body: { currentPassword, newPassword }. Cierra todas las sesiones y devuelve una nueva.
+router.post('/password', authenticateToken, validate({
+  body: { currentPassword: v.string({ max: PASSWORD_LENGTH.max }), newPassword: v.string(PASSWORD_LENGTH) }
+}), async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  try {
+    const session = await withTransaction(client => accountService.changePasswordWithClient(client, req.user.id, currentPassword, newPassword));
+    res.json(Object.assign({ message: 'Contraseña actualizada.', code: 'PASSWORD_CHANGED' }, session));
+  } catch (err) {
+    sendError(res, err, 'Error al cambiar la contraseña.');
+  }
+});
+
+// DELETE /api/account
+// Body: { password }. Borra el usuario y su asentamiento (edificios, población, inventario...).
+router.delete('/', authenticateToken, validate({ body: { password: v.string({ max: 128 }) } }), async (req, res) => {
+  const { password } = req.body;
+  try {
+    const result = await withTransaction(client => accountService.deleteAccountWithClient(client, req.user.id, password));
+    console.info(`Cuenta ${result.userId} eliminada (entidades: ${result.entityIds.join(', ') || 'ninguna'})`);
+    res.json({ message: 'Cuenta eliminada.', code: 'ACCOUNT_DELETED' });
+  } catch (err) {
+    sendError(res, err, 'Error al eliminar la cuenta.');
+  }
+});
+
+// POST /api/account/respawn
+// Body: { password, factionId }. Abandona el asentamiento actual y empieza de cero en factionId.
+// Como mucho un reinicio cada RESPAWN_COOLDOWN_SECONDS (429 RESPAWN_COOLDOWN).
+router.post('/respawn', authenticateToken, validate({
+  body: { password: v.string({ max: 128 }), factionId: v.id() }
+}), async (req, res) => {
+  const { password, factionId } = req.body;
+  try {
+    const result = await withTransaction(client => accountService.respawnWithClient(client, req.user.id, password, factionId));
+    const resources = await require('../utils/resourcesService').getResources(result.entity.id);
+    res.status(201).json({ message: 'Nuevo asentamiento creado.', code: 'RESPAWNED', entity: result.entity, resources, abandonedEntityId: result.abandonedEntityId });
+  } catch (err) {
+    sendError(res, err, 'Error al reiniciar el asentamiento.');
+  }
+});
+
+// PUT /api/account/language
+// Body: { language: 'es' | 'en' | null }. Idioma de los mensajes de la API; null vuelve a usar Accept-Language.
+router.put('/language', authenticateToken, validate({
+  body: { language: v.oneOf(SUPPORTED_LANGUAGES).nullable() }
+}), async (req, res) => {
+  try {
+    const language = await accountService.setLanguageWithClient(pool, req.user.id, req.body.language);
+    // Esta misma respuesta ya sale en el idioma elegido
+    req.lang = language || negotiateLanguage(req.headers['accept-language']);
+    res.json({ message: 'Idioma actualizado.', code: 'LANGUAGE_UPDATED', language });
+  } catch (err) {
+    sendError(res, err, 'Error al cambiar el idioma.');
+  }
+});
+
+module.exports = router;
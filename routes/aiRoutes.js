@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../db');
 const { authenticateToken } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/authorization');
+const { validate, v } = require('../middleware/validate');
+const { sendError } = require('../utils/errors');
 const aiCityService = require('../utils/ai_city_service');
 const aiEngine = require('../jobs/ai_economic_engine_v2');
 
@@ -11,41 +14,50 @@ router.get('/', authenticateToken, async (req, res) => {
         const cities = await aiCityService.listCities(pool, false);
         res.json({ cities });
     } catch (err) {
-        res.status(500).json({ message: 'Error listando AI cities', error: err.message });
+        sendError(res, err, 'Error listando AI cities');
     }
 });
 
 // Create a paired AI city (entity + ai_cities)
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, requireAdmin, validate({
+    body: {
+        name: v.string({ max: 100 }).optional(),
+        faction_id: v.id().optional(),
+        x_coord: v.int({ min: 0 }).optional(),
+        y_coord: v.int({ min: 0 }).optional(),
+        population: v.int({ min: 0 }).optional(),
+        initialResources: v.record(v.resourceName(), v.int({ min: 0 })).optional()
+    }
+}), async (req, res) => {
     const data = req.body || {};
     try {
         const result = await aiCityService.createPairedCity(pool, data);
-        res.status(201).json({ message: 'AI City creada', ...result });
+        res.status(201).json({ message: 'AI City creada', code: 'AI_CITY_CREATED', ...result });
     } catch (err) {
-        res.status(500).json({ message: 'Error creando AI City', error: err.message });
+        sendError(res, err, 'Error creando AI City');
     }
 });
 
 // Delete AI city (and linked entity)
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, requireAdmin, validate({ params: { id: v.id() } }), async (req, res) => {
     const { id } = req.params;
     try {
         const deleted = await aiCityService.deleteCityById(pool, id);
-        if (!deleted) return res.status(404).json({ message: 'AI City no encontrada' });
-        res.json({ message: 'AI City eliminada', deleted });
+        if (!deleted) return res.status(404).json({ message: 'AI City no encontrada', code: 'AI_CITY_NOT_FOUND' });
+        res.json({ message: 'AI City eliminada', code: 'AI_CITY_DELETED', deleted });
     } catch (err) {
-        res.status(500).json({ message: 'Error eliminando AI City', error: err.message });
+        sendError(res, err, 'Error eliminando AI City');
     }
 });
 
 // Trigger a single-city economic update (for testing) using v2
-router.post('/:id/run', authenticateToken, async (req, res) => {
+router.post('/:id/run', authenticateToken, requireAdmin, validate({ params: { id: v.id() } }), async (req, res) => {
     const { id } = req.params;
     try {
         await aiEngine.runCityTick(pool, Number(id));
-        res.json({ message: 'AI city update (v2) triggered' });
+        res.json({ message: 'AI city update (v2) triggered', code: 'AI_UPDATE_TRIGGERED' });
     } catch (err) {
-        res.status(500).json({ message: 'Error ejecutando update', error: err.message });
+        sendError(res, err, 'Error ejecutando update');
     }
 });
 
@@ -0,0 +1,191 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const { authenticateToken } = require('../middleware/auth');
+const { validate, v } = require('../middleware/validate');
+const { sendError } = require('../utils/errors');
+const allianceService = require('../utils/allianceService');
+const { ALLIANCE_RANKS, ALLIANCE_LIMITS, ALLIANCE_WAREHOUSE } = require('../constants/alliances');
+const { RESOURCE_CATEGORIES } = require('../utils/gameUtils');
+
+// Runs fn(client) in a transaction and rolls back on error
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch (e) { /* ignore */ }
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+const allianceParams = { id: v.id() };
+const memberParams = { id: v.id(), userId: v.id() };
+// The warehouse holds goods only: gold is rejected like an unknown resource
+const warehouseResource = () => v.oneOf(Object.keys(RESOURCE_CATEGORIES).filter(name => !ALLIANCE_WAREHOUSE.excludedResources.includes(name)));
+const resourcesBody = { resources: v.record(warehouseResource(), v.int({ min: 1 }), { min: 1 }) };
+
+// GET /api/alliances
+// Lista de alianzas con su etiqueta y número de miembros
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    res.json({ alliances: await allianceService.listAlliances(pool) });
+  } catch (err) {
+    sendError(res, err, 'Error al obtener las alianzas.');
+  }
+});
+
+// POST /api/alliances
+// Body: { name, tag }. Funda una alianza; el fundador es su líder
+router.post('/', authenticateToken, validate({
+  body: {
+    name: v.string({ min: ALLIANCE_LIMITS.nameMinLength, max: ALLIANCE_LIMITS.nameMaxLength }),
+    tag: v.string({ min: 2, max: 5, pattern: ALLIANCE_LIMITS.tagPattern })
+  }
+}), async (req, res) => {
+  try {
+    const alliance = await withTransaction(client => allianceService.createAllianceWithClient(client, req.user.id, req.body));
+    res.status(201).json({ message: 'Alianza fundada.', code: 'ALLIANCE_CREATED', alliance });
+  } catch (err) {
+    sendError(res, err, 'Error al fundar la alianza.');
+  }
+});
+
+// GET /api/alliances/invitations
+// Invitaciones pendientes del jugador autenticado
+router.get('/invitations', authenticateToken, async (req, res) => {
+  try {
+    res.json({ invitations: await allianceService.listInvitationsForUser(pool, req.user.id) });
+  } catch (err) {
+    sendError(res, err, 'Error al obtener las invitaciones.');
+  }
+});
+
+// POST /api/alliances/invitations/:id/accept | /decline
+router.post('/invitations/:id/:answer', authenticateToken, validate({
+  params: { id: v.id(), answer: v.oneOf(['accept', 'decline']) }
+}), async (req, res) => {
+  const { id, answer } = req.validated.params;
+  try {
+    const invitation = await withTransaction(client => allianceService.respondInvitationWithClient(client, req.user.id, id, answer === 'accept'));
+    if (answer === 'accept') return res.json({ message: 'Te has unido a la alianza.', code: 'ALLIANCE_JOINED', invitation });
+    res.json({ message: 'Invitación rechazada.', code: 'ALLIANCE_INVITATION_DECLINED', invitation });
+  } catch (err) {
+    sendError(res, err, 'Error al responder la invitación.');
+  }
+});
+
+// POST /api/alliances/leave
+// Abandona la alianza; si sale el líder, le sucede el miembro de más rango y antigüedad
+router.post('/leave', authenticateToken, async (req, res) => {
+  try {
+    const result = await withTransaction(client => allianceService.leaveWithClient(client, req.user.id));
+    if (!result) return res.status(404).json({ message: 'No perteneces a ninguna alianza.', code: 'ALLIANCE_NOT_FOUND' });
+    res.json(Object.assign({ message: 'Has abandonado la alianza.', code: 'ALLIANCE_LEFT' }, result));
+  } catch (err) {
+    sendError(res, err, 'Error al abandonar la alianza.');
+  }
+});
+
+// GET /api/alliances/:id
+// Datos de la alianza y sus miembros con rango y asentamiento
+router.get('/:id', authenticateToken, validate({ params: allianceParams }), async (req, res) => {
+  try {
+    const alliance = await allianceService.getAllianceWithClient(pool, req.validated.params.id);
+    if (!alliance) return res.status(404).json({ message: 'Alianza no encontrada.', code: 'ALLIANCE_NOT_FOUND' });
+    res.json({ alliance });
+  } catch (err) {
+    sendError(res, err, 'Error al obtener la alianza.');
+  }
+});
+
+// POST /api/alliances/:id/invitations
+// Body: { userId }. Líderes y oficiales
+router.post('/:id/invitations', authenticateToken, validate({ params: allianceParams, body: { userId: v.id() } }), async (req, res) => {
+  try {
+    const invitation = await withTransaction(client => allianceService.inviteWithClient(client, req.user.id, req.validated.params.id, req.body.userId));
+    res.status(201).json({ message: 'Invitación enviada.', code: 'ALLIANCE_INVITATION_SENT', invitation });
+  } catch (err) {
+    sendError(res, err, 'Error al invitar a la alianza.');
+  }
+});
+
+// PATCH /api/alliances/:id/members/:userId
+// Body: { rank }. Solo el líder; nombrar otro líder le cede el liderazgo
+router.patch('/:id/members/:userId', authenticateToken, validate({
+  params: memberParams,
+  body: { rank: v.oneOf(ALLIANCE_RANKS) }
+}), async (req, res) => {
+  const { id, userId } = req.validated.params;
+  try {
+    const changed = await withTransaction(client => allianceService.setRankWithClient(client, req.user.id, id, userId, req.body.rank));
+    res.json({ message: 'Rango actualizado.', code: 'ALLIANCE_RANK_UPDATED', changed });
+  } catch (err) {
+    sendError(res, err, 'Error al cambiar el rango.');
+  }
+});
+
+// DELETE /api/alliances/:id/members/:userId
+// Expulsa a un miembro (los oficiales solo a miembros rasos)
+router.delete('/:id/members/:userId', authenticateToken, validate({ params: memberParams }), async (req, res) => {
+  const { id, userId } = req.validated.params;
+  try {
+    const removed = await withTransaction(client => allianceService.kickWithClient(client, req.user.id, id, userId));
+    res.json(Object.assign({ message: 'Miembro expulsado de la alianza.', code: 'ALLIANCE_MEMBER_REMOVED' }, removed));
+  } catch (err) {
+    sendError(res, err, 'Error al expulsar al miembro.');
+  }
+});
+
+// GET /api/alliances/:id/warehouse
+// Contenido del almacén compartido y sus últimos movimientos (solo miembros)
+router.get('/:id/warehouse', authenticateToken, validate({ params: allianceParams }), async (req, res) => {
+  const allianceId = req.validated.params.id;
+  try {
+    const membership = await allianceService.getMembershipWithClient(pool, req.user.id);
+    if (!membership || Number(membership.alliance_id) !== allianceId) {
+      return res.status(403).json({ message: 'No eres miembro de esta alianza.', code: 'NOT_ALLIANCE_MEMBER' });
+    }
+    res.json(await allianceService.getWarehouseWithClient(pool, allianceId));
+  } catch (err) {
+    sendError(res, err, 'Error al obtener el almacén de la alianza.');
+  }
+});
+
+// POST /api/alliances/:id/warehouse/donate
+// Body: { resources: { wood: 100 } }. Del asentamiento del jugador al almacén
+router.post('/:id/warehouse/donate', authenticateToken, validate({ params: allianceParams, body: resourcesBody }), async (req, res) => {
+  const allianceId = req.validated.params.id;
+  const ent = await require('../utils/entityService').getEntityByUserId(pool, req.user.id);
+  if (!ent) return res.status(404).json({ message: 'No se encontró entidad asociada al usuario.', code: 'USER_ENTITY_NOT_FOUND' });
+  try {
+    const warehouse = await withTransaction(client => allianceService.donateWithClient(client, req.user.id, allianceId, ent.id, req.body.resources));
+    const resources = await require('../utils/resourcesService').getResources(ent.id);
+    res.json({ message: 'Donación entregada al almacén de la alianza.', code: 'ALLIANCE_DONATION', warehouse, resources });
+  } catch (err) {
+    sendError(res, err, 'Error al donar a la alianza.');
+  }
+});
+
+// POST /api/alliances/:id/warehouse/distribute
+// Body: { userId, resources: { wood: 100 } }. Solo el líder, a otro miembro: los recursos salen del
+// almacén y viajan en caravana desde el asentamiento del líder; el receptor paga el impuesto
+router.post('/:id/warehouse/distribute', authenticateToken, validate({
+  params: allianceParams,
+  body: Object.assign({ userId: v.id() }, resourcesBody)
+}), async (req, res) => {
+  const allianceId = req.validated.params.id;
+  try {
+    const { warehouse, caravan, tax } = await withTransaction(client => allianceService.distributeWithClient(client, req.user.id, allianceId, req.body.userId, req.body.resources));
+    res.json({ message: 'Recursos repartidos desde el almacén de la alianza.', code: 'ALLIANCE_DISTRIBUTION', warehouse, caravan, tax });
+  } catch (err) {
+    sendError(res, err, 'Error al repartir desde el almacén de la alianza.');
+  }
+});
+
+module.exports = router;
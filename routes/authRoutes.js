@@ -1,71 +1,50 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../db'); 
-const jwt = require('jsonwebtoken'); 
 const bcrypt = require('bcrypt'); 
 const { calculatePopulationStats, findAvailableCoordinates } = require('../utils/gameUtils');
 // ⭐️ Importación centralizada:
 const { authenticateToken } = require('../middleware/auth'); 
+const { rateLimit, loginLockout, recordLoginFailure, recordLoginSuccess } = require('../middleware/rateLimit');
+const { validate, v } = require('../middleware/validate');
+const { sendError } = require('../utils/errors');
 const { getResources } = require('../utils/resourcesService');
 const { getBuildings } = require('../utils/buildingsService');
-
-const JWT_SECRET = process.env.JWT_SECRET;
-const BASE_POPULATION = 1;
-
-// Función auxiliar para crear el token
-const createToken = (userId, username) => {
-    return jwt.sign(
-        { id: userId, username: username }, 
-        JWT_SECRET, 
-        { expiresIn: '7d' } // Token válido por 7 días
-    );
-};
-
-const { BUILDING_COSTS } = require('../constants/buildings');
-
-//funcion para calcular el coste de un edificio en funcion de su nivel
-function calculateNextLevelCost(building) {
-  const costDef = BUILDING_COSTS[building.type];
-  if (!costDef) return {};
-
-  // Aplicamos el multiplicador por nivel para todas las claves de coste
-  const multiplier = 1.5;
-  const level = building.level || 0;
-  const out = {};
-  for (const [k, v] of Object.entries(costDef || {})) {
-    if (k === 'popNeeded' || k === 'popneeded' || k === 'pop') continue;
-    out[k.toString().toLowerCase()] = Math.ceil(Number(v || 0) * Math.pow(multiplier, level));
-  }
-  return out;
-}
-
+const sessionService = require('../utils/sessionService');
+const { BASE_POPULATION } = require('../constants/player');
+const { PASSWORD_LENGTH } = require('../constants/auth');
+const { SUPPORTED_LANGUAGES } = require('../utils/i18n');
 
 // -----------------------------------------------------------------
 // --- RUTAS PÚBLICAS ---
 // -----------------------------------------------------------------
 
 // -----------------------Ruta para registrar un nuevo usuario/asentamiento-------------------------
-router.post('/register', async (req, res) => {
-    const { username, password, factionId } = req.body; 
-
-    // Validación de campos obligatorios
-    if (!username || !password || !factionId) {
-        return res.status(400).json({ message: 'Faltan campos: username, password y factionId son obligatorios.' });
+router.post('/register', rateLimit('register'), validate({
+    body: {
+        username: v.string({ min: 3, max: 32, pattern: /^[\p{L}\p{N}_.-]+$/u, patternCode: 'FIELD_USERNAME_CHARS' }),
+        password: v.string(PASSWORD_LENGTH),
+        factionId: v.id(),
+        // Idioma preferido de los mensajes; sin él se usa Accept-Language
+        language: v.oneOf(SUPPORTED_LANGUAGES).optional()
     }
+}), async (req, res) => {
+    const { username, password, factionId, language = null } = req.body; 
+    if (language) req.lang = language;
 
   try {
     // Early check: if username already exists, return 409 before attempting INSERT.
     const existsRes = await pool.query('SELECT 1 FROM users WHERE username = $1 LIMIT 1', [username]);
     if (existsRes.rows.length > 0) {
-      return res.status(409).json({ message: 'Usuario ya existe.' });
+      return res.status(409).json({ message: 'Usuario ya existe.', code: 'USERNAME_TAKEN' });
     }
 
     const hashedPassword = await bcrypt.hash(password, 10);
 
     // 1️⃣ Insertar usuario
     const newUser = await pool.query(
-      'INSERT INTO users (username, password) VALUES ($1, $2) RETURNING id, username',
-      [username, hashedPassword]
+      'INSERT INTO users (username, password, language) VALUES ($1, $2, $3) RETURNING id, username',
+      [username, hashedPassword, language]
     );
 
         const userId = newUser.rows[0].id;
@@ -77,26 +56,8 @@ router.post('/register', async (req, res) => {
 
         // 3️⃣ Crear entidad del jugador y inicializar recursos usando helper
         const { createEntityWithResources } = require('../utils/entityService');
-        const resourcesService = require('../utils/resourcesService');
-        const resourceTypes = await resourcesService.getResourceTypes();
-        // Balanced starter defaults for human player
-        const playerDefaults = {
-          wood: 1400,
-          stone: 1200,
-          food: 2000,
-          water: 400,
-          coal: 300,
-          clay: 300,
-          honey: 100,
-          wool: 100,
-          copper: 200,
-          leather: 100
-        };
-        const defaults = {};
-        for (const r of resourceTypes) {
-          const name = (r.name || '').toLowerCase();
-          defaults[name] = typeof playerDefaults[name] === 'number' ? playerDefaults[name] : 0;
-        }
+        // Balanced starter defaults for human player (compartidos con el respawn)
+        const defaults = await require('../utils/accountService').getStarterResourcesWithClient(pool);
 
         let newEntity;
         try {
@@ -129,42 +90,9 @@ router.post('/register', async (req, res) => {
             } catch (aiErr) {
               console.warn('Error creando ciudades IA al registrar usuario:', aiErr && aiErr.message ? aiErr.message : aiErr);
             }
-                // 6️⃣ If this is the very first player registered, create NPC bazaars near each faction
+                // 6️⃣ Bazar NPC para cada facción que aún no tenga (también las creadas después del primer registro)
                 try {
-                  // Count players (users) to determine if this is the first registration
-                  const usersCountRes = await pool.query('SELECT COUNT(*)::int AS c FROM users');
-                  const usersCount = parseInt(usersCountRes.rows[0].c || '0', 10);
-                  if (usersCount === 1) {
-                    // create one npc_bazar per faction (reusing findAvailableCoordinates)
-                    const factionsAll = await pool.query('SELECT id, name FROM factions');
-                    const { createEntityWithResources } = require('../utils/entityService');
-                    const resourcesService = require('../utils/resourcesService');
-                    const resourceTypes = await resourcesService.getResourceTypes();
-                    // build initialResources map with 100000 of each resource
-                    const bigStock = {};
-                    for (const r of resourceTypes) {
-                      const name = (r.name || '').toLowerCase();
-                      bigStock[name] = 100000;
-                    }
-
-                    for (const f of factionsAll.rows) {
-                      try {
-                        const coords = await findAvailableCoordinates(pool, f.id);
-                        await createEntityWithResources(pool, {
-                          user_id: null,
-                          faction_id: f.id,
-                          type: 'npc_bazar',
-                          x_coord: coords.x,
-                          y_coord: coords.y,
-                          population: 0,
-                          initialResources: bigStock
-                        });
-                        console.info(`NPC bazar creado para facción ${f.name} en (${coords.x}, ${coords.y})`);
-                      } catch (bazErr) {
-                        console.warn('Error creando npc_bazar para facción', f.id, bazErr && bazErr.message ? bazErr.message : bazErr);
-                      }
-                    }
-                  }
+                  await require('../utils/bazaarService').ensureFactionBazaars();
                 } catch (bazAllErr) {
                   console.warn('Error comprobando/creando npc_bazar al registrar usuario:', bazAllErr && bazAllErr.message ? bazAllErr.message : bazAllErr);
                 }
@@ -175,32 +103,31 @@ router.post('/register', async (req, res) => {
             } catch (delErr) {
                 console.error('Failed to cleanup user after entity creation failure:', delErr && delErr.message ? delErr.message : delErr);
             }
-            console.error('Error creating entity during register:', entityErr && entityErr.message ? entityErr.message : entityErr);
-            return res.status(500).json({ message: 'Error creando la entidad del jugador durante el registro.', error: entityErr && entityErr.message ? entityErr.message : String(entityErr) });
+            return sendError(res, entityErr, 'Error creando la entidad del jugador durante el registro.');
         }
 
   console.debug(`Nuevo usuario registrado: ${username} (ID: ${userId}) en las coordenadas (${x}, ${y})`);
-        let token = null;
+        let session = { token: null, refreshToken: null, expiresIn: null };
         try {
-            token = createToken(userId, username);
+            session = await sessionService.issueSessionWithClient(pool, { id: userId, username, token_version: 0 });
         } catch (tErr) {
-            console.warn('Warning: failed to create JWT token on register:', tErr && tErr.message ? tErr.message : tErr);
-            token = null;
+            console.warn('Warning: failed to create session tokens on register:', tErr && tErr.message ? tErr.message : tErr);
         }
 
     res.status(201).json({
-      message: 'Registro exitoso.',
+      message: 'Registro exitoso.', code: 'REGISTERED',
       user: { id: userId, username },
       entity: newEntity,
-      token,
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
       buildings: [],
       population: calculatePopulationStats([], BASE_POPULATION)
     });
 
     } catch (err) {
-        if (err.code === '23505') return res.status(409).json({ message: 'Usuario ya existe.' });
-        console.error(err);
-        res.status(500).json({ message: 'Error al registrar usuario.', error: err.message });
+        if (err.code === '23505') return res.status(409).json({ message: 'Usuario ya existe.', code: 'USERNAME_TAKEN' });
+        sendError(res, err, 'Error al registrar usuario.');
     }
 });
 
@@ -208,14 +135,21 @@ router.post('/register', async (req, res) => {
 //---------------------------------------------------------------------------------------------------------------------------------//
 
 // ----------------------------Ruta para iniciar sesión-------------------------------
-router.post('/login', async (req, res) => {
+// Limitado por IP y por username; los fallos repetidos bloquean el username de forma progresiva
+router.post('/login', rateLimit('loginIp'), rateLimit('loginUsername'), loginLockout, validate({
+    body: { username: v.string({ max: 64 }), password: v.string({ max: 128 }) }
+}), async (req, res) => {
     const { username, password } = req.body;
 
  try {
-        const userResult = await pool.query('SELECT id, username, password FROM users WHERE username=$1', [username]);
+        const userResult = await pool.query('SELECT id, username, password, token_version, language FROM users WHERE username=$1', [username]);
         const user = userResult.rows[0];
-        if (!user || !(await bcrypt.compare(password, user.password)))
-            return res.status(401).json({ message: 'Usuario o contraseña incorrectos.' });
+        if (!user || !(await bcrypt.compare(password, user.password))) {
+            try { await recordLoginFailure(username); } catch (e) { console.error('Error registrando login fallido:', e.message); }
+            return res.status(401).json({ message: 'Usuario o contraseña incorrectos.', code: 'INVALID_CREDENTIALS' });
+        }
+        try { await recordLoginSuccess(username); } catch (e) { console.error('Error limpiando el bloqueo de login:', e.message); }
+        if (user.language) req.lang = user.language;
 
     // Obtener entidad del jugador
     const { getEntityByUserId } = require('../utils/entityService');
@@ -230,25 +164,73 @@ router.post('/login', async (req, res) => {
   const popSummary = await populationService.getPopulationSummary(entity.id);
   const populationStats = calculatePopulationStats(buildingsList, parseInt(popSummary.total || 0, 10));
 
-        const token = createToken(user.id, user.username);
+        const session = await sessionService.issueSessionWithClient(pool, user);
 
         res.json({
-            message: `Bienvenido, ${user.username}`,
+            message: `Bienvenido, ${user.username}`, code: 'WELCOME',
             user: { id: user.id, username: user.username },
             entity,
             resources,
             buildings: buildingsList,
             population: populationStats,
-            token
+            token: session.token,
+            refreshToken: session.refreshToken,
+            expiresIn: session.expiresIn
         });
 
     } catch (err) {
-        console.error(err);
-        res.status(500).json({ message: 'Error en login', error: err.message });
+        sendError(res, err, 'Error en login');
     }
 });
 
 
+// ------------------------------------------------------------------------------------------------------------------------------//
+
+// ----------------------Rutas de sesión: refresh y logout---------------------------
+// POST /api/refresh { refreshToken } -> { token, refreshToken, expiresIn }
+// El refresh token presentado queda revocado y se entrega uno nuevo (rotación).
+router.post('/refresh', validate({ body: { refreshToken: v.string({ max: 256 }) } }), async (req, res) => {
+    const { refreshToken } = req.body;
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const session = await sessionService.rotateRefreshTokenWithClient(client, refreshToken);
+        await client.query('COMMIT');
+        res.json({ token: session.token, refreshToken: session.refreshToken, expiresIn: session.expiresIn });
+    } catch (err) {
+        // La revocación de la familia tras reutilizar un token tiene que persistir
+        try { await client.query(err.code === 'REFRESH_TOKEN_REUSED' ? 'COMMIT' : 'ROLLBACK'); } catch (e) { /* ignore */ }
+        if (['REFRESH_TOKEN_INVALID', 'REFRESH_TOKEN_EXPIRED', 'REFRESH_TOKEN_REUSED'].includes(err.code)) {
+            if (err.code === 'REFRESH_TOKEN_REUSED') console.warn(`Refresh token reutilizado para el usuario ${err.userId}; sesiones revocadas.`);
+            return res.status(401).json({ message: err.message, code: err.code });
+        }
+        sendError(res, err, 'Error renovando la sesión.');
+    } finally {
+        client.release();
+    }
+});
+
+// POST /api/logout { refreshToken } -> cierra esa sesión (el access token caduca solo)
+router.post('/logout', validate({ body: { refreshToken: v.string({ max: 256 }) } }), async (req, res) => {
+    const { refreshToken } = req.body;
+    try {
+        const revoked = await sessionService.revokeRefreshTokenWithClient(pool, refreshToken);
+        res.json({ message: 'Sesión cerrada.', code: 'LOGGED_OUT', revoked });
+    } catch (err) {
+        sendError(res, err, 'Error cerrando la sesión.');
+    }
+});
+
+// POST /api/logout-all -> invalida todos los access y refresh tokens del usuario
+router.post('/logout-all', authenticateToken, async (req, res) => {
+    try {
+        await sessionService.revokeAllSessionsWithClient(pool, req.user.id);
+        res.json({ message: 'Todas las sesiones han sido cerradas.', code: 'LOGGED_OUT_ALL' });
+    } catch (err) {
+        sendError(res, err, 'Error cerrando las sesiones.');
+    }
+});
+
 // ------------------------------------------------------------------------------------------------------------------------------//
 
 // ----------------------RUTA /api/me (Validar Sesión y Obtener Datos) ---------------------------
@@ -259,7 +241,7 @@ router.get('/me', authenticateToken, async (req, res) => {
  // 1️⃣ Buscar la entidad asociada al usuario
     const { getEntityByUserId } = require('../utils/entityService');
     const entity = await getEntityByUserId(pool, userId);
-    if (!entity) return res.status(404).json({ message: 'No se encontró ninguna entidad asociada a este usuario.' });
+    if (!entity) return res.status(404).json({ message: 'No se encontró ninguna entidad asociada a este usuario.', code: 'USER_ENTITY_NOT_FOUND' });
 
     // 2️⃣ Obtener inventario de recursos (servicio centralizado)
     const resources = await getResources(entity.id);
@@ -268,23 +250,36 @@ router.get('/me', authenticateToken, async (req, res) => {
     let buildings = [];
     try {
       buildings = await getBuildings(entity.id);
-      buildings = buildings.map(b => ({
-        type: b.type,
-        level: b.level,
-        count: b.count,
-        nextLevelCost: calculateNextLevelCost({ type: b.type, level: b.level })
-      }));
+      // Next-level cost from the shared cost engine, counting upgrades already queued
+      const costEngine = require('../utils/costEngine');
+      const { getPendingSummaryWithClient } = require('../utils/constructionQueueService');
+      const pending = await getPendingSummaryWithClient(pool, entity.id);
+      const modifiers = await require('../utils/researchService').getModifiersWithClient(pool, entity.id);
+      buildings = buildings.map(b => {
+        const breakdown = costEngine.getBuildBreakdown(b.type, b.level, { pendingCount: pending.pendingByType[b.type] || 0, modifiers });
+        return {
+          type: b.type,
+          level: b.level,
+          count: b.count,
+          nextLevel: breakdown ? breakdown.nextLevel : null,
+          nextLevelCost: breakdown ? breakdown.cost : {},
+          nextLevelTimeSeconds: breakdown ? breakdown.timeSeconds : null
+        };
+      });
     } catch (err) {
       console.warn('⚠️ Tabla buildings no encontrada o sin datos:', err.message);
     }
 
+    // Capacidad de almacenamiento y tiempo hasta llenarse por recurso
+    const storageReport = await require('../utils/storageService').getStorageReportWithClient(pool, entity.id);
+
     // Obtener resumen de población desde la nueva tabla
     const populationService = require('../utils/populationService');
     const popSummary = await populationService.getPopulationSummary(entity.id);
 
     // 4️⃣ Obtener info del usuario base
     const userResult = await pool.query(
-      `SELECT id, username, created_at FROM users WHERE id = $1`,
+      `SELECT id, username, role, language, created_at FROM users WHERE id = $1`,
       [userId]
     );
 
@@ -292,11 +287,13 @@ router.get('/me', authenticateToken, async (req, res) => {
 
     // 5️⃣ Responder al frontend en formato amigable
    res.json({
-  message: 'Datos de sesión cargados correctamente.',
+  message: 'Datos de sesión cargados correctamente.', code: 'SESSION_LOADED',
   user: {
     id: user.id,
     username: user.username,
     created_at: user.created_at,
+    role: user.role || 'player',
+    language: user.language || null,
   },
   entity: {
     id: entity.id,
@@ -305,6 +302,7 @@ router.get('/me', authenticateToken, async (req, res) => {
     x_coord: entity.x_coord,
     y_coord: entity.y_coord,
     resources,  // aquí sí incluyes los recursos
+    storage: storageReport ? storageReport.resources : null,
   // population comes from the populations table
   current_population: popSummary.total || 0,
   max_population: popSummary.max || 0, // o calcula según edificios
@@ -318,8 +316,7 @@ router.get('/me', authenticateToken, async (req, res) => {
 });
 
   } catch (error) {
-    console.error('Error en /me:', error);
-    res.status(500).json({ message: 'Error al obtener los datos del usuario', error: error.message });
+    sendError(res, error, 'Error al obtener los datos del usuario');
   }
 });
 
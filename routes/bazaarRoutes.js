@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const { validate, v } = require('../middleware/validate');
+const { sendError } = require('../utils/errors');
+const bazaarService = require('../utils/bazaarService');
+
+// GET /api/bazaars?resource=wood
+// Ofertas públicas de todos los bazares: existencias, precio de compra (ask) y de venta (bid) por recurso
+router.get('/', validate({ query: { resource: v.resourceName().optional() } }), async (req, res) => {
+  try {
+    const bazaars = await bazaarService.listOffers(pool, req.validated.query.resource || null);
+    res.json({ bazaars });
+  } catch (err) {
+    sendError(res, err, 'Error al obtener las ofertas de los bazares.');
+  }
+});
+
+// GET /api/bazaars/:id/offers?resource=wood
+// Ofertas actuales de un bazar
+router.get('/:id/offers', validate({
+  params: { id: v.id() },
+  query: { resource: v.resourceName().optional() }
+}), async (req, res) => {
+  try {
+    const bazaar = await bazaarService.getOffersWithClient(pool, req.validated.params.id, req.validated.query.resource || null);
+    if (!bazaar) return res.status(404).json({ message: 'Bazar no encontrado.', code: 'BAZAAR_NOT_FOUND' });
+    res.json(bazaar);
+  } catch (err) {
+    sendError(res, err, 'Error al obtener las ofertas del bazar.');
+  }
+});
+
+module.exports = router;
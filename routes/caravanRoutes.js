@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const { authenticateToken } = require('../middleware/auth');
+const caravanService = require('../utils/caravanService');
+const { sendError } = require('../utils/errors');
+const { validate, v } = require('../middleware/validate');
+
+// GET /api/caravans?direction=incoming|outgoing|all&status=in_transit|delivered|all
+// Caravanas del jugador autenticado (por defecto: todas las que están en camino)
+router.get('/', authenticateToken, validate({
+  query: { direction: v.oneOf(['incoming', 'outgoing', 'all']).optional(), status: v.oneOf(['in_transit', 'delivered', 'all']).optional() }
+}), async (req, res) => {
+  const direction = req.validated.query.direction || 'all';
+  const status = req.validated.query.status || 'in_transit';
+
+  try {
+    const ent = await require('../utils/entityService').getEntityByUserId(pool, req.user.id);
+    if (!ent) return res.status(404).json({ message: 'No se encontró entidad asociada al usuario.', code: 'USER_ENTITY_NOT_FOUND' });
+    const caravans = await caravanService.listCaravansForEntity(pool, ent.id, { direction, status });
+    res.json({
+      entityId: ent.id,
+      incoming: caravans.filter(c => Number(c.destination_entity_id) === Number(ent.id)),
+      outgoing: caravans.filter(c => Number(c.origin_entity_id) === Number(ent.id))
+    });
+  } catch (err) {
+    sendError(res, err, 'Error al obtener caravanas.');
+  }
+});
+
+module.exports = router;
@@ -2,17 +2,17 @@ const express = require('express');
 const router = express.Router();
 const { getBuildings } = require('../utils/buildingsService');
 const { authenticateToken } = require('../middleware/auth');
+const { validate, v } = require('../middleware/validate');
+const { sendError } = require('../utils/errors');
 
 // GET /api/entities/:id/buildings
-router.get('/:id/buildings', authenticateToken, async (req, res) => {
-  const id = Number(req.params.id);
-  if (!id) return res.status(400).json({ message: 'Invalid entity id' });
+router.get('/:id/buildings', authenticateToken, validate({ params: { id: v.id() } }), async (req, res) => {
+  const id = req.validated.params.id;
   try {
     const buildings = await getBuildings(id);
     res.json({ entityId: id, buildings });
   } catch (err) {
-    console.error('Error fetching buildings for entity', id, err.message);
-    res.status(500).json({ message: 'Error fetching buildings' });
+    sendError(res, err, 'Error fetching buildings');
   }
 });
 
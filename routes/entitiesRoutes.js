@@ -2,10 +2,17 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../db');
 const { authenticateToken } = require('../middleware/auth');
+const { requireAdmin, requireEntityOwnership } = require('../middleware/authorization');
 const { getResources, setResourcesWithClient, getResourceTypeNameByIdWithClient } = require('../utils/resourcesService');
 const { getBuildings } = require('../utils/buildingsService');
 const populationService = require('../utils/populationService');
 const entityService = require('../utils/entityService');
+const { LEDGER_REASONS, LEDGER_MAX_PAGE_SIZE } = require('../constants/ledger');
+const { validate, v, PG_INT_MAX } = require('../middleware/validate');
+const { sendError } = require('../utils/errors');
+
+const ENTITY_TYPES = ['player', 'cityIA', 'npc_bazar'];
+const entityIdParams = { id: v.id() };
 
 /* ======================================================
    ENTIDADES (jugadores, IA, NPCs, etc.)
@@ -22,8 +29,7 @@ router.get('/', authenticateToken, async (req, res) => {
     const simplified = rows.map(r => ({ id: r.id, user_id: r.user_id, faction_id: r.faction_id, type: r.type, x_coord: r.x_coord, y_coord: r.y_coord }));
     res.status(200).json(simplified);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Error obteniendo entidades', error: err.message });
+    sendError(res, err, 'Error obteniendo entidades');
   }
 });
 
@@ -31,11 +37,11 @@ router.get('/', authenticateToken, async (req, res) => {
  * GET /entities/:id
  * Devuelve los datos de una entidad específica.
  */
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, validate({ params: entityIdParams }), async (req, res) => {
   const { id } = req.params;
   try {
     const entity = await entityService.getEntityById(pool, id, false);
-    if (!entity) return res.status(404).json({ message: 'Entidad no encontrada' });
+    if (!entity) return res.status(404).json({ message: 'Entidad no encontrada', code: 'ENTITY_NOT_FOUND' });
 
     // gather resources, buildings and population summary using helpers
     const resources = await getResources(id);
@@ -58,37 +64,47 @@ router.get('/:id', authenticateToken, async (req, res) => {
       }
     }));
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Error obteniendo entidad', error: err.message });
+    sendError(res, err, 'Error obteniendo entidad');
   }
 });
 
 /**
  * POST /entities
- * Crea una nueva entidad (jugador, IA, etc.).
+ * Crea una nueva entidad (jugador, IA, etc.). Solo administradores.
  */
-router.post('/', authenticateToken, async (req, res) => {
-  const { user_id, faction_id, type, x_coord, y_coord } = req.body;
-
-  if (!type || x_coord == null || y_coord == null) {
-    return res.status(400).json({ message: 'Faltan campos obligatorios: type, x_coord, y_coord' });
+router.post('/', authenticateToken, requireAdmin, validate({
+  body: {
+    user_id: v.id().nullable(),
+    faction_id: v.id().nullable(),
+    type: v.oneOf(ENTITY_TYPES),
+    x_coord: v.int({ min: 0 }),
+    y_coord: v.int({ min: 0 })
   }
+}), async (req, res) => {
+  const { user_id, faction_id, type, x_coord, y_coord } = req.body;
 
   try {
     // Create using entityService (which will be responsible for resource initialization if desired)
     const entity = await entityService.createEntityWithResources(pool, { user_id, faction_id, type, x_coord, y_coord, initialResources: {} });
-    res.status(201).json({ message: 'Entidad creada correctamente', entity });
+    res.status(201).json({ message: 'Entidad creada correctamente', code: 'ENTITY_CREATED', entity });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Error creando entidad', error: err.message });
+    sendError(res, err, 'Error creando entidad');
   }
 });
 
 /**
  * PATCH /entities/:id
- * Actualiza datos de una entidad (posición, población, facción, etc.).
+ * Actualiza datos de una entidad (posición, población, facción, etc.). Solo administradores.
  */
-router.patch('/:id', authenticateToken, async (req, res) => {
+router.patch('/:id', authenticateToken, requireAdmin, validate({
+  params: entityIdParams,
+  body: {
+    x_coord: v.int({ min: 0 }).optional(),
+    y_coord: v.int({ min: 0 }).optional(),
+    faction_id: v.id().optional(),
+    type: v.oneOf(ENTITY_TYPES).optional()
+  }
+}), async (req, res) => {
   const { id } = req.params;
   const { x_coord, y_coord, faction_id, type } = req.body;
 
@@ -105,31 +121,29 @@ router.patch('/:id', authenticateToken, async (req, res) => {
     if (type != null) { fields.push(`type = $${index++}`); values.push(type); }
 
     if (fields.length === 0) {
-      return res.status(400).json({ message: 'No se enviaron campos para actualizar' });
+      return res.status(400).json({ message: 'No se enviaron campos para actualizar', code: 'NO_FIELDS_TO_UPDATE' });
     }
 
     const updated = await entityService.updateEntity(pool, id, Object.fromEntries(fields.map((f, i) => [f.split(' = ')[0], values[i]])));
-    if (!updated) return res.status(404).json({ message: 'Entidad no encontrada' });
-    res.status(200).json({ message: 'Entidad actualizada', entity: updated });
+    if (!updated) return res.status(404).json({ message: 'Entidad no encontrada', code: 'ENTITY_NOT_FOUND' });
+    res.status(200).json({ message: 'Entidad actualizada', code: 'ENTITY_UPDATED', entity: updated });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Error actualizando entidad', error: err.message });
+    sendError(res, err, 'Error actualizando entidad');
   }
 });
 
 /**
  * DELETE /entities/:id
- * Elimina una entidad del juego.
+ * Elimina una entidad del juego. Solo administradores.
  */
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, requireAdmin, validate({ params: entityIdParams }), async (req, res) => {
   const { id } = req.params;
   try {
     const deleted = await entityService.deleteEntity(pool, id);
-    if (!deleted) return res.status(404).json({ message: 'Entidad no encontrada' });
-    res.status(200).json({ message: 'Entidad eliminada', deleted });
+    if (!deleted) return res.status(404).json({ message: 'Entidad no encontrada', code: 'ENTITY_NOT_FOUND' });
+    res.status(200).json({ message: 'Entidad eliminada', code: 'ENTITY_DELETED', deleted });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Error eliminando entidad', error: err.message });
+    sendError(res, err, 'Error eliminando entidad');
   }
 });
 
@@ -141,7 +155,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
  * GET /entities/:id/resources
  * Devuelve los recursos de una entidad.
  */
-router.get('/:id/resources', authenticateToken, async (req, res) => {
+router.get('/:id/resources', authenticateToken, validate({ params: entityIdParams }), async (req, res) => {
   const { id } = req.params;
   try {
     const resources = await getResources(id);
@@ -151,23 +165,23 @@ router.get('/:id/resources', authenticateToken, async (req, res) => {
       resources: Object.keys(resources).map(name => ({ name, amount: resources[name] }))
     });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Error obteniendo recursos', error: err.message });
+    sendError(res, err, 'Error obteniendo recursos');
   }
 });
 
 /**
  * PATCH /entities/:id/resources
- * Modifica (aumenta o reduce) los recursos de una entidad.
+ * Modifica (aumenta o reduce) los recursos de una entidad. Solo administradores.
  */
-router.patch('/:id/resources', authenticateToken, async (req, res) => {
+router.patch('/:id/resources', authenticateToken, requireAdmin, validate({
+  params: entityIdParams,
+  body: {
+    updates: v.array(v.object({ resource_type_id: v.id(), amount_change: v.int({ min: -PG_INT_MAX }) }), { min: 1 })
+  }
+}), async (req, res) => {
   const { id } = req.params;
   const { updates } = req.body; // [{ resource_type_id, amount_change }]
 
-  if (!Array.isArray(updates) || updates.length === 0) {
-    return res.status(400).json({ message: 'Se requiere un array de actualizaciones' });
-  }
-
   try {
     // Read current resources, apply deltas, and write back within one transaction
     const client = await pool.connect();
@@ -184,9 +198,12 @@ router.patch('/:id/resources', authenticateToken, async (req, res) => {
       }
 
       // Persist using client
-      await setResourcesWithClient(client, id, newResources);
+      await setResourcesWithClient(client, id, newResources, {
+        reason: LEDGER_REASONS.ADMIN_SET,
+        details: { userId: req.user.id, updates }
+      });
       await client.query('COMMIT');
-      res.json({ message: 'Inventario actualizado correctamente.', resources: newResources });
+      res.json({ message: 'Inventario actualizado correctamente.', code: 'INVENTORY_UPDATED', resources: newResources });
     } catch (err) {
       await client.query('ROLLBACK');
       throw err;
@@ -194,7 +211,36 @@ router.patch('/:id/resources', authenticateToken, async (req, res) => {
       client.release();
     }
   } catch (err) {
-    res.status(500).json({ message: 'Error al actualizar recursos', error: err.message });
+    sendError(res, err, 'Error al actualizar recursos');
+  }
+});
+
+/**
+ * GET /entities/:id/ledger
+ * Historial de cambios de recursos (más recientes primero). Solo la propia entidad (o administradores).
+ * Filtros: resource, reason, refType, refId, since, until (ISO), limit y before (cursor nextBefore).
+ */
+router.get('/:id/ledger', authenticateToken, validate({
+  params: entityIdParams,
+  query: {
+    resource: v.resourceName().optional(),
+    reason: v.oneOf(Object.values(LEDGER_REASONS)).optional(),
+    refType: v.string({ max: 50 }).optional(),
+    refId: v.id().optional(),
+    since: v.date().optional(),
+    until: v.date().optional(),
+    before: v.id().optional(),
+    limit: v.int({ min: 1, max: LEDGER_MAX_PAGE_SIZE }).optional()
+  }
+}), requireEntityOwnership(req => req.params.id), async (req, res) => {
+  const { id } = req.params;
+  const { resource, reason, refType, refId, since, until, before, limit } = req.validated.query;
+  try {
+    const ledgerService = require('../utils/ledgerService');
+    const page = await ledgerService.listLedgerWithClient(pool, id, { resource, reason, refType, refId, since, until, before, limit });
+    res.status(200).json(Object.assign({ entity_id: parseInt(id, 10) }, page));
+  } catch (err) {
+    sendError(res, err, 'Error obteniendo el historial de recursos');
   }
 });
 
@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const { authenticateToken } = require('../middleware/auth');
+const { validate, v } = require('../middleware/validate');
+const { sendError } = require('../utils/errors');
+const { getTokenStateWithClient } = require('../utils/sessionService');
+const eventBus = require('../utils/eventBus');
+const { EVENT_STREAM } = require('../constants/events');
+
+// Streams abiertos por usuario (EVENT_STREAM.maxConnectionsPerUser)
+const openStreams = new Map();
+
+// EventSource no puede enviar cabeceras: el access token puede llegar como ?access_token=
+const tokenFromQuery = (req, res, next) => {
+  const token = req.query.access_token;
+  if (!req.headers.authorization && typeof token === 'string' && token) req.headers.authorization = `Bearer ${token}`;
+  next();
+};
+
+// GET /api/events
+// Server-Sent Events de la entidad del usuario: resources.tick, population.changed, build.completed,
+// research.completed, trade.executed, caravan.delivered y ai.activity de las ciudades IA cercanas
+// (tipos en constants/events.js). Cada mensaje lleva `event: <tipo>` y `data: { type, entityId, data, at }`.
+// El primero es `ready`; tras reconectar conviene recargar /api/me porque no se reenvían eventos perdidos.
+// En cada latido se vuelve a comprobar token_version: tras /api/logout-all o al borrar la cuenta el
+// canal envía `revoked` y se cierra.
+router.get('/', validate({ query: { access_token: v.string({ max: 2048 }).optional() } }), tokenFromQuery, authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+  let entity;
+  try {
+    entity = await require('../utils/entityService').getEntityByUserId(pool, userId);
+  } catch (err) {
+    return sendError(res, err, 'Error al abrir el canal de eventos.');
+  }
+  if (!entity) return res.status(404).json({ message: 'No se encontró entidad asociada al usuario.', code: 'USER_ENTITY_NOT_FOUND' });
+
+  const open = openStreams.get(userId) || 0;
+  if (open >= EVENT_STREAM.maxConnectionsPerUser) {
+    return res.status(429).json({ message: 'Demasiados canales de eventos abiertos.', code: 'EVENT_STREAM_LIMIT', max: EVENT_STREAM.maxConnectionsPerUser });
+  }
+  openStreams.set(userId, open + 1);
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // nginx y similares no deben acumular el stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let nextId = 1;
+  const write = (type, payload) => res.write(`id: ${nextId++}\nevent: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+  res.write(`retry: ${EVENT_STREAM.retryMs}\n\n`);
+  write('ready', { entityId: entity.id });
+
+  const unsubscribe = eventBus.subscribe(entity, (event) => write(event.type, event));
+  const tokenVersion = Number(req.user.tv) || 0;
+  let checking = false;
+  const heartbeat = setInterval(async () => {
+    if (checking) return;
+    checking = true;
+    try {
+      const state = await getTokenStateWithClient(pool, userId);
+      if (res.writableEnded) return;
+      if (state === null || state.tokenVersion !== tokenVersion) {
+        write('revoked', { code: 'TOKEN_REVOKED' });
+        res.end();
+        return;
+      }
+    } catch (err) {
+      // Un fallo puntual de la base de datos no cierra el canal: se reintenta en el siguiente latido
+      console.warn('[events] No se pudo comprobar la sesión del canal de eventos:', err.message);
+    } finally {
+      checking = false;
+    }
+    if (!res.writableEnded) res.write(': ping\n\n');
+  }, EVENT_STREAM.heartbeatSeconds * 1000);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    const remaining = (openStreams.get(userId) || 1) - 1;
+    if (remaining > 0) openStreams.set(userId, remaining);
+    else openStreams.delete(userId);
+  });
+});
+
+module.exports = router;
@@ -1,6 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../db');
+const { authenticateToken } = require('../middleware/auth');
+const { validate, v } = require('../middleware/validate');
+const { sendError } = require('../utils/errors');
+const treasuryService = require('../utils/treasuryService');
+const { TRADE_TAX, FACTION_TREASURY_BONUSES, FACTION_TREASURY_SPENDING } = require('../constants/treasury');
 
 // 📦 GET /api/factions
 router.get('/', async (req, res) => {
@@ -28,4 +33,45 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/factions/treasury?hours=24
+// Tesoro de cada facción, impuestos recaudados en las últimas `hours` y bonificaciones activas
+router.get('/treasury', validate({
+  query: { hours: v.int({ min: 1, max: TRADE_TAX.reportMaxHours }).optional() }
+}), async (req, res) => {
+  try {
+    const report = await treasuryService.getTreasuryReport(pool, { hours: req.validated.query.hours });
+    res.json(Object.assign(report, { taxRates: TRADE_TAX.rates, bonuses: FACTION_TREASURY_BONUSES, spending: FACTION_TREASURY_SPENDING }));
+  } catch (err) {
+    sendError(res, err, 'Error obteniendo el tesoro de las facciones.');
+  }
+});
+
+// POST /api/factions/:id/bonuses
+// Body: { bonus: 'granaries' }
+// Gasta el tesoro de la facción en una bonificación temporal; solo para sus miembros con cierta antigüedad
+// y como mucho una compra por jugador cada FACTION_TREASURY_SPENDING.userCooldownHours
+router.post('/:id/bonuses', authenticateToken, validate({
+  params: { id: v.id() },
+  body: { bonus: v.oneOf(Object.keys(FACTION_TREASURY_BONUSES)) }
+}), async (req, res) => {
+  const factionId = req.validated.params.id;
+  const entity = await require('../utils/entityService').getEntityByUserId(pool, req.user.id);
+  if (!entity || Number(entity.faction_id) !== factionId) {
+    return res.status(403).json({ message: 'Solo los miembros de la facción pueden usar su tesoro.', code: 'NOT_FACTION_MEMBER' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const bonus = await treasuryService.purchaseBonusWithClient(client, factionId, req.body.bonus, req.user.id);
+    await client.query('COMMIT');
+    res.status(201).json({ message: 'Bonificación de facción activada.', code: 'FACTION_BONUS_PURCHASED', bonus });
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch (e) { /* ignore */ }
+    sendError(res, err, 'Error activando la bonificación de facción.');
+  } finally {
+    client.release();
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const { authenticateToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validate, v } = require('../middleware/validate');
+const { sendError } = require('../utils/errors');
+const orderBookService = require('../utils/orderBookService');
+const pricingService = require('../utils/pricingService');
+const { CANDLE_INTERVALS, PRICE_HISTORY } = require('../constants/market');
+
+async function resolveUserEntity(req) {
+  const entityService = require('../utils/entityService');
+  return entityService.getEntityByUserId(pool, req.user.id);
+}
+
+// GET /api/market/orders?status=open
+// Devuelve las órdenes del jugador autenticado
+router.get('/orders', authenticateToken, validate({
+  query: { status: v.oneOf(['open', 'filled', 'cancelled']).optional() }
+}), async (req, res) => {
+  try {
+    const ent = await resolveUserEntity(req);
+    if (!ent) return res.status(404).json({ message: 'No se encontró entidad asociada al usuario.', code: 'USER_ENTITY_NOT_FOUND' });
+    const status = req.validated.query.status || null;
+    const orders = await orderBookService.listOrdersForEntity(pool, ent.id, status);
+    res.json({ entityId: ent.id, orders });
+  } catch (err) {
+    sendError(res, err, 'Error al obtener órdenes.');
+  }
+});
+
+// POST /api/market/orders
+// Body: { side: 'buy'|'sell', resource: 'wood', price: 12, quantity: 100 }
+// Bloquea el oro (compra) o el recurso (venta) y cruza la orden contra el libro
+router.post('/orders', authenticateToken, rateLimit('trade'), validate({
+  body: {
+    side: v.oneOf(['buy', 'sell']),
+    resource: v.resourceName(),
+    price: v.int({ min: 1 }),
+    quantity: v.int({ min: 1 })
+  }
+}), async (req, res) => {
+  const { side, resource, price, quantity } = req.body;
+
+  const ent = await resolveUserEntity(req);
+  if (!ent) return res.status(404).json({ message: 'No se encontró entidad asociada al usuario.', code: 'USER_ENTITY_NOT_FOUND' });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await orderBookService.placeOrderWithClient(client, ent.id, {
+      side,
+      resource,
+      price: Number(price),
+      quantity: Number(quantity)
+    });
+    const resources = await require('../utils/resourcesService').getResourcesWithClient(client, ent.id);
+    await client.query('COMMIT');
+    res.status(201).json({ message: 'Orden registrada.', code: 'ORDER_PLACED', order: result.order, fills: result.fills, resources });
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch (e) { /* ignore */ }
+    sendError(res, err, 'Error al registrar la orden.');
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE /api/market/orders/:id
+// Cancela una orden abierta y devuelve lo que quedaba bloqueado
+router.delete('/orders/:id', authenticateToken, validate({ params: { id: v.id() } }), async (req, res) => {
+  const orderId = req.validated.params.id;
+
+  const ent = await resolveUserEntity(req);
+  if (!ent) return res.status(404).json({ message: 'No se encontró entidad asociada al usuario.', code: 'USER_ENTITY_NOT_FOUND' });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await orderBookService.cancelOrderWithClient(client, ent.id, orderId);
+    if (!result) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Orden abierta no encontrada.', code: 'ORDER_NOT_FOUND' });
+    }
+    await client.query('COMMIT');
+    res.json({ message: 'Orden cancelada.', code: 'ORDER_CANCELLED', order: result.order, refund: result.refund });
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch (e) { /* ignore */ }
+    sendError(res, err, 'Error al cancelar la orden.');
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/market/:resource/depth?levels=20
+// Profundidad pública del libro: cantidad agregada por nivel de precio
+router.get('/:resource/depth', validate({
+  params: { resource: v.resourceName() },
+  query: { levels: v.int({ min: 1, max: orderBookService.MAX_DEPTH_LEVELS }).optional() }
+}), async (req, res) => {
+  try {
+    const depth = await orderBookService.getOrderBookDepth(pool, req.params.resource, req.query.levels);
+    if (!depth) return res.status(404).json({ message: `Recurso no negociable: ${req.params.resource}`, code: 'RESOURCE_NOT_TRADABLE', resource: req.params.resource });
+    res.json(depth);
+  } catch (err) {
+    sendError(res, err, 'Error al obtener la profundidad del mercado.');
+  }
+});
+
+// GET /api/market/:resource/history?interval=1h&limit=48
+// Velas públicas del precio de referencia (OHLC) con el volumen negociado en cada intervalo
+router.get('/:resource/history', validate({
+  params: { resource: v.resourceName() },
+  query: {
+    interval: v.oneOf(Object.keys(CANDLE_INTERVALS)).optional(),
+    limit: v.int({ min: 1, max: PRICE_HISTORY.maxLimit }).optional()
+  }
+}), async (req, res) => {
+  try {
+    const history = await pricingService.getPriceHistory(pool, req.params.resource, req.validated.query);
+    if (!history) return res.status(404).json({ message: `Recurso no negociable: ${req.params.resource}`, code: 'RESOURCE_NOT_TRADABLE', resource: req.params.resource });
+    res.json(history);
+  } catch (err) {
+    sendError(res, err, 'Error al obtener el historial de precios.');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const { authenticateToken } = require('../middleware/auth');
+const { resolveActor, forbidden, FORBIDDEN_CODES } = require('../middleware/authorization');
+const militaryService = require('../utils/militaryService');
+const { UNIT_TYPES, MAX_TRAIN_BATCH } = require('../constants/units');
+const { validate, v } = require('../middleware/validate');
+const { sendError } = require('../utils/errors');
+
+async function resolveUserEntity(req) {
+  return require('../utils/entityService').getEntityByUserId(pool, req.user.id);
+}
+
+// GET /api/military/units
+// Unidades en casa del jugador y definición de cada tipo de unidad
+router.get('/units', authenticateToken, async (req, res) => {
+  try {
+    const ent = await resolveUserEntity(req);
+    if (!ent) return res.status(404).json({ message: 'No se encontró entidad asociada al usuario.', code: 'USER_ENTITY_NOT_FOUND' });
+    const units = await militaryService.getUnitsWithClient(pool, ent.id);
+    res.json({ entityId: ent.id, units, unitTypes: UNIT_TYPES });
+  } catch (err) {
+    sendError(res, err, 'Error al obtener unidades.');
+  }
+});
+
+// POST /api/military/train
+// Body: { unitType: 'militia', quantity: 10 }
+router.post('/train', authenticateToken, validate({
+  body: { unitType: v.oneOf(Object.keys(UNIT_TYPES)), quantity: v.int({ min: 1, max: MAX_TRAIN_BATCH }) }
+}), async (req, res) => {
+  const { unitType, quantity } = req.body;
+  const ent = await resolveUserEntity(req);
+  if (!ent) return res.status(404).json({ message: 'No se encontró entidad asociada al usuario.', code: 'USER_ENTITY_NOT_FOUND' });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await require('../utils/entityService').lockEntity(client, ent.id);
+    const result = await militaryService.trainUnitsWithClient(client, ent.id, unitType, Number(quantity));
+    const resources = await require('../utils/resourcesService').getResourcesWithClient(client, ent.id);
+    await client.query('COMMIT');
+    res.status(201).json(Object.assign({ message: 'Unidades entrenadas.', code: 'UNITS_TRAINED', resources }, result));
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch (e) { /* ignore */ }
+    sendError(res, err, 'Error al entrenar unidades.');
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/military/missions?all=true
+// Misiones propias y ataques enemigos en camino
+router.get('/missions', authenticateToken, validate({ query: { all: v.boolString().optional() } }), async (req, res) => {
+  try {
+    const ent = await resolveUserEntity(req);
+    if (!ent) return res.status(404).json({ message: 'No se encontró entidad asociada al usuario.', code: 'USER_ENTITY_NOT_FOUND' });
+    const missions = await militaryService.listMissionsForEntity(pool, ent.id, req.query.all === 'true');
+    res.json({
+      entityId: ent.id,
+      outgoing: missions.filter(m => Number(m.attacker_entity_id) === Number(ent.id)),
+      incoming: missions.filter(m => Number(m.attacker_entity_id) !== Number(ent.id))
+    });
+  } catch (err) {
+    sendError(res, err, 'Error al obtener misiones.');
+  }
+});
+
+// POST /api/military/missions
+// Body: { targetEntityId: 12, units: { militia: 20, archer: 5 } }
+router.post('/missions', authenticateToken, validate({
+  body: { targetEntityId: v.id(), units: v.record(v.oneOf(Object.keys(UNIT_TYPES)), v.int({ min: 0 }), { min: 1 }) }
+}), async (req, res) => {
+  const { targetEntityId, units } = req.body;
+  const ent = await resolveUserEntity(req);
+  if (!ent) return res.status(404).json({ message: 'No se encontró entidad asociada al usuario.', code: 'USER_ENTITY_NOT_FOUND' });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await require('../utils/entityService').lockEntity(client, ent.id);
+    const mission = await militaryService.launchAttackWithClient(client, ent.id, Number(targetEntityId), units);
+    await client.query('COMMIT');
+    res.status(201).json({ message: 'Misión enviada.', code: 'MISSION_SENT', mission });
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch (e) { /* ignore */ }
+    sendError(res, err, 'Error al enviar la misión.');
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/military/reports
+router.get('/reports', authenticateToken, validate({ query: { limit: v.int({ min: 1, max: 200 }).optional() } }), async (req, res) => {
+  try {
+    const ent = await resolveUserEntity(req);
+    if (!ent) return res.status(404).json({ message: 'No se encontró entidad asociada al usuario.', code: 'USER_ENTITY_NOT_FOUND' });
+    const reports = await militaryService.listBattleReportsForEntity(pool, ent.id, req.query.limit);
+    res.json({ entityId: ent.id, reports });
+  } catch (err) {
+    sendError(res, err, 'Error al obtener informes de batalla.');
+  }
+});
+
+// GET /api/military/reports/:id
+// Solo los participantes (o un administrador) pueden leer un informe completo
+router.get('/reports/:id', authenticateToken, validate({ params: { id: v.id() } }), resolveActor, async (req, res) => {
+  const reportId = req.validated.params.id;
+  try {
+    const report = await militaryService.getBattleReport(pool, reportId);
+    if (!report) return res.status(404).json({ message: 'Informe no encontrado.', code: 'REPORT_NOT_FOUND' });
+    const ownId = req.userEntity ? Number(req.userEntity.id) : null;
+    const participant = ownId !== null && (Number(report.attacker_entity_id) === ownId || Number(report.defender_entity_id) === ownId);
+    if (!participant && !req.user.isAdmin) {
+      return forbidden(res, FORBIDDEN_CODES.NOT_OWNER, 'Solo los participantes pueden leer este informe.');
+    }
+    res.json({ report });
+  } catch (err) {
+    sendError(res, err, 'Error al obtener informe de batalla.');
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/authorization');
+const { validate, v } = require('../middleware/validate');
+const { sendError } = require('../utils/errors');
 const populationService = require('../utils/populationService');
 
 // GET /api/population?entityId=ID
-router.get('/', authenticateToken, async (req, res) => {
-  const entityId = req.query.entityId ? Number(req.query.entityId) : null;
-  if (!entityId) return res.status(400).json({ message: 'Falta entityId en la consulta.' });
+router.get('/', authenticateToken, validate({ query: { entityId: v.id() } }), async (req, res) => {
+  const entityId = req.validated.query.entityId;
   try {
     const summary = await populationService.getPopulationSummary(entityId);
     // Also return raw per-type rows for convenience (named `types` to match frontend expectation)
@@ -14,16 +16,25 @@ router.get('/', authenticateToken, async (req, res) => {
     const rows = await pool.query('SELECT type, current_population, max_population, available_population FROM populations WHERE entity_id = $1', [entityId]);
     return res.json({ entityId, summary, types: rows.rows });
   } catch (err) {
-    console.error('Error al obtener población:', err.message);
-    return res.status(500).json({ message: 'Error al obtener población.', error: err.message });
+    return sendError(res, err, 'Error al obtener población.');
   }
 });
 
 // POST /api/population
 // Body: { entityId, updates: [{ type, current_population, max_population, available_population }] }
-router.post('/', authenticateToken, async (req, res) => {
-  const { entityId, updates } = req.body || {};
-  if (!entityId || !Array.isArray(updates)) return res.status(400).json({ message: 'Faltan campos: entityId y updates.' });
+// Escribe los valores tal cual (huecos, trabajadores, mantenimiento): solo administradores
+router.post('/', authenticateToken, validate({
+  body: {
+    entityId: v.id(),
+    updates: v.array(v.object({
+      type: v.oneOf(populationService.POP_TYPES),
+      current_population: v.int({ min: 0 }).optional(),
+      max_population: v.int({ min: 0 }).optional(),
+      available_population: v.int({ min: 0 }).optional()
+    }), { min: 1, max: populationService.POP_TYPES.length })
+  }
+}), requireAdmin, async (req, res) => {
+  const { entityId, updates } = req.body;
   const client = await require('../db').connect();
   try {
     await client.query('BEGIN');
@@ -50,11 +61,12 @@ router.post('/', authenticateToken, async (req, res) => {
     // Return per-type rows to match GET and frontend expectation
     const pool = require('../db');
     const rows = await pool.query('SELECT type, current_population, max_population, available_population FROM populations WHERE entity_id = $1', [entityId]);
-    return res.json({ message: 'Población actualizada.', entityId, summary, types: rows.rows });
+    const { EVENT_TYPES } = require('../constants/events');
+    require('../utils/eventBus').publish(entityId, EVENT_TYPES.POPULATION_CHANGED, { summary, types: rows.rows });
+    return res.json({ message: 'Población actualizada.', code: 'POPULATION_UPDATED', entityId, summary, types: rows.rows });
   } catch (err) {
     try { await client.query('ROLLBACK'); } catch (e) {}
-    console.error('Error actualizando población:', err.message);
-    return res.status(500).json({ message: 'Error actualizando población.', error: err.message });
+    return sendError(res, err, 'Error actualizando población.');
   } finally {
     try { client.release(); } catch (e) {}
   }
@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const { authenticateToken } = require('../middleware/auth');
+const researchService = require('../utils/researchService');
+const { TECHNOLOGIES } = require('../constants/technologies');
+const { validate, v } = require('../middleware/validate');
+const { sendError } = require('../utils/errors');
+
+async function resolveUserEntity(req) {
+  return require('../utils/entityService').getEntityByUserId(pool, req.user.id);
+}
+
+// GET /api/research
+// Árbol tecnológico con niveles, costes del siguiente nivel, requisitos y la investigación en curso
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const ent = await resolveUserEntity(req);
+    if (!ent) return res.status(404).json({ message: 'No se encontró entidad asociada al usuario.', code: 'USER_ENTITY_NOT_FOUND' });
+    const overview = await researchService.getResearchOverviewWithClient(pool, ent.id);
+    res.json(overview);
+  } catch (err) {
+    sendError(res, err, 'Error al obtener investigaciones.');
+  }
+});
+
+// POST /api/research
+// Body: { technology: 'crop_rotation' }
+router.post('/', authenticateToken, validate({ body: { technology: v.oneOf(Object.keys(TECHNOLOGIES)) } }), async (req, res) => {
+  const { technology } = req.body;
+  const ent = await resolveUserEntity(req);
+  if (!ent) return res.status(404).json({ message: 'No se encontró entidad asociada al usuario.', code: 'USER_ENTITY_NOT_FOUND' });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await require('../utils/entityService').lockEntity(client, ent.id);
+    const research = await researchService.startResearchWithClient(client, ent.id, technology.toString());
+    const resources = await require('../utils/resourcesService').getResourcesWithClient(client, ent.id);
+    await client.query('COMMIT');
+    res.status(201).json({ message: 'Investigación iniciada.', code: 'RESEARCH_STARTED', research, resources });
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch (e) { /* ignore */ }
+    sendError(res, err, 'Error al iniciar la investigación.');
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE /api/research/active
+// Cancela la investigación en curso y devuelve parte de su coste
+router.delete('/active', authenticateToken, async (req, res) => {
+  const ent = await resolveUserEntity(req);
+  if (!ent) return res.status(404).json({ message: 'No se encontró entidad asociada al usuario.', code: 'USER_ENTITY_NOT_FOUND' });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await require('../utils/entityService').lockEntity(client, ent.id);
+    const result = await researchService.cancelResearchWithClient(client, ent.id);
+    if (!result) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'No hay ninguna investigación en curso.', code: 'NO_ACTIVE_RESEARCH' });
+    }
+    await client.query('COMMIT');
+    res.json(Object.assign({ message: 'Investigación cancelada.', code: 'RESEARCH_CANCELLED' }, result));
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch (e) { /* ignore */ }
+    sendError(res, err, 'Error al cancelar la investigación.');
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
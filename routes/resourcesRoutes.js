@@ -2,29 +2,38 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../db');
 const { authenticateToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validate, v } = require('../middleware/validate');
+const { sendError } = require('../utils/errors');
+const { resolveActor, requireAdmin, forbidden, FORBIDDEN_CODES } = require('../middleware/authorization');
 const marketService = require('../utils/marketService');
+const bazaarService = require('../utils/bazaarService');
+const quoteService = require('../utils/quoteService');
+const { LEDGER_REASONS } = require('../constants/ledger');
 
 // GET /api/resources?entityId=ID
 // Devuelve los recursos de la entidad indicada
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, validate({ query: { entityId: v.id().optional() } }), async (req, res) => {
   const entityId = req.query.entityId || (req.user && req.user.entityId);
-  if (!entityId) return res.status(400).json({ message: 'Falta entityId en la petición.' });
+  if (!entityId) return res.status(400).json({ message: 'Falta entityId en la petición.', code: 'ENTITY_ID_REQUIRED' });
 
   try {
     const resources = await require('../utils/resourcesService').getResources(entityId);
-    res.json({ entityId: Number(entityId), resources });
+    // Capacidad y tiempo hasta llenarse por recurso (null para entidades sin límite)
+    const storage = await require('../utils/storageService').getStorageReportWithClient(pool, entityId);
+    res.json({ entityId: Number(entityId), resources, storage: storage ? storage.resources : null });
   } catch (err) {
-    console.error('Error al obtener recursos:', err.message);
-    res.status(500).json({ message: 'Error al obtener recursos.', error: err.message });
+    sendError(res, err, 'Error al obtener recursos.');
   }
 });
 
 // POST /api/resources
 // Body: { entityId, resources: { wood, stone, food } }
-// Actualiza los valores de recursos (SET amount = provided) en una transacción
-router.post('/', authenticateToken, async (req, res) => {
-  const { entityId, resources } = req.body || {};
-  if (!entityId || !resources) return res.status(400).json({ message: 'Faltan campos: entityId y resources.' });
+// Actualiza los valores de recursos (SET amount = provided) en una transacción. Solo administradores
+router.post('/', authenticateToken, requireAdmin, validate({
+  body: { entityId: v.id(), resources: v.record(v.resourceName(), v.int({ min: 0 }), { min: 1 }) }
+}), async (req, res) => {
+  const { entityId, resources } = req.body;
 
   const resourcesService = require('../utils/resourcesService');
   const client = await pool.connect();
@@ -33,13 +42,15 @@ router.post('/', authenticateToken, async (req, res) => {
     // lock entity row to coordinate with other entity-level ops via entityService
     const entityService = require('../utils/entityService');
     await entityService.lockEntity(client, entityId);
-    const updated = await resourcesService.setResourcesWithClientGeneric(client, entityId, resources);
+    const updated = await resourcesService.setResourcesWithClientGeneric(client, entityId, resources, {
+      reason: LEDGER_REASONS.ADMIN_SET,
+      details: { userId: req.user.id }
+    });
     await client.query('COMMIT');
-    res.json({ message: 'Recursos actualizados.', entityId: Number(entityId), resources: updated });
+    res.json({ message: 'Recursos actualizados.', code: 'RESOURCES_UPDATED', entityId: Number(entityId), resources: updated });
   } catch (err) {
     await client.query('ROLLBACK');
-    console.error('Error al actualizar recursos:', err.message);
-    res.status(500).json({ message: 'Error al actualizar recursos.', error: err.message });
+    sendError(res, err, 'Error al actualizar recursos.');
   } finally {
     client.release();
   }
@@ -53,21 +64,39 @@ router.get('/types', async (req, res) => {
   const types = await resourcesService.getResourceTypes();
   res.json({ resourceTypes: types });
   } catch (err) {
-    console.error('Error al obtener tipos de recursos:', err.message);
-    res.status(500).json({ message: 'Error al obtener tipos de recursos.', error: err.message });
+    sendError(res, err, 'Error al obtener tipos de recursos.');
   }
 });
 
+// Side of a quoted trade as seen by the caller: 'buy' when its entity is the buyer, 'sell' when it is the seller.
+// Anyone else (admins quoting between other entities) gets the buyer's side.
+function quotedSide(ownEntity, buyerId, sellerId) {
+  if (ownEntity && Number(ownEntity.id) === Number(sellerId) && Number(ownEntity.id) !== Number(buyerId)) return 'sell';
+  return 'buy';
+}
+
 // POST /api/resources/market-price
 // Body: { trades: [{ type: 'wood', amount: 10, action: 'buy'|'sell' }, ...] }
-// Returns computed market price per trade based on global stock and price_base.
-router.post('/market-price', async (req, res) => {
+// `action` is ignored for quoted trades: their side is the caller's (see quotedSide).
+// Returns computed market price per trade based on global stock and the reference price;
+// with a bazaar as seller or buyer, the bazaar's ask or bid.
+// Trades with both a buyer and a seller also get a `quoteId` (valid for TRADE_QUOTE.ttlSeconds) to redeem in /trade.
+router.post('/market-price', authenticateToken, validate({
+  body: {
+    trades: v.array(v.object({
+      type: v.resourceName(),
+      amount: v.int({ min: 0 }).optional(),
+      action: v.oneOf(['buy', 'sell']).optional(),
+      sellerId: v.id().optional(),
+      buyerId: v.id().optional()
+    }), { min: 1, max: 50 }),
+    sellerId: v.id().optional(),
+    buyerId: v.id().optional()
+  }
+}), resolveActor, async (req, res) => {
   try {
     // Optional: caller may provide a global buyerId/sellerId to compute bazaar-specific prices
-    const { trades, sellerId: globalSellerId, buyerId: globalBuyerId } = req.body || {};
-    if (!Array.isArray(trades) || trades.length === 0) {
-      return res.status(400).json({ message: 'Debe enviar un array trades con al menos un elemento.' });
-    }
+    const { trades, sellerId: globalSellerId, buyerId: globalBuyerId } = req.body;
 
     const results = [];
     const entityService = require('../utils/entityService');
@@ -85,16 +114,20 @@ router.post('/market-price', async (req, res) => {
     for (const tr of trades) {
       const type = (tr.type || '').toString().toLowerCase();
       const amount = Math.max(0, parseInt(tr.amount || 0, 10));
-      const action = (tr.action || 'buy').toString().toLowerCase();
+
+      // Per-trade participant override takes precedence over global
+      const sellerId = tr.sellerId || globalSellerId;
+      const buyerId = tr.buyerId || globalBuyerId;
+      // Quoted trades are priced from the caller's side; the client's `action` only applies to plain price lookups
+      const action = buyerId && sellerId
+        ? quotedSide(req.userEntity, buyerId, sellerId)
+        : (tr.action || 'buy').toString().toLowerCase();
 
       if (!type) {
         results.push({ type, amount, action, base_price: null, price: null, stock_before: null, stock_after: null, note: 'invalid type' });
         continue;
       }
 
-      // Per-trade participant override takes precedence over global
-      const sellerId = tr.sellerId || globalSellerId;
-      const buyerId = tr.buyerId || globalBuyerId;
       let sellerEntity = sellerId ? null : null;
       let buyerEntity = buyerId ? null : null;
       try { if (sellerId) sellerEntity = await entityService.getEntityById(pool, sellerId); } catch (e) { /* ignore */ }
@@ -109,79 +142,124 @@ router.post('/market-price', async (req, res) => {
       }
 
       let finalPrice = mp.price;
-      const base = Number(mp.base || 0);
-      // If seller is an npc_bazar -> seller sells to player -> player buys at 1.1 * base
+      // Bazaars quote their own ask (they sell) and bid (they buy) from their stock, see utils/bazaarService.js.
+      // null when the bazaar has nothing to sell or no room to buy.
+      let bazaarQuote = null;
+      const bazaarQuoteFor = async (bazaarId) => {
+        const offers = await bazaarService.getOffersWithClient(pool, bazaarId, type);
+        return offers && offers.offers.length ? offers.offers[0] : null;
+      };
       if (sellerEntity && sellerEntity.type === 'npc_bazar') {
-        if (base > 0) finalPrice = Math.max(1, Math.round(base * 1.1));
+        bazaarQuote = await bazaarQuoteFor(sellerEntity.id);
+        finalPrice = bazaarQuote ? bazaarQuote.ask : null;
       }
-      // If buyer is an npc_bazar -> npc buys from player -> npc pays 0.9 * base
       if (buyerEntity && buyerEntity.type === 'npc_bazar') {
-        if (base > 0) finalPrice = Math.max(1, Math.round(base * 0.9));
+        bazaarQuote = await bazaarQuoteFor(buyerEntity.id);
+        finalPrice = bazaarQuote ? bazaarQuote.bid : null;
       }
 
       const stockAfter = action === 'buy' ? Math.max(0, mp.stockBefore - amount) : mp.stockBefore + amount;
-      results.push({ type, amount, action, base_price: mp.base, price: finalPrice, stock_before: mp.stockBefore, stock_after: stockAfter });
+      const result = { type, amount, action, base_price: mp.base, price: finalPrice, stock_before: mp.stockBefore, stock_after: stockAfter };
+      if (bazaarQuote) result.bazaar = bazaarQuote;
+      // Signed quote bound to this user, buyer, seller, resource, amount and price
+      if (buyerId && sellerId && amount > 0 && finalPrice) {
+        Object.assign(result, quoteService.issueQuote({ userId: req.user.id, buyerId, sellerId, resource: type, quantity: amount, action, price: finalPrice }));
+      }
+      results.push(result);
     }
 
     res.json({ results });
   } catch (err) {
-    console.error('Error computing market prices:', err.message);
-    res.status(500).json({ message: 'Error computing market prices.', error: err.message });
+    sendError(res, err, 'Error computing market prices.');
   }
 });
 
 // POST /api/resources/trade
-// Body: { buyerId, sellerId, resource: 'wood', price: 10, amount?: 1 }
-// Performs an atomic trade: buyer pays gold -> seller, seller gives resource -> buyer
-router.post('/trade', authenticateToken, async (req, res) => {
-  const { buyerId, sellerId, resource, price, amount } = req.body || {};
-  const qty = amount == null ? 1 : parseInt(amount, 10);
-
-  if (!buyerId || !sellerId || !resource || price == null) {
-    return res.status(400).json({ message: 'Faltan campos: buyerId, sellerId, resource, price. amount es opcional.' });
-  }
-  if (qty <= 0) return res.status(400).json({ message: 'La cantidad debe ser mayor que 0.' });
-
+// Body: { quoteId } — the quote returned by /market-price for this buyer, seller, resource and amount.
+// Performs an atomic trade at the quoted price: buyer pays gold -> seller, seller gives resource -> buyer.
+// The price is recomputed on redemption and the trade is refused if it moved more than TRADE_QUOTE.maxSlippage.
+router.post('/trade', authenticateToken, rateLimit('trade'), validate({
+  body: { quoteId: v.string({ min: 1, max: 1024 }) }
+}), resolveActor, async (req, res) => {
   const client = await pool.connect();
   try {
+    const quote = quoteService.verifyQuote(req.body.quoteId);
+    if (Number(quote.userId) !== Number(req.user.id)) {
+      const err = new Error('El presupuesto pertenece a otro usuario.');
+      err.code = 'QUOTE_NOT_YOURS';
+      throw err;
+    }
+    const { buyerId, sellerId, resource, quantity: qty } = quote;
+
     await client.query('BEGIN');
 
     // Resolve resource type id and ensure 'gold' exists via resourcesService
     const resourcesService = require('../utils/resourcesService');
-    const rt = await resourcesService.getResourceTypeByNameWithClient(client, resource.toString().toLowerCase());
-    if (!rt) { await client.query('ROLLBACK'); return res.status(400).json({ message: `Tipo de recurso desconocido: ${resource}` }); }
-    const resourceTypeId = rt.id;
+    const rt = await resourcesService.getResourceTypeByNameWithClient(client, resource);
+    if (!rt) { await client.query('ROLLBACK'); return res.status(400).json({ message: `Tipo de recurso desconocido: ${resource}`, code: 'UNKNOWN_RESOURCE', resource }); }
     const goldRt = await resourcesService.getResourceTypeByNameWithClient(client, 'gold');
     if (!goldRt) { await client.query('ROLLBACK'); return res.status(500).json({ message: 'Tipo de recurso "gold" no encontrado en la base de datos.' }); }
-    const goldTypeId = goldRt.id;
 
-    // If one of the participants is an npc_bazar, enforce their buy/sell multipliers
+    // If one of the participants is an npc_bazar, it sets the price (see below)
     const entityService = require('../utils/entityService');
     const sellerEntity = await entityService.getEntityById(client, sellerId);
     const buyerEntity = await entityService.getEntityById(client, buyerId);
+    if (!sellerEntity || !buyerEntity) { await client.query('ROLLBACK'); return res.status(404).json({ message: 'Entidad de la operación no encontrada.', code: 'TRADE_ENTITY_NOT_FOUND' }); }
+
+    // Non-admins trade only from their own entity and only against NPC/AI markets;
+    // player-to-player trades go through the order book (/api/market)
+    if (!req.user.isAdmin) {
+      const own = req.userEntity;
+      if (!own) { await client.query('ROLLBACK'); return forbidden(res, FORBIDDEN_CODES.NO_ENTITY, 'El usuario no tiene ninguna entidad asociada.'); }
+      const isBuyer = Number(buyerId) === Number(own.id);
+      const isSeller = Number(sellerId) === Number(own.id);
+      if (!isBuyer && !isSeller) {
+        await client.query('ROLLBACK');
+        return forbidden(res, FORBIDDEN_CODES.NOT_OWNER, 'Solo puedes comerciar con tu propia entidad.');
+      }
+      const counterparty = isBuyer ? sellerEntity : buyerEntity;
+      if (!['npc_bazar', 'cityIA'].includes(counterparty.type)) {
+        await client.query('ROLLBACK');
+        return forbidden(res, FORBIDDEN_CODES.COUNTERPARTY, 'La contraparte debe ser un bazar o una ciudad IA.', { counterpartyId: Number(counterparty.id) });
+      }
+    }
+
+    // The quote works once; a rollback below leaves it unused
+    await quoteService.redeemQuoteWithClient(client, quote);
 
-    let finalPrice = Number(price);
-    // Compute base price via marketService to derive multipliers
-    const mp = await marketService.computeMarketPriceSingle(client, resource.toString().toLowerCase(), qty, 'buy');
-    const basePrice = mp && mp.base ? Number(mp.base) : null;
-    if (sellerEntity && sellerEntity.type === 'npc_bazar') {
-      // Seller is NPC bazar: player is buying from NPC -> NPC sells at 1.1 * base
-      if (basePrice !== null) finalPrice = Math.max(1, Math.round(basePrice * 1.1));
-    } else if (buyerEntity && buyerEntity.type === 'npc_bazar') {
-      // Buyer is NPC bazar: NPC buys from player -> NPC pays 0.9 * base
-      if (basePrice !== null) finalPrice = Math.max(1, Math.round(basePrice * 0.9));
+    // Current price, computed as /market-price did: a bazaar trades at its own ask (it sells) or bid
+    // (it buys) and refuses what its stock cannot take; anyone else at the market price
+    let currentPrice;
+    if (buyerEntity.type === 'npc_bazar') {
+      currentPrice = (await bazaarService.quoteWithClient(client, buyerEntity.id, resource, 'sell', qty)).price;
+    } else if (sellerEntity.type === 'npc_bazar') {
+      currentPrice = (await bazaarService.quoteWithClient(client, sellerEntity.id, resource, 'buy', qty)).price;
+    } else {
+      const mp = await marketService.computeMarketPriceSingle(client, resource, qty, quote.action);
+      currentPrice = mp ? mp.price : null;
     }
+    const slippage = quoteService.checkSlippage(quote, currentPrice);
 
-    // Lock buyer and seller inventory rows for the two resource types (resource and gold)
-    // We lock all inventory rows for both entities to simplify and avoid deadlocks ordering issues by always locking in entity id order
-    // Use marketService.tradeWithClient which now uses resourcesService internally
-    const snapshot = await marketService.tradeWithClient(client, buyerId, sellerId, resource, finalPrice, qty);
+    // The goods travel to the buyer in a caravan; `caravan.arrives_at` tells when they will be credited
+    const { snapshot, caravan, tax } = await marketService.tradeWithClient(client, buyerId, sellerId, resource, quote.price, qty);
     await client.query('COMMIT');
-    res.json({ message: 'Trade ejecutado correctamente', buyerId: Number(buyerId), sellerId: Number(sellerId), resource: resource.toString().toLowerCase(), price: Number(price), amount: qty, snapshot });
+    res.json({
+      message: 'Trade ejecutado correctamente',
+      code: 'TRADE_EXECUTED',
+      buyerId: Number(buyerId),
+      sellerId: Number(sellerId),
+      resource,
+      price: quote.price,
+      currentPrice,
+      slippage: Math.round(slippage * 10000) / 10000,
+      amount: qty,
+      tax: tax.amount,
+      snapshot,
+      caravan
+    });
   } catch (err) {
     try { await client.query('ROLLBACK'); } catch (e) { /* ignore */ }
-    console.error('Error executing trade:', err && err.stack ? err.stack : err);
-    res.status(500).json({ message: 'Error ejecutando trade', error: err.message });
+    sendError(res, err, 'Error ejecutando trade');
   } finally {
     client.release();
   }
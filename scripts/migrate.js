@@ -0,0 +1,67 @@
+require('dotenv').config();
+const pool = require('../db');
+const runner = require('../utils/migrationRunner');
+
+const USAGE = [
+  'Uso: node scripts/migrate.js <comando>',
+  '  up [--to <nombre>]        aplica las migraciones pendientes (hasta <nombre> incluida)',
+  '  down [pasos]              revierte las últimas migraciones aplicadas (1 por defecto)',
+  '  status                    muestra el estado de cada migración',
+  '  mark-applied [--to <n>]   registra como aplicadas las pendientes sin ejecutarlas',
+  '                            (bases de datos migradas a mano antes del runner)'
+].join('\n');
+
+function readOption(args, flag) {
+  const idx = args.indexOf(flag);
+  return idx >= 0 ? args[idx + 1] : undefined;
+}
+
+// Usage: node scripts/migrate.js <up|down|status|mark-applied> [...]
+async function main(argv = process.argv.slice(2)) {
+  const [command = 'up', ...args] = argv;
+  const log = msg => console.log(`[migrate] ${msg}`);
+  const client = await pool.connect();
+  try {
+    if (command === 'up') {
+      const applied = await runner.migrateUpWithClient(client, { to: readOption(args, '--to'), log });
+      log(applied.length ? `${applied.length} migración(es) aplicada(s).` : 'Nada pendiente.');
+      return applied;
+    }
+    if (command === 'down') {
+      const reverted = await runner.migrateDownWithClient(client, { steps: args[0], log });
+      log(reverted.length ? `${reverted.length} migración(es) revertida(s).` : 'Nada que revertir.');
+      return reverted;
+    }
+    if (command === 'status') {
+      await runner.ensureMigrationsTable(client);
+      const status = await runner.getStatusWithClient(client, runner.loadMigrations());
+      for (const s of status) {
+        const when = s.applied_at ? new Date(s.applied_at).toISOString() : '';
+        console.log(`${s.status.padEnd(8)} ${s.name.padEnd(48)} ${s.reversible ? 'down' : '    '} ${when}`);
+      }
+      return status;
+    }
+    if (command === 'mark-applied') {
+      const marked = await runner.markAppliedWithClient(client, { to: readOption(args, '--to') });
+      for (const name of marked) log(`marcada ${name}`);
+      log(`${marked.length} migración(es) marcada(s) como aplicada(s).`);
+      return marked;
+    }
+    throw new Error(USAGE);
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { main };
+
+// If run directly from node, execute main
+if (require.main === module) {
+  main()
+    .then(() => pool.end())
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error(err.migration ? `[migrate] ${err.migration} falló: ${err.message}` : err.message || err);
+      process.exit(1);
+    });
+}
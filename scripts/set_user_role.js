@@ -0,0 +1,23 @@
+const pool = require('../db');
+
+const ROLES = ['player', 'admin'];
+
+// Usage: node scripts/set_user_role.js <username> <player|admin>
+async function main(username, role) {
+  if (!username || !ROLES.includes(role)) {
+    throw new Error(`Uso: node scripts/set_user_role.js <username> <${ROLES.join('|')}>`);
+  }
+  const res = await pool.query('UPDATE users SET role = $1 WHERE username = $2 RETURNING id, username, role', [role, username]);
+  if (res.rows.length === 0) throw new Error(`Usuario no encontrado: ${username}`);
+  console.debug('Rol actualizado:', res.rows[0]);
+  return res.rows[0];
+}
+
+module.exports = { main };
+
+// If run directly from node, execute main
+if (require.main === module) {
+  main(process.argv[2], process.argv[3])
+    .then(() => process.exit(0))
+    .catch(err => { console.error(err.message || err); process.exit(1); });
+}
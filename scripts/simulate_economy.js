@@ -0,0 +1,111 @@
+// Simulador económico offline (sin base de datos) para comparar cambios de balance.
+// Usage: node scripts/simulate_economy.js [--hours 24] [--seed 1] [--format csv|json] [...]
+const fs = require('fs');
+const simulator = require('../utils/economySimulator');
+
+const USAGE = [
+  'Uso: node scripts/simulate_economy.js [opciones]',
+  '  --hours <n>            horas simuladas (24)',
+  '  --seed <s>             semilla del generador aleatorio (1); misma semilla = misma salida',
+  '  --cities <n>           ciudades IA que comercian con el mismo bazar (1)',
+  '  --step <s>             segundos por paso del generador de recursos (10)',
+  '  --ai-interval <s>      segundos entre ticks de IA (60)',
+  '  --sample <s>           segundos entre muestras de las curvas (3600)',
+  '  --p-act <p>            probabilidad de que la IA actúe en cada tick (0.4)',
+  '  --faction <nombre>     facción para los bonus de producción',
+  '  --bazaar-stock <n>     stock inicial del bazar por recurso (100000)',
+  '  --bazaar-distance <n>  casillas hasta el bazar, fija la duración de las caravanas (5)',
+  '  --prices <file.json>   price_base por recurso ({ "wood": 20, ... }) sobre los valores por defecto',
+  '  --start <file.json>    recursos iniciales de cada ciudad (por defecto los de ai_city_service)',
+  '  --format <csv|json>    formato de salida (csv)',
+  '  --table <t>            tabla a imprimir en csv: samples, builds, trades, final (samples)',
+  '  --resources <a,b,...>  columnas de recursos en la tabla samples (todas)',
+  '  --verbose              muestra los eventos de los planners por stderr'
+].join('\n');
+
+const NUMERIC_FLAGS = {
+  '--hours': 'hours',
+  '--cities': 'cities',
+  '--step': 'stepSeconds',
+  '--ai-interval': 'aiIntervalSeconds',
+  '--sample': 'sampleSeconds',
+  '--p-act': 'pAct',
+  '--bazaar-stock': 'bazaarStock',
+  '--bazaar-distance': 'bazaarDistance'
+};
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function parseArgs(argv) {
+  const args = { options: {}, format: 'csv', table: 'samples', resources: null, verbose: false, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = argv[i + 1];
+    if (flag === '--help' || flag === '-h') { args.help = true; continue; }
+    if (flag === '--verbose') { args.verbose = true; continue; }
+    if (value === undefined) throw new Error(`Falta el valor de ${flag}`);
+    i++;
+    if (NUMERIC_FLAGS[flag]) {
+      if (!Number.isFinite(Number(value))) throw new Error(`${flag} espera un número`);
+      args.options[NUMERIC_FLAGS[flag]] = Number(value);
+    } else if (flag === '--seed') args.options.seed = value;
+    else if (flag === '--faction') args.options.faction = value;
+    else if (flag === '--prices') args.options.priceBase = readJson(value);
+    else if (flag === '--start') args.options.initialResources = readJson(value);
+    else if (flag === '--format') args.format = value;
+    else if (flag === '--table') args.table = value;
+    else if (flag === '--resources') args.resources = value.split(',').map(s => s.trim()).filter(Boolean);
+    else throw new Error(`Opción desconocida: ${flag}`);
+  }
+  if (!['csv', 'json'].includes(args.format)) throw new Error('--format debe ser csv o json');
+  if (!['samples', 'builds', 'trades', 'final'].includes(args.table)) throw new Error('--table debe ser samples, builds, trades o final');
+  return args;
+}
+
+function render(result, args) {
+  if (args.format === 'json') return JSON.stringify(result, null, 2) + '\n';
+  if (args.table === 'samples') {
+    const resources = args.resources || simulator.RESOURCE_NAMES;
+    const extra = Object.keys(result.samples[0] || {}).filter(k => k.startsWith('pop_') || k.startsWith('max_') || k === 'buildings');
+    return simulator.toCsv(result.samples, ['hour', 'city', ...resources, ...extra]);
+  }
+  if (args.table === 'builds') {
+    const rows = result.builds.map(b => ({ ...b, hour: Number((b.t / 3600).toFixed(4)) }));
+    return simulator.toCsv(rows, ['hour', 'city', 'building', 'level', 'cost_gold', 'payback_hours', 'cost']);
+  }
+  if (args.table === 'trades') {
+    const rows = result.trades.map(t => ({ ...t, hour: Number((t.t / 3600).toFixed(4)) }));
+    return simulator.toCsv(rows, ['hour', 'city', 'type', 'resource', 'qty', 'price']);
+  }
+  return simulator.toCsv(result.final, ['city', 'buildings', 'population', 'resources', 'discarded']);
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+  if (args.help) {
+    console.log(USAGE);
+    return null;
+  }
+  // Los planners registran cada decisión con console.debug; fuera de stdout para no mezclarlo con la tabla
+  const originalDebug = console.debug;
+  console.debug = args.verbose ? (...m) => console.error(...m) : () => {};
+  try {
+    const result = await simulator.simulate(args.options);
+    process.stdout.write(render(result, args));
+    return result;
+  } finally {
+    console.debug = originalDebug;
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err.message);
+    console.error(USAGE);
+    process.exit(1);
+  });
+}
+
+module.exports = { main, parseArgs };
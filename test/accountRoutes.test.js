@@ -0,0 +1,107 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const testDb = require('./helpers/testDb');
+const fx = require('./helpers/fixtures');
+const { startApp } = require('./helpers/app');
+const { PLAYER_STARTER_RESOURCES, RESPAWN_COOLDOWN_SECONDS } = require('../constants/player');
+
+const { pool } = testDb;
+const PASSWORD = 'secreto123';
+
+let api;
+let factionIds;
+before(async () => {
+  ({ factionIds } = await fx.seedBase());
+  testDb.backup();
+  api = await startApp();
+});
+after(() => api.close());
+beforeEach(() => testDb.restore());
+
+async function createPlayer() {
+  const created = await fx.createEntity({ factionId: factionIds[0], buildings: { sawmill: 2 } });
+  await pool.query('UPDATE users SET password = $1 WHERE id = $2', [await bcrypt.hash(PASSWORD, 4), created.user.id]);
+  return created;
+}
+
+async function count(table, entityId) {
+  const res = await pool.query(`SELECT COUNT(*)::int AS c FROM ${table} WHERE entity_id = $1`, [entityId]);
+  return res.rows[0].c;
+}
+
+test('changing the password requires the current one and closes every other session', async () => {
+  const { user, token } = await createPlayer();
+
+  const wrong = await api.request('POST', '/api/account/password', { token, body: { currentPassword: 'nope', newPassword: 'otra-clave' } });
+  assert.equal(wrong.status, 403);
+  assert.equal(wrong.body.error.code, 'WRONG_PASSWORD');
+
+  const res = await api.request('POST', '/api/account/password', { token, body: { currentPassword: PASSWORD, newPassword: 'otra-clave' } });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.ok(res.body.data.refreshToken);
+
+  const old = await api.request('GET', '/api/me', { token });
+  assert.equal(old.status, 403);
+  assert.equal(old.body.error.code, 'TOKEN_REVOKED');
+  assert.equal((await api.request('GET', '/api/me', { token: res.body.data.token })).status, 200);
+
+  const login = await api.request('POST', '/api/login', { body: { username: user.username, password: 'otra-clave' } });
+  assert.equal(login.status, 200);
+});
+
+test('the new password follows the same length rule as /register', async () => {
+  const { token } = await createPlayer();
+  const short = await api.request('POST', '/api/account/password', { token, body: { currentPassword: PASSWORD, newPassword: 'abc' } });
+  assert.equal(short.status, 400);
+  assert.equal(short.body.error.code, 'VALIDATION_ERROR');
+  assert.equal(short.body.error.details.errors[0].field, 'newPassword');
+});
+
+test('deleting the account removes the user and its settlement', async () => {
+  const { user, entity, token } = await createPlayer();
+
+  const wrong = await api.request('DELETE', '/api/account', { token, body: { password: 'nope' } });
+  assert.equal(wrong.status, 403);
+
+  const res = await api.request('DELETE', '/api/account', { token, body: { password: PASSWORD } });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal((await pool.query('SELECT 1 FROM users WHERE id = $1', [user.id])).rows.length, 0);
+  assert.equal((await pool.query('SELECT 1 FROM entities WHERE id = $1', [entity.id])).rows.length, 0);
+  for (const table of ['buildings', 'populations', 'resource_inventory']) assert.equal(await count(table, entity.id), 0, table);
+});
+
+test('respawn abandons the settlement and starts again in the chosen faction', async () => {
+  const { entity, token } = await createPlayer();
+
+  const bad = await api.request('POST', '/api/account/respawn', { token, body: { password: PASSWORD, factionId: 9999 } });
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.error.code, 'INVALID_FACTION');
+
+  const res = await api.request('POST', '/api/account/respawn', { token, body: { password: PASSWORD, factionId: factionIds[1] } });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+  assert.equal(res.body.data.abandonedEntityId, entity.id);
+  assert.notEqual(res.body.data.entity.id, entity.id);
+  assert.equal(res.body.data.entity.faction_id, factionIds[1]);
+  assert.equal(res.body.data.resources.wood, PLAYER_STARTER_RESOURCES.wood);
+  assert.equal(await count('buildings', entity.id), 0);
+
+  const me = await api.request('GET', '/api/me', { token });
+  assert.equal(me.status, 200);
+  assert.equal(me.body.data.entity.id, res.body.data.entity.id);
+});
+
+test('respawns are limited to one per cooldown so the starter resources cannot be farmed', async () => {
+  const { user, token } = await createPlayer();
+  const respawn = () => api.request('POST', '/api/account/respawn', { token, body: { password: PASSWORD, factionId: factionIds[0] } });
+
+  assert.equal((await respawn()).status, 201);
+  const again = await respawn();
+  assert.equal(again.status, 429);
+  assert.equal(again.body.error.code, 'RESPAWN_COOLDOWN');
+  assert.ok(again.body.error.details.retryAfter > RESPAWN_COOLDOWN_SECONDS - 60, JSON.stringify(again.body));
+
+  const past = new Date(Date.now() - (RESPAWN_COOLDOWN_SECONDS + 1) * 1000).toISOString();
+  await pool.query('UPDATE users SET last_respawn_at = $1 WHERE id = $2', [past, user.id]);
+  assert.equal((await respawn()).status, 201);
+});
@@ -0,0 +1,74 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const testDb = require('./helpers/testDb');
+const fx = require('./helpers/fixtures');
+const aiCityService = require('../utils/ai_city_service');
+const { runCityTick } = require('../jobs/ai_economic_engine_v2');
+const { processEntity } = require('../jobs/resourceGenerator');
+const costEngine = require('../utils/costEngine');
+
+const { pool } = testDb;
+
+let factionIds;
+before(async () => {
+  ({ factionIds } = await fx.seedBase());
+  testDb.backup();
+});
+beforeEach(() => testDb.restore());
+
+async function createCityWithBazaar() {
+  const { entity } = await aiCityService.createPairedCity(pool, { name: 'IA test', faction_id: factionIds[0], type: 'cityIA', x_coord: 10, y_coord: 10 });
+  const stock = {};
+  for (const r of (await pool.query('SELECT name FROM resource_types')).rows) stock[r.name] = 100000;
+  await fx.createEntity({ type: 'npc_bazar', factionId: factionIds[0], x: 12, y: 12, resources: stock });
+  return entity;
+}
+
+test('an AI city tick acts without leaving negative resources', async () => {
+  const city = await createCityWithBazaar();
+
+  const result = await runCityTick(pool, city.id, { pAct: 1 });
+  assert.equal(result.success, true);
+  assert.equal(result.skipped, undefined);
+  assert.ok(result.acted > 0);
+  assert.ok(result.results.every(r => r.result && r.result.success !== false), JSON.stringify(result.results));
+
+  const resources = await fx.getResources(city.id);
+  for (const [k, v] of Object.entries(resources)) assert.ok(v >= 0, `${k} = ${v}`);
+});
+
+test('every AI action is reflected in the ledger: the last balance matches the inventory', async () => {
+  const city = await createCityWithBazaar();
+  await runCityTick(pool, city.id, { pAct: 1 });
+
+  const resources = await fx.getResources(city.id);
+  const ledger = await pool.query('SELECT resource, balance_after FROM resource_ledger WHERE entity_id = $1 ORDER BY id', [city.id]);
+  const lastBalance = {};
+  for (const r of ledger.rows) lastBalance[r.resource] = Number(r.balance_after);
+  for (const [k, v] of Object.entries(lastBalance)) assert.equal(resources[k], v, k);
+});
+
+test('AI cities queue their builds like players: the level only rises when the generator completes them', async () => {
+  const city = await createCityWithBazaar();
+  const levels = async () => Object.fromEntries((await pool.query('SELECT type, level FROM buildings WHERE entity_id = $1', [city.id])).rows.map(b => [b.type, b.level]));
+  const before = await levels();
+
+  const result = await runCityTick(pool, city.id, { pAct: 1 });
+  const build = result.results.find(r => r.action.type === 'build');
+  assert.ok(build && build.result.success, JSON.stringify(result.results));
+  const type = build.result.queued;
+  const item = build.result.queueItem;
+  assert.deepEqual([item.building_type, item.target_level], [type, (before[type] || 0) + 1]);
+  assert.equal(item.duration_seconds, costEngine.calculateBuildTimeSeconds(type, item.target_level));
+  assert.deepEqual(await levels(), before);
+
+  // The same type is not queued twice while it is pending
+  await runCityTick(pool, city.id, { pAct: 1 });
+  const pending = await pool.query("SELECT building_type FROM construction_queue WHERE entity_id = $1 AND status = 'pending'", [city.id]);
+  assert.equal(pending.rows.filter(r => r.building_type === type).length, 1);
+
+  await pool.query("UPDATE construction_queue SET finish_at = $1 WHERE id = $2", [new Date(Date.now() - 1000).toISOString(), item.id]);
+  await fx.rewindLastUpdate(city.id, 10);
+  await processEntity(city.id, { woodPerTick: 0, stonePerTick: 0 });
+  assert.equal((await levels())[type], (before[type] || 0) + 1);
+});
@@ -0,0 +1,237 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const testDb = require('./helpers/testDb');
+const fx = require('./helpers/fixtures');
+const { startApp } = require('./helpers/app');
+const allianceService = require('../utils/allianceService');
+const caravanService = require('../utils/caravanService');
+const { ALLIANCE_WAREHOUSE } = require('../constants/alliances');
+
+const { pool } = testDb;
+
+let api;
+let factionIds;
+before(async () => {
+  ({ factionIds } = await fx.seedBase());
+  testDb.backup();
+  api = await startApp();
+});
+after(() => api.close());
+beforeEach(() => testDb.restore());
+
+let spot = 0;
+async function createPlayer(resources = {}) {
+  spot += 1;
+  return fx.createEntity({ factionId: factionIds[spot % 2], x: 10 + spot, y: 10 + spot, resources });
+}
+
+async function found(leader, name = 'Orden del Temple', tag = 'tpl') {
+  const res = await api.request('POST', '/api/alliances', { token: leader.token, body: { name, tag } });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+  return res.body.data.alliance;
+}
+
+// Invite and accept in one go
+async function join(alliance, inviter, player) {
+  const invited = await api.request('POST', `/api/alliances/${alliance.id}/invitations`, { token: inviter.token, body: { userId: player.user.id } });
+  assert.equal(invited.status, 201, JSON.stringify(invited.body));
+  const accepted = await api.request('POST', `/api/alliances/invitations/${invited.body.data.invitation.id}/accept`, { token: player.token });
+  assert.equal(accepted.status, 200, JSON.stringify(accepted.body));
+}
+
+// Backdate every membership of the alliance past the warehouse seniority rule
+async function season(alliance) {
+  const joined = new Date(Date.now() - (ALLIANCE_WAREHOUSE.minMemberHours + 1) * 3600 * 1000);
+  await pool.query('UPDATE alliance_members SET joined_at = $1 WHERE alliance_id = $2', [joined.toISOString(), alliance.id]);
+}
+
+test('a player founds an alliance and invites others, who can accept or decline', async () => {
+  const leader = await createPlayer();
+  const member = await createPlayer();
+  const shy = await createPlayer();
+  const alliance = await found(leader);
+  assert.deepEqual([alliance.tag, alliance.founder_user_id], ['TPL', leader.user.id]);
+
+  const taken = await api.request('POST', '/api/alliances', { token: member.token, body: { name: 'Otra', tag: 'TPL' } });
+  assert.equal(taken.status, 409);
+  assert.deepEqual([taken.body.error.code, taken.body.error.details.field], ['ALLIANCE_NAME_TAKEN', 'tag']);
+
+  await join(alliance, leader, member);
+  const invited = await api.request('POST', `/api/alliances/${alliance.id}/invitations`, { token: leader.token, body: { userId: shy.user.id } });
+  const twice = await api.request('POST', `/api/alliances/${alliance.id}/invitations`, { token: leader.token, body: { userId: shy.user.id } });
+  assert.equal(twice.body.error.code, 'ALLIANCE_INVITATION_EXISTS');
+
+  // Plain members cannot invite
+  const { user: stranger } = await createPlayer();
+  const forbidden = await api.request('POST', `/api/alliances/${alliance.id}/invitations`, { token: member.token, body: { userId: stranger.id } });
+  assert.equal(forbidden.status, 403);
+  assert.deepEqual(forbidden.body.error.details, { action: 'invite', rank: 'member' });
+
+  const pending = await api.request('GET', '/api/alliances/invitations', { token: shy.token });
+  assert.deepEqual(pending.body.data.invitations.map(i => [i.alliance_id, i.alliance_tag]), [[alliance.id, 'TPL']]);
+  const declined = await api.request('POST', `/api/alliances/invitations/${invited.body.data.invitation.id}/decline`, { token: shy.token });
+  assert.equal(declined.body.data.invitation.status, 'declined');
+  const gone = await api.request('POST', `/api/alliances/invitations/${invited.body.data.invitation.id}/accept`, { token: shy.token });
+  assert.equal(gone.status, 404);
+  assert.equal(gone.body.error.code, 'INVITATION_NOT_FOUND');
+
+  const details = await api.request('GET', `/api/alliances/${alliance.id}`, { token: shy.token });
+  assert.deepEqual(details.body.data.alliance.members.map(m => [m.user_id, m.rank, m.entity_id]), [
+    [leader.user.id, 'leader', leader.entity.id],
+    [member.user.id, 'member', member.entity.id]
+  ]);
+  const list = await api.request('GET', '/api/alliances', { token: shy.token });
+  assert.deepEqual(list.body.data.alliances.map(a => [a.tag, a.members]), [['TPL', 2]]);
+});
+
+test('members donate to the shared warehouse and only the leader distributes, by caravan and taxed', async () => {
+  const leader = await createPlayer();
+  const member = await createPlayer({ wood: 300, stone: 50 });
+  const alliance = await found(leader);
+  await join(alliance, leader, member);
+  const warehouse = `/api/alliances/${alliance.id}/warehouse`;
+
+  const early = await api.request('POST', `${warehouse}/donate`, { token: member.token, body: { resources: { wood: 10 } } });
+  assert.equal(early.status, 403);
+  assert.deepEqual([early.body.error.code, early.body.error.details.minMemberHours], ['ALLIANCE_MEMBER_TOO_NEW', ALLIANCE_WAREHOUSE.minMemberHours]);
+  await season(alliance);
+
+  const donated = await api.request('POST', `${warehouse}/donate`, { token: member.token, body: { resources: { wood: 200, stone: 50 } } });
+  assert.equal(donated.status, 200, JSON.stringify(donated.body));
+  assert.deepEqual(donated.body.data.warehouse, { wood: 200, stone: 50 });
+  assert.deepEqual([donated.body.data.resources.wood, donated.body.data.resources.stone], [100, 0]);
+
+  const tooMuch = await api.request('POST', `${warehouse}/donate`, { token: member.token, body: { resources: { wood: 101 } } });
+  assert.equal(tooMuch.status, 400);
+  assert.equal(tooMuch.body.error.code, 'INSUFFICIENT');
+
+  const byMember = await api.request('POST', `${warehouse}/distribute`, { token: member.token, body: { userId: member.user.id, resources: { wood: 10 } } });
+  assert.equal(byMember.status, 403);
+  assert.equal(byMember.body.error.code, 'ALLIANCE_RANK_FORBIDDEN');
+
+  const empty = await api.request('POST', `${warehouse}/distribute`, { token: leader.token, body: { userId: member.user.id, resources: { wood: 500 } } });
+  assert.equal(empty.status, 400);
+  assert.deepEqual(empty.body.error.details, { resource: 'wood', need: 500, have: 200 });
+
+  // 80 wood at the reference price (20) pay the cross-faction common rate (5%) in gold
+  const goldBefore = (await fx.getResources(member.entity.id)).gold;
+  const handed = await api.request('POST', `${warehouse}/distribute`, { token: leader.token, body: { userId: member.user.id, resources: { wood: 80 } } });
+  assert.equal(handed.status, 200, JSON.stringify(handed.body));
+  assert.deepEqual(handed.body.data.warehouse, { wood: 120, stone: 50 });
+  assert.deepEqual([handed.body.data.tax.amount, handed.body.data.tax.factionId], [80, member.entity.faction_id]);
+  const { caravan } = handed.body.data;
+  assert.deepEqual([caravan.origin_entity_id, caravan.destination_entity_id, caravan.cargo], [leader.entity.id, member.entity.id, { wood: 80 }]);
+  assert.deepEqual([(await fx.getResources(member.entity.id)).wood, (await fx.getResources(member.entity.id)).gold], [100, goldBefore - 80]);
+  const treasury = await pool.query('SELECT balance FROM faction_treasuries WHERE faction_id = $1', [member.entity.faction_id]);
+  assert.equal(Number(treasury.rows[0].balance), 80);
+
+  const view = await api.request('GET', warehouse, { token: leader.token });
+  assert.deepEqual(view.body.data.ledger.map(r => [r.reason, r.resource, r.delta, r.balance_after, r.user_id]), [
+    ['alliance_distribution', 'wood', -80, 120, leader.user.id],
+    ['alliance_donation', 'stone', 50, 50, member.user.id],
+    ['alliance_donation', 'wood', 200, 200, member.user.id]
+  ]);
+
+  // The wood reaches the member when the caravan arrives
+  const client = await pool.connect();
+  try {
+    await caravanService.deliverArrivedCaravansWithClient(client, member.entity.id, new Date(new Date(caravan.arrives_at).getTime() + 1000));
+  } finally {
+    client.release();
+  }
+  assert.equal((await fx.getResources(member.entity.id)).wood, 180);
+  const settlement = await pool.query(
+    "SELECT reason, delta, ref_type, ref_id FROM resource_ledger WHERE entity_id = $1 AND resource = 'wood' ORDER BY id",
+    [member.entity.id]
+  );
+  assert.deepEqual(settlement.rows.slice(-2).map(r => [r.reason, Number(r.delta), r.ref_type, r.ref_id]), [
+    ['alliance_donation', -200, 'alliance', alliance.id],
+    ['caravan_delivery', 80, 'caravan', caravan.id]
+  ]);
+
+  const { token: outsider } = await createPlayer();
+  const peek = await api.request('GET', warehouse, { token: outsider });
+  assert.equal(peek.status, 403);
+  assert.equal(peek.body.error.code, 'NOT_ALLIANCE_MEMBER');
+});
+
+test('an alt account cannot move gold or goods to its leader through the warehouse', async () => {
+  const main = await createPlayer();
+  const alt = await createPlayer({ wood: 1000 });
+  const alliance = await found(main);
+  await join(alliance, main, alt);
+  const warehouse = `/api/alliances/${alliance.id}/warehouse`;
+
+  // A fresh member can neither donate nor receive
+  const fresh = await api.request('POST', `${warehouse}/donate`, { token: alt.token, body: { resources: { wood: 1000 } } });
+  assert.equal(fresh.body.error.code, 'ALLIANCE_MEMBER_TOO_NEW');
+  await season(alliance);
+
+  // Gold never enters the warehouse, whether through the route or the service
+  const gold = await api.request('POST', `${warehouse}/donate`, { token: alt.token, body: { resources: { gold: 1000 } } });
+  assert.equal(gold.status, 400);
+  assert.equal(gold.body.error.details.errors[0].field, 'resources.gold');
+  const client = await pool.connect();
+  try {
+    await assert.rejects(allianceService.donateWithClient(client, alt.user.id, alliance.id, alt.entity.id, { gold: 1000 }),
+      err => err.code === 'ALLIANCE_RESOURCE_NOT_ALLOWED');
+  } finally {
+    client.release();
+  }
+
+  // The leader cannot hand the alt's goods to their own settlement
+  const donated = await api.request('POST', `${warehouse}/donate`, { token: alt.token, body: { resources: { wood: 1000 } } });
+  assert.equal(donated.status, 200, JSON.stringify(donated.body));
+  const toSelf = await api.request('POST', `${warehouse}/distribute`, { token: main.token, body: { userId: main.user.id, resources: { wood: 1000 } } });
+  assert.equal(toSelf.status, 400);
+  assert.equal(toSelf.body.error.code, 'ALLIANCE_SELF_DISTRIBUTION');
+
+  // Nor to a second account that just joined
+  const alt2 = await createPlayer();
+  await join(alliance, main, alt2);
+  const toNewcomer = await api.request('POST', `${warehouse}/distribute`, { token: main.token, body: { userId: alt2.user.id, resources: { wood: 1000 } } });
+  assert.equal(toNewcomer.status, 403);
+  assert.deepEqual([toNewcomer.body.error.code, toNewcomer.body.error.details.userId], ['ALLIANCE_MEMBER_TOO_NEW', alt2.user.id]);
+  assert.deepEqual((await api.request('GET', warehouse, { token: main.token })).body.data.resources, { wood: 1000 });
+  assert.equal((await fx.getResources(main.entity.id)).wood || 0, 0);
+});
+
+test('ranks: the leader promotes and hands over, officers only remove members, a leaving leader is succeeded', async () => {
+  const leader = await createPlayer({ wood: 10 });
+  const officer = await createPlayer();
+  const member = await createPlayer();
+  const alliance = await found(leader);
+  await join(alliance, leader, officer);
+  await join(alliance, leader, member);
+  const members = `/api/alliances/${alliance.id}/members`;
+
+  const promoted = await api.request('PATCH', `${members}/${officer.user.id}`, { token: leader.token, body: { rank: 'officer' } });
+  assert.equal(promoted.status, 200, JSON.stringify(promoted.body));
+  const selfPromotion = await api.request('PATCH', `${members}/${member.user.id}`, { token: officer.token, body: { rank: 'leader' } });
+  assert.equal(selfPromotion.body.error.code, 'ALLIANCE_RANK_FORBIDDEN');
+  const kickLeader = await api.request('DELETE', `${members}/${leader.user.id}`, { token: officer.token });
+  assert.equal(kickLeader.status, 403);
+  const kicked = await api.request('DELETE', `${members}/${member.user.id}`, { token: officer.token });
+  assert.equal(kicked.status, 200, JSON.stringify(kicked.body));
+  assert.equal(await allianceService.getMembershipWithClient(pool, member.user.id), null);
+
+  // The leader leaves: the officer takes over and is alone with a stocked warehouse
+  await season(alliance);
+  await api.request('POST', `/api/alliances/${alliance.id}/warehouse/donate`, { token: leader.token, body: { resources: { wood: 10 } } });
+  const left = await api.request('POST', '/api/alliances/leave', { token: leader.token });
+  assert.deepEqual([left.body.data.newLeaderId, left.body.data.disbanded], [officer.user.id, false]);
+  assert.equal((await allianceService.getMembershipWithClient(pool, officer.user.id)).rank, 'leader');
+
+  const last = await api.request('POST', '/api/alliances/leave', { token: officer.token });
+  assert.equal(last.status, 409);
+  assert.equal(last.body.error.code, 'ALLIANCE_WAREHOUSE_NOT_EMPTY');
+
+  // Account deletion forces it: the alliance is disbanded with its warehouse
+  const client = await pool.connect();
+  try {
+    assert.deepEqual(await allianceService.leaveWithClient(client, officer.user.id, { force: true }), { allianceId: alliance.id, newLeaderId: null, disbanded: true });
+  } finally {
+    client.release();
+  }
+  assert.equal((await pool.query('SELECT id FROM alliances')).rows.length, 0);
+});
@@ -0,0 +1,88 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const testDb = require('./helpers/testDb');
+const fx = require('./helpers/fixtures');
+const { startApp } = require('./helpers/app');
+
+const { pool } = testDb;
+const PASSWORD = 'secreto123';
+
+let api;
+let factionIds;
+before(async () => {
+  ({ factionIds } = await fx.seedBase());
+  testDb.backup();
+  api = await startApp();
+});
+after(() => api.close());
+beforeEach(() => testDb.restore());
+
+async function login() {
+  const { user } = await fx.createEntity({ factionId: factionIds[0] });
+  await pool.query('UPDATE users SET password = $1 WHERE id = $2', [await bcrypt.hash(PASSWORD, 4), user.id]);
+  const res = await api.request('POST', '/api/login', { body: { username: user.username, password: PASSWORD } });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return { user, session: res.body.data };
+}
+
+test('login returns a short-lived access token and a refresh token', async () => {
+  const { session } = await login();
+  assert.ok(session.token);
+  assert.ok(session.refreshToken);
+  assert.equal(session.expiresIn, 900);
+
+  const me = await api.request('GET', '/api/me', { token: session.token });
+  assert.equal(me.status, 200, JSON.stringify(me.body));
+});
+
+test('refresh rotates the token and reusing the old one revokes the whole family', async () => {
+  const { session } = await login();
+
+  const first = await api.request('POST', '/api/refresh', { body: { refreshToken: session.refreshToken } });
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  assert.notEqual(first.body.data.refreshToken, session.refreshToken);
+
+  const reused = await api.request('POST', '/api/refresh', { body: { refreshToken: session.refreshToken } });
+  assert.equal(reused.status, 401);
+  assert.equal(reused.body.error.code, 'REFRESH_TOKEN_REUSED');
+
+  const rotated = await api.request('POST', '/api/refresh', { body: { refreshToken: first.body.data.refreshToken } });
+  assert.equal(rotated.status, 401);
+  assert.equal(rotated.body.error.code, 'REFRESH_TOKEN_REUSED');
+});
+
+test('unknown and expired refresh tokens are rejected', async () => {
+  const { user, session } = await login();
+  const unknown = await api.request('POST', '/api/refresh', { body: { refreshToken: 'nope' } });
+  assert.equal(unknown.status, 401);
+  assert.equal(unknown.body.error.code, 'REFRESH_TOKEN_INVALID');
+
+  await pool.query("UPDATE refresh_tokens SET expires_at = now() - interval '1 day' WHERE user_id = $1", [user.id]);
+  const expired = await api.request('POST', '/api/refresh', { body: { refreshToken: session.refreshToken } });
+  assert.equal(expired.status, 401);
+  assert.equal(expired.body.error.code, 'REFRESH_TOKEN_EXPIRED');
+});
+
+test('logout revokes the refresh token', async () => {
+  const { session } = await login();
+  const out = await api.request('POST', '/api/logout', { body: { refreshToken: session.refreshToken } });
+  assert.equal(out.status, 200);
+  assert.equal(out.body.data.revoked, true);
+
+  const res = await api.request('POST', '/api/refresh', { body: { refreshToken: session.refreshToken } });
+  assert.equal(res.status, 401);
+});
+
+test('logout-all invalidates outstanding access tokens and refresh tokens', async () => {
+  const { session } = await login();
+  const out = await api.request('POST', '/api/logout-all', { token: session.token });
+  assert.equal(out.status, 200, JSON.stringify(out.body));
+
+  const me = await api.request('GET', '/api/me', { token: session.token });
+  assert.equal(me.status, 403);
+  assert.equal(me.body.error.code, 'TOKEN_REVOKED');
+
+  const res = await api.request('POST', '/api/refresh', { body: { refreshToken: session.refreshToken } });
+  assert.equal(res.status, 401);
+});
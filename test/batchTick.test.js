@@ -0,0 +1,179 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const testDb = require('./helpers/testDb');
+const fx = require('./helpers/fixtures');
+const { processEntity } = require('../jobs/resourceGenerator');
+const { runBatchTick } = require('../jobs/batchTick');
+const resourcesService = require('../utils/resourcesService');
+const storageService = require('../utils/storageService');
+const { RESOURCE_CATEGORIES } = require('../utils/gameUtils');
+
+const { pool } = testDb;
+const COMMON = Object.keys(RESOURCE_CATEGORIES).filter(k => RESOURCE_CATEGORIES[k] === 'common');
+const NOW = new Date('2030-01-01T12:00:00.000Z');
+const OPTIONS = { woodPerTick: 1, stonePerTick: 2, now: NOW };
+
+let factionIds;
+before(async () => {
+  ({ factionIds } = await fx.seedBase());
+  testDb.backup();
+});
+beforeEach(() => testDb.restore());
+
+const secondsAgo = (seconds) => new Date(NOW.getTime() - seconds * 1000).toISOString();
+
+async function setLastUpdate(entityId, at) {
+  await pool.query('UPDATE entities SET last_resource_update = $1 WHERE id = $2', [at, entityId]);
+}
+
+// Players with upkeep, recipes, research, full storage, due timers; a bazaar and an entity with nothing to do
+async function createWorld() {
+  const stock = Object.fromEntries(COMMON.map(k => [k, 100]));
+  const { entity: a } = await fx.createEntity({
+    factionId: factionIds[0],
+    resources: Object.assign({}, stock, { lumber: 3 }),
+    buildings: { sawmill: 2, quarry: 1, carpinteria: 1, farm: 1 },
+    population: { poor: { current: 5, max: 10 }, burgess: { current: 2, max: 4 } }
+  });
+  await pool.query("INSERT INTO entity_research (entity_id, technology, level) VALUES ($1, 'forestry', 2)", [a.id]);
+  await setLastUpdate(a.id, secondsAgo(95));
+
+  const { entity: b } = await fx.createEntity({ factionId: factionIds[1], resources: { wood: 4990, stone: 1 }, buildings: { sawmill: 5 } });
+  await setLastUpdate(b.id, secondsAgo(60));
+
+  const { entity: bazaar } = await fx.createEntity({ type: 'npc_bazar', resources: { wood: 10000 }, buildings: { sawmill: 3 } });
+  await setLastUpdate(bazaar.id, secondsAgo(40));
+
+  const { entity: idle } = await fx.createEntity({ resources: { wood: 5 } });
+  await setLastUpdate(idle.id, NOW.toISOString());
+
+  const { entity: e } = await fx.createEntity({ factionId: factionIds[0], resources: { wood: 10, stone: 10 } });
+  await pool.query('UPDATE entities SET last_resource_update = NULL WHERE id = $1', [e.id]);
+  await pool.query(
+    `INSERT INTO construction_queue (entity_id, building_type, target_level, position, cost, pop_needed, duration_seconds, started_at, finish_at, status)
+     VALUES ($1, 'house', 1, 1, '{}', 0, 30, $2, $3, 'pending')`,
+    [e.id, secondsAgo(60), secondsAgo(30)]
+  );
+  await pool.query(
+    `INSERT INTO caravans (origin_entity_id, destination_entity_id, cargo, arrives_at) VALUES ($1, $2, $3, $4)`,
+    [bazaar.id, e.id, JSON.stringify({ stone: 7, honey: 2 }), secondsAgo(5)]
+  );
+
+  return { a, b, bazaar, idle, e };
+}
+
+// Everything a tick writes, without generated ids and timestamps
+async function snapshot() {
+  const rows = async (sql) => (await pool.query(sql)).rows;
+  return {
+    inventory: await rows('SELECT entity_id, resource_type_id, amount FROM resource_inventory ORDER BY entity_id, resource_type_id'),
+    populations: await rows('SELECT entity_id, type, current_population, max_population, available_population FROM populations ORDER BY entity_id, type'),
+    ledger: await rows('SELECT entity_id, resource, delta, balance_after, reason, ref_type, ref_id, details FROM resource_ledger ORDER BY entity_id, reason, resource, id'),
+    buildings: await rows('SELECT entity_id, type, level FROM buildings ORDER BY entity_id, type'),
+    queue: await rows('SELECT id, status, completed_at FROM construction_queue ORDER BY id'),
+    caravans: await rows('SELECT id, status, delivered_at FROM caravans ORDER BY id'),
+    entities: await rows('SELECT id, last_resource_update FROM entities ORDER BY id')
+  };
+}
+
+test('the batch tick writes exactly what processEntity writes entity by entity', async () => {
+  const world = await createWorld();
+  const ids = Object.values(world).map(e => e.id);
+  const initial = testDb.db.backup();
+
+  const single = [];
+  for (const id of ids) single.push(await processEntity(id, OPTIONS));
+  const expected = await snapshot();
+
+  initial.restore();
+  const report = await runBatchTick(Object.assign({ ids, chunkSize: 2, concurrency: 2 }, OPTIONS));
+  assert.deepEqual(await snapshot(), expected);
+
+  const byId = (x, y) => x.entity.id - y.entity.id;
+  assert.deepEqual(report.results.slice().sort(byId), single.filter(Boolean).sort(byId));
+  assert.deepEqual(
+    [report.entities, report.chunks, report.processed, report.skipped, report.failed, report.fallbackChunks],
+    [5, 3, 4, 1, 0, 0]
+  );
+
+  // Sanity checks on what both paths did
+  const resources = await fx.getResources(world.b.id);
+  assert.equal(resources.wood, 5000);
+  assert.ok(report.results.find(r => r.entity.id === world.b.id).storage_discarded.wood > 0);
+  const e = report.results.find(r => r.entity.id === world.e.id);
+  assert.equal(e.completed_builds.length, 1);
+  assert.equal(e.delivered_caravans.length, 1);
+});
+
+test('a failing chunk is retried entity by entity and the failures are counted per entity', async () => {
+  const world = await createWorld();
+  const ids = Object.values(world).map(e => e.id);
+
+  const originalUpsert = resourcesService.upsertAmountsBulkWithClient;
+  const originalCapacities = storageService.getCapacitiesWithClient;
+  const originalWarn = console.warn;
+  const originalError = console.error;
+  resourcesService.upsertAmountsBulkWithClient = async () => { throw new Error('bulk write failed'); };
+  storageService.getCapacitiesWithClient = async (client, entityId) => {
+    if (Number(entityId) === world.b.id) throw new Error('broken entity');
+    return originalCapacities(client, entityId);
+  };
+  console.warn = () => {};
+  console.error = () => {};
+  let report;
+  try {
+    report = await runBatchTick(Object.assign({ ids, chunkSize: 3 }, OPTIONS));
+  } finally {
+    resourcesService.upsertAmountsBulkWithClient = originalUpsert;
+    storageService.getCapacitiesWithClient = originalCapacities;
+    console.warn = originalWarn;
+    console.error = originalError;
+  }
+
+  assert.deepEqual([report.chunks, report.fallbackChunks, report.processed, report.skipped, report.failed], [2, 2, 3, 1, 1]);
+  assert.deepEqual(report.errors, [{ entityId: world.b.id, error: 'broken entity' }]);
+  assert.ok(report.durationMs >= 0 && report.slowestChunkMs <= report.durationMs);
+
+  // The broken entity keeps its state, the rest of its chunk was ticked
+  assert.equal((await fx.getResources(world.b.id)).wood, 4990);
+  const updated = await pool.query('SELECT id, last_resource_update FROM entities WHERE id = ANY($1::int[])', [[world.a.id, world.b.id]]);
+  const last = Object.fromEntries(updated.rows.map(r => [r.id, new Date(r.last_resource_update).toISOString()]));
+  assert.equal(last[world.a.id], NOW.toISOString());
+  assert.equal(last[world.b.id], secondsAgo(60));
+});
+
+test('a SQL error in a timer step fails the entity instead of being skipped inside the chunk', async () => {
+  const world = await createWorld();
+  const ids = Object.values(world).map(e => e.id);
+
+  const caravanService = require('../utils/caravanService');
+  const originalDeliver = caravanService.deliverArrivedCaravansWithClient;
+  const originalWarn = console.warn;
+  const originalError = console.error;
+  caravanService.deliverArrivedCaravansWithClient = async (client, entityId, now) => {
+    if (Number(entityId) === world.e.id) await client.query('SELECT cargo FROM missing_caravans WHERE destination_entity_id = $1', [entityId]);
+    return originalDeliver(client, entityId, now);
+  };
+  console.warn = () => {};
+  console.error = () => {};
+  let report;
+  try {
+    report = await runBatchTick(Object.assign({ ids, chunkSize: ids.length }, OPTIONS));
+  } finally {
+    caravanService.deliverArrivedCaravansWithClient = originalDeliver;
+    console.warn = originalWarn;
+    console.error = originalError;
+  }
+
+  assert.deepEqual([report.chunks, report.fallbackChunks, report.processed, report.skipped, report.failed], [1, 1, 3, 1, 1]);
+  assert.equal(report.errors[0].entityId, world.e.id);
+  assert.match(report.errors[0].error, /missing_caravans/);
+
+  // Nothing of the failed entity's tick is kept, not even the timer steps before the failure
+  const queue = await pool.query('SELECT status FROM construction_queue WHERE entity_id = $1', [world.e.id]);
+  const caravans = await pool.query('SELECT status FROM caravans WHERE destination_entity_id = $1', [world.e.id]);
+  const entity = await pool.query('SELECT last_resource_update FROM entities WHERE id = $1', [world.e.id]);
+  assert.deepEqual([queue.rows[0].status, caravans.rows[0].status, entity.rows[0].last_resource_update], ['pending', 'in_transit', null]);
+  assert.equal((await fx.getResources(world.e.id)).stone, 10);
+  assert.equal((await fx.getResources(world.b.id)).wood, 5000);
+});
@@ -0,0 +1,116 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const testDb = require('./helpers/testDb');
+const fx = require('./helpers/fixtures');
+const { startApp } = require('./helpers/app');
+const bazaarService = require('../utils/bazaarService');
+const { BAZAAR } = require('../constants/bazaar');
+
+const { pool } = testDb;
+const NOW = new Date('2030-01-01T12:00:00.000Z');
+const WOOD_TARGET = BAZAAR.targetStock.common;
+
+let api;
+let factionIds;
+before(async () => {
+  ({ factionIds } = await fx.seedBase());
+  testDb.backup();
+  api = await startApp();
+});
+after(() => api.close());
+beforeEach(() => testDb.restore());
+
+async function createBazaar(resources, lastRestockAt = null) {
+  const { entity } = await fx.createEntity({ type: 'npc_bazar', factionId: factionIds[0], x: 13, y: 14, resources });
+  await pool.query('UPDATE entities SET last_restock_at = $1 WHERE id = $2', [lastRestockAt, entity.id]);
+  return entity;
+}
+
+test('the spread widens as the stock drains (ask) or fills up (bid)', () => {
+  const atTarget = bazaarService.quoteFromStock('wood', WOOD_TARGET, 20);
+  assert.deepEqual([atTarget.ask, atTarget.bid, atTarget.maxStock], [22, 18, WOOD_TARGET * 2]);
+
+  // Half the target: ask spread 0.1 + 0.4 * 0.5
+  assert.equal(bazaarService.quoteFromStock('wood', WOOD_TARGET / 2, 20).ask, 26);
+  // Half way to the max stock: bid spread 0.3
+  assert.equal(bazaarService.quoteFromStock('wood', WOOD_TARGET * 1.5, 20).bid, 14);
+
+  const empty = bazaarService.quoteFromStock('wood', 0, 20);
+  assert.deepEqual([empty.ask, empty.askQuantity], [null, 0]);
+  const full = bazaarService.quoteFromStock('wood', WOOD_TARGET * 2, 20);
+  assert.deepEqual([full.bid, full.bidQuantity], [null, 0]);
+  // The bid is also limited by the bazaar gold
+  assert.equal(bazaarService.quoteFromStock('wood', WOOD_TARGET, 20, 180).bidQuantity, 10);
+});
+
+test('bazaars restock below their target and lose the surplus above it', async () => {
+  const bazaar = await createBazaar({ wood: WOOD_TARGET / 2, stone: WOOD_TARGET * 1.5, food: 40000 }, new Date(NOW.getTime() - 3600 * 1000).toISOString());
+  const fresh = await createBazaar({ wood: 0 });
+
+  const changed = await bazaarService.runRestock({ now: NOW });
+  assert.deepEqual(changed.map(c => c.entityId), [bazaar.id]);
+
+  // One hour: 10% of the shortfall back, 5% of the surplus gone; food is at its own target
+  const resources = await fx.getResources(bazaar.id);
+  assert.deepEqual([resources.wood, resources.stone, resources.food], [11000, 29500, 40000]);
+  const ledger = await pool.query("SELECT resource, delta FROM resource_ledger WHERE entity_id = $1 AND reason = 'bazaar_restock' AND resource IN ('wood', 'stone') ORDER BY resource", [bazaar.id]);
+  assert.deepEqual(ledger.rows.map(r => [r.resource, Number(r.delta)]), [['stone', -500], ['wood', 1000]]);
+
+  // A bazaar never restocked before only gets its timestamp
+  assert.equal((await fx.getResources(fresh.id)).wood, 0);
+  const stamped = await pool.query('SELECT last_restock_at FROM entities WHERE id = $1', [fresh.id]);
+  assert.equal(new Date(stamped.rows[0].last_restock_at).toISOString(), NOW.toISOString());
+});
+
+test('every faction gets one bazaar stocked at its targets', async () => {
+  await createBazaar({ wood: 10 });
+  const created = await bazaarService.ensureFactionBazaars({ now: NOW });
+  assert.deepEqual(created.map(e => e.faction_id), [factionIds[1]]);
+  assert.deepEqual(await bazaarService.ensureFactionBazaars({ now: NOW }), []);
+
+  const resources = await fx.getResources(created[0].id);
+  assert.deepEqual([resources.wood, resources.lumber, resources.food, resources.gold], [WOOD_TARGET, BAZAAR.targetStock.processed, 40000, BAZAAR.targetStock.gold]);
+});
+
+test('trades with a bazaar use its ask and bid and respect its stock limits', async () => {
+  const bazaar = await createBazaar({ wood: WOOD_TARGET, stone: WOOD_TARGET * 2 - 10, gold: 100000 });
+  const { entity: player, token } = await fx.createEntity({ factionId: factionIds[0], resources: { gold: 5000, stone: 100 } });
+  const quote = async (trade) => {
+    const res = await api.request('POST', '/api/resources/market-price', { token, body: { trades: [trade] } });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return res.body.data.results[0];
+  };
+
+  const ask = await quote({ type: 'wood', amount: 10, buyerId: player.id, sellerId: bazaar.id });
+  assert.deepEqual([ask.price, ask.bazaar.ask], [22, 22]);
+  const bought = await api.request('POST', '/api/resources/trade', { token, body: { quoteId: ask.quoteId } });
+  assert.equal(bought.status, 200, JSON.stringify(bought.body));
+  assert.equal(bought.body.data.snapshot[String(player.id)].gold, 5000 - 22 * 10);
+
+  const bid = await quote({ type: 'stone', amount: 20, action: 'sell', buyerId: bazaar.id, sellerId: player.id });
+  const full = await api.request('POST', '/api/resources/trade', { token, body: { quoteId: bid.quoteId } });
+  assert.equal(full.status, 400);
+  assert.equal(full.body.error.code, 'BAZAAR_STOCK_FULL');
+  assert.deepEqual([full.body.error.details.available, full.body.error.details.need], [10, 20]);
+
+  const drained = await quote({ type: 'wood', amount: 5, sellerId: bazaar.id });
+  assert.equal(drained.price, bazaarService.quoteFromStock('wood', WOOD_TARGET - 10, 20).ask);
+});
+
+test('GET /api/bazaars lists the offers of every bazaar', async () => {
+  const bazaar = await createBazaar({ wood: WOOD_TARGET, gold: 1000 });
+  const { entity: player } = await fx.createEntity({ resources: { wood: 5 } });
+
+  const all = await api.request('GET', '/api/bazaars?resource=wood');
+  assert.equal(all.status, 200, JSON.stringify(all.body));
+  assert.equal(all.body.data.bazaars.length, 1);
+  assert.deepEqual(all.body.data.bazaars[0].offers.map(o => [o.resource, o.stock, o.ask, o.bid, o.bidQuantity]), [['wood', WOOD_TARGET, 22, 18, 55]]);
+
+  const one = await api.request('GET', `/api/bazaars/${bazaar.id}/offers`);
+  assert.equal(one.body.data.offers.find(o => o.resource === 'gold'), undefined);
+  assert.ok(one.body.data.offers.length > 10);
+
+  const missing = await api.request('GET', `/api/bazaars/${player.id}/offers`);
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error.code, 'BAZAAR_NOT_FOUND');
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { simulate, createRng, toCsv } = require('../utils/economySimulator');
+
+// The planners log every decision with console.debug
+console.debug = () => {};
+
+test('the same seed produces the same run', async () => {
+  const a = await simulate({ hours: 3, seed: 'balance-1', cities: 2 });
+  const b = await simulate({ hours: 3, seed: 'balance-1', cities: 2 });
+  assert.deepEqual(a, b);
+  assert.ok(a.builds.length > 0);
+});
+
+test('createRng is deterministic per seed and stays in [0, 1)', () => {
+  const first = Array.from({ length: 5 }, createRng(42));
+  const again = Array.from({ length: 5 }, createRng(42));
+  const other = Array.from({ length: 5 }, createRng(43));
+  assert.deepEqual(first, again);
+  assert.notDeepEqual(first, other);
+  assert.ok(first.every(x => x >= 0 && x < 1));
+});
+
+test('without AI actions the city only runs the resource generator rules', async () => {
+  const result = await simulate({ hours: 1, pAct: 0, sampleSeconds: 600 });
+  assert.equal(result.builds.length, 0);
+  assert.equal(result.trades.length, 0);
+  assert.equal(result.samples.length, 7);
+  const [start, end] = [result.samples[0], result.samples[result.samples.length - 1]];
+  assert.equal(end.hour, 1);
+  // fixed wood bonus (2 per tick) outweighs the poor upkeep (1 per step)
+  assert.ok(end.wood > start.wood);
+  assert.ok(end.food < start.food);
+  assert.ok(Object.values(result.final[0].resources).every(v => v >= 0));
+});
+
+test('builds report their cost in gold and the payback of producers', async () => {
+  const result = await simulate({ hours: 2, seed: 3, pAct: 1 });
+  const producer = result.builds.find(b => b.building === 'farm');
+  assert.ok(producer);
+  assert.ok(producer.cost_gold > 0);
+  assert.ok(producer.payback_hours > 0);
+  const house = result.builds.find(b => b.building === 'house');
+  if (house) assert.equal(house.payback_hours, null);
+});
+
+test('invalid options are rejected with INVALID_OPTION', async () => {
+  await assert.rejects(simulate({ hours: 0 }), err => err.code === 'INVALID_OPTION' && err.option === 'hours');
+  await assert.rejects(simulate({ pAct: 2 }), err => err.code === 'INVALID_OPTION' && err.option === 'pAct');
+});
+
+test('toCsv quotes cells that need it', () => {
+  assert.equal(toCsv([{ a: 1, b: 'x,y', c: { k: 1 } }]), 'a,b,c\n1,"x,y","{""k"":1}"\n');
+});
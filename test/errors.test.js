@@ -0,0 +1,122 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fx = require('./helpers/fixtures');
+const { startApp } = require('./helpers/app');
+const { responseEnvelope, notFoundHandler, errorHandler } = require('../middleware/errorHandler');
+const { InsufficientResources, NotFound, toGameError } = require('../utils/errors');
+
+let api;
+before(async () => {
+  await fx.seedBase();
+  api = await startApp();
+});
+after(() => api.close());
+
+// Small app with the same middleware chain as index.js
+async function withApp(mount, fn) {
+  const app = express();
+  app.use(express.json());
+  app.use(responseEnvelope);
+  mount(app);
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+  const server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+  try {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    await fn(async (path) => {
+      const res = await fetch(base + path);
+      return { status: res.status, body: await res.json() };
+    });
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('successful responses are wrapped in { ok: true, data }', async () => {
+  const res = await api.request('GET', '/api/game/constants');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.ok, true);
+  assert.ok(res.body.data.buildingCosts);
+});
+
+test('legacy error payloads become { ok: false, error: { code, message, details } }', async () => {
+  await withApp(app => {
+    app.get('/legacy', (req, res) => res.status(409).json({ message: 'Cola llena.', code: 'QUEUE_FULL', max: 5 }));
+    app.get('/plain', (req, res) => res.status(404).json({ message: 'No existe.' }));
+  }, async (get) => {
+    assert.deepEqual((await get('/legacy')).body, { ok: false, error: { code: 'QUEUE_FULL', message: 'La cola de construcción está llena (máximo 5).', details: { max: 5 } } });
+    assert.deepEqual((await get('/plain')).body, { ok: false, error: { code: 'NOT_FOUND', message: 'No existe.', details: null } });
+  });
+});
+
+test('thrown game errors keep their status and details; anything else is a 500 without internals', async () => {
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    await withApp(app => {
+      app.get('/game', () => { throw new InsufficientResources('wood', 30, 10); });
+      app.get('/sql', async () => { throw new Error('relation "secret_table" does not exist'); });
+      app.get('/leaky', (req, res) => res.status(500).json({ message: 'Error al construir.', error: 'duplicate key value violates unique constraint' }));
+    }, async (get) => {
+      const game = await get('/game');
+      assert.equal(game.status, 400);
+      assert.deepEqual(game.body.error.details, { resource: 'wood', need: 30, have: 10 });
+
+      const sql = await get('/sql');
+      assert.equal(sql.status, 500);
+      assert.equal(sql.body.error.code, 'INTERNAL_ERROR');
+      assert.doesNotMatch(JSON.stringify(sql.body), /secret_table/);
+
+      const leaky = await get('/leaky');
+      assert.deepEqual(leaky.body, { ok: false, error: { code: 'INTERNAL_ERROR', message: 'Error interno del servidor.', details: null } });
+
+      assert.equal((await get('/missing')).body.error.code, 'ROUTE_NOT_FOUND');
+    });
+  } finally {
+    console.error = originalError;
+  }
+});
+
+test('route catch blocks answer through sendError: service codes keep their status, SQL errors do not leak', async () => {
+  const constructionQueueService = require('../utils/constructionQueueService');
+  const caravanService = require('../utils/caravanService');
+  const originalCancel = constructionQueueService.cancelQueueItemWithClient;
+  const originalList = caravanService.listCaravansForEntity;
+  const originalError = console.error;
+  constructionQueueService.cancelQueueItemWithClient = async () => {
+    throw Object.assign(new Error('Capacidad insuficiente'), { code: 'STORAGE_FULL', resource: 'wood', capacity: 10, have: 10, incoming: 0, need: 5 });
+  };
+  caravanService.listCaravansForEntity = async () => { throw new Error('relation "secret_caravans" does not exist'); };
+  console.error = () => {};
+  try {
+    const { token } = await fx.createEntity({ x: 30, y: 30 });
+    const cancel = await api.request('DELETE', '/api/build/queue/1', { token });
+    assert.equal(cancel.status, 400);
+    assert.deepEqual([cancel.body.error.code, cancel.body.error.details.resource], ['STORAGE_FULL', 'wood']);
+
+    const caravans = await api.request('GET', '/api/caravans', { token });
+    assert.equal(caravans.status, 500);
+    assert.deepEqual(caravans.body.error, { code: 'INTERNAL_ERROR', message: 'Error interno del servidor.', details: null });
+  } finally {
+    constructionQueueService.cancelQueueItemWithClient = originalCancel;
+    caravanService.listCaravansForEntity = originalList;
+    console.error = originalError;
+  }
+});
+
+test('service errors with a known code map to a GameError', () => {
+  const err = Object.assign(new Error('Cola llena.'), { code: 'QUEUE_FULL', max: 5 });
+  const gameError = toGameError(err);
+  assert.equal(gameError.status, 409);
+  assert.deepEqual(gameError.details, { max: 5 });
+  assert.equal(toGameError(new Error('boom')), null);
+  assert.equal(new NotFound().status, 404);
+});
+
+test('malformed JSON bodies answer 400 INVALID_JSON', async () => {
+  const res = await fetch(`${api.baseUrl}/api/login`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"username":' });
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).error.code, 'INVALID_JSON');
+});
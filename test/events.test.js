@@ -0,0 +1,164 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const testDb = require('./helpers/testDb');
+const fx = require('./helpers/fixtures');
+const { startApp } = require('./helpers/app');
+const eventBus = require('../utils/eventBus');
+const marketService = require('../utils/marketService');
+const { processEntity } = require('../jobs/resourceGenerator');
+const { EVENT_TYPES, EVENT_STREAM } = require('../constants/events');
+
+const { pool } = testDb;
+const NO_BONUS = { woodPerTick: 0, stonePerTick: 0 };
+
+let api;
+let factionIds;
+before(async () => {
+  ({ factionIds } = await fx.seedBase());
+  testDb.backup();
+  api = await startApp();
+});
+after(() => api.close());
+beforeEach(() => testDb.restore());
+
+// Collects the events delivered to `entity` until the returned stop() is called
+function collect(entity) {
+  const events = [];
+  const stop = eventBus.subscribe(entity, event => events.push(event));
+  return { events, stop };
+}
+
+// Reads SSE messages from a fetch response: next() -> { event, data }
+function sseReader(res) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  return async function next() {
+    for (;;) {
+      const end = buffer.indexOf('\n\n');
+      if (end >= 0) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const fields = Object.fromEntries(block.split('\n').filter(l => l && !l.startsWith(':')).map(l => [l.slice(0, l.indexOf(':')), l.slice(l.indexOf(':') + 1).trim()]));
+        if (fields.event) return { event: fields.event, data: JSON.parse(fields.data) };
+        continue;
+      }
+      const { value, done } = await reader.read();
+      if (done) return null;
+      buffer += decoder.decode(value, { stream: true });
+    }
+  };
+}
+
+test('events reach only their entity, and ai.activity only the entities nearby', async () => {
+  const near = collect({ id: 1, x_coord: 10, y_coord: 10 });
+  const far = collect({ id: 2, x_coord: 10, y_coord: 10 + EVENT_STREAM.nearbyRadius + 20 });
+  const city = collect({ id: 3, x_coord: 12, y_coord: 12 });
+  try {
+    await eventBus.publish(1, EVENT_TYPES.BUILD_COMPLETED, { building_type: 'sawmill' });
+    await eventBus.publishNearby({ entityId: 3, x_coord: 12, y_coord: 12 }, EVENT_TYPES.AI_ACTIVITY, { actions: [] });
+  } finally {
+    near.stop();
+    far.stop();
+    city.stop();
+  }
+  assert.deepEqual(near.events.map(e => e.type), [EVENT_TYPES.BUILD_COMPLETED, EVENT_TYPES.AI_ACTIVITY]);
+  assert.equal(far.events.length, 0);
+  assert.equal(city.events.length, 0);
+});
+
+test('the resource generator publishes the tick and the finished builds after committing', async () => {
+  const { entity, token } = await fx.createEntity({ factionId: factionIds[0], resources: { wood: 100, stone: 100, food: 100 }, population: { poor: { current: 5, max: 10 } } });
+  const queued = await api.request('POST', '/api/build', { token, body: { buildingType: 'sawmill' } });
+  assert.equal(queued.status, 200, JSON.stringify(queued.body));
+  await pool.query('UPDATE construction_queue SET finish_at = $1 WHERE id = $2', [new Date(Date.now() - 1000).toISOString(), queued.body.data.queueItem.id]);
+  await fx.rewindLastUpdate(entity.id, 10);
+
+  const { events, stop } = collect(entity);
+  try {
+    await processEntity(entity.id, NO_BONUS);
+  } finally {
+    stop();
+  }
+  const tick = events.find(e => e.type === EVENT_TYPES.RESOURCES_TICK);
+  assert.ok(tick, JSON.stringify(events));
+  assert.equal(tick.entityId, entity.id);
+  assert.equal(tick.data.resources.wood, (await fx.getResources(entity.id)).wood);
+  const built = events.find(e => e.type === EVENT_TYPES.BUILD_COMPLETED);
+  assert.equal(built.data.building_type, 'sawmill');
+});
+
+test('a trade is pushed to both sides', async () => {
+  const { entity: buyer } = await fx.createEntity({ x: 10, y: 10, resources: { gold: 1000 } });
+  const { entity: bazaar } = await fx.createEntity({ type: 'npc_bazar', x: 13, y: 14, resources: { wood: 500 } });
+  const buyerEvents = collect(buyer);
+  const bazaarEvents = collect(bazaar);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await marketService.tradeWithClient(client, buyer.id, bazaar.id, 'wood', 4, 50);
+    await client.query('COMMIT');
+  } finally {
+    client.release();
+    buyerEvents.stop();
+    bazaarEvents.stop();
+  }
+  const [bought] = buyerEvents.events;
+  assert.equal(bought.type, EVENT_TYPES.TRADE_EXECUTED);
+  assert.deepEqual([bought.data.role, bought.data.counterpartyId, bought.data.quantity, bought.data.resources.gold], ['buyer', bazaar.id, 50, 800]);
+  assert.ok(bought.data.caravan.arrives_at);
+  assert.equal(bazaarEvents.events[0].data.role, 'seller');
+});
+
+test('GET /api/events streams the entity events over SSE with the token in the query', async () => {
+  const { entity, token } = await fx.createEntity({ factionId: factionIds[0], resources: { wood: 100 } });
+
+  const denied = await fetch(`${api.baseUrl}/api/events`);
+  assert.equal(denied.status, 401);
+
+  const controller = new AbortController();
+  const res = await fetch(`${api.baseUrl}/api/events?access_token=${token}`, { signal: controller.signal });
+  try {
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/event-stream/);
+    const next = sseReader(res);
+    assert.deepEqual(await next(), { event: 'ready', data: { entityId: entity.id } });
+
+    await fx.rewindLastUpdate(entity.id, 10);
+    const generated = await api.request('POST', '/api/generate-resources', { token });
+    assert.equal(generated.status, 200, JSON.stringify(generated.body));
+
+    const tick = await next();
+    assert.equal(tick.event, EVENT_TYPES.RESOURCES_TICK);
+    assert.equal(tick.data.entityId, entity.id);
+  } finally {
+    controller.abort();
+  }
+});
+
+test('an open event stream is closed on the next heartbeat once the sessions are revoked', async () => {
+  const { token } = await fx.createEntity({ factionId: factionIds[0] });
+  const heartbeatSeconds = EVENT_STREAM.heartbeatSeconds;
+  EVENT_STREAM.heartbeatSeconds = 0.05;
+  const controller = new AbortController();
+  try {
+    const res = await fetch(`${api.baseUrl}/api/events?access_token=${token}`, { signal: controller.signal });
+    assert.equal(res.status, 200);
+    const next = sseReader(res);
+    assert.equal((await next()).event, 'ready');
+
+    // A few heartbeats with a valid token leave the stream open
+    await new Promise(resolve => setTimeout(resolve, 200));
+    const out = await api.request('POST', '/api/logout-all', { token });
+    assert.equal(out.status, 200, JSON.stringify(out.body));
+
+    assert.deepEqual(await next(), { event: 'revoked', data: { code: 'TOKEN_REVOKED' } });
+    assert.equal(await next(), null);
+
+    const reopened = await fetch(`${api.baseUrl}/api/events?access_token=${token}`);
+    assert.equal(reopened.status, 403);
+  } finally {
+    EVENT_STREAM.heartbeatSeconds = heartbeatSeconds;
+    controller.abort();
+  }
+});
@@ -0,0 +1,114 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const testDb = require('./helpers/testDb');
+const fx = require('./helpers/fixtures');
+const { startApp } = require('./helpers/app');
+const { processEntity } = require('../jobs/resourceGenerator');
+const { LEDGER_REASONS } = require('../constants/ledger');
+
+const { pool } = testDb;
+const NO_BONUS = { woodPerTick: 0, stonePerTick: 0 };
+
+let api;
+let factionIds;
+before(async () => {
+  ({ factionIds } = await fx.seedBase());
+  testDb.backup();
+  api = await startApp();
+});
+after(() => api.close());
+beforeEach(() => testDb.restore());
+
+function createPlayer(resources) {
+  return fx.createEntity({ factionId: factionIds[0], resources, population: { poor: { current: 5, max: 10 } } });
+}
+
+test('protected routes answer 401 without a token', async () => {
+  const res = await api.request('POST', '/api/build', { body: { buildingType: 'sawmill' } });
+  assert.equal(res.status, 401);
+});
+
+test('POST /api/build charges the cost and queues the upgrade, which the generator completes', async () => {
+  const { entity, token } = await createPlayer({ wood: 100, stone: 100, food: 100 });
+
+  const res = await api.request('POST', '/api/build', { token, body: { buildingType: 'sawmill' } });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.data.queueItem.building_type, 'sawmill');
+  assert.equal(res.body.data.queueItem.target_level, 1);
+  assert.equal(res.body.data.entity.resources.wood, 70);
+  assert.equal(res.body.data.entity.resources.stone, 80);
+  assert.equal(res.body.data.entity.resources.food, 95);
+
+  const build = await pool.query('SELECT resource, delta FROM resource_ledger WHERE entity_id = $1 AND reason = $2', [entity.id, LEDGER_REASONS.BUILD]);
+  assert.deepEqual(Object.fromEntries(build.rows.map(r => [r.resource, Number(r.delta)])), { wood: -30, stone: -20, food: -5 });
+
+  // Not finished yet: the building stays at level 0
+  await fx.rewindLastUpdate(entity.id, 10);
+  let result = await processEntity(entity.id, NO_BONUS);
+  assert.equal(result.completed_builds.length, 0);
+
+  await pool.query('UPDATE construction_queue SET finish_at = $1 WHERE id = $2', [new Date(Date.now() - 1000).toISOString(), res.body.data.queueItem.id]);
+  await fx.rewindLastUpdate(entity.id, 10);
+  result = await processEntity(entity.id, NO_BONUS);
+  assert.equal(result.completed_builds.length, 1);
+
+  const level = await pool.query("SELECT level FROM buildings WHERE entity_id = $1 AND type = 'sawmill'", [entity.id]);
+  assert.equal(level.rows[0].level, 1);
+});
+
+test('POST /api/build answers 400 INSUFFICIENT and keeps the inventory when resources are missing', async () => {
+  const { entity, token } = await createPlayer({ wood: 10, stone: 100, food: 100 });
+
+  const res = await api.request('POST', '/api/build', { token, body: { buildingType: 'sawmill' } });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error.code, 'INSUFFICIENT');
+  assert.equal(res.body.error.details.resource, 'wood');
+  assert.equal(res.body.error.details.need, 30);
+  assert.equal(res.body.error.details.have, 10);
+
+  const resources = await fx.getResources(entity.id);
+  assert.equal(resources.wood, 10);
+  assert.equal(resources.stone, 100);
+  assert.equal((await pool.query('SELECT id FROM construction_queue')).rows.length, 0);
+});
+
+test('POST /api/build rejects unknown building types', async () => {
+  const { token } = await createPlayer({ wood: 100 });
+  const res = await api.request('POST', '/api/build', { token, body: { buildingType: 'castle_in_the_sky' } });
+  assert.equal(res.status, 400);
+});
+
+test('only admins write inventories directly, not even players on their own entity', async () => {
+  const { entity, token } = await createPlayer({ wood: 100 });
+  const { token: adminToken } = await fx.createEntity({ role: 'admin', factionId: factionIds[1] });
+  const woodType = await pool.query("SELECT id FROM resource_types WHERE name = 'wood'");
+  const patch = { updates: [{ resource_type_id: woodType.rows[0].id, amount_change: 1000000 }] };
+
+  const set = await api.request('POST', '/api/resources', { token, body: { entityId: entity.id, resources: { gold: 1000000 } } });
+  assert.equal(set.status, 403);
+  assert.equal(set.body.error.code, 'FORBIDDEN_ADMIN_ONLY');
+  const added = await api.request('PATCH', `/api/entities/${entity.id}/resources`, { token, body: patch });
+  assert.equal(added.status, 403);
+  assert.equal(added.body.error.code, 'FORBIDDEN_ADMIN_ONLY');
+  assert.equal((await fx.getResources(entity.id)).wood, 100);
+
+  const byAdmin = await api.request('PATCH', `/api/entities/${entity.id}/resources`, { token: adminToken, body: patch });
+  assert.equal(byAdmin.status, 200, JSON.stringify(byAdmin.body));
+  assert.equal((await fx.getResources(entity.id)).wood, 1000100);
+});
+
+test('only admins overwrite population counts directly', async () => {
+  const { entity, token } = await createPlayer({});
+  const { token: adminToken } = await fx.createEntity({ role: 'admin', factionId: factionIds[1] });
+  const body = { entityId: entity.id, updates: [{ type: 'poor', current_population: 5000, max_population: 5000, available_population: 5000 }] };
+
+  const byPlayer = await api.request('POST', '/api/population', { token, body });
+  assert.equal(byPlayer.status, 403);
+  assert.equal(byPlayer.body.error.code, 'FORBIDDEN_ADMIN_ONLY');
+  const untouched = await pool.query("SELECT current_population, max_population FROM populations WHERE entity_id = $1 AND type = 'poor'", [entity.id]);
+  assert.deepEqual([untouched.rows[0].current_population, untouched.rows[0].max_population], [5, 10]);
+
+  const byAdmin = await api.request('POST', '/api/population', { token: adminToken, body });
+  assert.equal(byAdmin.status, 200, JSON.stringify(byAdmin.body));
+  assert.equal(byAdmin.body.data.types.find(t => t.type === 'poor').max_population, 5000);
+});
@@ -0,0 +1,31 @@
+// Express app on an ephemeral port backed by the pg-mem database, plus a small fetch wrapper.
+require('./testDb');
+
+async function startApp() {
+  const app = require('../../index');
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * request('POST', '/api/build', { token, body, headers }) -> { status, body, headers }
+   */
+  async function request(method, url, { token, body, headers: extraHeaders } = {}) {
+    const headers = Object.assign({ 'Content-Type': 'application/json' }, extraHeaders);
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const res = await fetch(baseUrl + url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    const text = await res.text();
+    let parsed = text;
+    try { parsed = JSON.parse(text); } catch (e) { /* plain text response */ }
+    return { status: res.status, body: parsed, headers: res.headers };
+  }
+
+  const close = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+  return { app, baseUrl, request, close };
+}
+
+module.exports = { startApp };
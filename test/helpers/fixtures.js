@@ -0,0 +1,111 @@
+// Test fixtures: factions, resource types and entities (players, AI cities, bazaars).
+// Everything goes through the same services the game uses so the rows look like real ones.
+const jwt = require('jsonwebtoken');
+const { pool } = require('./testDb');
+const { RESOURCE_CATEGORIES } = require('../../utils/gameUtils');
+
+const FACTIONS = [
+  { name: 'Castilla', spawn_x: 25, spawn_y: 25 },
+  { name: 'Aragón', spawn_x: 75, spawn_y: 75 }
+];
+
+// price_base per category, same scale as migrations 006 + 007
+const PRICE_BASE_BY_CATEGORY = { common: 20, processed: 60, specialized: 120, gold: 3000 };
+
+async function seedFactions() {
+  const ids = [];
+  for (const f of FACTIONS) {
+    const res = await pool.query('INSERT INTO factions (name, spawn_x, spawn_y) VALUES ($1, $2, $3) RETURNING id', [f.name, f.spawn_x, f.spawn_y]);
+    ids.push(res.rows[0].id);
+  }
+  return ids;
+}
+
+// One resource type per entry of RESOURCE_CATEGORIES
+async function seedResourceTypes() {
+  for (const [name, category] of Object.entries(RESOURCE_CATEGORIES)) {
+    await pool.query('INSERT INTO resource_types (name, price_base) VALUES ($1, $2)', [name, PRICE_BASE_BY_CATEGORY[category] || 60]);
+  }
+}
+
+async function seedBase() {
+  await seedResourceTypes();
+  const factionIds = await seedFactions();
+  return { factionIds };
+}
+
+let userSeq = 0;
+async function createUser(role = 'player') {
+  userSeq += 1;
+  const res = await pool.query(
+    'INSERT INTO users (username, password, role) VALUES ($1, $2, $3) RETURNING id, username, role',
+    [`tester${userSeq}`, 'not-a-real-hash', role]
+  );
+  return res.rows[0];
+}
+
+function tokenFor(user) {
+  return jwt.sign({ id: user.id, username: user.username, tv: 0 }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+async function setBuildings(entityId, buildings) {
+  const { setBuildingLevelWithClient } = require('../../utils/buildingsService');
+  for (const [type, level] of Object.entries(buildings || {})) {
+    await setBuildingLevelWithClient(pool, entityId, type, level);
+  }
+}
+
+// Population buckets as { poor: { current, max }, ... }
+async function setPopulation(entityId, buckets) {
+  const populationService = require('../../utils/populationService');
+  for (const [type, p] of Object.entries(buckets || {})) {
+    await populationService.setPopulationForTypeComputedWithClient(pool, entityId, type, p.current, p.max);
+  }
+}
+
+/**
+ * Create an entity with the given resources, buildings and population.
+ * options: { type = 'player', factionId, x, y, resources, buildings, population, withUser, role }
+ * Returns { entity, user, token } (user/token only for players with withUser !== false).
+ */
+async function createEntity(options = {}) {
+  const { createEntityWithResources } = require('../../utils/entityService');
+  const type = options.type || 'player';
+  const user = type === 'player' && options.withUser !== false ? await createUser(options.role) : null;
+  const entity = await createEntityWithResources(pool, {
+    user_id: user ? user.id : null,
+    faction_id: options.factionId || null,
+    type,
+    x_coord: options.x || 0,
+    y_coord: options.y || 0,
+    population: 1,
+    initialResources: options.resources || {}
+  });
+  await setBuildings(entity.id, options.buildings);
+  if (options.population) await setPopulation(entity.id, options.population);
+  return { entity, user, token: user ? tokenFor(user) : null };
+}
+
+async function getResources(entityId) {
+  return require('../../utils/resourcesService').getResourcesWithClient(pool, entityId);
+}
+
+// Pretend the entity was last processed `seconds` ago
+async function rewindLastUpdate(entityId, seconds) {
+  const at = new Date(Date.now() - seconds * 1000).toISOString();
+  await pool.query('UPDATE entities SET last_resource_update = $1 WHERE id = $2', [at, entityId]);
+}
+
+module.exports = {
+  FACTIONS,
+  seedBase,
+  seedFactions,
+  seedResourceTypes,
+  createUser,
+  tokenFor,
+  createEntity,
+  setBuildings,
+  setPopulation,
+  getResources,
+  rewindLastUpdate
+};
@@ -0,0 +1,172 @@
+// In-process Postgres stand-in for the test suite (pg-mem).
+// Requiring this module builds a fresh database from migrations/ and puts its pool in the
+// require cache under db.js, so every service, route and job that does require('../db')
+// talks to it. It must therefore be required before anything that loads db.js.
+const path = require('path');
+const { newDb, DataType } = require('pg-mem');
+const { loadMigrations } = require('../../utils/migrationRunner');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+// The services log every step with console.debug; TEST_VERBOSE=1 brings it back
+if (!process.env.TEST_VERBOSE) console.debug = () => {};
+
+// pg-mem does not run plpgsql: the populations updated_at trigger and the legacy DO block
+// of 005 are dropped before applying (neither is needed by a database created from scratch)
+function toPgMemSql(sql) {
+  return sql
+    .replace(/CREATE OR REPLACE FUNCTION[\s\S]*?\$\$ LANGUAGE plpgsql;/gi, '')
+    .replace(/DROP TRIGGER[^;]*;/gi, '')
+    .replace(/CREATE TRIGGER[^;]*;/gi, '')
+    .replace(/DO \$\$[\s\S]*?END\$\$;/gi, '');
+}
+
+// Functions used by the code that pg-mem does not ship
+function registerFunctions(db) {
+  for (const name of ['pg_advisory_lock', 'pg_advisory_unlock', 'pg_advisory_xact_lock']) {
+    db.public.registerFunction({ name, args: [DataType.integer], returns: DataType.text, implementation: () => '', impure: true });
+    // Two-key form (namespace, id), as in utils/orderBookService.js
+    db.public.registerFunction({ name, args: [DataType.integer, DataType.integer], returns: DataType.text, implementation: () => '', impure: true });
+  }
+}
+
+// Query syntax pg-mem cannot parse. Row locks mean nothing in a single-process in-memory
+// database, so `FOR UPDATE OF x` / `SKIP LOCKED` are reduced to a plain FOR UPDATE.
+function rewriteQuery(text) {
+  return text.replace(/FOR UPDATE OF \w+/gi, 'FOR UPDATE').replace(/\s+SKIP LOCKED/gi, '');
+}
+
+function toLiteral(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'number') return Number.isFinite(value) ? (value < 0 ? `(${value})` : String(value)) : 'NULL';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (value instanceof Date) return toLiteral(value.toISOString());
+  if (Array.isArray(value)) return value.length ? `ARRAY[${value.map(toLiteral).join(', ')}]` : "'{}'";
+  if (typeof value === 'object') return toLiteral(JSON.stringify(value));
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// The adapter sends every parameter as a quoted string, and pg-mem then evaluates
+// `amount - '20'` as `'20' - amount`. Parameters are inlined here as typed literals instead.
+function inlineParams(text, params) {
+  if (!params.length) return text;
+  return text.replace(/\$(\d+)/g, (m, n) => (Number(n) >= 1 && Number(n) <= params.length ? toLiteral(params[Number(n) - 1]) : m));
+}
+
+// pg-mem has no unnest(): `unnest($1::int[], $2::text[]) AS u(a, b)` over array parameters
+// is turned into the equivalent `(VALUES (.., ..), ...) AS u(a, b)` list
+const UNNEST = /unnest\(((?:\s*\$\d+::\w+\[\]\s*,?)+)\)\s+AS\s+(\w+)\(([^)]*)\)/gi;
+function inlineUnnest(text, params) {
+  return text.replace(UNNEST, (m, args, alias, columns) => {
+    const arrays = args.split(',').map(arg => {
+      const [, n, type] = /\$(\d+)::(\w+)\[\]/.exec(arg);
+      return { values: params[Number(n) - 1] || [], type };
+    });
+    const rows = arrays[0].values.map((_, i) => `(${arrays.map(a => `${toLiteral(a.values[i])}::${a.type}`).join(', ')})`);
+    if (rows.length === 0) throw new Error('testDb: unnest() over empty arrays is not supported');
+    return `(VALUES ${rows.join(', ')}) AS ${alias}(${columns})`;
+  });
+}
+
+// pg-mem ignores `= ANY(array)` on indexed columns (no rows match): `col = ANY($1::int[])` is
+// sent as `col IN (...)` instead
+const ANY_PARAM = /=\s*ANY\(\$(\d+)(?:::\w+\[\])?\)/gi;
+function inlineAny(text, params) {
+  return text.replace(ANY_PARAM, (m, n) => {
+    const values = params[Number(n) - 1];
+    if (!Array.isArray(values)) return m;
+    return `IN (${values.length ? values.map(toLiteral).join(', ') : 'NULL'})`;
+  });
+}
+
+// pg-mem rejects `CREATE TABLE IF NOT EXISTS` of a table that already exists (the skipped column
+// definitions count as unsupported syntax), as migrationRunner.ensureMigrationsTable does on every run
+const CREATE_IF_NOT_EXISTS = /^\s*CREATE TABLE IF NOT EXISTS (\w+)/i;
+
+const TX_STATEMENT = /^\s*(BEGIN|START TRANSACTION|COMMIT|END|ROLLBACK)\s*;?\s*$/i;
+
+/**
+ * pg-mem's node-postgres adapter runs every query on its own, so BEGIN/ROLLBACK issued as
+ * separate queries do not undo anything. Transactions are emulated instead: BEGIN waits for
+ * any other open transaction (they run one at a time, like SERIALIZABLE without retries) and
+ * snapshots the database, ROLLBACK restores the snapshot and COMMIT drops it.
+ */
+function createPool(db) {
+  const { Pool } = db.adapters.createPg();
+  const memPool = new Pool();
+  let txQueue = Promise.resolve();
+
+  async function run(text, params) {
+    if (text && typeof text === 'object') return run(text.text, text.values || params);
+    const values = params || [];
+    const create = CREATE_IF_NOT_EXISTS.exec(text);
+    if (create && db.public.getTable(create[1], true)) return { command: 'CREATE', rows: [], rowCount: 0 };
+    return memPool.query(inlineParams(inlineAny(inlineUnnest(rewriteQuery(text), values), values), values));
+  }
+
+  function createClient() {
+    let snapshot = null;
+    let endTx = null;
+    const finish = () => {
+      snapshot = null;
+      const done = endTx;
+      endTx = null;
+      if (done) done();
+    };
+    return {
+      async query(text, params) {
+        const m = typeof text === 'string' ? TX_STATEMENT.exec(text) : null;
+        if (!m) return run(text, params);
+        const cmd = m[1].toUpperCase();
+        if (cmd === 'BEGIN' || cmd === 'START TRANSACTION') {
+          if (!endTx) {
+            const previous = txQueue;
+            txQueue = new Promise(resolve => { endTx = resolve; });
+            await previous;
+            snapshot = db.backup();
+          }
+        } else if (cmd === 'ROLLBACK') {
+          if (snapshot) snapshot.restore();
+          finish();
+        } else {
+          finish();
+        }
+        return { command: cmd, rows: [], rowCount: 0 };
+      },
+      release() {
+        // A client returned to the pool mid-transaction is rolled back, as with a real server
+        if (snapshot) snapshot.restore();
+        finish();
+      },
+      on() {}
+    };
+  }
+
+  return {
+    query: run,
+    connect: async () => createClient(),
+    end: async () => {},
+    on() {}
+  };
+}
+
+function createTestDb() {
+  const db = newDb({ autoCreateForeignKeyIndices: true });
+  registerFunctions(db);
+  for (const mg of loadMigrations()) db.public.none(toPgMemSql(mg.sql));
+  return { db, pool: createPool(db) };
+}
+
+const { db, pool } = createTestDb();
+const dbPath = require.resolve(path.join(__dirname, '..', '..', 'db'));
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: pool };
+
+// Snapshot taken after the fixtures are loaded; restore() brings the database back to it
+let baseline = null;
+function backup() {
+  baseline = db.backup();
+}
+function restore() {
+  if (baseline) baseline.restore();
+}
+
+module.exports = { db, pool, backup, restore };
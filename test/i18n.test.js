@@ -0,0 +1,96 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const testDb = require('./helpers/testDb');
+const fx = require('./helpers/fixtures');
+const { startApp } = require('./helpers/app');
+const { negotiateLanguage, t } = require('../utils/i18n');
+const { MESSAGES, SUPPORTED_LANGUAGES } = require('../constants/messages');
+const { RESOURCE_NAMES, BUILDING_NAMES } = require('../constants/displayNames');
+const { RESOURCE_CATEGORIES } = require('../utils/gameUtils');
+const { BUILDING_COSTS } = require('../constants/buildings');
+
+const { pool } = testDb;
+const EN = { 'Accept-Language': 'en-US,en;q=0.9' };
+
+let api;
+let factionIds;
+before(async () => {
+  ({ factionIds } = await fx.seedBase());
+  testDb.backup();
+  api = await startApp();
+});
+after(() => api.close());
+beforeEach(() => testDb.restore());
+
+function createPlayer(resources) {
+  return fx.createEntity({ factionId: factionIds[0], resources, population: { poor: { current: 5, max: 10 } } });
+}
+
+test('Accept-Language picks the supported language with the highest q', () => {
+  assert.equal(negotiateLanguage('en-GB,en;q=0.9,es;q=0.8'), 'en');
+  assert.equal(negotiateLanguage('fr-FR,es;q=0.5,en;q=0.7'), 'en');
+  assert.equal(negotiateLanguage('de, fr'), 'es');
+  assert.equal(negotiateLanguage(undefined), 'es');
+});
+
+test('every message, resource and building has a text in every language with the same placeholders', () => {
+  const placeholders = (text) => (text.match(/\{[^}]+\}/g) || []).sort();
+  for (const [code, entry] of Object.entries(MESSAGES)) {
+    for (const lang of SUPPORTED_LANGUAGES) assert.ok(entry[lang], `${code}.${lang}`);
+    assert.deepEqual(placeholders(entry.en), placeholders(entry.es), code);
+  }
+  for (const key of Object.keys(RESOURCE_CATEGORIES)) for (const lang of SUPPORTED_LANGUAGES) assert.ok(RESOURCE_NAMES[key] && RESOURCE_NAMES[key][lang], `${key}.${lang}`);
+  for (const key of Object.keys(BUILDING_COSTS)) for (const lang of SUPPORTED_LANGUAGES) assert.ok(BUILDING_NAMES[key] && BUILDING_NAMES[key][lang], `${key}.${lang}`);
+
+  assert.equal(t('en', 'INSUFFICIENT', { resource: 'iron_ingot', need: 3, have: 1 }), 'Not enough Iron ingot (need 3, have 1)');
+  assert.equal(t('en', 'INSUFFICIENT', { resource: 'wood' }), null);
+});
+
+test('errors and info messages come back in the negotiated language with the same code', async () => {
+  const { entity, token } = await createPlayer({ wood: 10, stone: 100, food: 100 });
+
+  const en = await api.request('POST', '/api/build', { token, body: { buildingType: 'sawmill' }, headers: EN });
+  assert.equal(en.status, 400);
+  assert.equal(en.body.error.code, 'INSUFFICIENT');
+  assert.equal(en.body.error.message, 'Not enough Wood (need 30, have 10)');
+  assert.equal(en.headers.get('content-language'), 'en');
+
+  const es = await api.request('POST', '/api/build', { token, body: { buildingType: 'sawmill' } });
+  assert.equal(es.body.error.message, 'Recursos insuficientes: Madera (necesita 30, tiene 10)');
+  assert.equal(es.headers.get('content-language'), 'es');
+
+  await pool.query('UPDATE resource_inventory SET amount = 100 WHERE entity_id = $1', [entity.id]);
+  const queued = await api.request('POST', '/api/build', { token, body: { buildingType: 'sawmill' }, headers: EN });
+  assert.equal(queued.status, 200, JSON.stringify(queued.body));
+  assert.equal(queued.body.data.code, 'BUILD_QUEUED');
+  assert.equal(queued.body.data.message, 'Sawmill added to the build queue.');
+
+  const invalid = await api.request('POST', '/api/market/orders', { token, body: { side: 'buy', resource: 'wood', price: 0, quantity: 1 }, headers: EN });
+  assert.equal(invalid.body.error.message, 'Invalid input data.');
+  assert.deepEqual(invalid.body.error.details.errors.map(e => [e.field, e.code, e.message]), [['price', 'FIELD_MIN', 'must be greater than or equal to 1']]);
+});
+
+test('the saved language preference wins over Accept-Language', async () => {
+  const { token } = await createPlayer({});
+
+  const saved = await api.request('PUT', '/api/account/language', { token, body: { language: 'en' } });
+  assert.equal(saved.status, 200, JSON.stringify(saved.body));
+  assert.equal(saved.body.data.message, 'Language updated.');
+
+  const me = await api.request('GET', '/api/me', { token, headers: { 'Accept-Language': 'es' } });
+  assert.equal(me.headers.get('content-language'), 'en');
+  assert.equal(me.body.data.message, 'Session data loaded.');
+  assert.equal(me.body.data.user.language, 'en');
+
+  const constants = await api.request('GET', '/api/game/constants', { headers: EN });
+  assert.equal(constants.body.data.displayNames.buildings.barracks, 'Barracks');
+  assert.equal(constants.body.data.displayNames.resources.wood, 'Wood');
+
+  const cleared = await api.request('PUT', '/api/account/language', { token, body: { language: null }, headers: { 'Accept-Language': 'es' } });
+  assert.equal(cleared.body.data.message, 'Idioma actualizado.');
+  assert.equal(cleared.body.data.language, null);
+
+  const unsupported = await api.request('PUT', '/api/account/language', { token, body: { language: 'fr' }, headers: EN });
+  assert.equal(unsupported.status, 400);
+  assert.equal(unsupported.body.error.details.errors[0].message, 'must be one of: es, en');
+});
@@ -0,0 +1,165 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const testDb = require('./helpers/testDb');
+const fx = require('./helpers/fixtures');
+const { startApp } = require('./helpers/app');
+const marketService = require('../utils/marketService');
+const pricingService = require('../utils/pricingService');
+const bazaarService = require('../utils/bazaarService');
+const { BAZAAR } = require('../constants/bazaar');
+const { runResourceGeneratorJob } = require('../jobs/resourceGenerator');
+const { tradePlanner } = require('../jobs/ai_economic_engine_v2');
+
+const { pool } = testDb;
+const NOW = new Date('2030-01-01T12:00:00.000Z');
+
+let api;
+before(async () => {
+  await fx.seedBase();
+  testDb.backup();
+  api = await startApp();
+});
+after(() => api.close());
+beforeEach(() => testDb.restore());
+
+async function trade(buyerId, sellerId, resource, price, qty) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await marketService.tradeWithClient(client, buyerId, sellerId, resource, price, qty);
+    await client.query('COMMIT');
+  } finally {
+    client.release();
+  }
+}
+
+async function candles(resource, interval) {
+  const res = await api.request('GET', `/api/market/${resource}/history?interval=${interval}`);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body.data;
+}
+
+test('trades and order book fills pull the reference price toward the executed price', async () => {
+  const { entity: buyer, token: buyerToken } = await fx.createEntity({ x: 10, y: 10, resources: { gold: 100000 } });
+  const { entity: bazaar } = await fx.createEntity({ type: 'npc_bazar', x: 13, y: 14, resources: { wood: 1000 } });
+  const { token: sellerToken } = await fx.createEntity({ x: 15, y: 15, resources: { wood: 200 } });
+
+  // wood starts at its price_base (20); 500 units at 30 weigh 500 / (500 + 2000) = 0.2
+  await trade(buyer.id, bazaar.id, 'wood', 30, 500);
+  assert.equal((await marketService.computeMarketPriceSingle(pool, 'wood', 1, 'buy')).base, 22);
+
+  // A fill at 12 for 100 units: 22 + 100 / 2100 * (12 - 22)
+  const sell = await api.request('POST', '/api/market/orders', { token: sellerToken, body: { side: 'sell', resource: 'wood', price: 12, quantity: 100 } });
+  assert.equal(sell.status, 201, JSON.stringify(sell.body));
+  const buy = await api.request('POST', '/api/market/orders', { token: buyerToken, body: { side: 'buy', resource: 'wood', price: 12, quantity: 100 } });
+  assert.equal(buy.body.data.fills.length, 1);
+
+  const history = await candles('wood', '5m');
+  assert.deepEqual([history.basePrice, history.referencePrice], [20, 21.5238]);
+  assert.equal(history.candles[0].open, 20);
+  assert.equal(history.candles[history.candles.length - 1].close, 21.5238);
+  assert.equal(Math.max(...history.candles.map(c => c.high)), 22);
+  const sum = (key) => history.candles.reduce((acc, c) => acc + c[key], 0);
+  assert.deepEqual([sum('volume'), sum('trades')], [600, 2]);
+
+  // Other resources keep their base
+  assert.equal((await candles('stone', '1h')).referencePrice, 20);
+});
+
+test('two colluding accounts dealing back and forth cannot drag the reference or the bazaar bid', async () => {
+  const { token: sellerToken } = await fx.createEntity({ x: 10, y: 10, resources: { wood: 5000, gold: 0 }, buildings: { treasury: 8 } });
+  const { token: buyerToken } = await fx.createEntity({ x: 12, y: 12, resources: { gold: 200000 } });
+  const { entity: bazaar } = await fx.createEntity({ type: 'npc_bazar', x: 13, y: 14, resources: { wood: BAZAAR.targetStock.common, gold: 100000 } });
+  const bidBefore = (await bazaarService.getOffersWithClient(pool, bazaar.id, 'wood')).offers[0].bid;
+
+  // Ten self-dealt fills at 4x price_base (20)
+  for (let i = 0; i < 10; i++) {
+    const sell = await api.request('POST', '/api/market/orders', { token: sellerToken, body: { side: 'sell', resource: 'wood', price: 80, quantity: 200 } });
+    assert.equal(sell.status, 201, JSON.stringify(sell.body));
+    const buy = await api.request('POST', '/api/market/orders', { token: buyerToken, body: { side: 'buy', resource: 'wood', price: 80, quantity: 200 } });
+    assert.equal(buy.body.data.fills.length, 1, JSON.stringify(buy.body));
+  }
+
+  // The reference stays within 10% of where the day opened, and so does the bid
+  assert.equal(await pricingService.getReferencePriceWithClient(pool, 'wood'), 22);
+  const bidAfter = (await bazaarService.getOffersWithClient(pool, bazaar.id, 'wood')).offers[0].bid;
+  assert.deepEqual([bidBefore, bidAfter], [18, bazaarService.quoteFromStock('wood', BAZAAR.targetStock.common, 22).bid]);
+
+  // Repeat fills between the same pair weigh 1 / n; a move is held within the window band
+  assert.equal(pricingService.referenceAfterTrade(20, 20, 80, 1e6, { open: 30 }), 32);
+  assert.equal(pricingService.referenceAfterTrade(20, 20, 80, 1e6, { open: 30, weightFactor: 0.5 }), 26);
+  assert.equal(pricingService.referenceAfterTrade(20, 20, 80, 1e6, { open: 20 }), 22);
+  assert.equal(pricingService.referenceAfterTrade(23, 20, 10, 1e6, { open: 20 }), 20.4);
+});
+
+test('an order crossing the entity\'s own resting order is refused and the book stays uncrossed', async () => {
+  const { entity: trader, token } = await fx.createEntity({ x: 10, y: 10, resources: { gold: 5000, wood: 100 } });
+  const sell = await api.request('POST', '/api/market/orders', { token, body: { side: 'sell', resource: 'wood', price: 10, quantity: 100 } });
+  assert.equal(sell.status, 201, JSON.stringify(sell.body));
+
+  const crossing = await api.request('POST', '/api/market/orders', { token, body: { side: 'buy', resource: 'wood', price: 12, quantity: 50 } });
+  assert.equal(crossing.status, 409);
+  assert.equal(crossing.body.error.code, 'SELF_CROSSING_ORDER');
+  assert.deepEqual(crossing.body.error.details, { orderId: sell.body.data.order.id, price: 10 });
+  assert.equal((await fx.getResources(trader.id)).gold, 5000);
+
+  // A bid below its own ask does not cross and rests on the book
+  const below = await api.request('POST', '/api/market/orders', { token, body: { side: 'buy', resource: 'wood', price: 9, quantity: 50 } });
+  assert.equal(below.status, 201, JSON.stringify(below.body));
+  const depth = await api.request('GET', '/api/market/wood/depth');
+  assert.deepEqual([depth.body.data.bestBid, depth.body.data.bestAsk, depth.body.data.spread], [9, 10, 1]);
+});
+
+test('net production makes a resource cheaper and net consumption dearer, within bounds', async () => {
+  await fx.createEntity({ resources: { wood: 1000, stone: 1000 } });
+  const moved = await pricingService.applyTickFlows(pool, { wood: 20, stone: -20 }, NOW);
+  // ±0.5 * 20 / 1000 = ∓1%
+  assert.deepEqual(moved.sort((a, b) => a.resource.localeCompare(b.resource)), [
+    { resource: 'stone', before: 20, reference: 20.2 },
+    { resource: 'wood', before: 20, reference: 19.8 }
+  ]);
+  const [candle] = (await candles('wood', '1d')).candles;
+  assert.deepEqual(candle, { start: '2030-01-01T00:00:00.000Z', open: 20, high: 20, low: 19.8, close: 19.8, volume: 0, trades: 0 });
+
+  // A move is capped at 5% per tick and the price at [0.25, 4] x price_base
+  assert.equal(pricingService.referenceAfterFlow(20, 20, 1e6, 1000), 19);
+  assert.equal(pricingService.referenceAfterFlow(5.1, 20, 1e6, 1000), 5);
+  assert.equal(pricingService.referenceAfterTrade(79, 20, 1000, 1e6), 80);
+
+  // 5m candles are kept for two days
+  await pricingService.applyTickFlows(pool, { wood: 20 }, new Date(NOW.getTime() + 3 * 86400 * 1000));
+  const fiveMinutes = await candles('wood', '5m');
+  assert.equal(fiveMinutes.candles.length, 1);
+  assert.equal(fiveMinutes.candles[0].start, '2030-01-04T12:00:00.000Z');
+});
+
+test('the scheduled tick feeds its production into the reference prices', async () => {
+  const { entity } = await fx.createEntity({ resources: { wood: 100 }, buildings: { sawmill: 3 } });
+  await pool.query('UPDATE entities SET last_resource_update = $1 WHERE id = $2', [new Date(NOW.getTime() - 60000).toISOString(), entity.id]);
+
+  const report = await runResourceGeneratorJob({ woodPerTick: 0, stonePerTick: 0, now: NOW });
+  assert.equal(report.processed, 1);
+  const wood = report.prices.find(p => p.resource === 'wood');
+  assert.ok(wood && wood.reference < 20, JSON.stringify(report.prices));
+  assert.equal((await candles('wood', '1h')).referencePrice, wood.reference);
+});
+
+test('the AI trade planner values goods at the reference price', () => {
+  const perception = { inventory: { wood: 3 }, priceBaseMap: { wood: 20 }, neighbors: [] };
+  // 120 / 20 = 6 units is the low mark at the base price; at 60 it is 2
+  assert.deepEqual(tradePlanner(perception).map(a => [a.type, a.resource, a.qty]), [['buy', 'wood', 3]]);
+  assert.deepEqual(tradePlanner(Object.assign({ referencePriceMap: { wood: 60 } }, perception)), []);
+});
+
+test('GET /api/market/:resource/history rejects gold and unknown intervals', async () => {
+  const gold = await api.request('GET', '/api/market/gold/history');
+  assert.equal(gold.status, 404);
+  assert.equal(gold.body.error.code, 'RESOURCE_NOT_TRADABLE');
+
+  const interval = await api.request('GET', '/api/market/wood/history?interval=7m');
+  assert.equal(interval.status, 400);
+  assert.equal(interval.body.error.code, 'VALIDATION_ERROR');
+
+  const empty = await candles('wood', '1h');
+  assert.deepEqual([empty.interval, empty.intervalSeconds, empty.referencePrice, empty.candles], ['1h', 3600, 20, []]);
+});
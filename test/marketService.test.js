@@ -0,0 +1,104 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const testDb = require('./helpers/testDb');
+const fx = require('./helpers/fixtures');
+const marketService = require('../utils/marketService');
+const { processEntity } = require('../jobs/resourceGenerator');
+const { LEDGER_REASONS } = require('../constants/ledger');
+const { TRADE_TAX } = require('../constants/treasury');
+
+const { pool } = testDb;
+const NO_BONUS = { woodPerTick: 0, stonePerTick: 0 };
+
+async function trade(buyerId, sellerId, resource, price, qty) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await marketService.tradeWithClient(client, buyerId, sellerId, resource, price, qty);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+let buyer;
+let bazaar;
+before(async () => {
+  await fx.seedBase();
+  ({ entity: buyer } = await fx.createEntity({ x: 10, y: 10, resources: { gold: 1000, wood: 0 } }));
+  ({ entity: bazaar } = await fx.createEntity({ type: 'npc_bazar', x: 13, y: 14, resources: { wood: 500, gold: 0 } }));
+  testDb.backup();
+});
+beforeEach(() => testDb.restore());
+
+test('a trade settles the gold at once and ships the goods in a caravan', async () => {
+  const { snapshot, caravan } = await trade(buyer.id, bazaar.id, 'wood', 4, 50);
+
+  assert.equal(snapshot[buyer.id].gold, 800);
+  assert.equal(snapshot[buyer.id].wood, 0);
+  // The seller pays the cross faction tax on common goods out of the 200
+  assert.equal(snapshot[bazaar.id].gold, 200 - 200 * TRADE_TAX.rates.common.cross);
+  assert.equal(snapshot[bazaar.id].wood, 450);
+
+  assert.equal(caravan.status, 'in_transit');
+  assert.equal(caravan.destination_entity_id, buyer.id);
+  assert.deepEqual(caravan.cargo, { wood: 50 });
+  // distance 5 at 30s per tile
+  assert.equal(Math.round((new Date(caravan.arrives_at) - new Date(caravan.departed_at)) / 1000), 150);
+
+  const ledger = await pool.query('SELECT entity_id, resource, delta, ref_type, ref_id FROM resource_ledger WHERE reason = $1 ORDER BY id', [LEDGER_REASONS.TRADE]);
+  assert.deepEqual(ledger.rows.map(r => [r.entity_id, r.resource, Number(r.delta)]), [
+    [buyer.id, 'gold', -200],
+    [bazaar.id, 'gold', 200],
+    [bazaar.id, 'wood', -50]
+  ]);
+  assert.ok(ledger.rows.every(r => r.ref_type === 'caravan' && r.ref_id === caravan.id));
+});
+
+test('the resource generator delivers the caravan once it arrives', async () => {
+  const { caravan } = await trade(buyer.id, bazaar.id, 'wood', 4, 50);
+
+  await fx.rewindLastUpdate(buyer.id, 10);
+  let result = await processEntity(buyer.id, NO_BONUS);
+  assert.equal(result.delivered_caravans.length, 0);
+  assert.equal((await fx.getResources(buyer.id)).wood, 0);
+
+  await pool.query('UPDATE caravans SET arrives_at = $1 WHERE id = $2', [new Date(Date.now() - 1000).toISOString(), caravan.id]);
+  await fx.rewindLastUpdate(buyer.id, 10);
+  result = await processEntity(buyer.id, NO_BONUS);
+  assert.deepEqual(result.delivered_caravans.map(c => c.id), [caravan.id]);
+  assert.equal((await fx.getResources(buyer.id)).wood, 50);
+
+  const status = await pool.query('SELECT status FROM caravans WHERE id = $1', [caravan.id]);
+  assert.equal(status.rows[0].status, 'delivered');
+});
+
+test('a buyer without enough gold cannot trade and nothing changes', async () => {
+  await assert.rejects(trade(buyer.id, bazaar.id, 'wood', 30, 50), err => {
+    assert.deepEqual([err.code, err.status, err.details], ['INSUFFICIENT', 400, { resource: 'gold', need: 1500, have: 1000 }]);
+    return true;
+  });
+  assert.equal((await fx.getResources(buyer.id)).gold, 1000);
+  assert.equal((await fx.getResources(bazaar.id)).wood, 500);
+  assert.equal((await pool.query('SELECT id FROM caravans')).rows.length, 0);
+});
+
+test('a seller without stock cannot trade', async () => {
+  await assert.rejects(trade(buyer.id, bazaar.id, 'wood', 1, 501), err => {
+    assert.deepEqual([err.code, err.details], ['INSUFFICIENT', { resource: 'wood', need: 501, have: 500 }]);
+    return true;
+  });
+});
+
+test('goods that would not fit in the buyer storage are rejected, counting caravans on the way', async () => {
+  await pool.query(`UPDATE resource_inventory SET amount = 4900 WHERE entity_id = $1 AND resource_type_id = (SELECT id FROM resource_types WHERE name = 'wood')`, [buyer.id]);
+  await trade(buyer.id, bazaar.id, 'wood', 1, 60);
+  await assert.rejects(
+    trade(buyer.id, bazaar.id, 'wood', 1, 60),
+    err => err.code === 'STORAGE_FULL' && err.resource === 'wood' && err.incoming === 60 && err.capacity === 5000
+  );
+});
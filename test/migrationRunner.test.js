@@ -0,0 +1,136 @@
+const { test, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const testDb = require('./helpers/testDb');
+const runner = require('../utils/migrationRunner');
+
+const { pool } = testDb;
+
+// Every test migrates its own temporary directory against the pg-mem database. pg-mem cannot
+// roll back schema changes, so the migrations only write rows to mig_log: one per applied step.
+let dir;
+before(async () => {
+  await pool.query('CREATE TABLE mig_log (name VARCHAR(32) PRIMARY KEY)');
+  await runner.ensureMigrationsTable(pool);
+  testDb.backup();
+});
+beforeEach(() => {
+  testDb.restore();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+});
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function write(files) {
+  for (const [file, sql] of Object.entries(files)) fs.writeFileSync(path.join(dir, file), sql);
+}
+
+async function withClient(fn) {
+  const client = await pool.connect();
+  try {
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+}
+
+const up = (options = {}) => withClient(client => runner.migrateUpWithClient(client, Object.assign({ dir }, options)));
+const down = (options = {}) => withClient(client => runner.migrateDownWithClient(client, Object.assign({ dir }, options)));
+
+async function appliedNames() {
+  const res = await pool.query(`SELECT name FROM ${runner.MIGRATIONS_TABLE} ORDER BY name`);
+  return res.rows.map(r => r.name);
+}
+
+async function logged() {
+  const res = await pool.query('SELECT name FROM mig_log ORDER BY name');
+  return res.rows.map(r => r.name);
+}
+
+const log = name => `INSERT INTO mig_log (name) VALUES ('${name}');`;
+const unlog = name => `DELETE FROM mig_log WHERE name = '${name}';`;
+
+test('migrations sort by number then name, keeping the two legacy 003_ files in name order', () => {
+  const names = runner.loadMigrations().map(mg => mg.name);
+  const legacy = names.filter(n => n.startsWith('003_'));
+  assert.deepEqual(legacy, ['003_add_ai_runtime_to_entities', '003_create_map_entities']);
+  assert.ok(names.indexOf('002_create_ai_cities') < names.indexOf(legacy[0]));
+
+  write({ '10_c.sql': 'SELECT 1;', '2_b.sql': 'SELECT 1;', '002_a.sql': 'SELECT 1;' });
+  assert.throws(() => runner.loadMigrations(dir), err => err.code === 'DUPLICATE_VERSION');
+  fs.rmSync(path.join(dir, '002_a.sql'));
+  assert.deepEqual(runner.loadMigrations(dir).map(mg => mg.name), ['2_b', '10_c']);
+});
+
+test('up applies pending migrations in order and stops at --to', async () => {
+  write({
+    '001_one.sql': log('one'),
+    '002_two.sql': log('two'),
+    '003_three.sql': log('three')
+  });
+  assert.deepEqual(await up({ to: '002_two' }), ['001_one', '002_two']);
+  assert.deepEqual(await logged(), ['one', 'two']);
+  assert.deepEqual(await up(), ['003_three']);
+  assert.deepEqual(await up(), []);
+  await assert.rejects(up({ to: '009_nope' }), err => err.code === 'UNKNOWN_MIGRATION');
+});
+
+test('a failing up migration is rolled back and the previous ones stay applied', async () => {
+  write({
+    '001_ok.sql': log('ok'),
+    '002_broken.sql': `${log('half')}\nINSERT INTO mig_missing (id) VALUES (1);`,
+    '003_after.sql': log('after')
+  });
+  await assert.rejects(up(), err => err.migration === '002_broken');
+  assert.deepEqual(await appliedNames(), ['001_ok']);
+  assert.deepEqual(await logged(), ['ok']);
+});
+
+test('editing an applied migration is reported as CHECKSUM_DRIFT by up and down', async () => {
+  write({ '001_one.sql': log('one'), '001_one.down.sql': unlog('one') });
+  await up();
+  write({ '001_one.sql': `${log('one')}\n${log('extra')}`, '002_two.sql': log('two') });
+
+  await assert.rejects(up(), err => err.code === 'CHECKSUM_DRIFT' && err.migrations.includes('001_one'));
+  await assert.rejects(down(), err => err.code === 'CHECKSUM_DRIFT');
+  assert.deepEqual(await logged(), ['one']);
+  const status = await withClient(client => runner.getStatusWithClient(client, runner.loadMigrations(dir)));
+  assert.deepEqual(status.map(s => [s.name, s.status]), [['001_one', 'drift'], ['002_two', 'pending']]);
+});
+
+test('down reverts the newest migrations and refuses IRREVERSIBLE ones without touching anything', async () => {
+  write({
+    '001_base.sql': log('base'),
+    '002_two.sql': log('two'),
+    '002_two.down.sql': unlog('two'),
+    '003_three.sql': log('three'),
+    '003_three.down.sql': unlog('three')
+  });
+  await up();
+
+  assert.deepEqual(await down(), ['003_three']);
+  assert.deepEqual(await logged(), ['base', 'two']);
+
+  // 001_base has no .down.sql: two steps would need it, so nothing is reverted
+  await assert.rejects(down({ steps: 2 }), err => err.code === 'IRREVERSIBLE' && err.migrations[0] === '001_base');
+  assert.deepEqual(await appliedNames(), ['001_base', '002_two']);
+  assert.deepEqual(await logged(), ['base', 'two']);
+
+  assert.deepEqual(await down(), ['002_two']);
+  assert.deepEqual([await appliedNames(), await logged()], [['001_base'], ['base']]);
+});
+
+test('mark-applied --to records the migrations without running them', async () => {
+  write({
+    '001_one.sql': log('one'),
+    '002_two.sql': log('two'),
+    '003_three.sql': log('three')
+  });
+  const marked = await withClient(client => runner.markAppliedWithClient(client, { dir, to: '002_two' }));
+  assert.deepEqual(marked, ['001_one', '002_two']);
+  assert.deepEqual(await logged(), []);
+
+  assert.deepEqual(await up(), ['003_three']);
+  assert.deepEqual(await logged(), ['three']);
+});
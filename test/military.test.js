@@ -0,0 +1,150 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const testDb = require('./helpers/testDb');
+const fx = require('./helpers/fixtures');
+const battleService = require('../utils/battleService');
+const militaryService = require('../utils/militaryService');
+
+const { pool } = testDb;
+
+before(async () => {
+  await fx.seedBase();
+  testDb.backup();
+});
+beforeEach(() => testDb.restore());
+
+async function inTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function ledger(entityId, reason) {
+  const res = await pool.query('SELECT resource, delta, details FROM resource_ledger WHERE entity_id = $1 AND reason = $2 ORDER BY resource', [entityId, reason]);
+  return res.rows.map(r => ({ resource: r.resource, delta: Number(r.delta), details: r.details }));
+}
+
+test('the attacker wins when the defenders are wiped out and keeps its survivors', () => {
+  const result = battleService.resolveBattle({ knight: 10 }, { militia: 5 });
+  assert.equal(result.winner, 'attacker');
+  assert.deepEqual(result.attackerSurvivors, { knight: 10 });
+  assert.deepEqual(result.defenderSurvivors, {});
+  assert.deepEqual(result.attackerLosses, {});
+  assert.deepEqual(result.defenderLosses, { militia: 5 });
+  assert.equal(result.rounds.length, 1);
+  assert.deepEqual(result.rounds[0], { round: 1, attackerDamage: 120, defenderDamage: 10, attackerLosses: {}, defenderLosses: { militia: 5 } });
+});
+
+test('the defender wins when the attackers fall', () => {
+  const result = battleService.resolveBattle({ militia: 5 }, { knight: 10 });
+  assert.equal(result.winner, 'defender');
+  assert.deepEqual(result.attackerSurvivors, {});
+  assert.deepEqual(result.attackerLosses, { militia: 5 });
+  assert.deepEqual(result.defenderSurvivors, { knight: 10 });
+});
+
+test('a battle with both sides standing after the last round is a draw and always resolves the same way', () => {
+  const result = battleService.resolveBattle({ knight: 10 }, { knight: 10 });
+  assert.equal(result.winner, 'draw');
+  assert.equal(result.rounds.length, 6);
+  assert.deepEqual(result.attackerSurvivors, { knight: 3 });
+  assert.deepEqual(result.defenderSurvivors, { knight: 3 });
+  assert.deepEqual(battleService.resolveBattle({ knight: 10 }, { knight: 10 }), result);
+
+  // Cut short by maxRounds
+  const short = battleService.resolveBattle({ knight: 10 }, { knight: 10 }, { maxRounds: 1 });
+  assert.equal(short.winner, 'draw');
+  assert.deepEqual(short.attackerSurvivors, { knight: 7 });
+  assert.equal(short.rounds.length, 1);
+
+  // Unknown types and non-positive quantities are ignored
+  assert.deepEqual(battleService.normalizeUnits({ militia: '3', dragon: 5, knight: 0 }), { militia: 3 });
+});
+
+test('carry capacity adds up the surviving units and loot is capped by inventory and capacity', () => {
+  assert.equal(battleService.carryCapacity({ militia: 3, knight: 2, catapult: 1, dragon: 5 }), 110);
+
+  // Plenty of room: LOOT_RATIO of each resource, never more than the defender holds
+  assert.deepEqual(battleService.calculateLoot({ wood: 1000, stone: 301, gold: 0 }, 10000), { stone: 150, wood: 500 });
+  assert.deepEqual(battleService.calculateLoot({ wood: 1 }, 10000), {});
+
+  // Over capacity: scaled down proportionally
+  const loot = battleService.calculateLoot({ wood: 1000, stone: 301 }, 300);
+  assert.deepEqual(loot, { stone: 69, wood: 230 });
+  assert.ok(Object.values(loot).reduce((a, b) => a + b, 0) <= 300);
+  assert.deepEqual(battleService.calculateLoot({ wood: 1000 }, 0), {});
+});
+
+test('train, launch, win and return: the loot is taken from the defender and credited up to the attacker storage', async () => {
+  const { entity: attacker } = await fx.createEntity({ x: 0, y: 0, buildings: { barracks: 1 }, resources: { wood: 200, food: 400, stone: 4950 } });
+  const { entity: defender } = await fx.createEntity({ x: 3, y: 0, resources: { stone: 4000 } });
+
+  const trained = await inTransaction(c => militaryService.trainUnitsWithClient(c, attacker.id, 'militia', 20));
+  assert.deepEqual(trained.cost, { wood: 200, food: 400 });
+  assert.deepEqual(trained.units, { militia: 20 });
+
+  const mission = await inTransaction(c => militaryService.launchAttackWithClient(c, attacker.id, defender.id, { militia: 20 }));
+  assert.equal(mission.status, 'outbound');
+  assert.deepEqual(await militaryService.getUnitsWithClient(pool, attacker.id), {});
+
+  // Nothing happens before the army arrives
+  assert.deepEqual(await inTransaction(c => militaryService.resolveArrivedAttacksWithClient(c, defender.id, new Date(new Date(mission.arrives_at).getTime() - 1000))), []);
+
+  const [report] = await inTransaction(c => militaryService.resolveArrivedAttacksWithClient(c, defender.id, new Date(mission.arrives_at)));
+  assert.equal(report.winner, 'attacker');
+  // 20 militia carry 200 of the 3500 lootable (1500 gold + 2000 stone)
+  assert.deepEqual(report.loot, { gold: 85, stone: 114 });
+  const afterBattle = await fx.getResources(defender.id);
+  assert.equal(afterBattle.stone, 3886);
+  assert.equal(afterBattle.gold, 2915);
+
+  // Not home yet
+  assert.deepEqual(await inTransaction(c => militaryService.completeReturningMissionsWithClient(c, attacker.id, new Date(mission.arrives_at))), []);
+
+  const [done] = await inTransaction(c => militaryService.completeReturningMissionsWithClient(c, attacker.id, new Date(mission.returns_at)));
+  assert.equal(done.status, 'completed');
+  assert.deepEqual(done.loot_discarded, { stone: 64 });
+  assert.deepEqual(await militaryService.getUnitsWithClient(pool, attacker.id), { militia: 20 });
+
+  // Stone stops at the 5000 warehouse cap; gold fits in the treasury
+  const home = await fx.getResources(attacker.id);
+  assert.equal(home.stone, 5000);
+  assert.equal(home.gold, 3085);
+  assert.deepEqual(await ledger(attacker.id, 'loot_gained'), [
+    { resource: 'gold', delta: 85, details: { discarded: { stone: 64 } } },
+    { resource: 'stone', delta: 50, details: { discarded: { stone: 64 } } }
+  ]);
+
+  const stored = await militaryService.getBattleReport(pool, report.id);
+  assert.deepEqual(stored.loot, { gold: 85, stone: 114 });
+  assert.deepEqual(stored.loot_discarded, { stone: 64 });
+});
+
+test('a lost attack takes nothing and the mission ends without returning units', async () => {
+  const { entity: attacker } = await fx.createEntity({ x: 0, y: 0, buildings: { barracks: 1 }, resources: { wood: 20, food: 40 } });
+  const { entity: defender } = await fx.createEntity({ x: 2, y: 0, buildings: { barracks: 1 }, resources: { wood: 200, food: 400, stone: 1000 } });
+  await inTransaction(c => militaryService.trainUnitsWithClient(c, attacker.id, 'militia', 2));
+  await inTransaction(c => militaryService.trainUnitsWithClient(c, defender.id, 'militia', 20));
+
+  const mission = await inTransaction(c => militaryService.launchAttackWithClient(c, attacker.id, defender.id, { militia: 2 }));
+  const [report] = await inTransaction(c => militaryService.resolveArrivedAttacksWithClient(c, defender.id, new Date(mission.arrives_at)));
+  assert.equal(report.winner, 'defender');
+  assert.deepEqual(report.loot, {});
+  assert.deepEqual(report.attacker_losses, { militia: 2 });
+
+  assert.equal((await fx.getResources(defender.id)).stone, 1000);
+  assert.deepEqual(await militaryService.getUnitsWithClient(pool, defender.id), { militia: 20 });
+  const [stored] = await militaryService.listMissionsForEntity(pool, attacker.id, true);
+  assert.equal(stored.status, 'completed');
+  assert.deepEqual(await inTransaction(c => militaryService.completeReturningMissionsWithClient(c, attacker.id, new Date(mission.returns_at))), []);
+  assert.deepEqual(await militaryService.getUnitsWithClient(pool, attacker.id), {});
+});
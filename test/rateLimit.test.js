@@ -0,0 +1,88 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const testDb = require('./helpers/testDb');
+const fx = require('./helpers/fixtures');
+const { startApp } = require('./helpers/app');
+const { rateLimit, createMemoryStore, setRateLimitStore } = require('../middleware/rateLimit');
+const { LOGIN_LOCKOUT } = require('../constants/rateLimits');
+
+const { pool } = testDb;
+
+let api;
+let factionIds;
+before(async () => {
+  ({ factionIds } = await fx.seedBase());
+  testDb.backup();
+  api = await startApp();
+});
+after(() => api.close());
+beforeEach(() => {
+  testDb.restore();
+  setRateLimitStore(createMemoryStore());
+});
+
+// Minimal req/res pair to drive a middleware without HTTP
+async function callMiddleware(mw, req) {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  await mw(Object.assign({ method: 'POST', body: {}, ip: '10.0.0.1' }, req), res, () => { passed = true; });
+  return { passed, res };
+}
+
+test('a limit answers 429 with Retry-After once the window is used up, per key', async () => {
+  const mw = rateLimit('custom', { windowSeconds: 60, max: 2, by: 'user' });
+  const alice = { user: { id: 1 } };
+  assert.equal((await callMiddleware(mw, alice)).passed, true);
+  assert.equal((await callMiddleware(mw, alice)).passed, true);
+
+  const limited = await callMiddleware(mw, alice);
+  assert.equal(limited.passed, false);
+  assert.equal(limited.res.statusCode, 429);
+  assert.equal(limited.res.body.code, 'RATE_LIMITED');
+  assert.ok(Number(limited.res.headers['Retry-After']) > 0 && Number(limited.res.headers['Retry-After']) <= 60);
+
+  assert.equal((await callMiddleware(mw, { user: { id: 2 } })).passed, true);
+});
+
+test('the memory store opens a new window after the previous one expires', async () => {
+  const store = createMemoryStore();
+  assert.equal((await store.increment('k', 20)).count, 1);
+  assert.equal((await store.increment('k', 20)).count, 2);
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.equal((await store.increment('k', 20)).count, 1);
+});
+
+test('the memory store stays bounded by evicting the oldest written key', async () => {
+  const store = createMemoryStore({ maxKeys: 3 });
+  for (const key of ['a', 'b', 'c']) await store.increment(key, 60000);
+  await store.set('a', { failures: 1 }, 60000);
+  await store.increment('d', 60000);
+  assert.equal(await store.get('b'), null);
+  assert.deepEqual(await store.get('a'), { failures: 1 });
+  assert.deepEqual([(await store.increment('c', 60000)).count, (await store.increment('d', 60000)).count], [2, 2]);
+});
+
+test('repeated failed logins lock the username progressively', async () => {
+  const { user } = await fx.createEntity({ factionId: factionIds[0] });
+  await pool.query('UPDATE users SET password = $1 WHERE id = $2', [await bcrypt.hash('buena', 4), user.id]);
+
+  for (let i = 0; i < LOGIN_LOCKOUT.threshold; i++) {
+    const res = await api.request('POST', '/api/login', { body: { username: user.username, password: 'mala' } });
+    assert.equal(res.status, 401);
+  }
+
+  // Locked even with the right password; usernames are case-insensitive
+  const locked = await api.request('POST', '/api/login', { body: { username: user.username.toUpperCase(), password: 'buena' } });
+  assert.equal(locked.status, 429);
+  assert.equal(locked.body.error.code, 'LOGIN_LOCKED');
+  assert.ok(locked.body.error.details.retryAfter > 0 && locked.body.error.details.retryAfter <= LOGIN_LOCKOUT.baseSeconds);
+  assert.equal(locked.headers.get('retry-after'), String(locked.body.error.details.retryAfter));
+});
@@ -0,0 +1,118 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const testDb = require('./helpers/testDb');
+const fx = require('./helpers/fixtures');
+const { processEntity, runResourceGeneratorJob } = require('../jobs/resourceGenerator');
+const populationService = require('../utils/populationService');
+const { RESOURCE_CATEGORIES } = require('../utils/gameUtils');
+const { LEDGER_REASONS } = require('../constants/ledger');
+
+const { pool } = testDb;
+const COMMON = Object.keys(RESOURCE_CATEGORIES).filter(k => RESOURCE_CATEGORIES[k] === 'common');
+// No fixed wood/stone bonus per tick so the numbers only depend on buildings
+const NO_BONUS = { woodPerTick: 0, stonePerTick: 0 };
+
+function commonStock(amount) {
+  return Object.fromEntries(COMMON.map(k => [k, amount]));
+}
+
+let factionIds;
+before(async () => {
+  ({ factionIds } = await fx.seedBase());
+  testDb.backup();
+});
+beforeEach(() => testDb.restore());
+
+test('production tick adds building output for the elapsed ticks', async () => {
+  const { entity } = await fx.createEntity({ factionId: factionIds[0], resources: { wood: 100, stone: 100 }, buildings: { sawmill: 2, quarry: 1 } });
+  await fx.rewindLastUpdate(entity.id, 60);
+
+  const result = await processEntity(entity.id, NO_BONUS);
+  const resources = await fx.getResources(entity.id);
+  // sawmill: 1 wood per tick and level, quarry: 1 stone per tick; 60s = 6 ticks
+  assert.equal(resources.wood, 112);
+  assert.equal(resources.stone, 106);
+  assert.equal(result.resource_deltas.wood, 12);
+
+  const rows = await pool.query('SELECT resource, delta FROM resource_ledger WHERE entity_id = $1 AND reason = $2', [entity.id, LEDGER_REASONS.PRODUCTION]);
+  assert.deepEqual(Object.fromEntries(rows.rows.map(r => [r.resource, Number(r.delta)])), { wood: 12, stone: 6 });
+});
+
+test('the fixed wood/stone bonus is added once per tick', async () => {
+  const { entity } = await fx.createEntity({ resources: { wood: 0, stone: 0 } });
+  await fx.rewindLastUpdate(entity.id, 30);
+  await processEntity(entity.id, { woodPerTick: 2, stonePerTick: 1 });
+  const resources = await fx.getResources(entity.id);
+  assert.equal(resources.wood, 6);
+  assert.equal(resources.stone, 3);
+});
+
+test('a second run right after the first one does nothing', async () => {
+  const { entity } = await fx.createEntity({ resources: { wood: 0 }, buildings: { sawmill: 1 } });
+  await fx.rewindLastUpdate(entity.id, 20);
+  await processEntity(entity.id, NO_BONUS);
+  const first = await fx.getResources(entity.id);
+  await processEntity(entity.id, NO_BONUS);
+  assert.deepEqual(await fx.getResources(entity.id), first);
+});
+
+test('poor population consumes one unit of every common resource per citizen and minute, then grows', async () => {
+  const { entity } = await fx.createEntity({ resources: commonStock(100), population: { poor: { current: 5, max: 10 } } });
+  await fx.rewindLastUpdate(entity.id, 60);
+
+  await processEntity(entity.id, NO_BONUS);
+  const resources = await fx.getResources(entity.id);
+  // 5 citizens * 1 minute = 5 of each common resource, plus 1 of each to grow by one citizen
+  for (const k of COMMON.filter(k => k !== 'food')) assert.equal(resources[k], 94, k);
+  // food is also eaten by the citizens in the production step
+  assert.ok(resources.food < 94);
+  const pop = await populationService.getPopulationRowsWithClient(pool, entity.id);
+  assert.equal(pop.poor.current, 6);
+
+  const upkeep = await pool.query('SELECT resource, delta FROM resource_ledger WHERE entity_id = $1 AND reason = $2', [entity.id, LEDGER_REASONS.POPULATION_UPKEEP]);
+  assert.equal(upkeep.rows.length, COMMON.length);
+  assert.ok(upkeep.rows.every(r => Number(r.delta) === -6));
+});
+
+test('poor population shrinks when the common resources run out', async () => {
+  const stock = commonStock(100);
+  stock.water = 0;
+  const { entity } = await fx.createEntity({ resources: stock, population: { poor: { current: 5, max: 10 } } });
+  await fx.rewindLastUpdate(entity.id, 60);
+
+  await processEntity(entity.id, NO_BONUS);
+  const pop = await populationService.getPopulationRowsWithClient(pool, entity.id);
+  assert.equal(pop.poor.current, 4);
+  // Nothing is consumed when the upkeep cannot be paid in full
+  assert.equal((await fx.getResources(entity.id)).wood, 100);
+});
+
+test('production above the storage capacity is discarded', async () => {
+  const { entity } = await fx.createEntity({ resources: { wood: 4990 }, buildings: { sawmill: 5 } });
+  await fx.rewindLastUpdate(entity.id, 60);
+
+  const result = await processEntity(entity.id, NO_BONUS);
+  // warehouse level 0 holds 5000 of each resource
+  assert.equal((await fx.getResources(entity.id)).wood, 5000);
+  assert.equal(result.storage_discarded.wood, 20);
+});
+
+test('bazaars are not capped by storage', async () => {
+  const { entity } = await fx.createEntity({ type: 'npc_bazar', resources: { wood: 100000 }, buildings: { sawmill: 1 } });
+  await fx.rewindLastUpdate(entity.id, 10);
+  await processEntity(entity.id, NO_BONUS);
+  assert.equal((await fx.getResources(entity.id)).wood, 100001);
+});
+
+test('runResourceGeneratorJob processes every entity and reports failures per entity', async () => {
+  const a = await fx.createEntity({ resources: { wood: 0 }, buildings: { sawmill: 1 } });
+  const b = await fx.createEntity({ resources: { stone: 0 }, buildings: { quarry: 1 } });
+  await fx.rewindLastUpdate(a.entity.id, 10);
+  await fx.rewindLastUpdate(b.entity.id, 10);
+
+  const report = await runResourceGeneratorJob();
+  assert.equal(report.results.length, 2);
+  assert.deepEqual([report.processed, report.failed, report.errors], [2, 0, []]);
+  assert.ok((await fx.getResources(a.entity.id)).wood >= 1);
+  assert.ok((await fx.getResources(b.entity.id)).stone >= 1);
+});
@@ -0,0 +1,97 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const testDb = require('./helpers/testDb');
+const fx = require('./helpers/fixtures');
+const resourcesService = require('../utils/resourcesService');
+const { LEDGER_REASONS } = require('../constants/ledger');
+
+const { pool } = testDb;
+
+async function inTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function ledgerRows(entityId, reason) {
+  const res = await pool.query('SELECT resource, delta, balance_after, ref_type, ref_id FROM resource_ledger WHERE entity_id = $1 AND reason = $2 ORDER BY id', [entityId, reason]);
+  return res.rows.map(r => ({ ...r, delta: Number(r.delta), balance_after: Number(r.balance_after) }));
+}
+
+let factionIds;
+before(async () => {
+  ({ factionIds } = await fx.seedBase());
+  testDb.backup();
+});
+beforeEach(() => testDb.restore());
+
+test('createEntityWithResources stores the starting stock and gives players 3000 gold', async () => {
+  const { entity } = await fx.createEntity({ factionId: factionIds[0], resources: { wood: 100, stone: 50 } });
+  const resources = await fx.getResources(entity.id);
+  assert.equal(resources.wood, 100);
+  assert.equal(resources.stone, 50);
+  assert.equal(resources.gold, 3000);
+  assert.equal(resources.food, 0);
+
+  const initial = await ledgerRows(entity.id, LEDGER_REASONS.INITIAL);
+  assert.deepEqual(initial.map(r => r.resource).sort(), ['gold', 'stone', 'wood']);
+});
+
+test('consumeResourcesWithClientGeneric subtracts the cost and records it in the ledger', async () => {
+  const { entity } = await fx.createEntity({ resources: { wood: 100, stone: 50 } });
+  const after = await inTransaction(client => resourcesService.consumeResourcesWithClientGeneric(
+    client, entity.id, { wood: 30, stone: 50 }, { reason: LEDGER_REASONS.BUILD, refType: 'construction_queue', refId: 7 }
+  ));
+  assert.equal(after.wood, 70);
+  assert.equal(after.stone, 0);
+
+  const rows = await ledgerRows(entity.id, LEDGER_REASONS.BUILD);
+  assert.deepEqual(rows.map(r => [r.resource, r.delta, r.balance_after]), [['wood', -30, 70], ['stone', -50, 0]]);
+  assert.ok(rows.every(r => r.ref_type === 'construction_queue' && r.ref_id === 7));
+});
+
+test('consumeResourcesWithClientGeneric throws INSUFFICIENT and leaves the inventory untouched', async () => {
+  const { entity } = await fx.createEntity({ resources: { wood: 10, stone: 500 } });
+  await assert.rejects(
+    inTransaction(client => resourcesService.consumeResourcesWithClientGeneric(client, entity.id, { stone: 100, wood: 11 })),
+    err => err.code === 'INSUFFICIENT' && err.resource === 'wood' && err.need === 11 && err.have === 10
+  );
+  const resources = await fx.getResources(entity.id);
+  assert.equal(resources.wood, 10);
+  assert.equal(resources.stone, 500);
+  assert.equal((await ledgerRows(entity.id, LEDGER_REASONS.UNSPECIFIED)).length, 0);
+});
+
+test('adjustResourcesWithClientGeneric never goes below zero and logs the real delta', async () => {
+  const { entity } = await fx.createEntity({ resources: { wood: 10, food: 5 } });
+  const after = await inTransaction(client => resourcesService.adjustResourcesWithClientGeneric(
+    client, entity.id, { wood: -25, food: 20, unknown_thing: 3 }, { reason: LEDGER_REASONS.TRADE }
+  ));
+  assert.equal(after.wood, 0);
+  assert.equal(after.food, 25);
+
+  const rows = await ledgerRows(entity.id, LEDGER_REASONS.TRADE);
+  assert.deepEqual(rows.map(r => [r.resource, r.delta, r.balance_after]), [['wood', -10, 0], ['food', 20, 25]]);
+});
+
+test('setResourcesWithClientGeneric only records the resources that changed', async () => {
+  const { entity } = await fx.createEntity({ resources: { wood: 10, stone: 20 } });
+  await inTransaction(client => resourcesService.setResourcesWithClientGeneric(
+    client, entity.id, { wood: 10, stone: 5, food: 40 }, { reason: LEDGER_REASONS.ADMIN_SET }
+  ));
+  const resources = await fx.getResources(entity.id);
+  assert.equal(resources.stone, 5);
+  assert.equal(resources.food, 40);
+
+  const rows = await ledgerRows(entity.id, LEDGER_REASONS.ADMIN_SET);
+  assert.deepEqual(rows.map(r => [r.resource, r.delta]).sort(), [['food', 40], ['stone', -15]]);
+});
@@ -0,0 +1,138 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const testDb = require('./helpers/testDb');
+const fx = require('./helpers/fixtures');
+const { startApp } = require('./helpers/app');
+const quoteService = require('../utils/quoteService');
+const { TRADE_QUOTE } = require('../constants/market');
+
+const { pool } = testDb;
+
+let api;
+let factionIds;
+before(async () => {
+  ({ factionIds } = await fx.seedBase());
+  testDb.backup();
+  api = await startApp();
+});
+after(() => api.close());
+beforeEach(() => testDb.restore());
+
+// A player buying wood from an AI city, priced by the market (not by a bazaar)
+async function createTraders() {
+  const { entity: city } = await fx.createEntity({ type: 'cityIA', factionId: factionIds[1], x: 40, y: 40, resources: { wood: 1000 } });
+  const { entity: player, user, token } = await fx.createEntity({ factionId: factionIds[0], resources: { gold: 5000 } });
+  return { city, player, user, token };
+}
+
+async function quote(token, trade) {
+  const res = await api.request('POST', '/api/resources/market-price', { token, body: { trades: [trade] } });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body.data.results[0];
+}
+
+const redeem = (token, quoteId) => api.request('POST', '/api/resources/trade', { token, body: { quoteId } });
+
+async function setReferencePrice(resource, price) {
+  await pool.query(
+    `INSERT INTO market_prices (resource_type_id, reference_price)
+     SELECT id, $2 FROM resource_types WHERE name = $1
+     ON CONFLICT (resource_type_id) DO UPDATE SET reference_price = EXCLUDED.reference_price`,
+    [resource, price]
+  );
+}
+
+test('a quote executes the trade at its price exactly once', async () => {
+  const { city, player, token } = await createTraders();
+  const q = await quote(token, { type: 'wood', amount: 10, buyerId: player.id, sellerId: city.id });
+  assert.ok(q.quoteId && q.expiresAt, JSON.stringify(q));
+
+  const traded = await redeem(token, q.quoteId);
+  assert.equal(traded.status, 200, JSON.stringify(traded.body));
+  assert.deepEqual([traded.body.data.price, traded.body.data.amount, traded.body.data.slippage], [q.price, 10, 0]);
+  assert.equal(traded.body.data.snapshot[String(player.id)].gold, 5000 - q.price * 10);
+
+  const again = await redeem(token, q.quoteId);
+  assert.equal(again.status, 409);
+  assert.equal(again.body.error.code, 'QUOTE_USED');
+});
+
+test('a quote the buyer cannot pay answers 400 INSUFFICIENT with the missing gold', async () => {
+  const { city, player, token } = await createTraders();
+  const q = await quote(token, { type: 'wood', amount: 500, buyerId: player.id, sellerId: city.id });
+  const broke = await redeem(token, q.quoteId);
+  assert.equal(broke.status, 400, JSON.stringify(broke.body));
+  assert.equal(broke.body.error.code, 'INSUFFICIENT');
+  assert.deepEqual(broke.body.error.details, { resource: 'gold', need: q.price * 500, have: 5000 });
+});
+
+test('the client can no longer choose the price: tampered, foreign and expired quotes are refused', async () => {
+  const { city, player, user, token } = await createTraders();
+  const { token: otherToken } = await fx.createEntity({ factionId: factionIds[0] });
+
+  const legacy = await api.request('POST', '/api/resources/trade', { token, body: { buyerId: player.id, sellerId: city.id, resource: 'wood', price: 1, amount: 10 } });
+  assert.equal(legacy.status, 400);
+  assert.equal(legacy.body.error.code, 'VALIDATION_ERROR');
+
+  const q = await quote(token, { type: 'wood', amount: 10, buyerId: player.id, sellerId: city.id });
+  const [body, signature] = q.quoteId.split('.');
+  const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  const cheap = Buffer.from(JSON.stringify(Object.assign({}, payload, { p: 1 }))).toString('base64url');
+  const tampered = await redeem(token, `${cheap}.${signature}`);
+  assert.equal(tampered.status, 400);
+  assert.equal(tampered.body.error.code, 'QUOTE_INVALID');
+
+  const foreign = await redeem(otherToken, q.quoteId);
+  assert.equal(foreign.status, 403);
+  assert.equal(foreign.body.error.code, 'QUOTE_NOT_YOURS');
+
+  const past = new Date(Date.now() - (TRADE_QUOTE.ttlSeconds + 1) * 1000);
+  const expired = quoteService.issueQuote({ userId: user.id, buyerId: player.id, sellerId: city.id, resource: 'wood', quantity: 10, action: 'buy', price: q.price }, past);
+  const late = await redeem(token, expired.quoteId);
+  assert.equal(late.status, 400);
+  assert.equal(late.body.error.code, 'QUOTE_EXPIRED');
+
+  // None of the refused attempts moved anything
+  assert.equal((await fx.getResources(player.id)).gold, 5000);
+});
+
+test('the price is recomputed on redemption and a move beyond the slippage limit is refused', async () => {
+  const { city, player, token } = await createTraders();
+  const q = await quote(token, { type: 'wood', amount: 10, buyerId: player.id, sellerId: city.id });
+
+  await setReferencePrice('wood', 30);
+  const moved = await redeem(token, q.quoteId);
+  assert.equal(moved.status, 409);
+  assert.equal(moved.body.error.code, 'QUOTE_PRICE_MOVED');
+  assert.equal(moved.body.error.details.quoted, q.price);
+  assert.ok(moved.body.error.details.current > q.price * (1 + TRADE_QUOTE.maxSlippage));
+
+  // The refused trade rolled back its redemption: once the price is back the quote still works
+  await setReferencePrice('wood', 20);
+  const traded = await redeem(token, q.quoteId);
+  assert.equal(traded.status, 200, JSON.stringify(traded.body));
+});
+
+test('redemptions of expired quotes are pruned', async () => {
+  const { city, player, token } = await createTraders();
+  const q = await quote(token, { type: 'wood', amount: 1, buyerId: player.id, sellerId: city.id });
+  assert.equal((await redeem(token, q.quoteId)).status, 200);
+
+  assert.equal(await quoteService.pruneRedemptions(pool, new Date()), 0);
+  assert.equal(await quoteService.pruneRedemptions(pool, new Date(Date.now() + (TRADE_QUOTE.ttlSeconds + 1) * 1000)), 1);
+});
+
+test('the side of a quoted trade is the caller\'s, whatever action the client sends', async () => {
+  const { city, player, token } = await createTraders();
+  const trade = { type: 'wood', amount: 500, buyerId: city.id, sellerId: player.id };
+  const asSent = await quote(token, trade);
+  const asBuy = await quote(token, Object.assign({ action: 'buy' }, trade));
+  const asSell = await quote(token, Object.assign({ action: 'sell' }, trade));
+  assert.deepEqual([asSent.action, asBuy.action, asSell.action], ['sell', 'sell', 'sell']);
+  assert.deepEqual([asBuy.price, asSell.price], [asSent.price, asSent.price]);
+
+  // Buying it back is priced from the buy side, above the sale price
+  const back = await quote(token, { type: 'wood', amount: 500, buyerId: player.id, sellerId: city.id, action: 'sell' });
+  assert.equal(back.action, 'buy');
+  assert.ok(back.price > asSent.price, JSON.stringify([back.price, asSent.price]));
+});
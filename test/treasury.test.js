@@ -0,0 +1,188 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const testDb = require('./helpers/testDb');
+const fx = require('./helpers/fixtures');
+const { startApp } = require('./helpers/app');
+const marketService = require('../utils/marketService');
+const { processEntity } = require('../jobs/resourceGenerator');
+const { runBatchTick } = require('../jobs/batchTick');
+const { TRADE_TAX, FACTION_TREASURY_BONUSES, FACTION_TREASURY_SPENDING } = require('../constants/treasury');
+
+const { pool } = testDb;
+const NOW = new Date('2030-01-01T12:00:00.000Z');
+
+let api;
+let factionIds;
+before(async () => {
+  ({ factionIds } = await fx.seedBase());
+  testDb.backup();
+  api = await startApp();
+});
+after(() => api.close());
+beforeEach(() => testDb.restore());
+
+async function trade(buyerId, sellerId, resource, price, qty) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await marketService.tradeWithClient(client, buyerId, sellerId, resource, price, qty);
+    await client.query('COMMIT');
+    return result;
+  } finally {
+    client.release();
+  }
+}
+
+async function treasury(factionId) {
+  const res = await pool.query('SELECT balance, tax_collected, spent FROM faction_treasuries WHERE faction_id = $1', [factionId]);
+  return res.rows.length ? Object.fromEntries(Object.entries(res.rows[0]).map(([k, val]) => [k, Number(val)])) : null;
+}
+
+async function fund(factionId, balance) {
+  await pool.query('INSERT INTO faction_treasuries (faction_id, balance) VALUES ($1, $2)', [factionId, balance]);
+}
+
+// A member whose settlement joined the faction long enough ago to spend its treasury
+async function createVeteran(factionId) {
+  const created = await fx.createEntity({ factionId });
+  const joined = new Date(Date.now() - (FACTION_TREASURY_SPENDING.minMemberHours + 1) * 3600 * 1000);
+  await pool.query('UPDATE entities SET created_at = $1 WHERE id = $2', [joined.toISOString(), created.entity.id]);
+  return created;
+}
+
+async function grantBonus(factionId, bonus, from, to) {
+  await pool.query(
+    'INSERT INTO faction_bonuses (faction_id, bonus, cost, starts_at, expires_at) VALUES ($1, $2, 0, $3, $4)',
+    [factionId, bonus, from.toISOString(), to.toISOString()]
+  );
+}
+
+test('the seller pays the intra or cross faction rate of the category into its faction treasury', async () => {
+  const { entity: seller } = await fx.createEntity({ factionId: factionIds[0], x: 10, y: 10, resources: { wood: 500, lumber: 100 } });
+  const { entity: ally } = await fx.createEntity({ factionId: factionIds[0], x: 12, y: 12, resources: { gold: 10000 } });
+  const { entity: foreigner } = await fx.createEntity({ factionId: factionIds[1], x: 14, y: 14, resources: { gold: 10000 } });
+  const startingGold = (await fx.getResources(seller.id)).gold;
+
+  // 100 wood at 20: 2% inside the faction
+  const inside = await trade(ally.id, seller.id, 'wood', 20, 100);
+  assert.deepEqual([inside.tax.amount, inside.tax.scope, inside.tax.factionId], [2000 * TRADE_TAX.rates.common.intra, 'intra', factionIds[0]]);
+  assert.equal((await fx.getResources(seller.id)).gold, startingGold + 2000 - 40);
+  assert.equal((await fx.getResources(ally.id)).gold, 10000 - 2000);
+
+  // 50 lumber at 60 to another faction: 6%, still to the seller's faction
+  const across = await trade(foreigner.id, seller.id, 'lumber', 60, 50);
+  assert.deepEqual([across.tax.amount, across.tax.scope], [3000 * TRADE_TAX.rates.processed.cross, 'cross']);
+  assert.deepEqual(await treasury(factionIds[0]), { balance: 220, tax_collected: 220, spent: 0 });
+  assert.equal(await treasury(factionIds[1]), null);
+
+  const ledger = await pool.query("SELECT delta, ref_type FROM resource_ledger WHERE entity_id = $1 AND reason = 'trade_tax' ORDER BY id", [seller.id]);
+  assert.deepEqual(ledger.rows.map(r => [Number(r.delta), r.ref_type]), [[-40, 'caravan'], [-180, 'caravan']]);
+});
+
+test('order book fills are taxed too, and the tax of trades without factions is destroyed', async () => {
+  const { entity: seller, token: sellerToken } = await fx.createEntity({ factionId: factionIds[1], x: 10, y: 10, resources: { wood: 200 } });
+  const { entity: buyer, token: buyerToken } = await fx.createEntity({ x: 15, y: 15, resources: { gold: 10000 } });
+  const startingGold = (await fx.getResources(seller.id)).gold;
+
+  await api.request('POST', '/api/market/orders', { token: sellerToken, body: { side: 'sell', resource: 'wood', price: 10, quantity: 100 } });
+  const buy = await api.request('POST', '/api/market/orders', { token: buyerToken, body: { side: 'buy', resource: 'wood', price: 10, quantity: 100 } });
+  assert.equal(buy.status, 201, JSON.stringify(buy.body));
+  assert.equal(buy.body.data.fills[0].tax, 50);
+  assert.equal((await fx.getResources(seller.id)).gold, startingGold + 1000 - 50);
+  assert.equal((await treasury(factionIds[1])).balance, 50);
+
+  const { entity: loner } = await fx.createEntity({ x: 20, y: 20, resources: { wood: 100 } });
+  const lost = await trade(buyer.id, loner.id, 'wood', 20, 10);
+  assert.deepEqual([lost.tax.amount, lost.tax.factionId], [10, null]);
+
+  const report = await api.request('GET', '/api/factions/treasury');
+  assert.equal(report.status, 200, JSON.stringify(report.body));
+  assert.deepEqual(report.body.data.totals, { collected: 50, destroyed: 10, trades: 2 });
+  const aragon = report.body.data.factions.find(f => f.faction_id === factionIds[1]);
+  assert.deepEqual([aragon.balance, aragon.taxCollected, aragon.recent.byScope, aragon.recent.byCategory], [50, 50, { intra: 0, cross: 50 }, { common: 50 }]);
+});
+
+test('members spend the treasury on bonuses; non members, empty treasuries and repeats are refused', async () => {
+  const { token } = await createVeteran(factionIds[0]);
+  const { token: outsider } = await createVeteran(factionIds[1]);
+  const buy = (t, bonus) => api.request('POST', `/api/factions/${factionIds[0]}/bonuses`, { token: t, body: { bonus } });
+
+  const foreign = await buy(outsider, 'granaries');
+  assert.equal(foreign.status, 403);
+  assert.equal(foreign.body.error.code, 'NOT_FACTION_MEMBER');
+
+  const poor = await buy(token, 'granaries');
+  assert.equal(poor.status, 400);
+  assert.equal(poor.body.error.code, 'TREASURY_INSUFFICIENT');
+  assert.deepEqual(poor.body.error.details, { balance: 0, need: FACTION_TREASURY_BONUSES.granaries.cost });
+
+  await fund(factionIds[0], 50000);
+  const bought = await buy(token, 'granaries');
+  assert.equal(bought.status, 201, JSON.stringify(bought.body));
+  assert.equal(bought.body.data.bonus.bonus, 'granaries');
+  assert.deepEqual(await treasury(factionIds[0]), { balance: 30000, tax_collected: 0, spent: 20000 });
+
+  const again = await buy(token, 'granaries');
+  assert.equal(again.status, 409);
+  assert.equal(again.body.error.code, 'FACTION_BONUS_ACTIVE');
+
+  const unknown = await buy(token, 'free_gold');
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.error.code, 'VALIDATION_ERROR');
+
+  const report = await api.request('GET', '/api/factions/treasury');
+  assert.deepEqual(report.body.data.factions[0].activeBonuses.map(b => b.bonus), ['granaries']);
+});
+
+test('trade privileges halve the tax on the sales of the faction members', async () => {
+  const { entity: seller } = await fx.createEntity({ factionId: factionIds[0], x: 10, y: 10, resources: { wood: 500 } });
+  const { entity: buyer } = await fx.createEntity({ factionId: factionIds[1], x: 12, y: 12, resources: { gold: 10000 } });
+  await grantBonus(factionIds[0], 'trade_privileges', new Date(Date.now() - 60000), new Date(Date.now() + 3600 * 1000));
+
+  const { tax } = await trade(buyer.id, seller.id, 'wood', 20, 100);
+  assert.equal(tax.amount, 2000 * TRADE_TAX.rates.common.cross * 0.5);
+});
+
+test('production bonuses apply to the whole faction in processEntity and the batch tick alike', async () => {
+  const options = { woodPerTick: 0, stonePerTick: 0, now: NOW };
+  const { entity: boosted } = await fx.createEntity({ factionId: factionIds[0], buildings: { sawmill: 5 } });
+  const { entity: plain } = await fx.createEntity({ factionId: factionIds[1], buildings: { sawmill: 5 } });
+  await grantBonus(factionIds[0], 'sawmills', new Date(NOW.getTime() - 3600 * 1000), new Date(NOW.getTime() + 3600 * 1000));
+  // An expired bonus of the other faction does nothing
+  await grantBonus(factionIds[1], 'sawmills', new Date(NOW.getTime() - 7200 * 1000), new Date(NOW.getTime() - 3600 * 1000));
+  const ago = new Date(NOW.getTime() - 600 * 1000).toISOString();
+  await pool.query('UPDATE entities SET last_resource_update = $1 WHERE id = ANY($2::int[])', [ago, [boosted.id, plain.id]]);
+  const initial = testDb.db.backup();
+
+  await processEntity(boosted.id, options);
+  await processEntity(plain.id, options);
+  const single = [(await fx.getResources(boosted.id)).wood, (await fx.getResources(plain.id)).wood];
+  assert.ok(single[0] > single[1], JSON.stringify(single));
+  assert.equal(single[0], Math.floor(single[1] * FACTION_TREASURY_BONUSES.sawmills.effects.production.wood));
+
+  initial.restore();
+  await runBatchTick(Object.assign({ ids: [boosted.id, plain.id] }, options));
+  assert.deepEqual([(await fx.getResources(boosted.id)).wood, (await fx.getResources(plain.id)).wood], single);
+});
+
+test('newcomers cannot spend the treasury and each member buys one bonus per cooldown', async () => {
+  const { token: newcomer } = await fx.createEntity({ factionId: factionIds[0] });
+  const { token: veteran } = await createVeteran(factionIds[0]);
+  const { token: other } = await createVeteran(factionIds[0]);
+  await fund(factionIds[0], 100000);
+  const buy = (t, bonus) => api.request('POST', `/api/factions/${factionIds[0]}/bonuses`, { token: t, body: { bonus } });
+
+  const early = await buy(newcomer, 'granaries');
+  assert.equal(early.status, 403);
+  assert.equal(early.body.error.code, 'FACTION_MEMBER_TOO_NEW');
+
+  assert.equal((await buy(veteran, 'granaries')).status, 201);
+  const twice = await buy(veteran, 'sawmills');
+  assert.equal(twice.status, 429);
+  assert.equal(twice.body.error.code, 'FACTION_SPEND_COOLDOWN');
+  assert.ok(twice.body.error.details.retryAfter > FACTION_TREASURY_SPENDING.userCooldownHours * 3600 - 60);
+
+  // Another member is not affected by the cooldown
+  assert.equal((await buy(other, 'sawmills')).status, 201);
+  assert.deepEqual(await treasury(factionIds[0]), { balance: 55000, tax_collected: 0, spent: 45000 });
+});
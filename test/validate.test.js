@@ -0,0 +1,81 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const testDb = require('./helpers/testDb');
+const fx = require('./helpers/fixtures');
+const { startApp } = require('./helpers/app');
+const { validate, v, PG_INT_MAX } = require('../middleware/validate');
+
+let api;
+let factionIds;
+before(async () => {
+  ({ factionIds } = await fx.seedBase());
+  testDb.backup();
+  api = await startApp();
+});
+after(() => api.close());
+beforeEach(() => testDb.restore());
+
+function run(spec, req) {
+  let status = null;
+  let body = null;
+  let passed = false;
+  const res = { status(code) { status = code; return this; }, json(b) { body = b; return this; } };
+  validate(spec)(req, res, () => { passed = true; });
+  return { passed, status, body, req };
+}
+
+test('schemas coerce query strings and normalize closed values', () => {
+  const result = run({
+    query: { entityId: v.id(), limit: v.int({ min: 1, max: 50 }).optional() },
+    body: { resource: v.resourceName(), units: v.record(v.oneOf(['militia', 'archer']), v.int({ min: 0 })) }
+  }, { query: { entityId: '12' }, body: { resource: 'WOOD', units: { Militia: '3' }, extra: true } });
+
+  assert.equal(result.passed, true);
+  assert.deepEqual(result.req.validated.query, { entityId: 12 });
+  assert.deepEqual(result.req.body, { resource: 'wood', units: { militia: 3 }, extra: true });
+});
+
+test('every failing field is reported with its location and path', () => {
+  const result = run({
+    params: { id: v.id() },
+    body: { updates: v.array(v.object({ type: v.oneOf(['poor', 'burgess']), amount: v.int() }), { min: 1 }) }
+  }, { params: { id: 'abc' }, body: { updates: [{ type: 'poor', amount: 1 }, { type: 'king', amount: PG_INT_MAX + 1 }] } });
+
+  assert.equal(result.passed, false);
+  assert.equal(result.status, 400);
+  assert.equal(result.body.code, 'VALIDATION_ERROR');
+  assert.deepEqual(result.body.errors.map(e => `${e.location}:${e.field}`), ['params:id', 'body:updates[1].type', 'body:updates[1].amount']);
+  assert.match(result.body.errors[1].message, /poor, burgess/);
+});
+
+test('optional fields may be omitted but required ones may not', () => {
+  const spec = { body: { side: v.oneOf(['buy', 'sell']), note: v.string().optional(), owner: v.id().nullable() } };
+  assert.equal(run(spec, { body: { side: 'buy', owner: null } }).passed, true);
+  const missing = run(spec, { body: {} });
+  assert.deepEqual(missing.body.errors, [{ location: 'body', field: 'side', code: 'FIELD_REQUIRED', message: 'es obligatorio' }]);
+});
+
+test('routes answer VALIDATION_ERROR before touching the database', async () => {
+  const { entity, token } = await fx.createEntity({ factionId: factionIds[0], resources: { wood: 100 } });
+
+  const build = await api.request('POST', '/api/build', { token, body: { buildingType: 'castle_in_the_sky' } });
+  assert.equal(build.status, 400);
+  assert.equal(build.body.error.code, 'VALIDATION_ERROR');
+  assert.equal(build.body.error.details.errors[0].field, 'buildingType');
+
+  const order = await api.request('POST', '/api/market/orders', { token, body: { side: 'buy', resource: 'unobtainium', price: 1.5, quantity: -2 } });
+  assert.equal(order.status, 400);
+  assert.deepEqual(order.body.error.details.errors.map(e => e.field), ['resource', 'price', 'quantity']);
+
+  const population = await api.request('POST', '/api/population', { token, body: { entityId: entity.id, updates: [{ type: 'king', current_population: 5 }] } });
+  assert.equal(population.status, 400);
+  assert.equal(population.body.error.details.errors[0].field, 'updates[0].type');
+
+  const ledger = await api.request('GET', `/api/entities/${entity.id}/ledger?limit=0&since=yesterday`, { token });
+  assert.equal(ledger.status, 400);
+  assert.deepEqual(ledger.body.error.details.errors.map(e => e.field), ['since', 'limit']);
+
+  const byId = await api.request('GET', '/api/entities/not-a-number', { token });
+  assert.equal(byId.status, 400);
+  assert.equal(byId.body.error.details.errors[0].location, 'params');
+});
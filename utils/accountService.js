@@ -0,0 +1,144 @@
+const bcrypt = require('bcrypt');
+const pool = require('../db');
+const { PLAYER_STARTER_RESOURCES, BASE_POPULATION, RESPAWN_COOLDOWN_SECONDS } = require('../constants/player');
+
+const BCRYPT_ROUNDS = 10;
+
+function accountError(message, code, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+// { resource: amount } for every resource type, 0 for those without a starter amount
+async function getStarterResourcesWithClient(clientOrPool) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const resourceTypes = await require('./resourcesService').getResourceTypesWithClient(client);
+  const defaults = {};
+  for (const r of resourceTypes) {
+    const name = (r.name || '').toLowerCase();
+    defaults[name] = typeof PLAYER_STARTER_RESOURCES[name] === 'number' ? PLAYER_STARTER_RESOURCES[name] : 0;
+  }
+  return defaults;
+}
+
+/**
+ * Lock the user row and check `password` against its hash. Every account operation
+ * re-verifies the password even though the request carries a valid access token.
+ * Throws USER_NOT_FOUND or WRONG_PASSWORD.
+ */
+async function verifyPasswordWithClient(client, userId, password) {
+  const res = await client.query('SELECT id, username, password, token_version FROM users WHERE id = $1 FOR UPDATE', [userId]);
+  if (res.rows.length === 0) throw accountError('Usuario no encontrado.', 'USER_NOT_FOUND');
+  const user = res.rows[0];
+  if (!password || typeof password !== 'string' || !(await bcrypt.compare(password, user.password))) {
+    throw accountError('Contraseña incorrecta.', 'WRONG_PASSWORD');
+  }
+  return user;
+}
+
+/**
+ * Change the password and close every session of the user (see sessionService).
+ * Returns a fresh session ({ token, refreshToken, expiresIn }) for the caller.
+ * Must run inside a transaction.
+ */
+async function changePasswordWithClient(client, userId, currentPassword, newPassword) {
+  if (!newPassword || typeof newPassword !== 'string') throw accountError('La nueva contraseña es obligatoria.', 'INVALID_PASSWORD');
+  const user = await verifyPasswordWithClient(client, userId, currentPassword);
+  if (await bcrypt.compare(newPassword, user.password)) {
+    throw accountError('La nueva contraseña debe ser distinta de la actual.', 'INVALID_PASSWORD');
+  }
+  const hashed = await bcrypt.hash(newPassword, BCRYPT_ROUNDS);
+  await client.query('UPDATE users SET password = $1 WHERE id = $2', [hashed, userId]);
+
+  const sessionService = require('./sessionService');
+  const tokenVersion = await sessionService.revokeAllSessionsWithClient(client, userId);
+  return sessionService.issueSessionWithClient(client, { id: user.id, username: user.username, token_version: tokenVersion });
+}
+
+/**
+ * Delete the user and its settlement. Buildings, populations, inventory, queues, orders,
+ * units, research, ledger and refresh tokens go with it through ON DELETE CASCADE;
+ * caravans and missions of other players keep running with the reference set to NULL.
+ * A deleted leader hands the alliance over; the last member disbands it, warehouse included.
+ * Must run inside a transaction. Returns { userId, entityIds }.
+ */
+async function deleteAccountWithClient(client, userId, password) {
+  await verifyPasswordWithClient(client, userId, password);
+  const entities = await client.query('SELECT id FROM entities WHERE user_id = $1 FOR UPDATE', [userId]);
+  const entityIds = entities.rows.map(r => r.id);
+  // Hand the alliance leadership over (or disband it) before the membership row goes away
+  await require('./allianceService').leaveWithClient(client, userId, { force: true });
+  const entityService = require('./entityService');
+  for (const id of entityIds) await entityService.deleteEntity(client, id);
+  await client.query('DELETE FROM users WHERE id = $1', [userId]);
+  return { userId, entityIds };
+}
+
+/**
+ * Abandon the current settlement and start again in `factionId`, with the same starter
+ * resources and population as /register at a free spot near the faction spawn.
+ * Allowed once every RESPAWN_COOLDOWN_SECONDS, otherwise throws RESPAWN_COOLDOWN ({ retryAfter, availableAt }).
+ * Must run inside a transaction. Returns { entity, abandonedEntityId }.
+ */
+async function respawnWithClient(client, userId, password, factionId, now = new Date()) {
+  await verifyPasswordWithClient(client, userId, password);
+  const last = await client.query('SELECT last_respawn_at FROM users WHERE id = $1', [userId]);
+  const lastAt = last.rows[0].last_respawn_at;
+  if (lastAt) {
+    const availableAt = new Date(new Date(lastAt).getTime() + RESPAWN_COOLDOWN_SECONDS * 1000);
+    if (availableAt > now) {
+      const retryAfter = Math.ceil((availableAt - now) / 1000);
+      throw accountError(`Solo puedes reiniciar el asentamiento una vez cada ${RESPAWN_COOLDOWN_SECONDS / 3600} h.`, 'RESPAWN_COOLDOWN', { retryAfter, availableAt: availableAt.toISOString() });
+    }
+  }
+  const faction = await client.query('SELECT id FROM factions WHERE id = $1', [factionId]);
+  if (faction.rows.length === 0) throw accountError(`Facción con ID ${factionId} no encontrada.`, 'INVALID_FACTION', { factionId });
+
+  const entityService = require('./entityService');
+  const previous = await entityService.getEntityByUserId(client, userId);
+  if (previous) {
+    await entityService.lockEntity(client, previous.id);
+    await entityService.deleteEntity(client, previous.id);
+  }
+
+  // The old settlement is already gone, so its tile counts as free again
+  const { findAvailableCoordinates } = require('./gameUtils');
+  const { x, y } = await findAvailableCoordinates(client, factionId);
+  const entity = await entityService.createEntityWithResources(client, {
+    user_id: userId,
+    faction_id: factionId,
+    type: 'player',
+    x_coord: x,
+    y_coord: y,
+    population: BASE_POPULATION,
+    initialResources: await getStarterResourcesWithClient(client)
+  });
+  await client.query('UPDATE users SET last_respawn_at = $1 WHERE id = $2', [now.toISOString(), userId]);
+  return { entity, abandonedEntityId: previous ? previous.id : null };
+}
+
+/**
+ * Save the preferred language of the API messages (null = follow Accept-Language).
+ * Throws INVALID_LANGUAGE or USER_NOT_FOUND. Returns the stored value.
+ */
+async function setLanguageWithClient(clientOrPool, userId, language) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const { SUPPORTED_LANGUAGES } = require('./i18n');
+  if (language !== null && !SUPPORTED_LANGUAGES.includes(language)) {
+    throw accountError(`Idioma no soportado: ${language}`, 'INVALID_LANGUAGE', { language, supported: SUPPORTED_LANGUAGES });
+  }
+  const res = await client.query('UPDATE users SET language = $1 WHERE id = $2 RETURNING language', [language, userId]);
+  if (res.rows.length === 0) throw accountError('Usuario no encontrado.', 'USER_NOT_FOUND');
+  return res.rows[0].language || null;
+}
+
+module.exports = {
+  getStarterResourcesWithClient,
+  verifyPasswordWithClient,
+  changePasswordWithClient,
+  deleteAccountWithClient,
+  respawnWithClient,
+  setLanguageWithClient
+};
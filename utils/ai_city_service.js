@@ -8,6 +8,21 @@ const pool = require('../db');
 const gameUtils = require('./gameUtils');
 const { BUILDING_COSTS } = require('../constants/buildings');
 
+// Balanced defaults for AI cities (small starting push)
+const AI_CITY_DEFAULT_RESOURCES = {
+    wood: 800,
+    stone: 700,
+    food: 1200,
+    water: 200,
+    coal: 100,
+    clay: 100,
+    honey: 400,
+    wool: 400,
+    copper: 800,
+    leather: 400,
+    gold: 3000
+};
+
 async function listCities(clientOrPool, forUpdate = false) {
     const q = forUpdate ? 'SELECT * FROM ai_cities FOR UPDATE' : 'SELECT * FROM ai_cities';
     const res = clientOrPool.query ? await clientOrPool.query(q) : await pool.query(q);
@@ -56,20 +71,7 @@ async function createPairedCity(clientOrPool, cityData) {
     // Compute initialResources: prefer explicit initialResources, otherwise use balanced AI defaults
     let initialResources = cityData.initialResources;
     if (!initialResources || Object.keys(initialResources).length === 0) {
-        // Balanced defaults for AI cities (small starting push)
-        const aiDefaults = {
-            wood: 800,
-            stone: 700,
-            food: 1200,
-            water: 200,
-            coal: 100,
-            clay: 100,
-            honey: 400,
-            wool: 400,
-            copper: 800,
-            leather: 400,
-            gold: 3000
-        };
+        const aiDefaults = AI_CITY_DEFAULT_RESOURCES;
         const resourcesService = require('./resourcesService');
         const rtRes = await resourcesService.getResourceTypesWithClient(client);
         initialResources = {};
@@ -99,7 +101,9 @@ async function createPairedCity(clientOrPool, cityData) {
     // 2b. Asegurarse de que resource_inventory está configurado con los initialResources deseados (defensivo)
     try {
         const resourcesService = require('./resourcesService');
-        await resourcesService.setResourcesWithClientGeneric(client, entity.id, initialResources);
+        await resourcesService.setResourcesWithClientGeneric(client, entity.id, initialResources, {
+            reason: require('../constants/ledger').LEDGER_REASONS.INITIAL
+        });
     } catch (rsErr) {
         // non-fatal: log and continue
         console.warn('Failed to initialize AI city resources in resource_inventory:', rsErr.message);
@@ -294,25 +298,16 @@ async function chooseBestBuild(pool, perception, buildPlannerResult, tradeAction
     return { bestBuild: null, bestTrade, rejectedDueToPopCount, houseCandidate };
 }
 
-// Calculate upgrade requirements using BUILDING_COSTS (same formula as v1)
-function calculateUpgradeRequirementsFromConstants(buildingType, currentLevel) {
-    const costBase = BUILDING_COSTS[buildingType];
-    if (!costBase) return null;
-    const factor = 1.7;
-    const nextLevel = currentLevel + 1;
-    // Build requiredCost dynamically from costBase to include non-standard resource keys
-    const requiredCost = {};
-    for (const [k, v] of Object.entries(costBase || {})) {
-        if (k === 'popNeeded' || k === 'popneeded' || k === 'pop') continue;
-        const baseVal = Number(v || 0);
-        requiredCost[k.toString().toLowerCase()] = Math.ceil(baseVal * Math.pow(nextLevel, factor));
-    }
-    const popNeeded = typeof costBase.popNeeded === 'number' ? costBase.popNeeded : (buildingType === 'house' ? 0 : 1);
+// Calculate upgrade requirements with the shared cost engine (same numbers players are charged).
+// `modifiers` are the city's research effects (researchService.getModifiersWithClient).
+function calculateUpgradeRequirementsFromConstants(buildingType, currentLevel, modifiers = null) {
+    const breakdown = require('./costEngine').getBuildBreakdown(buildingType, currentLevel, { modifiers });
+    if (!breakdown) return null;
     return {
-        nextLevel,
-        requiredCost,
-        requiredTimeS: 0,
-        popForNextLevel: popNeeded,
+        nextLevel: breakdown.nextLevel,
+        requiredCost: breakdown.cost,
+        requiredTimeS: breakdown.timeSeconds,
+        popForNextLevel: breakdown.popNeeded,
         currentPopRequirement: 0
     };
 }
@@ -325,6 +320,7 @@ function calculateUpgradeRequirementsFromConstants(buildingType, currentLevel) {
  *  - runtimeBuildings: niveles actuales por edificio (map)
  *  - calc: resultado de populationService.calculateAvailablePopulation(entityId) (usa .available)
  *  - maxDepth: profundidad máxima (default 4)
+ *  - modifiers: efectos de investigación de la ciudad (abaratan los costes)
  */
 function findProducerChain(resourceName, options = {}) {
     if (!resourceName) return null;
@@ -370,7 +366,7 @@ function findProducerChain(resourceName, options = {}) {
         for (const candidate of directCandidates) {
             try {
                 const curLevel = runtimeBuildings[candidate] || 0;
-                const reqs = calculateUpgradeRequirementsFromConstants(candidate, curLevel);
+                const reqs = calculateUpgradeRequirementsFromConstants(candidate, curLevel, options.modifiers);
                 if (!reqs) continue;
                 const prodPopNeeded = (reqs.popForNextLevel || 0) - (reqs.currentPopRequirement || 0);
                 if ((calc.available || 0) < prodPopNeeded) continue;
@@ -545,5 +541,8 @@ module.exports = {
     updateCityById,
     chooseBestBuild,
     calculateUpgradeRequirementsFromConstants,
-    findProducerChain
+    findProducerChain,
+    mapBuildingToPopulationBucket,
+    computeEffectiveThresholdForCandidate,
+    AI_CITY_DEFAULT_RESOURCES
 };
@@ -0,0 +1,438 @@
+const pool = require('../db');
+const { ALLIANCE_RANKS, ALLIANCE_PERMISSIONS, ALLIANCE_LIMITS, ALLIANCE_WAREHOUSE } = require('../constants/alliances');
+const { LEDGER_REASONS } = require('../constants/ledger');
+
+/**
+ * Player alliances: membership with ranks, invitations and a shared warehouse.
+ * Membership changes lock the alliance row so member counts and leadership stay consistent;
+ * warehouse movements lock the alliance_inventory rows they touch. Distributions leave from the
+ * distributing leader's settlement by caravan and pay the trade tax like any other transfer.
+ */
+
+function allianceError(message, code, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+// Lower index = higher rank
+const rankIndex = (rank) => ALLIANCE_RANKS.indexOf(rank);
+
+function assertAllowed(membership, action) {
+  if (!(ALLIANCE_PERMISSIONS[action] || []).includes(membership.rank)) {
+    throw allianceError('Tu rango en la alianza no permite esta acción.', 'ALLIANCE_RANK_FORBIDDEN', { action, rank: membership.rank });
+  }
+}
+
+// Alliance of a user: { alliance_id, rank, joined_at } or null
+async function getMembershipWithClient(clientOrPool, userId) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const res = await client.query('SELECT alliance_id, rank, joined_at FROM alliance_members WHERE user_id = $1', [userId]);
+  return res.rows[0] || null;
+}
+
+async function lockAllianceWithClient(client, allianceId) {
+  const res = await client.query('SELECT * FROM alliances WHERE id = $1 FOR UPDATE', [allianceId]);
+  if (res.rows.length === 0) throw allianceError('Alianza no encontrada.', 'ALLIANCE_NOT_FOUND', { allianceId: Number(allianceId) });
+  return res.rows[0];
+}
+
+// Membership of `userId` in `allianceId`; throws NOT_ALLIANCE_MEMBER otherwise
+async function requireMemberWithClient(client, userId, allianceId) {
+  const membership = await getMembershipWithClient(client, userId);
+  if (!membership || Number(membership.alliance_id) !== Number(allianceId)) {
+    throw allianceError('No eres miembro de esta alianza.', 'NOT_ALLIANCE_MEMBER', { allianceId: Number(allianceId) });
+  }
+  return membership;
+}
+
+// Membership of another user that must belong to `allianceId`
+async function requireTargetWithClient(client, userId, allianceId) {
+  const membership = await getMembershipWithClient(client, userId);
+  if (!membership || Number(membership.alliance_id) !== Number(allianceId)) {
+    throw allianceError('El jugador no es miembro de la alianza.', 'ALLIANCE_MEMBER_NOT_FOUND', { userId: Number(userId) });
+  }
+  return membership;
+}
+
+async function countMembersWithClient(client, allianceId) {
+  const res = await client.query('SELECT COUNT(*) AS n FROM alliance_members WHERE alliance_id = $1', [allianceId]);
+  return parseInt(res.rows[0].n, 10) || 0;
+}
+
+async function assertNotMemberWithClient(client, userId) {
+  if (await getMembershipWithClient(client, userId)) {
+    throw allianceError('El jugador ya pertenece a una alianza.', 'ALLIANCE_ALREADY_MEMBER', { userId: Number(userId) });
+  }
+}
+
+async function assertNotFullWithClient(client, allianceId) {
+  if (await countMembersWithClient(client, allianceId) >= ALLIANCE_LIMITS.maxMembers) {
+    throw allianceError('La alianza está completa.', 'ALLIANCE_FULL', { maxMembers: ALLIANCE_LIMITS.maxMembers });
+  }
+}
+
+// Every alliance with its member count, ordered by id
+async function listAlliances(clientOrPool) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const res = await client.query(
+    `SELECT a.id, a.name, a.tag, a.founder_user_id, a.created_at, COUNT(m.user_id) AS members
+     FROM alliances a LEFT JOIN alliance_members m ON m.alliance_id = a.id
+     GROUP BY a.id, a.name, a.tag, a.founder_user_id, a.created_at ORDER BY a.id`
+  );
+  return res.rows.map(r => Object.assign({}, r, { members: parseInt(r.members, 10) || 0 }));
+}
+
+/**
+ * One alliance with its members (rank, then seniority) and their settlements, or null.
+ */
+async function getAllianceWithClient(clientOrPool, allianceId) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const res = await client.query('SELECT id, name, tag, founder_user_id, created_at FROM alliances WHERE id = $1', [allianceId]);
+  if (res.rows.length === 0) return null;
+  const members = await client.query(
+    `SELECT m.user_id, u.username, m.rank, m.joined_at, e.id AS entity_id, e.faction_id, e.x_coord, e.y_coord
+     FROM alliance_members m
+     JOIN users u ON u.id = m.user_id
+     LEFT JOIN entities e ON e.user_id = m.user_id
+     WHERE m.alliance_id = $1`,
+    [allianceId]
+  );
+  const sorted = members.rows.sort((a, b) => (rankIndex(a.rank) - rankIndex(b.rank))
+    || (new Date(a.joined_at) - new Date(b.joined_at)) || (a.user_id - b.user_id));
+  return Object.assign({}, res.rows[0], { members: sorted });
+}
+
+/**
+ * Found an alliance; the founder becomes its leader. The tag is stored upper-case.
+ * Throws ALLIANCE_ALREADY_MEMBER or ALLIANCE_NAME_TAKEN ({ field }).
+ */
+async function createAllianceWithClient(client, userId, { name, tag }) {
+  const cleanName = (name || '').toString().trim();
+  const cleanTag = (tag || '').toString().trim().toUpperCase();
+  await assertNotMemberWithClient(client, userId);
+
+  const taken = await client.query('SELECT name, tag FROM alliances WHERE lower(name) = lower($1) OR tag = $2', [cleanName, cleanTag]);
+  if (taken.rows.length > 0) {
+    const field = taken.rows.some(r => r.tag === cleanTag) ? 'tag' : 'name';
+    throw allianceError('Ya existe una alianza con ese nombre o etiqueta.', 'ALLIANCE_NAME_TAKEN', { field });
+  }
+
+  let alliance;
+  try {
+    const res = await client.query(
+      'INSERT INTO alliances (name, tag, founder_user_id) VALUES ($1, $2, $3) RETURNING *',
+      [cleanName, cleanTag, userId]
+    );
+    alliance = res.rows[0];
+  } catch (err) {
+    // Founded at the same time by another request
+    if (err && err.code === '23505') throw allianceError('Ya existe una alianza con ese nombre o etiqueta.', 'ALLIANCE_NAME_TAKEN', { field: 'name' });
+    throw err;
+  }
+  await client.query("INSERT INTO alliance_members (user_id, alliance_id, rank) VALUES ($1, $2, 'leader')", [userId, alliance.id]);
+  return alliance;
+}
+
+/**
+ * Invite `targetUserId` to the alliance. Needs the `invite` permission.
+ * Throws USER_NOT_FOUND, ALLIANCE_ALREADY_MEMBER, ALLIANCE_INVITATION_EXISTS or ALLIANCE_FULL.
+ */
+async function inviteWithClient(client, actorId, allianceId, targetUserId) {
+  await lockAllianceWithClient(client, allianceId);
+  assertAllowed(await requireMemberWithClient(client, actorId, allianceId), 'invite');
+
+  const user = await client.query('SELECT id FROM users WHERE id = $1', [targetUserId]);
+  if (user.rows.length === 0) throw allianceError('Usuario no encontrado.', 'USER_NOT_FOUND', { userId: Number(targetUserId) });
+  await assertNotMemberWithClient(client, targetUserId);
+  const pending = await client.query(
+    "SELECT id FROM alliance_invitations WHERE alliance_id = $1 AND user_id = $2 AND status = 'pending'",
+    [allianceId, targetUserId]
+  );
+  if (pending.rows.length > 0) throw allianceError('El jugador ya tiene una invitación pendiente.', 'ALLIANCE_INVITATION_EXISTS', { userId: Number(targetUserId) });
+  await assertNotFullWithClient(client, allianceId);
+
+  const res = await client.query(
+    'INSERT INTO alliance_invitations (alliance_id, user_id, invited_by) VALUES ($1, $2, $3) RETURNING *',
+    [allianceId, targetUserId, actorId]
+  );
+  return res.rows[0];
+}
+
+// Pending invitations of a user with the alliance name and tag, newest first
+async function listInvitationsForUser(clientOrPool, userId) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const res = await client.query(
+    `SELECT i.id, i.alliance_id, a.name AS alliance_name, a.tag AS alliance_tag, i.invited_by, i.created_at
+     FROM alliance_invitations i JOIN alliances a ON a.id = i.alliance_id
+     WHERE i.user_id = $1 AND i.status = 'pending' ORDER BY i.id DESC`,
+    [userId]
+  );
+  return res.rows;
+}
+
+/**
+ * Accept (join as `member`) or decline a pending invitation of the user.
+ * Throws INVITATION_NOT_FOUND, ALLIANCE_ALREADY_MEMBER or ALLIANCE_FULL. Returns the invitation.
+ */
+async function respondInvitationWithClient(client, userId, invitationId, accept) {
+  const res = await client.query(
+    "SELECT * FROM alliance_invitations WHERE id = $1 AND user_id = $2 AND status = 'pending' FOR UPDATE",
+    [invitationId, userId]
+  );
+  if (res.rows.length === 0) throw allianceError('Invitación no encontrada.', 'INVITATION_NOT_FOUND', { invitationId: Number(invitationId) });
+  const invitation = res.rows[0];
+
+  if (accept) {
+    await lockAllianceWithClient(client, invitation.alliance_id);
+    await assertNotMemberWithClient(client, userId);
+    await assertNotFullWithClient(client, invitation.alliance_id);
+    await client.query("INSERT INTO alliance_members (user_id, alliance_id, rank) VALUES ($1, $2, 'member')", [userId, invitation.alliance_id]);
+  }
+  const updated = await client.query(
+    'UPDATE alliance_invitations SET status = $1, responded_at = now() WHERE id = $2 RETURNING *',
+    [accept ? 'accepted' : 'declined', invitation.id]
+  );
+  return updated.rows[0];
+}
+
+// Highest ranked, longest serving member other than `userId`
+async function successorWithClient(client, allianceId, userId) {
+  const res = await client.query('SELECT user_id, rank, joined_at FROM alliance_members WHERE alliance_id = $1 AND user_id <> $2', [allianceId, userId]);
+  const sorted = res.rows.sort((a, b) => (rankIndex(a.rank) - rankIndex(b.rank))
+    || (new Date(a.joined_at) - new Date(b.joined_at)) || (a.user_id - b.user_id));
+  return sorted[0] || null;
+}
+
+/**
+ * Leave the user's alliance. A leaving leader hands over to the highest ranked, longest serving
+ * member; the last member disbands the alliance, which needs an empty warehouse unless
+ * options.force (account deletion). Returns { allianceId, newLeaderId, disbanded } or null
+ * when the user has no alliance.
+ */
+async function leaveWithClient(client, userId, options = {}) {
+  const current = await getMembershipWithClient(client, userId);
+  if (!current) return null;
+  const allianceId = Number(current.alliance_id);
+  await lockAllianceWithClient(client, allianceId);
+  const membership = await requireMemberWithClient(client, userId, allianceId);
+
+  const successor = await successorWithClient(client, allianceId, userId);
+  if (!successor) {
+    const stock = await client.query('SELECT 1 FROM alliance_inventory WHERE alliance_id = $1 AND amount > 0 LIMIT 1', [allianceId]);
+    if (stock.rows.length > 0 && !options.force) {
+      throw allianceError('Reparte el almacén de la alianza antes de disolverla.', 'ALLIANCE_WAREHOUSE_NOT_EMPTY', { allianceId });
+    }
+    await client.query('DELETE FROM alliances WHERE id = $1', [allianceId]);
+    return { allianceId, newLeaderId: null, disbanded: true };
+  }
+
+  await client.query('DELETE FROM alliance_members WHERE user_id = $1', [userId]);
+  let newLeaderId = null;
+  if (membership.rank === 'leader') {
+    await client.query("UPDATE alliance_members SET rank = 'leader' WHERE user_id = $1", [successor.user_id]);
+    newLeaderId = Number(successor.user_id);
+  }
+  return { allianceId, newLeaderId, disbanded: false };
+}
+
+/**
+ * Remove a member. Leaders can remove anyone else, officers only plain members.
+ */
+async function kickWithClient(client, actorId, allianceId, targetUserId) {
+  await lockAllianceWithClient(client, allianceId);
+  const actor = await requireMemberWithClient(client, actorId, allianceId);
+  assertAllowed(actor, 'kick');
+  const target = await requireTargetWithClient(client, targetUserId, allianceId);
+  if (Number(actorId) === Number(targetUserId) || rankIndex(target.rank) <= rankIndex(actor.rank)) {
+    throw allianceError('Tu rango en la alianza no permite esta acción.', 'ALLIANCE_RANK_FORBIDDEN', { action: 'kick', rank: actor.rank });
+  }
+  await client.query('DELETE FROM alliance_members WHERE user_id = $1', [targetUserId]);
+  return { allianceId: Number(allianceId), userId: Number(targetUserId) };
+}
+
+/**
+ * Change the rank of another member. Making someone leader hands the leadership over:
+ * the acting leader becomes an officer. Returns the members whose rank changed.
+ */
+async function setRankWithClient(client, actorId, allianceId, targetUserId, rank) {
+  await lockAllianceWithClient(client, allianceId);
+  const actor = await requireMemberWithClient(client, actorId, allianceId);
+  assertAllowed(actor, 'setRank');
+  await requireTargetWithClient(client, targetUserId, allianceId);
+  if (Number(actorId) === Number(targetUserId)) {
+    throw allianceError('Tu rango en la alianza no permite esta acción.', 'ALLIANCE_RANK_FORBIDDEN', { action: 'setRank', rank: actor.rank });
+  }
+
+  await client.query('UPDATE alliance_members SET rank = $1 WHERE user_id = $2', [rank, targetUserId]);
+  const changed = [{ userId: Number(targetUserId), rank }];
+  if (rank === 'leader') {
+    await client.query("UPDATE alliance_members SET rank = 'officer' WHERE user_id = $1", [actorId]);
+    changed.push({ userId: Number(actorId), rank: 'officer' });
+  }
+  return changed;
+}
+
+// Warehouse contents: { resource: amount }
+async function getWarehouseResourcesWithClient(client, allianceId) {
+  const inventory = await client.query(
+    `SELECT rt.name, ai.amount FROM alliance_inventory ai JOIN resource_types rt ON rt.id = ai.resource_type_id
+     WHERE ai.alliance_id = $1 AND ai.amount > 0`,
+    [allianceId]
+  );
+  return Object.fromEntries(inventory.rows.map(r => [r.name.toLowerCase(), parseInt(r.amount, 10) || 0]));
+}
+
+// Warehouse contents and its latest movements
+async function getWarehouseWithClient(clientOrPool, allianceId, limit = ALLIANCE_LIMITS.ledgerPageSize) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const resources = await getWarehouseResourcesWithClient(client, allianceId);
+  const ledger = await client.query(
+    `SELECT id, user_id, entity_id, resource, delta, balance_after, reason, created_at FROM alliance_ledger
+     WHERE alliance_id = $1 ORDER BY id DESC LIMIT $2`,
+    [allianceId, limit]
+  );
+  return {
+    allianceId: Number(allianceId),
+    resources,
+    ledger: ledger.rows.map(r => Object.assign({}, r, { delta: parseInt(r.delta, 10), balance_after: parseInt(r.balance_after, 10) }))
+  };
+}
+
+// The warehouse holds goods only (ALLIANCE_WAREHOUSE.excludedResources)
+function assertWarehouseResources(resources) {
+  for (const resource of Object.keys(resources)) {
+    if (ALLIANCE_WAREHOUSE.excludedResources.includes(resource.toLowerCase())) {
+      throw allianceError(`El almacén de la alianza no admite ${resource}.`, 'ALLIANCE_RESOURCE_NOT_ALLOWED', { resource });
+    }
+  }
+}
+
+// Throws ALLIANCE_MEMBER_TOO_NEW ({ userId, minMemberHours, availableAt }) while `membership`
+// is younger than ALLIANCE_WAREHOUSE.minMemberHours
+function assertSeniority(membership, userId, at) {
+  const joinedAt = membership.joined_at ? new Date(membership.joined_at) : at;
+  const availableAt = new Date(joinedAt.getTime() + ALLIANCE_WAREHOUSE.minMemberHours * 3600 * 1000);
+  if (availableAt > at) {
+    throw allianceError('El miembro es demasiado reciente para mover recursos del almacén.', 'ALLIANCE_MEMBER_TOO_NEW', {
+      userId: Number(userId),
+      minMemberHours: ALLIANCE_WAREHOUSE.minMemberHours,
+      availableAt: availableAt.toISOString()
+    });
+  }
+}
+
+async function recordWarehouseMovementWithClient(client, allianceId, userId, entityId, resource, delta, balanceAfter, reason) {
+  await client.query(
+    `INSERT INTO alliance_ledger (alliance_id, user_id, entity_id, resource, delta, balance_after, reason)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [allianceId, userId, entityId, resource, delta, balanceAfter, reason]
+  );
+}
+
+/**
+ * Move `resources` ({ resource: amount }) from the member's settlement into the warehouse.
+ * Throws ALLIANCE_RESOURCE_NOT_ALLOWED for gold, ALLIANCE_MEMBER_TOO_NEW and INSUFFICIENT when
+ * the settlement does not have them. Returns the warehouse contents.
+ */
+async function donateWithClient(client, userId, allianceId, entityId, resources, now = new Date()) {
+  assertWarehouseResources(resources);
+  assertSeniority(await requireMemberWithClient(client, userId, allianceId), userId, new Date(now));
+  const resourcesService = require('./resourcesService');
+  await resourcesService.consumeResourcesWithClientGeneric(client, entityId, resources, {
+    reason: LEDGER_REASONS.ALLIANCE_DONATION,
+    refType: 'alliance',
+    refId: Number(allianceId)
+  });
+
+  const typeIds = await resourcesService.getResourceTypeIdMapWithClient(client);
+  for (const [resource, amount] of Object.entries(resources)) {
+    const res = await client.query(
+      `INSERT INTO alliance_inventory (alliance_id, resource_type_id, amount) VALUES ($1, $2, $3)
+       ON CONFLICT (alliance_id, resource_type_id) DO UPDATE SET amount = alliance_inventory.amount + EXCLUDED.amount
+       RETURNING amount`,
+      [allianceId, typeIds[resource], amount]
+    );
+    await recordWarehouseMovementWithClient(client, allianceId, userId, entityId, resource, amount, parseInt(res.rows[0].amount, 10), LEDGER_REASONS.ALLIANCE_DONATION);
+  }
+  return getWarehouseResourcesWithClient(client, allianceId);
+}
+
+/**
+ * Hand `resources` out of the warehouse to another member's settlement. Needs the `distribute`
+ * permission. The goods travel by caravan from the distributor's settlement, where the
+ * warehouse is kept, and the receiver pays the trade tax on their reference value
+ * (treasuryService.collectTransferTaxWithClient). Throws ALLIANCE_RESOURCE_NOT_ALLOWED,
+ * ALLIANCE_SELF_DISTRIBUTION, ALLIANCE_MEMBER_TOO_NEW, ALLIANCE_STOCK_INSUFFICIENT
+ * ({ resource, need, have }), USER_ENTITY_NOT_FOUND, STORAGE_FULL or INSUFFICIENT (gold for
+ * the tax). Returns { warehouse, caravan, tax }.
+ */
+async function distributeWithClient(client, actorId, allianceId, targetUserId, resources, now = new Date()) {
+  assertWarehouseResources(resources);
+  assertAllowed(await requireMemberWithClient(client, actorId, allianceId), 'distribute');
+  // Goods donated anywhere would reach the leader's own settlement without travelling
+  if (Number(actorId) === Number(targetUserId)) {
+    throw allianceError('No puedes repartirte recursos del almacén a ti mismo.', 'ALLIANCE_SELF_DISTRIBUTION', { userId: Number(targetUserId) });
+  }
+  assertSeniority(await requireTargetWithClient(client, targetUserId, allianceId), targetUserId, new Date(now));
+  const entityService = require('./entityService');
+  const origin = await entityService.getEntityByUserId(client, actorId);
+  if (!origin) throw allianceError('No se encontró entidad asociada al usuario.', 'USER_ENTITY_NOT_FOUND', { userId: Number(actorId) });
+  const target = await entityService.getEntityByUserId(client, targetUserId);
+  if (!target) throw allianceError('No se encontró entidad asociada al usuario.', 'USER_ENTITY_NOT_FOUND', { userId: Number(targetUserId) });
+
+  const resourcesService = require('./resourcesService');
+  const typeIds = await resourcesService.getResourceTypeIdMapWithClient(client);
+  const stock = await client.query(
+    'SELECT resource_type_id, amount FROM alliance_inventory WHERE alliance_id = $1 ORDER BY resource_type_id FOR UPDATE',
+    [allianceId]
+  );
+  const have = new Map(stock.rows.map(r => [Number(r.resource_type_id), parseInt(r.amount, 10) || 0]));
+  for (const [resource, amount] of Object.entries(resources)) {
+    const available = have.get(Number(typeIds[resource])) || 0;
+    if (available < amount) {
+      throw allianceError('El almacén de la alianza no tiene suficiente.', 'ALLIANCE_STOCK_INSUFFICIENT', { resource, need: amount, have: available });
+    }
+  }
+  await require('./storageService').assertCanStoreWithClient(client, target.id, resources);
+
+  for (const [resource, amount] of Object.entries(resources)) {
+    const res = await client.query(
+      'UPDATE alliance_inventory SET amount = amount - $3 WHERE alliance_id = $1 AND resource_type_id = $2 RETURNING amount',
+      [allianceId, typeIds[resource], amount]
+    );
+    await recordWarehouseMovementWithClient(client, allianceId, actorId, target.id, resource, -amount, parseInt(res.rows[0].amount, 10), LEDGER_REASONS.ALLIANCE_DISTRIBUTION);
+  }
+  const tax = await require('./treasuryService').collectTransferTaxWithClient(client, {
+    receiverId: target.id,
+    resources,
+    refType: 'alliance',
+    refId: Number(allianceId),
+    now
+  });
+  const caravan = await require('./caravanService').dispatchCaravanWithClient(client, {
+    originId: origin.id,
+    destinationId: target.id,
+    cargo: resources,
+    refType: 'alliance',
+    refId: Number(allianceId)
+  });
+  return { warehouse: await getWarehouseResourcesWithClient(client, allianceId), caravan, tax };
+}
+
+module.exports = {
+  getMembershipWithClient,
+  listAlliances,
+  getAllianceWithClient,
+  createAllianceWithClient,
+  inviteWithClient,
+  listInvitationsForUser,
+  respondInvitationWithClient,
+  leaveWithClient,
+  kickWithClient,
+  setRankWithClient,
+  getWarehouseWithClient,
+  donateWithClient,
+  distributeWithClient
+};
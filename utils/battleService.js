@@ -0,0 +1,135 @@
+const { UNIT_TYPES, BATTLE_MAX_ROUNDS, LOOT_RATIO } = require('../constants/units');
+
+// Pure combat helpers: no DB access and no randomness, so the same armies always
+// produce the same report.
+
+// Keep only known unit types with a positive integer quantity, in a stable key order
+function normalizeUnits(units) {
+  const out = {};
+  for (const type of Object.keys(units || {}).sort()) {
+    const qty = parseInt(units[type], 10) || 0;
+    if (UNIT_TYPES[type] && qty > 0) out[type] = qty;
+  }
+  return out;
+}
+
+function hasUnits(units) {
+  return Object.values(units).some(q => q > 0);
+}
+
+function totalAttack(units) {
+  let total = 0;
+  for (const [type, qty] of Object.entries(units)) total += UNIT_TYPES[type].attack * qty;
+  return total;
+}
+
+// Spread `damage` over the stacks proportionally to their hit point pools; returns losses per type
+function applyDamage(units, damage) {
+  const losses = {};
+  let totalHp = 0;
+  for (const [type, qty] of Object.entries(units)) totalHp += UNIT_TYPES[type].hp * qty;
+  if (totalHp <= 0 || damage <= 0) return losses;
+  for (const [type, qty] of Object.entries(units)) {
+    const hp = UNIT_TYPES[type].hp;
+    const share = damage * ((hp * qty) / totalHp);
+    const killed = Math.min(qty, Math.floor(share / hp));
+    if (killed > 0) losses[type] = killed;
+  }
+  return losses;
+}
+
+function subtractUnits(units, losses) {
+  const out = {};
+  for (const [type, qty] of Object.entries(units)) {
+    const left = qty - (losses[type] || 0);
+    if (left > 0) out[type] = left;
+  }
+  return out;
+}
+
+function diffUnits(before, after) {
+  const out = {};
+  for (const [type, qty] of Object.entries(before)) {
+    const lost = qty - (after[type] || 0);
+    if (lost > 0) out[type] = lost;
+  }
+  return out;
+}
+
+/**
+ * Resolve a battle in up to BATTLE_MAX_ROUNDS rounds. Both sides fire at the same time each
+ * round with the units alive at its start. Ends early when a side is wiped out.
+ * Returns { winner: 'attacker'|'defender'|'draw', attackerSurvivors, defenderSurvivors,
+ *           attackerLosses, defenderLosses, rounds }
+ */
+function resolveBattle(attackerUnits, defenderUnits, options = {}) {
+  const maxRounds = options.maxRounds || BATTLE_MAX_ROUNDS;
+  const attackerStart = normalizeUnits(attackerUnits);
+  const defenderStart = normalizeUnits(defenderUnits);
+  let att = attackerStart;
+  let def = defenderStart;
+  const rounds = [];
+
+  for (let round = 1; round <= maxRounds; round++) {
+    if (!hasUnits(att) || !hasUnits(def)) break;
+    const attackerDamage = totalAttack(att);
+    const defenderDamage = totalAttack(def);
+    const defenderLosses = applyDamage(def, attackerDamage);
+    const attackerLosses = applyDamage(att, defenderDamage);
+    att = subtractUnits(att, attackerLosses);
+    def = subtractUnits(def, defenderLosses);
+    rounds.push({ round, attackerDamage, defenderDamage, attackerLosses, defenderLosses });
+  }
+
+  let winner = 'draw';
+  if (hasUnits(att) && !hasUnits(def)) winner = 'attacker';
+  else if (!hasUnits(att)) winner = 'defender';
+
+  return {
+    winner,
+    attackerSurvivors: att,
+    defenderSurvivors: def,
+    attackerLosses: diffUnits(attackerStart, att),
+    defenderLosses: diffUnits(defenderStart, def),
+    rounds
+  };
+}
+
+// Total loot the given units can carry
+function carryCapacity(units) {
+  let total = 0;
+  for (const [type, qty] of Object.entries(normalizeUnits(units))) total += UNIT_TYPES[type].capacity * qty;
+  return total;
+}
+
+/**
+ * Loot taken from `inventory`: LOOT_RATIO of each resource, scaled down proportionally when
+ * it exceeds `capacity`. Never more than the defender holds.
+ */
+function calculateLoot(inventory, capacity, ratio = LOOT_RATIO) {
+  const lootable = {};
+  let total = 0;
+  for (const key of Object.keys(inventory || {}).sort()) {
+    const amount = Math.floor(Math.max(0, Number(inventory[key]) || 0) * ratio);
+    if (amount > 0) {
+      lootable[key] = amount;
+      total += amount;
+    }
+  }
+  if (total <= capacity) return lootable;
+
+  const scale = Math.max(0, capacity) / total;
+  const loot = {};
+  for (const [key, amount] of Object.entries(lootable)) {
+    const taken = Math.floor(amount * scale);
+    if (taken > 0) loot[key] = taken;
+  }
+  return loot;
+}
+
+module.exports = {
+  normalizeUnits,
+  resolveBattle,
+  carryCapacity,
+  calculateLoot
+};
@@ -0,0 +1,238 @@
+const pool = require('../db');
+const resourcesService = require('./resourcesService');
+const { BAZAAR } = require('../constants/bazaar');
+const { RESOURCE_CATEGORIES } = require('./gameUtils');
+const { LEDGER_REASONS } = require('../constants/ledger');
+
+// Namespace for pg_advisory_xact_lock(ns, faction_id) while a faction gets its bazaar
+const BAZAAR_LOCK_NAMESPACE = 7302;
+
+function bazaarError(message, code, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+function targetStockFor(resource) {
+  const key = (resource || '').toString().toLowerCase();
+  if (BAZAAR.targetOverrides[key] != null) return BAZAAR.targetOverrides[key];
+  const category = RESOURCE_CATEGORIES[key] || 'common';
+  return BAZAAR.targetStock[category] != null ? BAZAAR.targetStock[category] : BAZAAR.targetStock.common;
+}
+
+// Change of one resource after `seconds` of restock (below target) or decay (above it)
+function restockDelta(stock, target, seconds) {
+  const hours = Math.max(0, Number(seconds) || 0) / 3600;
+  const gap = target - stock;
+  if (gap === 0 || hours === 0) return 0;
+  const rate = gap > 0 ? BAZAAR.restockPerHour : BAZAAR.decayPerHour;
+  // Rounded before ceil so float noise (500.0000000000004) does not add a unit
+  const moved = Math.ceil(Math.round(Math.abs(gap) * (1 - Math.pow(1 - rate, hours)) * 1e6) / 1e6);
+  return Math.sign(gap) * Math.min(Math.abs(gap), moved);
+}
+
+// Deltas { resource: change } that bring `resources` toward their targets after `seconds`
+function computeRestock(resources, seconds) {
+  const deltas = {};
+  for (const [name, amount] of Object.entries(resources || {})) {
+    const delta = restockDelta(Number(amount) || 0, targetStockFor(name), seconds);
+    if (delta !== 0) deltas[name] = delta;
+  }
+  return deltas;
+}
+
+/**
+ * Bid/ask of one resource given the bazaar stock and the reference price.
+ * The ask (bazaar sells) widens as the stock drains, the bid (bazaar buys) as it fills up.
+ * Returns { resource, stock, targetStock, maxStock, referencePrice, ask, bid, askQuantity, bidQuantity };
+ * ask/bid are null when the bazaar has nothing to sell or no room (or gold) to buy.
+ */
+function quoteFromStock(resource, stock, referencePrice, gold = Infinity) {
+  const target = targetStockFor(resource);
+  const maxStock = Math.round(target * BAZAAR.maxStockFactor);
+  const widen = (x) => BAZAAR.baseSpread + (BAZAAR.maxSpread - BAZAAR.baseSpread) * Math.min(1, Math.max(0, x));
+  const askSpread = widen(1 - stock / target);
+  const bidSpread = widen((stock - target) / Math.max(1, maxStock - target));
+
+  const ask = Math.max(1, Math.round(referencePrice * (1 + askSpread)));
+  const bid = Math.max(1, Math.round(referencePrice * (1 - bidSpread)));
+  const askQuantity = Math.max(0, stock);
+  const bidQuantity = Math.max(0, Math.min(maxStock - stock, Math.floor(gold / bid)));
+  return {
+    resource,
+    stock,
+    targetStock: target,
+    maxStock,
+    referencePrice,
+    ask: askQuantity > 0 ? ask : null,
+    bid: bidQuantity > 0 ? bid : null,
+    askQuantity,
+    bidQuantity
+  };
+}
+
+async function getBazaarWithClient(client, bazaarId) {
+  const res = await client.query(
+    "SELECT id, faction_id, x_coord, y_coord, last_restock_at FROM entities WHERE id = $1 AND type = 'npc_bazar'",
+    [bazaarId]
+  );
+  return res.rows[0] || null;
+}
+
+// Offers of every resource but gold (the currency) for one bazaar row
+async function offersForBazaarWithClient(client, bazaar, resource = null) {
+  const inventory = await resourcesService.getResourcesWithClient(client, bazaar.id);
+  const references = await require('./pricingService').getReferencePriceMapWithClient(client);
+  const gold = Number(inventory.gold) || 0;
+  const names = Object.keys(inventory).filter(name => name !== 'gold' && (!resource || name === resource)).sort();
+  return {
+    id: bazaar.id,
+    faction_id: bazaar.faction_id,
+    x_coord: bazaar.x_coord,
+    y_coord: bazaar.y_coord,
+    gold,
+    offers: names.map(name => quoteFromStock(name, Number(inventory[name]) || 0, references[name] || 1, gold))
+  };
+}
+
+/**
+ * Current offers of one bazaar (optionally of a single resource), or null if `bazaarId` is not a bazaar.
+ */
+async function getOffersWithClient(clientOrPool, bazaarId, resource = null) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const bazaar = await getBazaarWithClient(client, bazaarId);
+  if (!bazaar) return null;
+  return offersForBazaarWithClient(client, bazaar, resource ? resource.toString().toLowerCase() : null);
+}
+
+// Offers of every bazaar, ordered by id
+async function listOffers(clientOrPool, resource = null) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const res = await client.query("SELECT id, faction_id, x_coord, y_coord FROM entities WHERE type = 'npc_bazar' ORDER BY id");
+  const bazaars = [];
+  for (const bazaar of res.rows) {
+    bazaars.push(await offersForBazaarWithClient(client, bazaar, resource ? resource.toString().toLowerCase() : null));
+  }
+  return bazaars;
+}
+
+/**
+ * Unit price for trading `quantity` of `resource` with a bazaar. side 'buy' = the bazaar sells (ask),
+ * 'sell' = the bazaar buys (bid). Returns the quote with `price`, or null if `bazaarId` is not a bazaar.
+ * Throws BAZAAR_OUT_OF_STOCK / BAZAAR_STOCK_FULL when the bazaar cannot take the trade.
+ */
+async function quoteWithClient(client, bazaarId, resource, side, quantity) {
+  const key = (resource || '').toString().toLowerCase();
+  const offers = await getOffersWithClient(client, bazaarId, key);
+  if (!offers) return null;
+  const quote = offers.offers[0];
+  if (!quote) throw bazaarError(`Recurso no negociable: ${key}`, 'RESOURCE_NOT_TRADABLE', { resource: key });
+  const qty = Number(quantity) || 0;
+  if (side === 'buy') {
+    if (quote.ask === null || quote.askQuantity < qty) {
+      throw bazaarError('El bazar no tiene existencias suficientes.', 'BAZAAR_OUT_OF_STOCK', { resource: key, available: quote.askQuantity, need: qty });
+    }
+    return Object.assign({ price: quote.ask }, quote);
+  }
+  if (quote.bid === null || quote.bidQuantity < qty) {
+    throw bazaarError('El bazar no admite más existencias.', 'BAZAAR_STOCK_FULL', { resource: key, available: quote.bidQuantity, need: qty });
+  }
+  return Object.assign({ price: quote.bid }, quote);
+}
+
+/**
+ * Restock / decay every bazaar toward its target stock for the time since its last restock.
+ * Each bazaar goes in its own transaction; the first run only stamps last_restock_at.
+ * Returns [{ entityId, deltas }] of the bazaars whose stock changed.
+ */
+async function runRestock(options = {}) {
+  const now = options.now ? new Date(options.now) : new Date();
+  const ids = await pool.query("SELECT id FROM entities WHERE type = 'npc_bazar' ORDER BY id");
+  const changed = [];
+  for (const { id } of ids.rows) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const bazaar = (await client.query('SELECT id, last_restock_at FROM entities WHERE id = $1 FOR UPDATE', [id])).rows[0];
+      const seconds = bazaar && bazaar.last_restock_at ? (now.getTime() - new Date(bazaar.last_restock_at).getTime()) / 1000 : 0;
+      let deltas = {};
+      if (seconds > 0) {
+        await client.query('SELECT ri.id FROM resource_inventory ri WHERE ri.entity_id = $1 FOR UPDATE', [id]);
+        deltas = computeRestock(await resourcesService.getResourcesWithClient(client, id), seconds);
+        if (Object.keys(deltas).length > 0) {
+          await resourcesService.adjustResourcesWithClientGeneric(client, id, deltas, { reason: LEDGER_REASONS.BAZAAR_RESTOCK, details: { seconds: Math.round(seconds) } });
+        }
+      }
+      if (bazaar && seconds >= 0) await client.query('UPDATE entities SET last_restock_at = $1 WHERE id = $2', [now.toISOString(), id]);
+      await client.query('COMMIT');
+      if (Object.keys(deltas).length > 0) changed.push({ entityId: id, deltas });
+    } catch (err) {
+      try { await client.query('ROLLBACK'); } catch (e) { /* ignore */ }
+      console.warn(`[bazaarService] Restock del bazar ${id} fallido:`, err.message);
+    } finally {
+      client.release();
+    }
+  }
+  return changed;
+}
+
+/**
+ * Create a bazaar, stocked at its targets, for every faction that has none.
+ * Returns the created entities.
+ */
+async function ensureFactionBazaars(options = {}) {
+  const factions = await pool.query('SELECT id, name FROM factions ORDER BY id');
+  const existing = await pool.query("SELECT DISTINCT faction_id FROM entities WHERE type = 'npc_bazar' AND faction_id IS NOT NULL");
+  const covered = new Set(existing.rows.map(r => Number(r.faction_id)));
+  const created = [];
+  for (const f of factions.rows) {
+    if (covered.has(Number(f.id))) continue;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock($1, $2)', [BAZAAR_LOCK_NAMESPACE, f.id]);
+      // Another registration may have created it while we waited for the lock
+      const again = await client.query("SELECT id FROM entities WHERE type = 'npc_bazar' AND faction_id = $1", [f.id]);
+      if (again.rows.length > 0) {
+        await client.query('COMMIT');
+        continue;
+      }
+      const stock = {};
+      for (const name of await resourcesService.getResourceTypeNames(client)) stock[name] = targetStockFor(name);
+      const { findAvailableCoordinates } = require('./gameUtils');
+      const coords = await findAvailableCoordinates(client, f.id);
+      const { createEntityWithResources } = require('./entityService');
+      const entity = await createEntityWithResources(client, {
+        user_id: null,
+        faction_id: f.id,
+        type: 'npc_bazar',
+        x_coord: coords.x,
+        y_coord: coords.y,
+        population: 0,
+        initialResources: stock
+      });
+      await client.query('UPDATE entities SET last_restock_at = $1 WHERE id = $2', [(options.now ? new Date(options.now) : new Date()).toISOString(), entity.id]);
+      await client.query('COMMIT');
+      console.info(`NPC bazar creado para facción ${f.name} en (${coords.x}, ${coords.y})`);
+      created.push(entity);
+    } catch (err) {
+      try { await client.query('ROLLBACK'); } catch (e) { /* ignore */ }
+      console.warn('Error creando npc_bazar para facción', f.id, err.message);
+    } finally {
+      client.release();
+    }
+  }
+  return created;
+}
+
+module.exports = {
+  targetStockFor,
+  computeRestock,
+  quoteFromStock,
+  getOffersWithClient,
+  listOffers,
+  quoteWithClient,
+  runRestock,
+  ensureFactionBazaars
+};
@@ -11,6 +11,13 @@ async function getBuildings(entityId) {
   return res.rows.map(r => ({ type: r.type, level: r.level ? parseInt(r.level, 10) : 0, count: parseInt(r.count, 10) }));
 }
 
+// Map of building type -> level for an entity (client-aware)
+async function getBuildingLevelsWithClient(clientOrPool, entityId) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const res = await client.query('SELECT type, MAX(level) AS level FROM buildings WHERE entity_id = $1 GROUP BY type', [entityId]);
+  return Object.fromEntries(res.rows.map(r => [r.type, parseInt(r.level, 10) || 0]));
+}
+
 async function getBuildingLevel(entityId, type) {
   const res = await pool.query(
     `SELECT level FROM buildings WHERE entity_id = $1 AND type = $2 LIMIT 1`,
@@ -52,6 +59,7 @@ module.exports = {
   getBuildings,
   getBuildingLevel,
   getBuildingLevelWithClient,
+  getBuildingLevelsWithClient,
   incrementBuildingLevelWithClient,
   setBuildingLevelWithClient,
 };
@@ -0,0 +1,106 @@
+const pool = require('../db');
+
+function mapCaravanRow(r, now = new Date()) {
+  return {
+    id: r.id,
+    origin_entity_id: r.origin_entity_id,
+    destination_entity_id: r.destination_entity_id,
+    cargo: r.cargo || {},
+    distance: Number(r.distance || 0),
+    departed_at: r.departed_at,
+    arrives_at: r.arrives_at,
+    status: r.status,
+    delivered_at: r.delivered_at,
+    ref_type: r.ref_type,
+    ref_id: r.ref_id,
+    remaining_seconds: r.status === 'in_transit' ? Math.max(0, Math.ceil((new Date(r.arrives_at) - now) / 1000)) : 0
+  };
+}
+
+/**
+ * Send goods from one entity to another. The cargo must already have left the origin
+ * inventory; it is credited to the destination by deliverArrivedCaravansWithClient.
+ * params: { originId, destinationId, cargo: { resource: amount }, refType, refId }
+ */
+async function dispatchCaravanWithClient(client, params) {
+  const cargo = {};
+  for (const [k, v] of Object.entries(params.cargo || {})) {
+    const amount = parseInt(v, 10) || 0;
+    if (amount > 0) cargo[k.toString().toLowerCase()] = amount;
+  }
+  if (Object.keys(cargo).length === 0) return null;
+
+  const entityService = require('./entityService');
+  const gameUtils = require('./gameUtils');
+  const from = await entityService.getEntityCoords(client, params.originId);
+  const to = await entityService.getEntityCoords(client, params.destinationId);
+  const distance = gameUtils.calculateDistance(from, to);
+  const now = new Date();
+  const arrivesAt = new Date(now.getTime() + gameUtils.calculateTravelSeconds(from, to) * 1000);
+
+  const res = await client.query(
+    `INSERT INTO caravans (origin_entity_id, destination_entity_id, cargo, distance, departed_at, arrives_at, status, ref_type, ref_id)
+     VALUES ($1,$2,$3,$4,$5,$6,'in_transit',$7,$8) RETURNING *`,
+    [params.originId, params.destinationId, JSON.stringify(cargo), distance.toFixed(2), now.toISOString(), arrivesAt.toISOString(), params.refType || null, params.refId || null]
+  );
+  return mapCaravanRow(res.rows[0], now);
+}
+
+/**
+ * Credit every caravan that has reached `entityId`. Called by the resource generator
+ * inside its per-entity transaction. Returns the delivered caravans.
+ */
+async function deliverArrivedCaravansWithClient(client, entityId, now = new Date()) {
+  const res = await client.query(
+    `SELECT * FROM caravans WHERE destination_entity_id = $1 AND status = 'in_transit' AND arrives_at <= $2
+     ORDER BY arrives_at, id FOR UPDATE`,
+    [entityId, now.toISOString()]
+  );
+  if (!res.rows.length) return [];
+
+  const resourcesService = require('./resourcesService');
+  const { LEDGER_REASONS } = require('../constants/ledger');
+  const delivered = [];
+  for (const row of res.rows) {
+    await resourcesService.adjustResourcesWithClientGeneric(client, entityId, row.cargo || {}, {
+      reason: LEDGER_REASONS.CARAVAN_DELIVERY,
+      refType: 'caravan',
+      refId: row.id,
+      details: row.ref_type ? { refType: row.ref_type, refId: row.ref_id, originId: row.origin_entity_id } : { originId: row.origin_entity_id }
+    });
+    const upd = await client.query(
+      `UPDATE caravans SET status = 'delivered', delivered_at = $1 WHERE id = $2 RETURNING *`,
+      [now.toISOString(), row.id]
+    );
+    delivered.push(mapCaravanRow(upd.rows[0], now));
+  }
+  return delivered;
+}
+
+/**
+ * Caravans for an entity. direction: 'incoming' | 'outgoing' | 'all'; status defaults to in_transit
+ * ('all' to include delivered ones).
+ */
+async function listCaravansForEntity(clientOrPool, entityId, options = {}) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const direction = options.direction || 'all';
+  const status = options.status || 'in_transit';
+  const params = [entityId];
+  let where;
+  if (direction === 'incoming') where = 'destination_entity_id = $1';
+  else if (direction === 'outgoing') where = 'origin_entity_id = $1';
+  else where = '(destination_entity_id = $1 OR origin_entity_id = $1)';
+  if (status !== 'all') {
+    params.push(status);
+    where += ' AND status = $2';
+  }
+  const res = await client.query(`SELECT * FROM caravans WHERE ${where} ORDER BY arrives_at DESC, id DESC LIMIT 200`, params);
+  const now = new Date();
+  return res.rows.map(r => mapCaravanRow(r, now));
+}
+
+module.exports = {
+  dispatchCaravanWithClient,
+  deliverArrivedCaravansWithClient,
+  listCaravansForEntity
+};
@@ -0,0 +1,234 @@
+const pool = require('../db');
+
+// Máximo de construcciones pendientes (en curso + en espera) por entidad
+const MAX_QUEUE_LENGTH = 5;
+// Fracción del coste pagado que se devuelve al cancelar una construcción
+const CANCEL_REFUND_RATIO = 0.5;
+
+function queueError(message, code, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+// Shape a construction_queue row for API consumers
+function mapQueueRow(r, now = new Date()) {
+  const startedAt = new Date(r.started_at);
+  const finishAt = new Date(r.finish_at);
+  return {
+    id: r.id,
+    entity_id: r.entity_id,
+    building_type: r.building_type,
+    target_level: parseInt(r.target_level, 10),
+    position: parseInt(r.position, 10),
+    cost: r.cost || {},
+    pop_needed: parseInt(r.pop_needed || 0, 10),
+    duration_seconds: parseInt(r.duration_seconds, 10),
+    started_at: r.started_at,
+    finish_at: r.finish_at,
+    status: r.status,
+    in_progress: startedAt <= now,
+    remaining_seconds: Math.max(0, Math.ceil((finishAt - now) / 1000))
+  };
+}
+
+async function getPendingRowsWithClient(client, entityId, forUpdate = false) {
+  const q = `SELECT * FROM construction_queue WHERE entity_id = $1 AND status = 'pending' ORDER BY position, id` + (forUpdate ? ' FOR UPDATE' : '');
+  const res = await client.query(q, [entityId]);
+  return res.rows || [];
+}
+
+// Return pending queue items for an entity (client-aware)
+async function getQueueWithClient(clientOrPool, entityId) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const rows = await getPendingRowsWithClient(client, entityId, false);
+  const now = new Date();
+  return rows.map(r => mapQueueRow(r, now));
+}
+
+async function getQueue(entityId) {
+  return getQueueWithClient(pool, entityId);
+}
+
+/**
+ * Summary of the pending queue used by /build to validate a new item.
+ * Returns { count, reservedPopulation, pendingByType: { type: n } }
+ */
+async function getPendingSummaryWithClient(client, entityId) {
+  const rows = await getPendingRowsWithClient(client, entityId, false);
+  const pendingByType = {};
+  let reservedPopulation = 0;
+  for (const r of rows) {
+    pendingByType[r.building_type] = (pendingByType[r.building_type] || 0) + 1;
+    reservedPopulation += parseInt(r.pop_needed || 0, 10);
+  }
+  return { count: rows.length, reservedPopulation, pendingByType };
+}
+
+/**
+ * Append a paid upgrade to the entity queue. Caller must have consumed the resources
+ * in the same transaction. item: { buildingType, targetLevel, cost, popNeeded, durationSeconds }
+ */
+async function enqueueBuildWithClient(client, entityId, item) {
+  const rows = await getPendingRowsWithClient(client, entityId, true);
+  if (rows.length >= MAX_QUEUE_LENGTH) {
+    throw queueError(`La cola de construcción está llena (máximo ${MAX_QUEUE_LENGTH}).`, 'QUEUE_FULL', { max: MAX_QUEUE_LENGTH });
+  }
+
+  const now = new Date();
+  const last = rows.length > 0 ? rows[rows.length - 1] : null;
+  const lastFinish = last ? new Date(last.finish_at) : null;
+  const startedAt = lastFinish && lastFinish > now ? lastFinish : now;
+  const durationSeconds = Math.max(1, parseInt(item.durationSeconds, 10) || 1);
+  const finishAt = new Date(startedAt.getTime() + durationSeconds * 1000);
+  const position = last ? parseInt(last.position, 10) + 1 : 1;
+
+  const res = await client.query(
+    `INSERT INTO construction_queue (entity_id, building_type, target_level, position, cost, pop_needed, duration_seconds, started_at, finish_at, status)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,'pending') RETURNING *`,
+    [entityId, item.buildingType, item.targetLevel, position, JSON.stringify(item.cost || {}), item.popNeeded || 0, durationSeconds, startedAt.toISOString(), finishAt.toISOString()]
+  );
+  return mapQueueRow(res.rows[0], now);
+}
+
+/**
+ * Recompute positions, planned start/finish times and target levels of the pending queue.
+ * The first item keeps its original start if it is already under construction.
+ */
+async function rescheduleQueueWithClient(client, entityId, now = new Date()) {
+  const rows = await getPendingRowsWithClient(client, entityId, true);
+  const { getBuildingLevelWithClient } = require('./buildingsService');
+  const levelByType = {};
+  let cursor = now;
+  for (let i = 0; i < rows.length; i++) {
+    const r = rows[i];
+    const originalStart = new Date(r.started_at);
+    const startedAt = (i === 0 && originalStart <= now) ? originalStart : cursor;
+    const finishAt = new Date(startedAt.getTime() + parseInt(r.duration_seconds, 10) * 1000);
+    cursor = finishAt;
+
+    if (!Object.prototype.hasOwnProperty.call(levelByType, r.building_type)) {
+      levelByType[r.building_type] = await getBuildingLevelWithClient(client, entityId, r.building_type);
+    }
+    levelByType[r.building_type] += 1;
+
+    await client.query(
+      'UPDATE construction_queue SET position = $1, started_at = $2, finish_at = $3, target_level = $4 WHERE id = $5',
+      [i + 1, startedAt.toISOString(), finishAt.toISOString(), levelByType[r.building_type], r.id]
+    );
+  }
+  return getQueueWithClient(client, entityId);
+}
+
+/**
+ * Cancel a pending item and refund CANCEL_REFUND_RATIO of its cost.
+ * Returns { item, refund, queue } or null when the item does not belong to the entity.
+ */
+async function cancelQueueItemWithClient(client, entityId, queueId) {
+  const rows = await getPendingRowsWithClient(client, entityId, true);
+  const row = rows.find(r => Number(r.id) === Number(queueId));
+  if (!row) return null;
+
+  const refund = {};
+  for (const [k, v] of Object.entries(row.cost || {})) {
+    const amount = Math.floor(Number(v || 0) * CANCEL_REFUND_RATIO);
+    if (amount > 0) refund[k] = amount;
+  }
+
+  await client.query(`UPDATE construction_queue SET status = 'cancelled' WHERE id = $1`, [row.id]);
+  const resourcesService = require('./resourcesService');
+  const { LEDGER_REASONS } = require('../constants/ledger');
+  await resourcesService.adjustResourcesWithClientGeneric(client, entityId, refund, {
+    reason: LEDGER_REASONS.BUILD_REFUND,
+    refType: 'construction_queue',
+    refId: row.id
+  });
+
+  const queue = await rescheduleQueueWithClient(client, entityId, new Date());
+  return { item: mapQueueRow(row), refund, queue };
+}
+
+/**
+ * Reorder the waiting items of the queue. orderedIds must contain every pending item
+ * that has not started yet; the item under construction (if any) always stays first.
+ */
+async function reorderQueueWithClient(client, entityId, orderedIds) {
+  const now = new Date();
+  const rows = await getPendingRowsWithClient(client, entityId, true);
+  const active = rows.length > 0 && new Date(rows[0].started_at) <= now ? rows[0] : null;
+  const waiting = active ? rows.slice(1) : rows;
+
+  const ids = (orderedIds || []).map(id => Number(id)).filter(id => active ? id !== Number(active.id) : true);
+  const waitingIds = waiting.map(r => Number(r.id));
+  const sameSet = ids.length === waitingIds.length && new Set(ids).size === ids.length && ids.every(id => waitingIds.includes(id));
+  if (!sameSet) {
+    throw queueError('El nuevo orden debe incluir exactamente las construcciones en espera.', 'INVALID_ORDER', { expected: waitingIds });
+  }
+
+  // Persist the requested order, then recompute times and target levels from it
+  const finalOrder = active ? [Number(active.id), ...ids] : ids;
+  for (let i = 0; i < finalOrder.length; i++) {
+    await client.query('UPDATE construction_queue SET position = $1 WHERE id = $2', [i + 1, finalOrder[i]]);
+  }
+  return rescheduleQueueWithClient(client, entityId, now);
+}
+
+/**
+ * Apply the effects of a finished upgrade: level +1 and house capacity.
+ * Mirrors what POST /build used to do right after paying.
+ */
+async function applyCompletedBuildWithClient(client, entityId, buildingType) {
+  const { incrementBuildingLevelWithClient } = require('./buildingsService');
+  const populationService = require('./populationService');
+  const gameUtils = require('./gameUtils');
+  await incrementBuildingLevelWithClient(client, entityId, buildingType);
+
+  const houseBuckets = { house: 'poor', casa_de_piedra: 'burgess', casa_de_ladrillos: 'patrician' };
+  const bucket = houseBuckets[buildingType];
+  try {
+    if (bucket) {
+      const inc = gameUtils.POPULATION_PER_HOUSE || 5;
+      const prow = await populationService.getPopulationByTypeWithClient(client, entityId, bucket);
+      await populationService.setPopulationForTypeComputedWithClient(client, entityId, bucket, Number(prow.current || 0), Number(prow.max || 0) + inc);
+    } else {
+      // New occupation changes the available 'poor' population: recompute it
+      const prow = await populationService.getPopulationByTypeWithClient(client, entityId, 'poor');
+      await populationService.setPopulationForTypeComputedWithClient(client, entityId, 'poor', Math.max(1, Number(prow.current || 0)), Number(prow.max || 0));
+    }
+  } catch (e) {
+    console.warn('Failed to update population buckets after completed build:', e.message);
+  }
+}
+
+/**
+ * Complete every pending item whose finish time has passed. Called by the resource generator
+ * inside its per-entity transaction. Returns the list of completed items.
+ */
+async function completeDueItemsWithClient(client, entityId, now = new Date()) {
+  const res = await client.query(
+    `SELECT * FROM construction_queue WHERE entity_id = $1 AND status = 'pending' AND finish_at <= $2 ORDER BY position, id FOR UPDATE`,
+    [entityId, now.toISOString()]
+  );
+  const completed = [];
+  for (const row of res.rows || []) {
+    await applyCompletedBuildWithClient(client, entityId, row.building_type);
+    await client.query(`UPDATE construction_queue SET status = 'completed', completed_at = finish_at WHERE id = $1`, [row.id]);
+    completed.push(Object.assign(mapQueueRow(row, now), { status: 'completed' }));
+  }
+  return completed;
+}
+
+module.exports = {
+  MAX_QUEUE_LENGTH,
+  CANCEL_REFUND_RATIO,
+  getQueue,
+  getQueueWithClient,
+  getPendingSummaryWithClient,
+  enqueueBuildWithClient,
+  rescheduleQueueWithClient,
+  cancelQueueItemWithClient,
+  reorderQueueWithClient,
+  applyCompletedBuildWithClient,
+  completeDueItemsWithClient
+};
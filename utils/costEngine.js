@@ -0,0 +1,166 @@
+const pool = require('../db');
+const { BUILDING_COSTS } = require('../constants/buildings');
+const { ALLOWED_BUILDINGS_BY_FACTION } = require('../constants/buildingFactions');
+const { DEFAULT_COST_CURVE, DEFAULT_TIME_CURVE, BUILDING_CURVES } = require('../constants/buildingCurves');
+
+// Single source of truth for building upgrade requirements. /build, /build/cost, /me,
+// the construction queue and the AI planners all read costs and times from here.
+// Research effects arrive as `modifiers` ({ cost: { resource: mult }, buildTime: mult },
+// see researchService.getResearchModifiers) and are applied on top of the curves.
+
+const POP_KEYS = ['popNeeded', 'popneeded', 'pop'];
+
+function getCurves(buildingType) {
+  const override = BUILDING_CURVES[buildingType] || {};
+  return {
+    cost: Object.assign({}, DEFAULT_COST_CURVE, override.cost || {}),
+    time: Object.assign({}, DEFAULT_TIME_CURVE, override.time || {})
+  };
+}
+
+// Scale a level-1 base value to `level` following a curve definition
+function applyCurve(base, level, curve) {
+  const lvl = Math.max(1, Number(level) || 1);
+  const factor = Number(curve && curve.factor) || 1;
+  if (curve && curve.type === 'exponential') return base * Math.pow(factor, lvl - 1);
+  return base * Math.pow(lvl, factor);
+}
+
+/**
+ * Resource cost of building `buildingType` up to `level`.
+ * Returns null for unknown buildings. Keys are lowercase resource names.
+ */
+function calculateCostForLevel(buildingType, level, modifiers = null) {
+  const costBase = BUILDING_COSTS[buildingType];
+  if (!costBase) return null;
+  const curve = getCurves(buildingType).cost;
+  const costMultipliers = (modifiers && modifiers.cost) || {};
+  const cost = {};
+  for (const [k, v] of Object.entries(costBase)) {
+    if (POP_KEYS.includes(k)) continue;
+    const key = k.toString().toLowerCase();
+    const mult = costMultipliers[key] != null ? Number(costMultipliers[key]) : 1;
+    const amount = Math.ceil(applyCurve(Number(v || 0), level, curve) * mult);
+    if (amount > 0) cost[key] = amount;
+  }
+  return cost;
+}
+
+// Workers assigned per level. Occupation is level * popNeeded, so this does not scale with level.
+function getPopNeeded(buildingType) {
+  const costBase = BUILDING_COSTS[buildingType] || {};
+  return typeof costBase.popNeeded === 'number' ? costBase.popNeeded : (buildingType === 'house' ? 0 : 1);
+}
+
+// Build time in seconds to reach `level`, already divided by the universe BUILD_SPEED
+function calculateBuildTimeSeconds(buildingType, level, modifiers = null) {
+  const gameUtils = require('./gameUtils');
+  const curve = getCurves(buildingType).time;
+  const base = Number(curve.baseSeconds) || gameUtils.baseBuildTimeSeconds(buildingType);
+  const mult = modifiers && modifiers.buildTime != null ? Number(modifiers.buildTime) : 1;
+  return Math.max(1, Math.floor(applyCurve(base, level, curve) * mult / (gameUtils.BUILD_SPEED || 1)));
+}
+
+// A faction missing from ALLOWED_BUILDINGS_BY_FACTION may build anything
+function isBuildingAllowedForFaction(buildingType, factionName) {
+  if (!factionName) return true;
+  const allowedList = ALLOWED_BUILDINGS_BY_FACTION[factionName];
+  return Array.isArray(allowedList) ? allowedList.includes(buildingType) : true;
+}
+
+/**
+ * Full breakdown for the next upgrade of a building.
+ * options: { factionName, pendingCount, modifiers } where pendingCount is the number of queued
+ * upgrades of this type that will complete before this one and modifiers the research effects.
+ * Returns { buildingType, currentLevel, nextLevel, cost, popNeeded, allowed, faction, timeSeconds } or null.
+ */
+function getBuildBreakdown(buildingType, currentLevel, options = {}) {
+  if (!BUILDING_COSTS[buildingType]) return null;
+  const level = Math.max(0, parseInt(currentLevel || 0, 10));
+  const nextLevel = level + Math.max(0, parseInt(options.pendingCount || 0, 10)) + 1;
+  const factionName = options.factionName || null;
+  return {
+    buildingType,
+    currentLevel: level,
+    nextLevel,
+    cost: calculateCostForLevel(buildingType, nextLevel, options.modifiers),
+    popNeeded: getPopNeeded(buildingType),
+    allowed: isBuildingAllowedForFaction(buildingType, factionName),
+    faction: factionName,
+    timeSeconds: calculateBuildTimeSeconds(buildingType, nextLevel, options.modifiers)
+  };
+}
+
+// Map of resource -> amount still missing to pay `cost` (empty when affordable)
+function getMissingResources(cost, resources) {
+  const missing = {};
+  for (const [k, need] of Object.entries(cost || {})) {
+    const have = Number((resources || {})[k] || 0);
+    if (have < need) missing[k] = need - have;
+  }
+  return missing;
+}
+
+async function getFactionNameWithClient(clientOrPool, factionId) {
+  if (!factionId) return null;
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const res = await client.query('SELECT name FROM factions WHERE id = $1 LIMIT 1', [factionId]);
+  return res.rows.length > 0 ? res.rows[0].name : null;
+}
+
+/**
+ * Breakdown for an entity's next upgrade, taking its queue, faction, inventory and
+ * free population into account. Adds { resources, canBuild, missing, popAvailable,
+ * popCurrent, popOccupation, queueLength } to getBuildBreakdown's result.
+ */
+async function getBuildBreakdownForEntityWithClient(clientOrPool, entityId, buildingType) {
+  if (!BUILDING_COSTS[buildingType]) return null;
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const entityService = require('./entityService');
+  const { getBuildingLevelWithClient } = require('./buildingsService');
+  const constructionQueueService = require('./constructionQueueService');
+  const resourcesService = require('./resourcesService');
+  const populationService = require('./populationService');
+  const researchService = require('./researchService');
+
+  const entity = await entityService.getEntityById(client, entityId, false);
+  if (!entity) return null;
+  const factionName = await getFactionNameWithClient(client, entity.faction_id);
+  const currentLevel = await getBuildingLevelWithClient(client, entityId, buildingType);
+  const pending = await constructionQueueService.getPendingSummaryWithClient(client, entityId);
+  const breakdown = getBuildBreakdown(buildingType, currentLevel, {
+    factionName,
+    pendingCount: pending.pendingByType[buildingType] || 0,
+    modifiers: await researchService.getModifiersWithClient(client, entityId)
+  });
+
+  const resources = await resourcesService.getResourcesWithClient(client, entityId);
+  const missing = getMissingResources(breakdown.cost, resources);
+  const popCalc = await populationService.calculateAvailablePopulationWithClient(client, entityId);
+  // Population assigned to queued buildings is already spoken for
+  const popAvailable = Math.max(0, (popCalc.available || 0) - pending.reservedPopulation);
+
+  return Object.assign(breakdown, {
+    entityId,
+    resources,
+    missing,
+    canBuild: breakdown.allowed && Object.keys(missing).length === 0 && popAvailable >= breakdown.popNeeded,
+    popAvailable,
+    popCurrent: popCalc.current,
+    popOccupation: popCalc.occupation,
+    queueLength: pending.count
+  });
+}
+
+module.exports = {
+  getCurves,
+  applyCurve,
+  calculateCostForLevel,
+  getPopNeeded,
+  calculateBuildTimeSeconds,
+  isBuildingAllowedForFaction,
+  getBuildBreakdown,
+  getMissingResources,
+  getFactionNameWithClient,
+  getBuildBreakdownForEntityWithClient
+};
@@ -0,0 +1,376 @@
+/**
+ * economySimulator.js
+ * Simulador económico offline para ajustar el balance (PRODUCTION_RATES, PROCESSING_RECIPES,
+ * BUILDING_COSTS, price_base) sin base de datos.
+ *
+ * Cada paso aplica las mismas reglas que jobs/resourceGenerator.processEntity (producción,
+ * recetas, mantenimiento de población y almacenes) sobre ciudades IA en memoria, y cada
+ * intervalo de IA ejecuta los planners de ai_economic_engine_v2 (tradePlanner, buildPlanner)
+ * contra un bazar con stock propio. Todo el azar sale de un generador con semilla, así que
+ * la misma configuración produce siempre la misma salida.
+ */
+
+const gameUtils = require('./gameUtils');
+const storageService = require('./storageService');
+const populationService = require('./populationService');
+const aiCityService = require('./ai_city_service');
+const { marketPriceFor } = require('./marketService');
+const resourceGenerator = require('../jobs/resourceGenerator');
+const aiEngine = require('../jobs/ai_economic_engine_v2');
+
+const POP_TYPES = populationService.POP_TYPES;
+const RESOURCE_NAMES = Object.keys(gameUtils.RESOURCE_CATEGORIES);
+
+// price_base que dejan las migraciones 006 + 007 en resource_types
+const PRICE_BASE_BY_CATEGORY = { common: 20, processed: 60, specialized: 120, gold: 3000 };
+const STRATEGIC_RESOURCES = ['rare_iron', 'sea_salt', 'linen', 'gold_dye', 'sulfur', 'precious_gems', 'gems', 'royal_silk'];
+const STRATEGIC_PRICE_BASE = 600;
+
+// Casas y el tipo de población cuyo máximo amplían (igual que executeBuildAction)
+const HOUSE_BUCKETS = { house: 'poor', casa_de_piedra: 'burgess', casa_de_ladrillos: 'patrician' };
+
+const DEFAULT_OPTIONS = {
+  hours: 24,
+  seed: 1,
+  cities: 1,
+  stepSeconds: gameUtils.RESOURCE_GENERATOR_INTERVAL_SECONDS,
+  aiIntervalSeconds: 60,
+  sampleSeconds: 3600,
+  pAct: 0.4,
+  faction: null,
+  bazaarStock: 100000,
+  bazaarDistance: 5,
+  woodPerTick: gameUtils.RESOURCE_GENERATOR_WOOD_PER_TICK,
+  stonePerTick: gameUtils.RESOURCE_GENERATOR_STONE_PER_TICK,
+  priceBase: null,
+  initialResources: null
+};
+
+function simulatorError(message, code, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+// mulberry32: rápido, 32 bits de estado y suficiente para decisiones de juego
+function createRng(seed) {
+  let a = seedToInt(seed);
+  return function next() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Semillas numéricas tal cual; las de texto pasan por FNV-1a
+function seedToInt(seed) {
+  if (Number.isFinite(Number(seed))) return Number(seed) >>> 0;
+  let h = 0x811c9dc5;
+  for (const ch of String(seed)) {
+    h ^= ch.charCodeAt(0);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+function defaultPriceBaseMap() {
+  const map = {};
+  for (const name of RESOURCE_NAMES) {
+    map[name] = STRATEGIC_RESOURCES.includes(name)
+      ? STRATEGIC_PRICE_BASE
+      : (PRICE_BASE_BY_CATEGORY[gameUtils.RESOURCE_CATEGORIES[name]] || PRICE_BASE_BY_CATEGORY.processed);
+  }
+  return map;
+}
+
+// Misma forma que devuelve buildingsService.getBuildings
+function buildingRows(city) {
+  return Object.entries(city.buildings)
+    .filter(([, level]) => level > 0)
+    .map(([type, level]) => ({ type, level, count: 1 }));
+}
+
+function totalPopulation(city) {
+  return POP_TYPES.reduce((sum, t) => sum + (city.population[t].current || 0), 0);
+}
+
+// Misma forma que populationService.getPopulationRowsWithClient (available = actual - ocupada)
+function populationRows(city) {
+  const occupation = populationService.computeOccupationFromBuildings(buildingRows(city));
+  const rows = {};
+  for (const t of POP_TYPES) {
+    const { current, max } = city.population[t];
+    rows[t] = { current, max, available: Math.max(0, current - (occupation[t] || 0)) };
+  }
+  return rows;
+}
+
+// Valor en oro de lo que produce un nivel del edificio por hora (null si no produce nada)
+function productionValuePerHour(buildingType, priceBase) {
+  const rates = gameUtils.PRODUCTION_RATES[buildingType] || {};
+  let value = 0;
+  for (const [res, rate] of Object.entries(rates)) value += (Number(rate) || 0) * (priceBase[res] || 0);
+  return value > 0 ? value * (3600 / gameUtils.TICK_SECONDS) : null;
+}
+
+function costInGold(cost, priceBase) {
+  return Object.entries(cost || {}).reduce((sum, [res, amt]) => sum + (Number(amt) || 0) * (priceBase[res] || 0), 0);
+}
+
+function createCity(id, opts) {
+  const start = opts.initialResources || aiCityService.AI_CITY_DEFAULT_RESOURCES;
+  const resources = {};
+  for (const name of RESOURCE_NAMES) resources[name] = Number(start[name]) || 0;
+  // initPopulations con population = 1: un pobre y máximo 1 en cada tipo
+  const population = { poor: { current: 1, max: 1 }, burgess: { current: 0, max: 1 }, patrician: { current: 0, max: 1 } };
+  return { id, name: `IA ${id}`, x: 0, y: 0, faction: opts.faction, resources, buildings: {}, population, incoming: [], discarded: {} };
+}
+
+/**
+ * Un paso del generador de recursos (jobs/resourceGenerator.processEntity) de `seconds`.
+ * Modifica city.resources y city.population.
+ */
+function productionStep(city, seconds, opts) {
+  const rows = buildingRows(city);
+  const popStats = gameUtils.calculatePopulationStats(rows, totalPopulation(city));
+  const produced = gameUtils.calculateProductionForDuration(rows, popStats, seconds, city.faction || '', null);
+  const before = city.resources;
+  const next = { ...before };
+
+  const groups = resourceGenerator.partitionResourcesByCategory(RESOURCE_NAMES);
+  const keysByType = { poor: groups.common, burgess: groups.processed, patrician: groups.specialized };
+  for (const t of POP_TYPES) {
+    const res = resourceGenerator.consumePopulationUpkeep(t, keysByType[t], city.population[t], next, seconds);
+    // processEntity deja al menos un habitante en cada tipo
+    city.population[t] = { current: Math.max(1, res.newCurrent), max: res.max };
+  }
+
+  resourceGenerator.applyProductionWithRecipes(next, produced);
+  const ticks = Math.floor(seconds / gameUtils.TICK_SECONDS);
+  next.wood = (next.wood || 0) + ticks * Math.floor(opts.woodPerTick || 0);
+  next.stone = (next.stone || 0) + ticks * Math.floor(opts.stonePerTick || 0);
+  for (const k of Object.keys(next)) next[k] = Math.max(0, next[k]);
+
+  const capacities = storageService.calculateCapacities(RESOURCE_NAMES, city.buildings);
+  const clamped = storageService.clampToCapacity(before, next, capacities);
+  for (const [k, v] of Object.entries(clamped.discarded)) city.discarded[k] = (city.discarded[k] || 0) + v;
+  city.resources = clamped.resources;
+}
+
+// Caravanas que llegan en el instante t
+function deliverIncoming(city, t) {
+  const pending = [];
+  for (const c of city.incoming) {
+    if (c.arrivesAt > t) { pending.push(c); continue; }
+    city.resources[c.resource] = (city.resources[c.resource] || 0) + c.qty;
+  }
+  city.incoming = pending;
+}
+
+/**
+ * Ejecuta una acción del tradePlanner contra el bazar, con el precio de
+ * marketService.marketPriceFor. Las compras llegan en caravana tras el viaje.
+ */
+function executeTrade(city, bazaar, action, t, ctx) {
+  const resource = action.resource;
+  const qty = Math.max(1, Math.min(aiEngine.DEFAULTS.MAX_AMOUNT, Math.floor(action.qty || 0)));
+  const base = ctx.priceBase[resource] || 0;
+  if (!base) return null;
+  const stock = bazaar.stock[resource] || 0;
+  const price = marketPriceFor(base, qty, stock, action.type);
+
+  if (action.type === 'buy') {
+    if (stock < qty || (city.resources.gold || 0) < price * qty) return null;
+    city.resources.gold -= price * qty;
+    bazaar.stock[resource] = stock - qty;
+    bazaar.stock.gold = (bazaar.stock.gold || 0) + price * qty;
+    city.incoming.push({ resource, qty, arrivesAt: t + ctx.travelSeconds });
+  } else {
+    // Igual que executeTradeAction: solo vende por encima de price_base * PROFIT_MARGIN
+    if (price < Math.ceil(base * aiEngine.DEFAULTS.PROFIT_MARGIN)) return null;
+    if ((city.resources[resource] || 0) < qty || (bazaar.stock.gold || 0) < price * qty) return null;
+    city.resources[resource] -= qty;
+    city.resources.gold = (city.resources.gold || 0) + price * qty;
+    bazaar.stock[resource] = stock + qty;
+    bazaar.stock.gold -= price * qty;
+  }
+  return { t, city: city.id, type: action.type, resource, qty, price };
+}
+
+// Regla de ai_city_service.isHouseBuildAllowed sin base de datos
+function isHouseBuildAllowed(city, buildingType) {
+  const bucket = HOUSE_BUCKETS[buildingType];
+  if (!bucket) return true;
+  const { current, max } = city.population[bucket];
+  if (current !== max) return false;
+  const perTick = gameUtils.calculateProduction(buildingRows(city), { current_population: totalPopulation(city) }) || {};
+  const commonNet = Object.keys(gameUtils.RESOURCE_CATEGORIES)
+    .filter(r => gameUtils.RESOURCE_CATEGORIES[r] === 'common')
+    .reduce((sum, r) => sum + Number(perTick[r] || 0), 0);
+  return commonNet > 0;
+}
+
+/**
+ * Primer candidato del buildPlanner que pasa los mismos filtros que runCityTick y
+ * executeBuildAction: umbral de payback, regla de casas, coste y habitantes libres.
+ */
+function chooseBuild(city, candidates, perception, popRows) {
+  for (const c of candidates) {
+    const isHouse = Boolean(HOUSE_BUCKETS[c.buildingId]);
+    if (c.payback > aiCityService.computeEffectiveThresholdForCandidate(c, perception)) continue;
+    if (isHouse && !isHouseBuildAllowed(city, c.buildingId)) continue;
+    const cost = c.reqs.requiredCost || {};
+    if (Object.entries(cost).some(([r, amt]) => (city.resources[r] || 0) < amt)) continue;
+    if (!isHouse) {
+      // Sin hueco (actual == máximo) runCityTick vuelve a mirar los habitantes libres
+      const row = popRows[aiCityService.mapBuildingToPopulationBucket(c.buildingId)];
+      if (!row || row.max === 0 || row.available < (c.reqs.popForNextLevel || 0)) continue;
+    }
+    return c;
+  }
+  return null;
+}
+
+function applyBuild(city, candidate, t, ctx) {
+  const { buildingId, reqs } = candidate;
+  for (const [r, amt] of Object.entries(reqs.requiredCost || {})) city.resources[r] -= amt;
+  city.buildings[buildingId] = reqs.nextLevel;
+  const bucket = HOUSE_BUCKETS[buildingId];
+  if (bucket) city.population[bucket].max += gameUtils.POPULATION_PER_HOUSE;
+
+  const costGold = costInGold(reqs.requiredCost, ctx.priceBase);
+  const valuePerHour = productionValuePerHour(buildingId, ctx.priceBase);
+  return {
+    t,
+    city: city.id,
+    building: buildingId,
+    level: reqs.nextLevel,
+    cost: reqs.requiredCost,
+    cost_gold: costGold,
+    payback_hours: valuePerHour ? Number((costGold / valuePerHour).toFixed(3)) : null
+  };
+}
+
+// Un tick de IA: puerta probabilística, compras/ventas y como mucho una construcción
+async function aiTick(city, bazaar, t, ctx) {
+  if (ctx.rng() > ctx.opts.pAct) return { trades: [], build: null };
+  const popRows = populationRows(city);
+  const perception = {
+    entityId: city.id,
+    x: city.x,
+    y: city.y,
+    inventory: { ...city.resources },
+    priceBaseMap: ctx.priceBase,
+    neighbors: [],
+    researchModifiers: null,
+    buildings: buildingRows(city),
+    population: popRows
+  };
+
+  const trades = [];
+  for (const action of aiEngine.tradePlanner(perception)) {
+    const trade = executeTrade(city, bazaar, action, t, ctx);
+    if (trade) trades.push(trade);
+  }
+
+  const { candidates } = await aiEngine.buildPlanner(perception, null, {});
+  const choice = chooseBuild(city, candidates || [], perception, popRows);
+  return { trades, build: choice ? applyBuild(city, choice, t, ctx) : null };
+}
+
+function sampleCity(city, t) {
+  const row = { hour: Number((t / 3600).toFixed(4)), city: city.id };
+  for (const name of RESOURCE_NAMES) row[name] = city.resources[name] || 0;
+  for (const type of POP_TYPES) {
+    row[`pop_${type}`] = city.population[type].current;
+    row[`max_${type}`] = city.population[type].max;
+  }
+  row.buildings = Object.values(city.buildings).reduce((a, b) => a + b, 0);
+  return row;
+}
+
+/**
+ * Simula `hours` horas de juego para `cities` ciudades IA que comercian con un mismo bazar.
+ * options: ver DEFAULT_OPTIONS. priceBase sustituye al mapa por defecto (parcial o completo);
+ * initialResources sustituye a AI_CITY_DEFAULT_RESOURCES.
+ * Returns { params, samples, builds, trades, final }.
+ */
+async function simulate(options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  for (const key of ['hours', 'cities', 'stepSeconds', 'aiIntervalSeconds', 'sampleSeconds']) {
+    if (!(Number(opts[key]) > 0)) throw simulatorError(`${key} debe ser un número positivo`, 'INVALID_OPTION', { option: key });
+  }
+  if (!(opts.pAct >= 0 && opts.pAct <= 1)) throw simulatorError('pAct debe estar entre 0 y 1', 'INVALID_OPTION', { option: 'pAct' });
+
+  const ctx = {
+    opts,
+    rng: createRng(opts.seed),
+    priceBase: { ...defaultPriceBaseMap(), ...(opts.priceBase || {}) },
+    travelSeconds: gameUtils.calculateTravelSeconds({ x: 0, y: 0 }, { x: opts.bazaarDistance, y: 0 })
+  };
+  const cities = Array.from({ length: opts.cities }, (_, i) => createCity(i + 1, opts));
+  const bazaar = { stock: Object.fromEntries(RESOURCE_NAMES.map(n => [n, opts.bazaarStock])) };
+
+  const duration = Math.round(opts.hours * 3600);
+  const samples = cities.map(c => sampleCity(c, 0));
+  const builds = [];
+  const trades = [];
+  let nextAi = opts.aiIntervalSeconds;
+  let nextSample = opts.sampleSeconds;
+
+  for (let t = opts.stepSeconds; t <= duration; t += opts.stepSeconds) {
+    for (const city of cities) {
+      deliverIncoming(city, t);
+      productionStep(city, opts.stepSeconds, opts);
+    }
+    if (t >= nextAi) {
+      nextAi += opts.aiIntervalSeconds;
+      for (const city of cities) {
+        const result = await aiTick(city, bazaar, t, ctx);
+        trades.push(...result.trades);
+        if (result.build) builds.push(result.build);
+      }
+    }
+    if (t >= nextSample || t + opts.stepSeconds > duration) {
+      nextSample += opts.sampleSeconds;
+      for (const city of cities) samples.push(sampleCity(city, t));
+    }
+  }
+
+  return {
+    params: { ...opts, priceBase: ctx.priceBase },
+    samples,
+    builds,
+    trades,
+    final: cities.map(c => ({
+      city: c.id,
+      resources: c.resources,
+      buildings: c.buildings,
+      population: c.population,
+      discarded: c.discarded
+    }))
+  };
+}
+
+// Tabla -> CSV (las celdas con comas, comillas o saltos de línea van entre comillas)
+function toCsv(rows, columns) {
+  const cols = columns || (rows.length ? Object.keys(rows[0]) : []);
+  const cell = v => {
+    if (v === null || v === undefined) return '';
+    const s = typeof v === 'object' ? JSON.stringify(v) : String(v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [cols.join(','), ...rows.map(r => cols.map(c => cell(r[c])).join(','))].join('\n') + '\n';
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  RESOURCE_NAMES,
+  createRng,
+  defaultPriceBaseMap,
+  simulate,
+  toCsv
+};
@@ -55,11 +55,16 @@ async function createEntityWithResources(clientOrPool, data) {
     // Ensure players and AI cities start with 3000 gold unless an explicit positive value was provided
     if (!(typeof initial.gold === 'number' && initial.gold > 0)) initial.gold = 3000;
   }
+  const inserted = {};
   for (const r of rt) {
     const name = (r.name || '').toLowerCase();
     const amount = typeof initial[name] === 'number' ? initial[name] : 0;
     await client.query('INSERT INTO resource_inventory (entity_id, resource_type_id, amount) VALUES ($1,$2,$3)', [entity.id, r.id, amount]);
+    inserted[name] = amount;
   }
+  // Starting stock is the first entry of the entity's resource ledger
+  const { LEDGER_REASONS } = require('../constants/ledger');
+  await require('./ledgerService').recordSnapshotDiffWithClient(client, entity.id, {}, inserted, { reason: LEDGER_REASONS.INITIAL });
 
   // Initialize populations (three types) for the entity: poor, burgess, patrician
   try {
@@ -174,14 +179,18 @@ async function listEntitiesForMap(clientOrPool) {
     SUM(COALESCE(p.current_population,0)) AS current_population,
     SUM(COALESCE(p.max_population,0)) AS max_population,
     f.name AS faction_name,
+    al.id AS alliance_id,
+    al.tag AS alliance_tag,
     json_agg(json_build_object('type', b.type, 'count', 1)) AS buildings
     FROM entities e
     LEFT JOIN users u ON u.id = e.user_id
     LEFT JOIN ai_cities ac ON ac.entity_id = e.id
     LEFT JOIN factions f ON e.faction_id = f.id
+    LEFT JOIN alliance_members am ON am.user_id = e.user_id
+    LEFT JOIN alliances al ON al.id = am.alliance_id
     LEFT JOIN populations p ON e.id = p.entity_id
     LEFT JOIN buildings b ON e.id = b.entity_id
-    GROUP BY e.id, ac.name, u.username, f.name`;
+    GROUP BY e.id, ac.name, u.username, f.name, al.id, al.tag`;
   if (usingClient) {
     const res = await clientOrPool.query(q);
     const rows = res.rows || [];
@@ -0,0 +1,172 @@
+// Errores del juego y formato común de las respuestas de error:
+//   { ok: false, error: { code, message, details } }
+// Los servicios pueden lanzar un GameError o un Error con `code` (xxxError(message, code, extra));
+// toGameError traduce ambos y cualquier otro error acaba como INTERNAL_ERROR sin exponer su mensaje.
+
+class GameError extends Error {
+  constructor(message, { code = 'GAME_ERROR', status = 400, details = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+class InsufficientResources extends GameError {
+  constructor(resource, need, have) {
+    super(`Recursos insuficientes: ${resource} (necesita ${need}, tiene ${have})`, {
+      code: 'INSUFFICIENT',
+      status: 400,
+      details: { resource, need, have }
+    });
+    // Los llamantes antiguos leen err.resource / err.need / err.have
+    Object.assign(this, { resource, need, have });
+  }
+}
+
+class InsufficientPopulation extends GameError {
+  constructor(need, have) {
+    super('Población insuficiente para asignar al edificio.', { code: 'INSUFFICIENT_POPULATION', status: 400, details: { need, have } });
+  }
+}
+
+class NotAllowedForFaction extends GameError {
+  constructor(faction, buildingType) {
+    super(`La facción '${faction}' no está permitida para construir '${buildingType}'.`, {
+      code: 'NOT_ALLOWED_FOR_FACTION',
+      status: 403,
+      details: { faction, buildingType }
+    });
+  }
+}
+
+class NotFound extends GameError {
+  constructor(message = 'Recurso no encontrado.', code = 'NOT_FOUND', details = null) {
+    super(message, { code, status: 404, details });
+  }
+}
+
+class Forbidden extends GameError {
+  constructor(message = 'Operación no permitida.', code = 'FORBIDDEN', details = null) {
+    super(message, { code, status: 403, details });
+  }
+}
+
+// HTTP status de los códigos que lanzan los servicios con xxxError(message, code, extra)
+const CODE_STATUS = {
+  INSUFFICIENT: 400,
+  INSUFFICIENT_POPULATION: 400,
+  STORAGE_FULL: 400,
+  BAZAAR_OUT_OF_STOCK: 400,
+  BAZAAR_STOCK_FULL: 400,
+  QUOTE_INVALID: 400,
+  QUOTE_EXPIRED: 400,
+  QUOTE_NOT_YOURS: 403,
+  QUOTE_USED: 409,
+  QUOTE_PRICE_MOVED: 409,
+  TREASURY_INSUFFICIENT: 400,
+  INVALID_BONUS: 400,
+  FACTION_BONUS_ACTIVE: 409,
+  NOT_FACTION_MEMBER: 403,
+  FACTION_MEMBER_TOO_NEW: 403,
+  FACTION_SPEND_COOLDOWN: 429,
+  ALLIANCE_STOCK_INSUFFICIENT: 400,
+  ALLIANCE_RESOURCE_NOT_ALLOWED: 400,
+  ALLIANCE_SELF_DISTRIBUTION: 400,
+  NOT_ALLIANCE_MEMBER: 403,
+  ALLIANCE_RANK_FORBIDDEN: 403,
+  ALLIANCE_MEMBER_TOO_NEW: 403,
+  ALLIANCE_NOT_FOUND: 404,
+  ALLIANCE_MEMBER_NOT_FOUND: 404,
+  INVITATION_NOT_FOUND: 404,
+  USER_ENTITY_NOT_FOUND: 404,
+  ALLIANCE_ALREADY_MEMBER: 409,
+  ALLIANCE_NAME_TAKEN: 409,
+  ALLIANCE_INVITATION_EXISTS: 409,
+  ALLIANCE_FULL: 409,
+  ALLIANCE_WAREHOUSE_NOT_EMPTY: 409,
+  INVALID_ORDER: 400,
+  INVALID_UNIT: 400,
+  INVALID_QUANTITY: 400,
+  INVALID_UNITS: 400,
+  INVALID_TARGET: 400,
+  INSUFFICIENT_UNITS: 400,
+  BARRACKS_REQUIRED: 400,
+  INVALID_TECHNOLOGY: 400,
+  MAX_LEVEL: 400,
+  REQUIREMENTS_NOT_MET: 400,
+  INVALID_PASSWORD: 400,
+  INVALID_FACTION: 400,
+  INVALID_LANGUAGE: 400,
+  REFRESH_TOKEN_INVALID: 401,
+  REFRESH_TOKEN_EXPIRED: 401,
+  REFRESH_TOKEN_REUSED: 401,
+  WRONG_PASSWORD: 403,
+  NOT_ALLOWED_FOR_FACTION: 403,
+  TARGET_NOT_FOUND: 404,
+  RESOURCE_NOT_TRADABLE: 404,
+  USER_NOT_FOUND: 404,
+  QUEUE_FULL: 409,
+  SELF_CROSSING_ORDER: 409,
+  RESEARCH_BUSY: 409,
+  RESPAWN_COOLDOWN: 429
+};
+
+// Código por defecto de una respuesta de error según su status
+const STATUS_CODE = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR'
+};
+
+const INTERNAL_MESSAGE = 'Error interno del servidor.';
+
+// Propiedades de Error que nunca van en details
+const NON_DETAIL_KEYS = ['message', 'code', 'status', 'stack', 'name', 'details'];
+
+function toGameError(err) {
+  if (err instanceof GameError) return err;
+  if (err && typeof err.code === 'string' && CODE_STATUS[err.code]) {
+    const details = {};
+    for (const [k, value] of Object.entries(err)) {
+      if (!NON_DETAIL_KEYS.includes(k) && value !== undefined) details[k] = value;
+    }
+    return new GameError(err.message, { code: err.code, status: CODE_STATUS[err.code], details: Object.keys(details).length ? details : null });
+  }
+  return null;
+}
+
+function errorBody(code, message, details = null) {
+  return { ok: false, error: { code, message, details: details === undefined ? null : details } };
+}
+
+/**
+ * Responde con el error en el formato común. Los errores que no son del juego (SQL, bugs...)
+ * se registran con `fallbackMessage` y se devuelven como 500 INTERNAL_ERROR (responseEnvelope pone el texto traducido).
+ */
+function sendError(res, err, fallbackMessage = INTERNAL_MESSAGE) {
+  const gameError = toGameError(err);
+  if (gameError) return res.status(gameError.status).json(errorBody(gameError.code, gameError.message, gameError.details));
+  console.error(fallbackMessage, err && err.stack ? err.stack : err);
+  return res.status(500).json(errorBody(STATUS_CODE[500], fallbackMessage));
+}
+
+module.exports = {
+  GameError,
+  InsufficientResources,
+  InsufficientPopulation,
+  NotAllowedForFaction,
+  NotFound,
+  Forbidden,
+  CODE_STATUS,
+  STATUS_CODE,
+  INTERNAL_MESSAGE,
+  toGameError,
+  errorBody,
+  sendError
+};
@@ -0,0 +1,142 @@
+const { EVENT_STREAM } = require('../constants/events');
+const { calculateDistance } = require('./gameUtils');
+
+// Internal event bus: services publish, the SSE route (routes/eventsRoutes.js) subscribes.
+// Events are hints for the client to refresh its view; the REST endpoints stay the source of truth.
+//
+// Transports:
+//  - memory (default): delivers inside this process. Events published within a transaction go out
+//    immediately, so a rollback right after can leave a stale notification.
+//  - pg (EVENT_BUS=pg): pg_notify + LISTEN. Reaches every process (web, ai-cron...) and, when the
+//    event is published with the transaction's client, is only delivered if that transaction commits.
+
+const subscribers = new Set();
+
+function matches(sub, event) {
+  if (event.entityId !== null && event.entityId !== undefined) return Number(sub.entityId) === Number(event.entityId);
+  if (!event.origin || Number(sub.entityId) === Number(event.origin.entityId)) return false;
+  return calculateDistance(sub, event.origin) <= EVENT_STREAM.nearbyRadius;
+}
+
+function dispatch(event) {
+  for (const sub of subscribers) {
+    if (!matches(sub, event)) continue;
+    try {
+      sub.listener(event);
+    } catch (err) {
+      console.error('Error entregando evento:', err && err.message ? err.message : err);
+    }
+  }
+}
+
+function createMemoryTransport() {
+  return {
+    async publish(event) {
+      dispatch(event);
+    },
+    async listen() { /* publish already dispatches locally */ }
+  };
+}
+
+/**
+ * pg_notify on `channel`; listen() keeps a dedicated connection with LISTEN and dispatches
+ * what arrives (including this process' own events). It reconnects after a connection error.
+ */
+function createPgTransport(pool, { channel = EVENT_STREAM.channel, reconnectMs = 5000 } = {}) {
+  let listening = null;
+
+  const connect = async () => {
+    const client = await pool.connect();
+    client.on('notification', (msg) => {
+      if (msg.channel !== channel) return;
+      try {
+        dispatch(JSON.parse(msg.payload));
+      } catch (err) {
+        console.error('Evento con payload no válido:', err.message);
+      }
+    });
+    client.on('error', (err) => {
+      console.error('Conexión LISTEN de eventos perdida:', err.message);
+      try { client.release(err); } catch (e) { /* ignore */ }
+      listening = null;
+      setTimeout(() => { listen().catch(() => {}); }, reconnectMs).unref();
+    });
+    await client.query(`LISTEN ${channel}`);
+    return client;
+  };
+
+  const listen = () => {
+    if (!listening) {
+      listening = connect().catch((err) => {
+        listening = null;
+        throw err;
+      });
+    }
+    return listening;
+  };
+
+  return {
+    async publish(event, client) {
+      await (client || pool).query('SELECT pg_notify($1, $2)', [channel, JSON.stringify(event)]);
+    },
+    listen
+  };
+}
+
+let transport = null;
+
+function getEventTransport() {
+  if (!transport) {
+    transport = process.env.EVENT_BUS === 'pg' ? createPgTransport(require('../db')) : createMemoryTransport();
+  }
+  return transport;
+}
+
+const setEventTransport = (newTransport) => { transport = newTransport; };
+
+function send(event, client) {
+  if (Buffer.byteLength(JSON.stringify(event)) > EVENT_STREAM.maxPayloadBytes) {
+    event = Object.assign({}, event, { data: null, truncated: true });
+  }
+  // Nunca rompe al llamante: un evento perdido solo retrasa el refresco del cliente
+  return getEventTransport().publish(event, client).catch((err) => {
+    console.error(`Error publicando el evento ${event.type}:`, err && err.message ? err.message : err);
+  });
+}
+
+/**
+ * Publish `type` for one entity. Pass the transaction's client so the pg transport only
+ * delivers it on commit. Fire and forget: returns a promise that never rejects.
+ */
+function publish(entityId, type, data = null, client = null) {
+  return send({ type, entityId: Number(entityId), data, at: new Date().toISOString() }, client);
+}
+
+// Publish to every entity within EVENT_STREAM.nearbyRadius of origin ({ entityId, x_coord, y_coord })
+function publishNearby(origin, type, data = null, client = null) {
+  const from = { entityId: Number(origin.entityId), x_coord: Number(origin.x_coord) || 0, y_coord: Number(origin.y_coord) || 0 };
+  return send({ type, entityId: null, origin: from, data, at: new Date().toISOString() }, client);
+}
+
+/**
+ * Receive the events of `entity` ({ id, x_coord, y_coord }) and those published near it.
+ * Returns the unsubscribe function.
+ */
+function subscribe(entity, listener) {
+  const sub = { entityId: Number(entity.id), x_coord: Number(entity.x_coord) || 0, y_coord: Number(entity.y_coord) || 0, listener };
+  subscribers.add(sub);
+  getEventTransport().listen().catch((err) => {
+    console.error('No se pudo escuchar el canal de eventos:', err && err.message ? err.message : err);
+  });
+  return () => { subscribers.delete(sub); };
+}
+
+module.exports = {
+  createMemoryTransport,
+  createPgTransport,
+  getEventTransport,
+  setEventTransport,
+  publish,
+  publishNearby,
+  subscribe
+};
@@ -8,6 +8,9 @@ const FOOD_CONSUMPTION_PER_CITIZEN = 1;
 // --- CONSTANTES DEL MAPA Y COORDENADAS ---
 const MAP_SIZE = 100; // Tamaño máximo del mapa (100x100)
 const COORD_RADIUS = 25; // Radio de la zona de influencia de la facción (ej: 25 unidades alrededor del spawn central)
+// --- CARAVANAS ---
+const CARAVAN_SECONDS_PER_TILE = 30; // Una caravana recorre 1 casilla cada 30 segundos
+const CARAVAN_MIN_SECONDS = 10; // Incluso entre vecinos inmediatos el envío tarda al menos un tick
 // ------------------------------------------
 
 
@@ -26,7 +29,13 @@ const PRODUCTION_RATES = {
     'coal_mine': { coal: 1 },
     'copper_mine': { copper: 1 },
     'sheepfold': { wool: 1 },
-    'apiary': { honey: 1 }
+    'apiary': { honey: 1 },
+    // Militar: no produce recursos, desbloquea unidades (constants/units.js)
+    'barracks': {},
+    // Almacenamiento: no producen, amplían la capacidad (constants/storage.js)
+    'warehouse': {},
+    'granary': {},
+    'treasury': {}
 };
 
 // Procesados adicionales: cada edificio produce 1 unidad por tick (10s) de su producto
@@ -113,6 +122,57 @@ const RESOURCE_CATEGORIES = {
     gold: 'gold'
 };
 
+// -----------------------------------------------------------------
+// ⭐️ TIEMPOS DE CONSTRUCCIÓN
+// -----------------------------------------------------------------
+// Los tiempos base salen de ai_building_config (base_time_s por nivel de edificio);
+// la curva por nivel la aplica utils/costEngine.js.
+const { BUILDING_CONFIG } = require('./ai_building_config');
+// Velocidad del universo (estilo OGame): 2 = construcciones el doble de rápidas
+const BUILD_SPEED = Number(process.env.BUILD_SPEED || 1) || 1;
+
+// Edificios estratégicos: sus productos se tratan como 'specialized' en RESOURCE_CATEGORIES,
+// así que se listan explícitamente para asignarles el tiempo base más alto.
+const STRATEGIC_BUILDINGS = ['tintoreria_dorada', 'herreria_mitica', 'salinas', 'mina_azufre', 'mina_gemas', 'telar_real'];
+
+// Devuelve la clave de BUILDING_CONFIG cuyo base_time_s aplica a un tipo de edificio
+function buildTimeTierForBuilding(buildingType) {
+    const key = (buildingType || '').toString().toLowerCase();
+    if (STRATEGIC_BUILDINGS.includes(key)) return 'StrategicForge';
+    if (key === 'house') return 'Farm';
+    if (key === 'casa_de_piedra') return 'Processor';
+    if (key === 'casa_de_ladrillos') return 'Refiner';
+    const rates = PRODUCTION_RATES[key] || {};
+    for (const res of Object.keys(rates)) {
+        const cat = RESOURCE_CATEGORIES[res];
+        if (cat === 'processed') return 'Processor';
+        if (cat === 'specialized') return 'Refiner';
+    }
+    return 'Farm';
+}
+
+// Segundos base (nivel 1) para construir un tipo de edificio
+function baseBuildTimeSeconds(buildingType) {
+    const tier = BUILDING_CONFIG[buildTimeTierForBuilding(buildingType)] || BUILDING_CONFIG.Farm;
+    return tier.base_time_s;
+}
+
+// -----------------------------------------------------------------
+// ⭐️ DISTANCIAS Y VIAJES
+// -----------------------------------------------------------------
+
+// Distancia euclídea entre dos puntos {x_coord, y_coord}
+function calculateDistance(from, to) {
+    const dx = Number((from && from.x_coord) || 0) - Number((to && to.x_coord) || 0);
+    const dy = Number((from && from.y_coord) || 0) - Number((to && to.y_coord) || 0);
+    return Math.sqrt(dx * dx + dy * dy);
+}
+
+// Segundos que tarda una caravana en ir de `from` a `to`
+function calculateTravelSeconds(from, to) {
+    return Math.max(CARAVAN_MIN_SECONDS, Math.ceil(calculateDistance(from, to) * CARAVAN_SECONDS_PER_TILE));
+}
+
 // Map common spanish/english synonyms to canonical production keys
 function normalizeBuildingType(buildingType) {
     if (!buildingType) return buildingType;
@@ -229,9 +289,12 @@ const calculatePopulationStats = (userBuildings, currentPopFromDB) => {
  * Calcula la producción neta de recursos (producción de edificios - consumo de población).
  * @param {Array<{type: string, count: number}>} userBuildings Lista de edificios del usuario.
  * @param {{current_population: number}} populationStats Estadísticas de población.
+ * @param {string|Object} [factionBonusesOrName] Nombre de facción o mapa de multiplicadores.
+ * @param {{production?: Object<string, number>}} [researchModifiers] Efectos de investigación
+ *        (researchService.getResearchModifiers); multiplican la producción bruta de los edificios.
  * @returns {{wood: number, stone: number, food: number}}
  */
-const calculateProduction = (userBuildings, populationStats, factionBonusesOrName) => {
+const calculateProduction = (userBuildings, populationStats, factionBonusesOrName, researchModifiers) => {
     // Producción por recurso (dinámico según claves en PRODUCTION_RATES)
     const production = {};
 
@@ -252,6 +315,12 @@ const calculateProduction = (userBuildings, populationStats, factionBonusesOrNam
         });
     });
 
+    // Bonos de investigación sobre la producción bruta (antes del consumo, para no inflarlo)
+    const researchProduction = (researchModifiers && researchModifiers.production) || {};
+    Object.keys(researchProduction).forEach(rk => {
+        if (production[rk]) production[rk] = production[rk] * (Number(researchProduction[rk]) || 1);
+    });
+
     // Consumo de comida por población
     const foodConsumption = (populationStats.current_population || 0) * -FOOD_CONSUMPTION_PER_CITIZEN;
     production.food = (production.food || 0) + foodConsumption;
@@ -286,13 +355,15 @@ const calculateProduction = (userBuildings, populationStats, factionBonusesOrNam
  * @param {Array<{type:string,count:number}>} userBuildings
  * @param {{current_population:number}} populationStats
  * @param {number} seconds
+ * @param {string|Object} [factionBonusesOrName]
+ * @param {Object} [researchModifiers]
  * @returns {{wood:number,stone:number,food:number}}
  */
-const calculateProductionForDuration = (userBuildings, populationStats, seconds, factionBonusesOrName) => {
+const calculateProductionForDuration = (userBuildings, populationStats, seconds, factionBonusesOrName, researchModifiers) => {
     if (seconds <= 0) return { wood: 0, stone: 0, food: 0 };
 
     // Producción por tick (la función calculateProduction devuelve producción por tick)
-    const perTick = calculateProduction(userBuildings, populationStats, factionBonusesOrName);
+    const perTick = calculateProduction(userBuildings, populationStats, factionBonusesOrName, researchModifiers);
     const multiplier = seconds / TICK_SECONDS;
 
     const scaled = {};
@@ -327,7 +398,15 @@ module.exports = {
     RESOURCE_GENERATOR_STONE_PER_TICK,
     MAP_SIZE,
     COORD_RADIUS, // Exportamos el radio de influencia
+    CARAVAN_SECONDS_PER_TILE,
+    CARAVAN_MIN_SECONDS,
+    calculateDistance,
+    calculateTravelSeconds,
     findAvailableCoordinates,
     PROCESSING_RECIPES,
-    RESOURCE_CATEGORIES
+    RESOURCE_CATEGORIES,
+    // Build times
+    BUILD_SPEED,
+    buildTimeTierForBuilding,
+    baseBuildTimeSeconds
 };
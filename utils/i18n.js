@@ -0,0 +1,102 @@
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, MESSAGES } = require('../constants/messages');
+const { RESOURCE_NAMES, BUILDING_NAMES } = require('../constants/displayNames');
+
+// {param} o {param:formato}; param puede ser una ruta con puntos (user.username)
+const PLACEHOLDER = /\{([\w.]+)(?::(\w+))?\}/g;
+
+// 'en-GB' -> 'en'; null si no es un idioma soportado
+function normalizeLanguage(tag) {
+  if (typeof tag !== 'string') return null;
+  const base = tag.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(base) ? base : null;
+}
+
+/**
+ * Idioma de la respuesta según Accept-Language ("en-US,en;q=0.9,es;q=0.8"): el idioma
+ * soportado con mayor q (a igualdad, el primero). Sin ninguno soportado -> DEFAULT_LANGUAGE.
+ */
+function negotiateLanguage(header) {
+  if (!header || typeof header !== 'string') return DEFAULT_LANGUAGE;
+  let best = null;
+  let bestQ = 0;
+  for (const part of header.split(',')) {
+    const [tag, ...params] = part.split(';');
+    const qParam = params.map(p => p.trim()).find(p => p.startsWith('q='));
+    const q = qParam ? Number(qParam.slice(2)) : 1;
+    const lang = tag.trim() === '*' ? DEFAULT_LANGUAGE : normalizeLanguage(tag);
+    if (lang && Number.isFinite(q) && q > bestQ) {
+      best = lang;
+      bestQ = q;
+    }
+  }
+  return best || DEFAULT_LANGUAGE;
+}
+
+function localizedName(names, lang, key) {
+  const entry = names[key];
+  if (!entry) return key;
+  return entry[lang] || entry[DEFAULT_LANGUAGE] || key;
+}
+
+const resourceName = (lang, resource) => localizedName(RESOURCE_NAMES, lang, resource);
+const buildingName = (lang, buildingType) => localizedName(BUILDING_NAMES, lang, buildingType);
+
+function getParam(params, path) {
+  let value = params;
+  for (const key of path.split('.')) {
+    if (value === null || value === undefined || typeof value !== 'object') return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+function formatParam(lang, value, format) {
+  if (format === 'resource') return resourceName(lang, value);
+  if (format === 'building') return buildingName(lang, value);
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+}
+
+/**
+ * Mensaje del catálogo para `code` en `lang` con los parámetros sustituidos.
+ * Devuelve null si el código no está en el catálogo o falta algún parámetro,
+ * para que el llamante conserve el mensaje que ya tenía.
+ */
+function t(lang, code, params = {}) {
+  const entry = MESSAGES[code];
+  if (!entry) return null;
+  const template = entry[lang] || entry[DEFAULT_LANGUAGE];
+  let missing = false;
+  const text = template.replace(PLACEHOLDER, (match, path, format) => {
+    const value = getParam(params || {}, path);
+    if (value === undefined || value === null) {
+      missing = true;
+      return match;
+    }
+    return formatParam(lang, value, format);
+  });
+  return missing ? null : text;
+}
+
+const hasMessage = (code) => Object.prototype.hasOwnProperty.call(MESSAGES, code);
+
+// Nombres visibles de todos los recursos y edificios en `lang`
+function getDisplayNames(lang) {
+  const resources = {};
+  for (const key of Object.keys(RESOURCE_NAMES)) resources[key] = resourceName(lang, key);
+  const buildings = {};
+  for (const key of Object.keys(BUILDING_NAMES)) buildings[key] = buildingName(lang, key);
+  return { resources, buildings };
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  negotiateLanguage,
+  resourceName,
+  buildingName,
+  t,
+  hasMessage,
+  getDisplayNames
+};
@@ -0,0 +1,134 @@
+const pool = require('../db');
+const { LEDGER_REASONS, LEDGER_PAGE_SIZE, LEDGER_MAX_PAGE_SIZE } = require('../constants/ledger');
+
+/**
+ * Ledger rows ({ resource, delta, balance }) for the resources whose balance differs between
+ * `before` and `after` ({ resource: amount } snapshots of the same entity). Only `keys` are
+ * compared when given.
+ */
+function diffSnapshots(before, after, keys = null) {
+  const rows = [];
+  const candidates = keys || Object.keys(Object.assign({}, before || {}, after || {}));
+  for (const k of candidates) {
+    const key = (k || '').toString().toLowerCase();
+    const oldV = Number((before || {})[key]) || 0;
+    const newV = Number((after || {})[key]) || 0;
+    if (newV === oldV || rows.some(r => r.resource === key)) continue;
+    rows.push({ resource: key, delta: newV - oldV, balance: newV });
+  }
+  return rows;
+}
+
+/**
+ * Write one ledger row per resource whose balance differs between `before` and `after`
+ * (see diffSnapshots). meta: { reason, refType, refId, details }. Must run in the
+ * mutation's transaction.
+ */
+async function recordSnapshotDiffWithClient(client, entityId, before, after, meta = {}, keys = null) {
+  const rows = diffSnapshots(before, after, keys);
+  if (rows.length === 0) return 0;
+
+  const m = meta || {};
+  // $1..$5 are shared by every row, each row adds its resource, delta and balance
+  const params = [
+    entityId,
+    m.reason || LEDGER_REASONS.UNSPECIFIED,
+    m.refType || null,
+    m.refId != null ? Number(m.refId) : null,
+    m.details ? JSON.stringify(m.details) : null
+  ];
+  const values = rows.map(r => {
+    params.push(r.resource, r.delta, r.balance);
+    const n = params.length;
+    return `($1, $${n - 2}, $${n - 1}, $${n}, $2, $3, $4, $5)`;
+  });
+  await client.query(
+    `INSERT INTO resource_ledger (entity_id, resource, delta, balance_after, reason, ref_type, ref_id, details)
+     VALUES ${values.join(', ')}`,
+    params
+  );
+  return rows.length;
+}
+
+/**
+ * Bulk insert for jobs that touch many entities at once (jobs/batchTick.js).
+ * entries: [{ entityId, resource, delta, balance, reason, refType, refId, details }]
+ */
+async function recordEntriesWithClient(client, entries) {
+  if (!entries || entries.length === 0) return 0;
+  const column = (fn) => entries.map(fn);
+  await client.query(
+    `INSERT INTO resource_ledger (entity_id, resource, delta, balance_after, reason, ref_type, ref_id, details)
+     SELECT u.entity_id, u.resource, u.delta, u.balance_after, u.reason, u.ref_type, u.ref_id, u.details::jsonb
+     FROM unnest($1::int[], $2::text[], $3::bigint[], $4::bigint[], $5::text[], $6::text[], $7::int[], $8::text[])
+       AS u(entity_id, resource, delta, balance_after, reason, ref_type, ref_id, details)`,
+    [
+      column(e => Number(e.entityId)),
+      column(e => e.resource),
+      column(e => e.delta),
+      column(e => e.balance),
+      column(e => e.reason || LEDGER_REASONS.UNSPECIFIED),
+      column(e => e.refType || null),
+      column(e => (e.refId != null ? Number(e.refId) : null)),
+      column(e => (e.details ? JSON.stringify(e.details) : null))
+    ]
+  );
+  return entries.length;
+}
+
+function mapLedgerRow(r) {
+  return {
+    id: Number(r.id),
+    entity_id: r.entity_id,
+    resource: r.resource,
+    delta: Number(r.delta),
+    balance_after: Number(r.balance_after),
+    reason: r.reason,
+    ref_type: r.ref_type,
+    ref_id: r.ref_id,
+    details: r.details,
+    created_at: r.created_at
+  };
+}
+
+/**
+ * Ledger entries of an entity, newest first, paginated by id (keyset).
+ * filters: { resource, reason, refType, refId, since, until, before, limit }
+ * `before` is the id cursor returned as nextBefore by the previous page.
+ * Returns { entries, nextBefore } (nextBefore is null on the last page).
+ */
+async function listLedgerWithClient(clientOrPool, entityId, filters = {}) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const where = ['entity_id = $1'];
+  const params = [entityId];
+  const add = (sql, value) => {
+    params.push(value);
+    where.push(sql.replace('?', `$${params.length}`));
+  };
+  if (filters.resource) add('resource = ?', filters.resource.toString().toLowerCase());
+  if (filters.reason) add('reason = ?', filters.reason.toString());
+  if (filters.refType) add('ref_type = ?', filters.refType.toString());
+  if (filters.refId != null && filters.refId !== '') add('ref_id = ?', parseInt(filters.refId, 10));
+  if (filters.since) add('created_at >= ?', new Date(filters.since).toISOString());
+  if (filters.until) add('created_at < ?', new Date(filters.until).toISOString());
+  if (filters.before) add('id < ?', parseInt(filters.before, 10));
+
+  const limit = Math.min(LEDGER_MAX_PAGE_SIZE, Math.max(1, parseInt(filters.limit, 10) || LEDGER_PAGE_SIZE));
+  params.push(limit + 1);
+  const res = await client.query(
+    `SELECT * FROM resource_ledger WHERE ${where.join(' AND ')} ORDER BY id DESC LIMIT $${params.length}`,
+    params
+  );
+  const rows = res.rows.slice(0, limit).map(mapLedgerRow);
+  return {
+    entries: rows,
+    nextBefore: res.rows.length > limit ? rows[rows.length - 1].id : null
+  };
+}
+
+module.exports = {
+  diffSnapshots,
+  recordSnapshotDiffWithClient,
+  recordEntriesWithClient,
+  listLedgerWithClient
+};
@@ -1,35 +1,41 @@
 const pool = require('../db');
 const resourcesService = require('./resourcesService');
+const { InsufficientResources } = require('./errors');
 
-// Compute simple market price for a single resource using price_base and global stock
+// Compute simple market price for a single resource using its reference price and global stock.
+// `base` is the moving reference price (utils/pricingService.js), price_base until the market moves it.
 async function computeMarketPriceSingle(clientOrPool, typeName, amount, action = 'buy') {
   const client = clientOrPool.query ? clientOrPool : pool;
   const t = (typeName || '').toString().toLowerCase();
-  const pbMap = await resourcesService.getPriceBaseMapWithClient(client);
-    const base = Number(pbMap[t] || 0);
+  const base = await require('./pricingService').getReferencePriceWithClient(client, t);
   if (!base || base <= 0) return null;
   const stockBefore = await resourcesService.getTotalStockForResourceWithClient(client, t);
+  const price = marketPriceFor(base, amount, stockBefore, action);
+  return { price, base, stockBefore };
+}
+
+// Unit price for `amount` units given the total stock: buying above the stock gets dearer,
+// selling into it gets cheaper. Pure so the offline simulator prices trades the same way.
+function marketPriceFor(base, amount, stockBefore, action = 'buy') {
   const K_BUY = 0.5, K_SELL = 0.3, MIN_PRICE = 1;
-  let price = base;
   if ((action || 'buy') === 'buy') {
     const factor = 1 + K_BUY * (amount / Math.max(1, stockBefore));
-    price = Math.max(MIN_PRICE, Math.round(base * factor));
-  } else {
-    const factor = 1 - K_SELL * (amount / Math.max(1, stockBefore + amount));
-    price = Math.max(MIN_PRICE, Math.round(base * factor));
+    return Math.max(MIN_PRICE, Math.round(base * factor));
   }
-  return { price, base, stockBefore };
+  const factor = 1 - K_SELL * (amount / Math.max(1, stockBefore + amount));
+  return Math.max(MIN_PRICE, Math.round(base * factor));
 }
 
 // Perform an atomic trade using an existing client transaction (assumes caller manages BEGIN/COMMIT)
-// Mirrors the logic used by /api/resources/trade but accepts a client parameter.
+// Gold settles immediately; the goods leave the seller now and travel to the buyer in a caravan
+// that the resource generator delivers on arrival. The seller pays the trade tax
+// (treasuryService.collectTradeTaxWithClient). Returns { snapshot, caravan, tax }.
 async function tradeWithClient(client, buyerId, sellerId, resourceName, pricePerUnit, qty) {
-  const rtRes = await resourcesService.getResourceTypeByNameWithClient(client, resourceName.toString().toLowerCase());
+  const resourceKey = resourceName.toString().toLowerCase();
+  const rtRes = await resourcesService.getResourceTypeByNameWithClient(client, resourceKey);
   if (!rtRes) throw new Error('Unknown resource: ' + resourceName);
-  const resourceTypeId = rtRes.id;
   const goldRtRes = await resourcesService.getResourceTypeByNameWithClient(client, 'gold');
   if (!goldRtRes) throw new Error('Gold resource type missing');
-  const goldTypeId = goldRtRes.id;
 
   // Lock both participant rows (sorted to avoid deadlocks)
   const idsToLock = [buyerId, sellerId].map(id => parseInt(id, 10)).sort((a, b) => a - b);
@@ -42,16 +48,50 @@ async function tradeWithClient(client, buyerId, sellerId, resourceName, pricePer
   const sellerInv = await resourcesService.getResourcesWithClient(client, sellerId);
 
   const buyerGold = buyerInv['gold'] || 0;
-  const sellerResource = sellerInv[resourceName.toString().toLowerCase()] || 0;
+  const sellerResource = sellerInv[resourceKey] || 0;
 
   const totalCost = Number(pricePerUnit) * qty;
-  if (buyerGold < totalCost) throw new Error('Buyer lacks gold');
-  if (sellerResource < qty) throw new Error('Seller lacks stock');
+  if (buyerGold < totalCost) throw new InsufficientResources('gold', totalCost, buyerGold);
+  if (sellerResource < qty) throw new InsufficientResources(resourceKey, qty, sellerResource);
+
+  // Neither side may receive more than its storage can hold (goods in transit included)
+  const storageService = require('./storageService');
+  await storageService.assertCanStoreWithClient(client, buyerId, { [resourceKey]: qty });
+  await storageService.assertCanStoreWithClient(client, sellerId, { gold: totalCost });
+
+  // The caravan is created first so the ledger rows can point at it
+  const caravanService = require('./caravanService');
+  const caravan = await caravanService.dispatchCaravanWithClient(client, {
+    originId: sellerId,
+    destinationId: buyerId,
+    cargo: { [resourceKey]: qty },
+    refType: 'trade'
+  });
 
   // Apply adjustments atomically using resourcesService helper
-  // buyer: -gold, +resource; seller: +gold, -resource
-  await resourcesService.adjustResourcesWithClientGeneric(client, buyerId, { gold: -totalCost, [resourceName.toString().toLowerCase()]: qty });
-  await resourcesService.adjustResourcesWithClientGeneric(client, sellerId, { gold: totalCost, [resourceName.toString().toLowerCase()]: -qty });
+  // buyer: -gold; seller: +gold, -resource (the resource reaches the buyer by caravan)
+  const { LEDGER_REASONS } = require('../constants/ledger');
+  const meta = (counterpartyId) => ({
+    reason: LEDGER_REASONS.TRADE,
+    refType: 'caravan',
+    refId: caravan ? caravan.id : null,
+    details: { resource: resourceKey, quantity: qty, price: Number(pricePerUnit), counterpartyId: Number(counterpartyId) }
+  });
+  await resourcesService.adjustResourcesWithClientGeneric(client, buyerId, { gold: -totalCost }, meta(sellerId));
+  await resourcesService.adjustResourcesWithClientGeneric(client, sellerId, { gold: totalCost, [resourceKey]: -qty }, meta(buyerId));
+
+  // The seller pays the trade tax out of the proceeds into a faction treasury
+  const tax = await require('./treasuryService').collectTradeTaxWithClient(client, {
+    sellerId,
+    buyerId,
+    resource: resourceKey,
+    gross: totalCost,
+    refType: 'caravan',
+    refId: caravan ? caravan.id : null
+  });
+
+  // The executed price moves the reference price of the resource
+  await require('./pricingService').recordTradeWithClient(client, resourceKey, Number(pricePerUnit), qty);
 
   // Return snapshot for both entities
   const snapshotBuyer = await resourcesService.getResourcesWithClient(client, buyerId);
@@ -59,7 +99,23 @@ async function tradeWithClient(client, buyerId, sellerId, resourceName, pricePer
   const snapshot = {};
   snapshot[String(buyerId)] = snapshotBuyer;
   snapshot[String(sellerId)] = snapshotSeller;
-  return snapshot;
+
+  // Push the trade to both sides; with the pg event transport it is only delivered if the caller commits
+  const eventBus = require('./eventBus');
+  const { EVENT_TYPES } = require('../constants/events');
+  const tradeEvent = (role, counterpartyId, resources) => ({
+    role,
+    counterpartyId: Number(counterpartyId),
+    resource: resourceKey,
+    quantity: qty,
+    price: Number(pricePerUnit),
+    caravan: caravan ? { id: caravan.id, arrives_at: caravan.arrives_at } : null,
+    tax: tax.amount,
+    resources
+  });
+  eventBus.publish(buyerId, EVENT_TYPES.TRADE_EXECUTED, tradeEvent('buyer', sellerId, snapshotBuyer), client);
+  eventBus.publish(sellerId, EVENT_TYPES.TRADE_EXECUTED, tradeEvent('seller', buyerId, snapshotSeller), client);
+  return { snapshot, caravan, tax };
 }
 
-module.exports = { computeMarketPriceSingle, tradeWithClient };
+module.exports = { computeMarketPriceSingle, marketPriceFor, tradeWithClient };
@@ -0,0 +1,273 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+// Key of the session advisory lock that keeps two runners from migrating at once
+const MIGRATION_LOCK_KEY = 815200010;
+// Prefixes shared by two files before the runner existed. They are kept (renaming would
+// break databases that already applied them) but no new duplicates are accepted.
+const LEGACY_DUPLICATE_VERSIONS = ['003'];
+
+const UP_FILE = /^(\d+)_([\w-]+)\.sql$/;
+const DOWN_SUFFIX = '.down.sql';
+// The runner opens the transaction itself; a COMMIT inside the file would end it early
+// (plpgsql blocks use BEGIN/END without semicolon, so they are not matched)
+const TRANSACTION_STATEMENT = /^\s*(BEGIN|START\s+TRANSACTION|COMMIT)\s*;\s*$/im;
+
+function migrationError(message, code, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+// sha256 of the file with line endings normalised, so a CRLF checkout is not reported as drift
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Migrations found in `dir`, sorted by numeric version then name:
+ * [{ name, version, file, downFile, sql, downSql, checksum }]
+ * `name` is the file name without .sql and is what schema_migrations records.
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = fs.readdirSync(dir);
+  const migrations = [];
+  for (const file of files) {
+    if (file.endsWith(DOWN_SUFFIX)) continue;
+    const m = UP_FILE.exec(file);
+    if (!m) continue;
+    const name = file.slice(0, -'.sql'.length);
+    const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+    if (TRANSACTION_STATEMENT.test(sql)) {
+      throw migrationError(`${file} contiene BEGIN/COMMIT; el runner ya ejecuta cada migración en su propia transacción.`, 'TRANSACTION_IN_FILE', { file });
+    }
+    const downFile = name + DOWN_SUFFIX;
+    const hasDown = files.includes(downFile);
+    migrations.push({
+      name,
+      version: m[1],
+      file,
+      downFile: hasDown ? downFile : null,
+      sql,
+      downSql: hasDown ? fs.readFileSync(path.join(dir, downFile), 'utf8') : null,
+      checksum: checksum(sql)
+    });
+  }
+
+  for (const file of files) {
+    if (file.endsWith(DOWN_SUFFIX) && !migrations.some(mg => mg.downFile === file)) {
+      throw migrationError(`${file} no tiene migración de subida.`, 'ORPHAN_DOWN_FILE', { file });
+    }
+  }
+
+  migrations.sort((a, b) => (parseInt(a.version, 10) - parseInt(b.version, 10)) || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+  const seen = {};
+  for (const mg of migrations) {
+    const v = String(parseInt(mg.version, 10));
+    if (seen[v] && !LEGACY_DUPLICATE_VERSIONS.includes(mg.version)) {
+      throw migrationError(`Versión duplicada ${mg.version}: ${seen[v]} y ${mg.file}.`, 'DUPLICATE_VERSION', { version: mg.version });
+    }
+    seen[v] = mg.file;
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+       name VARCHAR(255) PRIMARY KEY,
+       checksum CHAR(64) NOT NULL,
+       applied_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+       execution_ms INTEGER NOT NULL DEFAULT 0
+     )`
+  );
+}
+
+async function getAppliedWithClient(client) {
+  const res = await client.query(`SELECT name, checksum, applied_at, execution_ms FROM ${MIGRATIONS_TABLE} ORDER BY applied_at, name`);
+  return res.rows;
+}
+
+/**
+ * Compare the files with schema_migrations:
+ * [{ name, status: 'applied'|'pending'|'drift'|'missing', applied_at, checksum, recordedChecksum, reversible }]
+ * 'drift' means the file changed after being applied, 'missing' that the file is gone.
+ */
+async function getStatusWithClient(client, migrations) {
+  const applied = await getAppliedWithClient(client);
+  const byName = Object.fromEntries(applied.map(r => [r.name, r]));
+  const rows = migrations.map(mg => {
+    const row = byName[mg.name];
+    let status = 'pending';
+    if (row) status = row.checksum.trim() === mg.checksum ? 'applied' : 'drift';
+    return {
+      name: mg.name,
+      status,
+      applied_at: row ? row.applied_at : null,
+      checksum: mg.checksum,
+      recordedChecksum: row ? row.checksum.trim() : null,
+      reversible: !!mg.downFile
+    };
+  });
+  for (const row of applied) {
+    if (!migrations.some(mg => mg.name === row.name)) {
+      rows.push({ name: row.name, status: 'missing', applied_at: row.applied_at, checksum: null, recordedChecksum: row.checksum.trim(), reversible: false });
+    }
+  }
+  return rows;
+}
+
+function assertNoDrift(status) {
+  const drifted = status.filter(s => s.status === 'drift' || s.status === 'missing');
+  if (drifted.length > 0) {
+    throw migrationError(
+      `Migraciones aplicadas que ya no coinciden con sus ficheros: ${drifted.map(s => `${s.name} (${s.status})`).join(', ')}. ` +
+      'Crea una migración nueva en lugar de editar una aplicada.',
+      'CHECKSUM_DRIFT',
+      { migrations: drifted.map(s => s.name) }
+    );
+  }
+}
+
+async function withLock(client, fn) {
+  await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+  try {
+    return await fn();
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+  }
+}
+
+async function runInTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    const result = await fn();
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch (e) { /* ignore */ }
+    throw err;
+  }
+}
+
+/**
+ * Apply pending migrations in order, each one in its own transaction together with its
+ * schema_migrations row. Stops at the first failure (that migration is rolled back, the
+ * previous ones stay applied). options: { dir, to, log }. Returns the applied names.
+ */
+async function migrateUpWithClient(client, options = {}) {
+  const log = options.log || (() => {});
+  const migrations = loadMigrations(options.dir);
+  if (options.to && !migrations.some(mg => mg.name === options.to)) {
+    throw migrationError(`Migración desconocida: ${options.to}`, 'UNKNOWN_MIGRATION');
+  }
+  await ensureMigrationsTable(client);
+  return withLock(client, async () => {
+    const status = await getStatusWithClient(client, migrations);
+    assertNoDrift(status);
+    const pending = new Set(status.filter(s => s.status === 'pending').map(s => s.name));
+    const applied = [];
+    for (const mg of migrations) {
+      if (pending.has(mg.name)) {
+        const started = Date.now();
+        try {
+          await runInTransaction(client, async () => {
+            await client.query(mg.sql);
+            await client.query(
+              `INSERT INTO ${MIGRATIONS_TABLE} (name, checksum, execution_ms) VALUES ($1, $2, $3)`,
+              [mg.name, mg.checksum, Date.now() - started]
+            );
+          });
+        } catch (err) {
+          err.migration = mg.name;
+          throw err;
+        }
+        log(`up ${mg.name} (${Date.now() - started} ms)`);
+        applied.push(mg.name);
+      }
+      if (options.to && mg.name === options.to) break;
+    }
+    return applied;
+  });
+}
+
+/**
+ * Revert the last `steps` applied migrations (newest first) using their .down.sql files.
+ * Fails with IRREVERSIBLE before touching anything if one of them has no down file.
+ * options: { dir, steps = 1, log }. Returns the reverted names.
+ */
+async function migrateDownWithClient(client, options = {}) {
+  const log = options.log || (() => {});
+  const steps = Math.max(1, parseInt(options.steps, 10) || 1);
+  const migrations = loadMigrations(options.dir);
+  await ensureMigrationsTable(client);
+  return withLock(client, async () => {
+    const status = await getStatusWithClient(client, migrations);
+    assertNoDrift(status);
+    const appliedNames = new Set(status.filter(s => s.status === 'applied').map(s => s.name));
+    const targets = migrations.filter(mg => appliedNames.has(mg.name)).reverse().slice(0, steps);
+    const irreversible = targets.filter(mg => !mg.downFile);
+    if (irreversible.length > 0) {
+      throw migrationError(`Sin fichero ${DOWN_SUFFIX} para: ${irreversible.map(mg => mg.name).join(', ')}`, 'IRREVERSIBLE', { migrations: irreversible.map(mg => mg.name) });
+    }
+    const reverted = [];
+    for (const mg of targets) {
+      try {
+        await runInTransaction(client, async () => {
+          await client.query(mg.downSql);
+          await client.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE name = $1`, [mg.name]);
+        });
+      } catch (err) {
+        err.migration = mg.name;
+        throw err;
+      }
+      log(`down ${mg.name}`);
+      reverted.push(mg.name);
+    }
+    return reverted;
+  });
+}
+
+/**
+ * Record migrations as applied without running them, for databases that were migrated by
+ * hand before the runner existed. Marks every pending file up to `options.to` (all when omitted).
+ */
+async function markAppliedWithClient(client, options = {}) {
+  const migrations = loadMigrations(options.dir);
+  if (options.to && !migrations.some(mg => mg.name === options.to)) {
+    throw migrationError(`Migración desconocida: ${options.to}`, 'UNKNOWN_MIGRATION');
+  }
+  await ensureMigrationsTable(client);
+  return withLock(client, async () => {
+    const status = await getStatusWithClient(client, migrations);
+    const pending = new Set(status.filter(s => s.status === 'pending').map(s => s.name));
+    const marked = [];
+    await runInTransaction(client, async () => {
+      for (const mg of migrations) {
+        if (pending.has(mg.name)) {
+          await client.query(`INSERT INTO ${MIGRATIONS_TABLE} (name, checksum) VALUES ($1, $2)`, [mg.name, mg.checksum]);
+          marked.push(mg.name);
+        }
+        if (options.to && mg.name === options.to) break;
+      }
+    });
+    return marked;
+  });
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  MIGRATIONS_TABLE,
+  checksum,
+  loadMigrations,
+  ensureMigrationsTable,
+  getStatusWithClient,
+  migrateUpWithClient,
+  migrateDownWithClient,
+  markAppliedWithClient
+};
@@ -0,0 +1,290 @@
+const pool = require('../db');
+const { UNIT_TYPES, MAX_TRAIN_BATCH } = require('../constants/units');
+const battleService = require('./battleService');
+const { LEDGER_REASONS } = require('../constants/ledger');
+
+function militaryError(message, code, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+function mapMissionRow(r, now = new Date()) {
+  return {
+    id: r.id,
+    attacker_entity_id: r.attacker_entity_id,
+    defender_entity_id: r.defender_entity_id,
+    mission_type: r.mission_type,
+    units: r.units || {},
+    loot: r.loot || {},
+    status: r.status,
+    departed_at: r.departed_at,
+    arrives_at: r.arrives_at,
+    returns_at: r.returns_at,
+    battle_report_id: r.battle_report_id,
+    remaining_seconds: r.status === 'completed' ? 0 : Math.max(0, Math.ceil((new Date(r.status === 'outbound' ? r.arrives_at : r.returns_at) - now) / 1000))
+  };
+}
+
+// Units at home for an entity: { unit_type: quantity }
+async function getUnitsWithClient(clientOrPool, entityId, forUpdate = false) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const res = await client.query(
+    `SELECT unit_type, quantity FROM entity_units WHERE entity_id = $1 AND quantity > 0` + (forUpdate ? ' FOR UPDATE' : ''),
+    [entityId]
+  );
+  return Object.fromEntries(res.rows.map(r => [r.unit_type, parseInt(r.quantity, 10) || 0]));
+}
+
+// Add (or remove, with negative values) units at home
+async function addUnitsWithClient(client, entityId, units) {
+  for (const [type, qty] of Object.entries(units || {})) {
+    const delta = parseInt(qty, 10) || 0;
+    if (delta === 0) continue;
+    await client.query(
+      `INSERT INTO entity_units (entity_id, unit_type, quantity) VALUES ($1, $2, GREATEST(0, $3))
+       ON CONFLICT (entity_id, unit_type) DO UPDATE SET quantity = GREATEST(0, entity_units.quantity + $3)`,
+      [entityId, type, delta]
+    );
+  }
+}
+
+/**
+ * Train `quantity` units of `unitType`, paying their cost. Requires a barracks of the unit's level.
+ * Returns { unitType, quantity, cost, units }.
+ */
+async function trainUnitsWithClient(client, entityId, unitType, quantity) {
+  const def = UNIT_TYPES[unitType];
+  if (!def) throw militaryError(`Tipo de unidad no válido: ${unitType}`, 'INVALID_UNIT', { unitType });
+  const qty = Number(quantity);
+  if (!Number.isInteger(qty) || qty <= 0 || qty > MAX_TRAIN_BATCH) {
+    throw militaryError(`quantity debe ser un entero entre 1 y ${MAX_TRAIN_BATCH}.`, 'INVALID_QUANTITY', { max: MAX_TRAIN_BATCH });
+  }
+
+  const { getBuildingLevelWithClient } = require('./buildingsService');
+  const barracksLevel = await getBuildingLevelWithClient(client, entityId, 'barracks');
+  if (barracksLevel < def.barracksLevel) {
+    throw militaryError(`Se necesita un cuartel de nivel ${def.barracksLevel} para entrenar ${unitType}.`, 'BARRACKS_REQUIRED', {
+      unitType,
+      need: def.barracksLevel,
+      have: barracksLevel
+    });
+  }
+
+  const cost = {};
+  for (const [k, v] of Object.entries(def.cost)) cost[k] = Number(v) * qty;
+  const resourcesService = require('./resourcesService');
+  await resourcesService.consumeResourcesWithClientGeneric(client, entityId, cost, {
+    reason: LEDGER_REASONS.UNIT_TRAINING,
+    details: { unitType, quantity: qty }
+  });
+  await addUnitsWithClient(client, entityId, { [unitType]: qty });
+
+  return { unitType, quantity: qty, cost, units: await getUnitsWithClient(client, entityId) };
+}
+
+// One-way travel time of an army: distance at the pace of its slowest unit
+function calculateMissionTravelSeconds(units, from, to) {
+  const gameUtils = require('./gameUtils');
+  let slowest = 0;
+  for (const type of Object.keys(battleService.normalizeUnits(units))) {
+    slowest = Math.max(slowest, UNIT_TYPES[type].secondsPerTile);
+  }
+  const distance = gameUtils.calculateDistance(from, to);
+  return Math.max(gameUtils.CARAVAN_MIN_SECONDS, Math.ceil(distance * slowest));
+}
+
+/**
+ * Send units from `entityId` to attack `targetId`. The units leave home immediately.
+ * Returns the created mission.
+ */
+async function launchAttackWithClient(client, entityId, targetId, units) {
+  const army = battleService.normalizeUnits(units);
+  if (Object.keys(army).length === 0) throw militaryError('Debes enviar al menos una unidad.', 'INVALID_UNITS');
+  if (Number(targetId) === Number(entityId)) throw militaryError('No puedes atacar tu propia entidad.', 'INVALID_TARGET');
+
+  const entityService = require('./entityService');
+  const target = await entityService.getEntityById(client, targetId, false);
+  if (!target) throw militaryError('Entidad objetivo no encontrada.', 'TARGET_NOT_FOUND');
+  // Bazaars are neutral market infrastructure
+  if (target.type === 'npc_bazar') throw militaryError('Los bazares no pueden ser atacados.', 'INVALID_TARGET');
+
+  const home = await getUnitsWithClient(client, entityId, true);
+  for (const [type, qty] of Object.entries(army)) {
+    if ((home[type] || 0) < qty) {
+      throw militaryError(`Unidades insuficientes: ${type} (necesita ${qty}, tiene ${home[type] || 0})`, 'INSUFFICIENT_UNITS', {
+        unitType: type,
+        need: qty,
+        have: home[type] || 0
+      });
+    }
+  }
+  await addUnitsWithClient(client, entityId, Object.fromEntries(Object.entries(army).map(([t, q]) => [t, -q])));
+
+  const from = await entityService.getEntityCoords(client, entityId);
+  const to = await entityService.getEntityCoords(client, targetId);
+  const travel = calculateMissionTravelSeconds(army, from, to);
+  const now = new Date();
+  const arrivesAt = new Date(now.getTime() + travel * 1000);
+  const returnsAt = new Date(arrivesAt.getTime() + travel * 1000);
+
+  const res = await client.query(
+    `INSERT INTO missions (attacker_entity_id, defender_entity_id, mission_type, units, status, departed_at, arrives_at, returns_at)
+     VALUES ($1,$2,'attack',$3,'outbound',$4,$5,$6) RETURNING *`,
+    [entityId, targetId, JSON.stringify(army), now.toISOString(), arrivesAt.toISOString(), returnsAt.toISOString()]
+  );
+  return mapMissionRow(res.rows[0], now);
+}
+
+/**
+ * Resolve every attack that has reached `entityId` (the defender). Runs inside the
+ * defender's resource generator transaction: updates its units, takes the loot from its
+ * inventory and stores a battle report. Returns the created reports.
+ */
+async function resolveArrivedAttacksWithClient(client, entityId, now = new Date()) {
+  const res = await client.query(
+    `SELECT * FROM missions WHERE defender_entity_id = $1 AND status = 'outbound' AND arrives_at <= $2
+     ORDER BY arrives_at, id FOR UPDATE`,
+    [entityId, now.toISOString()]
+  );
+  if (!res.rows.length) return [];
+
+  const resourcesService = require('./resourcesService');
+  const reports = [];
+  for (const mission of res.rows) {
+    const defenderUnits = await getUnitsWithClient(client, entityId, true);
+    const result = battleService.resolveBattle(mission.units || {}, defenderUnits);
+
+    await addUnitsWithClient(client, entityId, Object.fromEntries(Object.entries(result.defenderLosses).map(([t, q]) => [t, -q])));
+
+    let loot = {};
+    if (result.winner === 'attacker') {
+      const inventory = await resourcesService.getResourcesWithClient(client, entityId);
+      loot = battleService.calculateLoot(inventory, battleService.carryCapacity(result.attackerSurvivors));
+      const deltas = Object.fromEntries(Object.entries(loot).map(([k, v]) => [k, -v]));
+      await resourcesService.adjustResourcesWithClientGeneric(client, entityId, deltas, {
+        reason: LEDGER_REASONS.LOOT_LOST,
+        refType: 'mission',
+        refId: mission.id
+      });
+    }
+
+    const rep = await client.query(
+      `INSERT INTO battle_reports (mission_id, attacker_entity_id, defender_entity_id, winner, attacker_units, defender_units, attacker_losses, defender_losses, rounds, loot)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10) RETURNING *`,
+      [mission.id, mission.attacker_entity_id, entityId, result.winner, JSON.stringify(mission.units || {}), JSON.stringify(defenderUnits),
+        JSON.stringify(result.attackerLosses), JSON.stringify(result.defenderLosses), JSON.stringify(result.rounds), JSON.stringify(loot)]
+    );
+
+    const survivors = Object.keys(result.attackerSurvivors).length > 0;
+    await client.query(
+      `UPDATE missions SET units = $1, loot = $2, status = $3, battle_report_id = $4 WHERE id = $5`,
+      [JSON.stringify(result.attackerSurvivors), JSON.stringify(loot), survivors ? 'returning' : 'completed', rep.rows[0].id, mission.id]
+    );
+    reports.push(rep.rows[0]);
+  }
+  return reports;
+}
+
+/**
+ * Bring home the armies of `entityId` whose return time has passed: survivors rejoin the
+ * garrison and the loot is credited up to the entity's storage capacity. Whatever does not
+ * fit is lost and recorded on the battle report (`loot_discarded`) and in the ledger.
+ * Runs inside the attacker's generator transaction.
+ */
+async function completeReturningMissionsWithClient(client, entityId, now = new Date()) {
+  // Attacks on an entity deleted meanwhile never fight: turn them back
+  await client.query(
+    `UPDATE missions SET status = 'returning'
+     WHERE attacker_entity_id = $1 AND status = 'outbound' AND defender_entity_id IS NULL AND arrives_at <= $2`,
+    [entityId, now.toISOString()]
+  );
+
+  const res = await client.query(
+    `SELECT * FROM missions WHERE attacker_entity_id = $1 AND status = 'returning' AND returns_at <= $2
+     ORDER BY returns_at, id FOR UPDATE`,
+    [entityId, now.toISOString()]
+  );
+  if (!res.rows.length) return [];
+
+  const resourcesService = require('./resourcesService');
+  const storageService = require('./storageService');
+  const capacities = await storageService.getCapacitiesWithClient(client, entityId);
+  const completed = [];
+  for (const mission of res.rows) {
+    await addUnitsWithClient(client, entityId, mission.units || {});
+
+    const loot = mission.loot || {};
+    const before = await resourcesService.getResourcesWithClient(client, entityId);
+    const after = Object.fromEntries(Object.entries(loot).map(([k, v]) => [k, (Number(before[k]) || 0) + v]));
+    const { discarded } = storageService.clampToCapacity(before, after, capacities);
+    const credited = Object.fromEntries(
+      Object.entries(loot).map(([k, v]) => [k, v - (discarded[k] || 0)]).filter(([, v]) => v > 0)
+    );
+    const hasDiscarded = Object.keys(discarded).length > 0;
+    await resourcesService.adjustResourcesWithClientGeneric(client, entityId, credited, {
+      reason: LEDGER_REASONS.LOOT_GAINED,
+      refType: 'mission',
+      refId: mission.id,
+      details: hasDiscarded ? { discarded } : undefined
+    });
+    if (hasDiscarded && mission.battle_report_id) {
+      await client.query('UPDATE battle_reports SET loot_discarded = $1 WHERE id = $2', [JSON.stringify(discarded), mission.battle_report_id]);
+    }
+
+    const upd = await client.query(`UPDATE missions SET status = 'completed' WHERE id = $1 RETURNING *`, [mission.id]);
+    completed.push(Object.assign(mapMissionRow(upd.rows[0], now), { loot_discarded: discarded }));
+  }
+  return completed;
+}
+
+// Missions sent by the entity and hostile missions heading to it
+async function listMissionsForEntity(clientOrPool, entityId, includeCompleted = false) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const statusFilter = includeCompleted ? '' : ` AND status <> 'completed'`;
+  const res = await client.query(
+    `SELECT * FROM missions WHERE (attacker_entity_id = $1 OR (defender_entity_id = $1 AND status = 'outbound'))${statusFilter}
+     ORDER BY departed_at DESC, id DESC LIMIT 200`,
+    [entityId]
+  );
+  const now = new Date();
+  return res.rows.map(r => {
+    const m = mapMissionRow(r, now);
+    // Defenders see that an attack is coming, not its composition
+    if (Number(r.attacker_entity_id) !== Number(entityId)) {
+      delete m.units;
+      delete m.loot;
+    }
+    return m;
+  });
+}
+
+async function listBattleReportsForEntity(clientOrPool, entityId, limit = 50) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const res = await client.query(
+    `SELECT id, mission_id, attacker_entity_id, defender_entity_id, winner, loot, loot_discarded, created_at FROM battle_reports
+     WHERE attacker_entity_id = $1 OR defender_entity_id = $1
+     ORDER BY created_at DESC, id DESC LIMIT $2`,
+    [entityId, Math.min(200, Math.max(1, parseInt(limit, 10) || 50))]
+  );
+  return res.rows;
+}
+
+async function getBattleReport(clientOrPool, reportId) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const res = await client.query('SELECT * FROM battle_reports WHERE id = $1', [reportId]);
+  return res.rows.length ? res.rows[0] : null;
+}
+
+module.exports = {
+  getUnitsWithClient,
+  trainUnitsWithClient,
+  calculateMissionTravelSeconds,
+  launchAttackWithClient,
+  resolveArrivedAttacksWithClient,
+  completeReturningMissionsWithClient,
+  listMissionsForEntity,
+  listBattleReportsForEntity,
+  getBattleReport
+};
@@ -0,0 +1,306 @@
+const pool = require('../db');
+const resourcesService = require('./resourcesService');
+const caravanService = require('./caravanService');
+const pricingService = require('./pricingService');
+const { LEDGER_REASONS } = require('../constants/ledger');
+const { PRICING, CANDLE_INTERVALS } = require('../constants/market');
+
+// Namespace for pg_advisory_xact_lock(ns, resource_type_id): one book is matched at a time
+const BOOK_LOCK_NAMESPACE = 7301;
+const MAX_DEPTH_LEVELS = 50;
+
+function orderError(message, code, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+function mapOrderRow(r, resourceName) {
+  return {
+    id: r.id,
+    entity_id: r.entity_id,
+    resource: resourceName || r.resource_name || null,
+    side: r.side,
+    price: parseInt(r.price, 10),
+    quantity: parseInt(r.quantity, 10),
+    remaining: parseInt(r.remaining, 10),
+    filled: parseInt(r.quantity, 10) - parseInt(r.remaining, 10),
+    status: r.status,
+    created_at: r.created_at,
+    updated_at: r.updated_at
+  };
+}
+
+// Resolve a tradable resource (gold is the currency, not a book)
+async function resolveBookResourceWithClient(client, resource) {
+  const key = (resource || '').toString().toLowerCase();
+  if (!key || key === 'gold') return null;
+  return resourcesService.getResourceTypeByNameWithClient(client, key);
+}
+
+async function lockBookWithClient(client, resourceTypeId) {
+  await client.query('SELECT pg_advisory_xact_lock($1, $2)', [BOOK_LOCK_NAMESPACE, resourceTypeId]);
+}
+
+/**
+ * Fill `order` against crossing orders on the other side of the book (price-time priority).
+ * Trades execute at the resting (maker) order's price; a taker buy filled below its limit
+ * gets the surplus escrow back. Each fill ships its goods by caravan. Returns the list of fills.
+ */
+async function matchOrderWithClient(client, order, resourceName) {
+  const isBuy = order.side === 'buy';
+  const opposite = await client.query(
+    `SELECT * FROM market_orders
+     WHERE resource_type_id = $1 AND side = $2 AND status = 'open' AND entity_id <> $3
+       AND ${isBuy ? 'price <= $4' : 'price >= $4'}
+     ORDER BY price ${isBuy ? 'ASC' : 'DESC'}, created_at ASC, id ASC
+     FOR UPDATE`,
+    [order.resource_type_id, isBuy ? 'sell' : 'buy', order.entity_id, order.price]
+  );
+
+  const fills = [];
+  let remaining = parseInt(order.remaining, 10);
+  for (const maker of opposite.rows) {
+    if (remaining <= 0) break;
+    const makerRemaining = parseInt(maker.remaining, 10);
+    const qty = Math.min(remaining, makerRemaining);
+    const price = parseInt(maker.price, 10);
+    const buy = isBuy ? order : maker;
+    const sell = isBuy ? maker : order;
+
+    const fr = await client.query(
+      `INSERT INTO market_fills (resource_type_id, buy_order_id, sell_order_id, buyer_entity_id, seller_entity_id, price, quantity)
+       VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING *`,
+      [order.resource_type_id, buy.id, sell.id, buy.entity_id, sell.entity_id, price, qty]
+    );
+
+    // Settlement: escrow already left both inventories, so only credits are applied here.
+    // Gold is paid now; the goods travel from seller to buyer in a caravan.
+    const fillMeta = { refType: 'market_fill', refId: fr.rows[0].id, details: { resource: resourceName, quantity: qty, price } };
+    const surplus = (parseInt(buy.price, 10) - price) * qty;
+    if (surplus > 0) {
+      await resourcesService.adjustResourcesWithClientGeneric(client, buy.entity_id, { gold: surplus },
+        Object.assign({ reason: LEDGER_REASONS.MARKET_REFUND }, fillMeta));
+    }
+    await resourcesService.adjustResourcesWithClientGeneric(client, sell.entity_id, { gold: price * qty },
+      Object.assign({ reason: LEDGER_REASONS.MARKET_FILL }, fillMeta));
+    const tax = await require('./treasuryService').collectTradeTaxWithClient(client, {
+      sellerId: sell.entity_id,
+      buyerId: buy.entity_id,
+      resource: resourceName,
+      gross: price * qty,
+      refType: 'market_fill',
+      refId: fr.rows[0].id
+    });
+
+    // Repeat fills between the same two entities pull the reference less and less (PRICING.tradeWindow)
+    const pair = await client.query(
+      `SELECT COUNT(*) AS n FROM market_fills
+       WHERE resource_type_id = $1 AND created_at >= $2
+         AND ((buyer_entity_id = $3 AND seller_entity_id = $4) OR (buyer_entity_id = $4 AND seller_entity_id = $3))`,
+      [order.resource_type_id, new Date(Date.now() - CANDLE_INTERVALS[PRICING.tradeWindow].seconds * 1000).toISOString(), buy.entity_id, sell.entity_id]
+    );
+    await pricingService.recordTradeWithClient(client, resourceName, price, qty, new Date(), {
+      weightFactor: 1 / Math.max(1, parseInt(pair.rows[0].n, 10) || 0)
+    });
+
+    const makerLeft = makerRemaining - qty;
+    await client.query(
+      `UPDATE market_orders SET remaining = $1, status = $2, updated_at = now() WHERE id = $3`,
+      [makerLeft, makerLeft === 0 ? 'filled' : 'open', maker.id]
+    );
+    remaining -= qty;
+
+    const caravan = await caravanService.dispatchCaravanWithClient(client, {
+      originId: sell.entity_id,
+      destinationId: buy.entity_id,
+      cargo: { [resourceName]: qty },
+      refType: 'market_fill',
+      refId: fr.rows[0].id
+    });
+    fills.push({
+      id: fr.rows[0].id,
+      buy_order_id: buy.id,
+      sell_order_id: sell.id,
+      buyer_entity_id: buy.entity_id,
+      seller_entity_id: sell.entity_id,
+      price,
+      quantity: qty,
+      tax: tax.amount,
+      created_at: fr.rows[0].created_at,
+      caravan
+    });
+  }
+
+  await client.query(
+    `UPDATE market_orders SET remaining = $1, status = $2, updated_at = now() WHERE id = $3`,
+    [remaining, remaining === 0 ? 'filled' : 'open', order.id]
+  );
+  return fills;
+}
+
+/**
+ * Place a limit order for an entity, escrow its funds and match it immediately.
+ * params: { side: 'buy'|'sell', resource, price, quantity }
+ * Returns { order, fills }. Throws INVALID_ORDER, SELF_CROSSING_ORDER, INSUFFICIENT or STORAGE_FULL errors.
+ */
+async function placeOrderWithClient(client, entityId, params = {}) {
+  const side = (params.side || '').toString().toLowerCase();
+  const price = Number(params.price);
+  const quantity = Number(params.quantity);
+  if (side !== 'buy' && side !== 'sell') throw orderError("side debe ser 'buy' o 'sell'.", 'INVALID_ORDER');
+  if (!Number.isInteger(price) || price <= 0) throw orderError('price debe ser un entero mayor que 0.', 'INVALID_ORDER');
+  if (!Number.isInteger(quantity) || quantity <= 0) throw orderError('quantity debe ser un entero mayor que 0.', 'INVALID_ORDER');
+
+  const rt = await resolveBookResourceWithClient(client, params.resource);
+  if (!rt) throw orderError(`Recurso no negociable: ${params.resource}`, 'INVALID_ORDER');
+  const resourceName = rt.name.toLowerCase();
+
+  await lockBookWithClient(client, rt.id);
+
+  // Matching skips the entity's own orders, so one crossing its own resting order would stay
+  // open on both sides and leave the book crossed: it is refused instead
+  const own = await client.query(
+    `SELECT id, price FROM market_orders
+     WHERE resource_type_id = $1 AND side = $2 AND status = 'open' AND entity_id = $3
+       AND ${side === 'buy' ? 'price <= $4' : 'price >= $4'}
+     ORDER BY price ${side === 'buy' ? 'ASC' : 'DESC'}, id ASC
+     LIMIT 1`,
+    [rt.id, side === 'buy' ? 'sell' : 'buy', entityId, price]
+  );
+  if (own.rows.length > 0) {
+    throw orderError('La orden cruzaría una orden abierta propia.', 'SELF_CROSSING_ORDER', {
+      orderId: own.rows[0].id,
+      price: parseInt(own.rows[0].price, 10)
+    });
+  }
+
+  // Escrow: lock the inventory, check it covers the order and move it out
+  await resourcesService.lockResourceRowsWithClient(client, entityId);
+  const inv = await resourcesService.getResourcesWithClient(client, entityId);
+  const escrowKey = side === 'buy' ? 'gold' : resourceName;
+  const escrowAmount = side === 'buy' ? price * quantity : quantity;
+  const have = inv[escrowKey] || 0;
+  if (have < escrowAmount) {
+    throw orderError(`Recursos insuficientes: ${escrowKey} (necesita ${escrowAmount}, tiene ${have})`, 'INSUFFICIENT', {
+      resource: escrowKey,
+      need: escrowAmount,
+      have
+    });
+  }
+  // What the order brings in (goods for a buy, gold for a sell) must fit in storage
+  await require('./storageService').assertCanStoreWithClient(client, entityId,
+    side === 'buy' ? { [resourceName]: quantity } : { gold: price * quantity });
+
+  const ins = await client.query(
+    `INSERT INTO market_orders (entity_id, resource_type_id, side, price, quantity, remaining, status)
+     VALUES ($1,$2,$3,$4,$5,$5,'open') RETURNING *`,
+    [entityId, rt.id, side, price, quantity]
+  );
+  await resourcesService.adjustResourcesWithClientGeneric(client, entityId, { [escrowKey]: -escrowAmount }, {
+    reason: LEDGER_REASONS.MARKET_ESCROW,
+    refType: 'market_order',
+    refId: ins.rows[0].id
+  });
+  const fills = await matchOrderWithClient(client, ins.rows[0], resourceName);
+
+  const updated = await client.query('SELECT * FROM market_orders WHERE id = $1', [ins.rows[0].id]);
+  return { order: mapOrderRow(updated.rows[0], resourceName), fills };
+}
+
+/**
+ * Cancel an open order of the entity and return its remaining escrow.
+ * Returns { order, refund } or null when the order is not open or not owned by the entity.
+ */
+async function cancelOrderWithClient(client, entityId, orderId) {
+  const pre = await client.query('SELECT resource_type_id FROM market_orders WHERE id = $1 AND entity_id = $2', [orderId, entityId]);
+  if (pre.rows.length === 0) return null;
+  await lockBookWithClient(client, pre.rows[0].resource_type_id);
+
+  const r = await client.query(
+    `SELECT mo.*, rt.name AS resource_name FROM market_orders mo JOIN resource_types rt ON rt.id = mo.resource_type_id
+     WHERE mo.id = $1 AND mo.entity_id = $2 AND mo.status = 'open' FOR UPDATE OF mo`,
+    [orderId, entityId]
+  );
+  if (r.rows.length === 0) return null;
+  const row = r.rows[0];
+  const resourceName = row.resource_name.toLowerCase();
+  const remaining = parseInt(row.remaining, 10);
+
+  const refund = row.side === 'buy'
+    ? { gold: parseInt(row.price, 10) * remaining }
+    : { [resourceName]: remaining };
+  await resourcesService.adjustResourcesWithClientGeneric(client, entityId, refund, {
+    reason: LEDGER_REASONS.MARKET_REFUND,
+    refType: 'market_order',
+    refId: row.id
+  });
+  const upd = await client.query(
+    `UPDATE market_orders SET status = 'cancelled', updated_at = now() WHERE id = $1 RETURNING *`,
+    [row.id]
+  );
+  return { order: mapOrderRow(upd.rows[0], resourceName), refund };
+}
+
+// Orders of an entity, newest first. status: 'open' | 'filled' | 'cancelled' | undefined (all)
+async function listOrdersForEntity(clientOrPool, entityId, status = null) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const params = [entityId];
+  let q = `SELECT mo.*, rt.name AS resource_name FROM market_orders mo JOIN resource_types rt ON rt.id = mo.resource_type_id
+           WHERE mo.entity_id = $1`;
+  if (status) {
+    params.push(status);
+    q += ' AND mo.status = $2';
+  }
+  q += ' ORDER BY mo.created_at DESC, mo.id DESC LIMIT 200';
+  const res = await client.query(q, params);
+  return res.rows.map(r => mapOrderRow(r, r.resource_name.toLowerCase()));
+}
+
+/**
+ * Aggregated open interest per price level for one resource.
+ * Returns { resource, bids: [{price, quantity, orders}], asks: [...], bestBid, bestAsk, spread, lastPrice } or null.
+ */
+async function getOrderBookDepth(clientOrPool, resource, levels = 20) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const rt = await resolveBookResourceWithClient(client, resource);
+  if (!rt) return null;
+  const limit = Math.min(MAX_DEPTH_LEVELS, Math.max(1, parseInt(levels, 10) || 20));
+
+  const depthFor = async (side, dir) => {
+    const res = await client.query(
+      `SELECT price, SUM(remaining) AS quantity, COUNT(*) AS orders FROM market_orders
+       WHERE resource_type_id = $1 AND side = $2 AND status = 'open'
+       GROUP BY price ORDER BY price ${dir} LIMIT $3`,
+      [rt.id, side, limit]
+    );
+    return res.rows.map(r => ({ price: parseInt(r.price, 10), quantity: parseInt(r.quantity, 10), orders: parseInt(r.orders, 10) }));
+  };
+  const bids = await depthFor('buy', 'DESC');
+  const asks = await depthFor('sell', 'ASC');
+
+  const last = await client.query(
+    'SELECT price FROM market_fills WHERE resource_type_id = $1 ORDER BY created_at DESC, id DESC LIMIT 1',
+    [rt.id]
+  );
+  const bestBid = bids.length ? bids[0].price : null;
+  const bestAsk = asks.length ? asks[0].price : null;
+  return {
+    resource: rt.name.toLowerCase(),
+    bids,
+    asks,
+    bestBid,
+    bestAsk,
+    spread: bestBid !== null && bestAsk !== null ? bestAsk - bestBid : null,
+    lastPrice: last.rows.length ? parseInt(last.rows[0].price, 10) : null
+  };
+}
+
+module.exports = {
+  placeOrderWithClient,
+  cancelOrderWithClient,
+  listOrdersForEntity,
+  getOrderBookDepth,
+  MAX_DEPTH_LEVELS
+};
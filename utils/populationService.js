@@ -183,6 +183,26 @@ async function setPopulationForTypeWithClient(client, entityId, type, currentPop
   );
 }
 
+// Bulk version of setPopulationForTypeWithClient for many entities (jobs/batchTick.js).
+// rows: [{ entityId, type, current, max, available }]
+async function setPopulationRowsBulkWithClient(client, rows) {
+  if (!rows || rows.length === 0) return 0;
+  await client.query(
+    `INSERT INTO populations (entity_id, type, current_population, max_population, available_population)
+     SELECT u.entity_id, u.type, u.current_population, u.max_population, u.available_population
+     FROM unnest($1::int[], $2::text[], $3::int[], $4::int[], $5::int[]) AS u(entity_id, type, current_population, max_population, available_population)
+     ON CONFLICT (entity_id, type) DO UPDATE SET current_population = EXCLUDED.current_population, max_population = EXCLUDED.max_population, available_population = EXCLUDED.available_population`,
+    [
+      rows.map(r => Number(r.entityId)),
+      rows.map(r => r.type),
+      rows.map(r => Number(r.current || 0)),
+      rows.map(r => Number(r.max || 0)),
+      rows.map(r => Number(r.available || 0))
+    ]
+  );
+  return rows.length;
+}
+
 /**
  * Compute available_population for the given type using occupation derived from buildings
  * and persist current_population, max_population and computed available_population using the provided client.
@@ -344,6 +364,7 @@ module.exports = {
   getPopulationByTypeWithClient,
   setPopulationForType,
   setPopulationForTypeWithClient,
+  setPopulationRowsBulkWithClient,
   adjustPopulationForTypeWithClient,
   adjustPopulationForType,
   POP_TYPES,
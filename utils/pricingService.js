@@ -0,0 +1,289 @@
+const pool = require('../db');
+const { PRICING, CANDLE_INTERVALS, PRICE_HISTORY } = require('../constants/market');
+
+/**
+ * Moving reference price per resource (market_prices) and its candles (market_candles).
+ * Quotes start from the reference instead of resource_types.price_base; every executed trade
+ * pulls it toward the traded price (within a band around where its trade window opened, see
+ * PRICING.maxTradeWindowMove) and every tick's net production pushes it down (surplus)
+ * or up (shortage). Candles keep the OHLC of the reference and the volume traded per interval.
+ */
+
+const round4 = (n) => Math.round(n * 10000) / 10000;
+
+// Keep the reference within [minFactor, maxFactor] × price_base
+function clampReference(value, base) {
+  const b = Number(base) > 0 ? Number(base) : Number(value);
+  const bounded = Math.min(b * PRICING.maxFactor, Math.max(b * PRICING.minFactor, value));
+  return round4(Math.max(PRICING.minPrice, bounded));
+}
+
+// Reference after a trade of `quantity` units at `price` each. options: { open, weightFactor }:
+// `open` is the reference when the trade window opened (the move stays within
+// ±maxTradeWindowMove of it, and one already past the band is not pushed further) and
+// `weightFactor` scales the weight of the trade.
+function referenceAfterTrade(current, base, price, quantity, options = {}) {
+  const q = Math.max(0, Number(quantity) || 0);
+  const factor = options.weightFactor == null ? 1 : Math.max(0, Math.min(1, Number(options.weightFactor) || 0));
+  const weight = Math.min(PRICING.maxTradeWeight, q / (q + PRICING.tradeLiquidity)) * factor;
+  let next = current + weight * (Number(price) - current);
+  const open = Number(options.open) > 0 ? Number(options.open) : current;
+  if (next > current) next = Math.min(next, Math.max(current, open * (1 + PRICING.maxTradeWindowMove)));
+  else next = Math.max(next, Math.min(current, open * (1 - PRICING.maxTradeWindowMove)));
+  return clampReference(next, base);
+}
+
+// Reference after a tick whose net production (produced - consumed) was `net`, with `stock` units left
+function referenceAfterFlow(current, base, net, stock) {
+  const ratio = Number(net) / Math.max(1, Number(stock) || 0);
+  const move = Math.max(-PRICING.maxTickMove, Math.min(PRICING.maxTickMove, -PRICING.elasticity * ratio));
+  return clampReference(current * (1 + move), base);
+}
+
+// Net change per resource of a list of tick results (processEntity / runBatchTick); gold is the currency
+function flowsFromTickResults(results) {
+  const flows = {};
+  for (const result of results || []) {
+    if (!result || !result.resource_deltas) continue;
+    for (const [name, delta] of Object.entries(result.resource_deltas)) {
+      if (name === 'gold') continue;
+      flows[name] = (flows[name] || 0) + Number(delta || 0);
+    }
+  }
+  return flows;
+}
+
+function bucketStart(at, seconds) {
+  const ms = seconds * 1000;
+  return new Date(Math.floor(new Date(at).getTime() / ms) * ms).toISOString();
+}
+
+/**
+ * Lock (creating them from price_base if missing) the market_prices rows of the given resources.
+ * Returns a map resource_type_id -> { id, name, base, reference }. Resources without a price_base
+ * are not priced and are left out.
+ */
+async function lockPricesWithClient(client, resourceTypeIds) {
+  const ids = [...new Set(resourceTypeIds.map(Number))].sort((a, b) => a - b);
+  if (ids.length === 0) return {};
+  await client.query(
+    `INSERT INTO market_prices (resource_type_id, reference_price)
+     SELECT id, price_base FROM resource_types WHERE id = ANY($1::int[]) AND price_base > 0
+     ON CONFLICT (resource_type_id) DO NOTHING`,
+    [ids]
+  );
+  await client.query('SELECT resource_type_id FROM market_prices WHERE resource_type_id = ANY($1::int[]) ORDER BY resource_type_id FOR UPDATE', [ids]);
+  const res = await client.query(
+    `SELECT rt.id, lower(rt.name) AS name, rt.price_base, mp.reference_price
+     FROM resource_types rt JOIN market_prices mp ON mp.resource_type_id = rt.id
+     WHERE rt.id = ANY($1::int[])`,
+    [ids]
+  );
+  const prices = {};
+  for (const r of res.rows) {
+    prices[r.id] = { id: r.id, name: r.name, base: Number(r.price_base), reference: Number(r.reference_price) };
+  }
+  return prices;
+}
+
+/**
+ * Persist new reference prices and fold them into the candles of every interval.
+ * moves: [{ resourceTypeId, before, after, volume, trades }]
+ */
+async function saveMovesWithClient(client, moves, at) {
+  if (moves.length === 0) return;
+  await client.query(
+    `INSERT INTO market_prices (resource_type_id, reference_price, updated_at)
+     SELECT u.resource_type_id, u.reference_price, u.updated_at
+     FROM unnest($1::int[], $2::numeric[], $3::timestamptz[]) AS u(resource_type_id, reference_price, updated_at)
+     ON CONFLICT (resource_type_id) DO UPDATE SET reference_price = EXCLUDED.reference_price, updated_at = EXCLUDED.updated_at`,
+    [moves.map(m => m.resourceTypeId), moves.map(m => m.after), moves.map(() => new Date(at).toISOString())]
+  );
+
+  // A candle opens at the reference it had before its first move
+  const rows = [];
+  for (const m of moves) {
+    for (const { seconds } of Object.values(CANDLE_INTERVALS)) {
+      rows.push([m.resourceTypeId, seconds, bucketStart(at, seconds), m.before, Math.max(m.before, m.after), Math.min(m.before, m.after), m.after, m.volume || 0, m.trades || 0]);
+    }
+  }
+  const column = (i) => rows.map(r => r[i]);
+  await client.query(
+    `INSERT INTO market_candles (resource_type_id, interval_seconds, bucket_start, open, high, low, close, volume, trades)
+     SELECT u.resource_type_id, u.interval_seconds, u.bucket_start, u.open, u.high, u.low, u.close, u.volume, u.trades
+     FROM unnest($1::int[], $2::int[], $3::timestamptz[], $4::numeric[], $5::numeric[], $6::numeric[], $7::numeric[], $8::bigint[], $9::int[])
+       AS u(resource_type_id, interval_seconds, bucket_start, open, high, low, close, volume, trades)
+     ON CONFLICT (resource_type_id, interval_seconds, bucket_start) DO UPDATE SET
+       high = GREATEST(market_candles.high, EXCLUDED.high),
+       low = LEAST(market_candles.low, EXCLUDED.low),
+       close = EXCLUDED.close,
+       volume = market_candles.volume + EXCLUDED.volume,
+       trades = market_candles.trades + EXCLUDED.trades`,
+    [0, 1, 2, 3, 4, 5, 6, 7, 8].map(column)
+  );
+}
+
+// Reference of a resource when the current PRICING.tradeWindow candle opened, or null before its first move
+async function getWindowOpenWithClient(client, resourceTypeId, at) {
+  const seconds = CANDLE_INTERVALS[PRICING.tradeWindow].seconds;
+  const res = await client.query(
+    'SELECT open FROM market_candles WHERE resource_type_id = $1 AND interval_seconds = $2 AND bucket_start = $3',
+    [resourceTypeId, seconds, bucketStart(at, seconds)]
+  );
+  return res.rows.length ? Number(res.rows[0].open) : null;
+}
+
+/**
+ * Move the reference price after an executed trade (NPC/AI trades and order book fills), within
+ * the band of its trade window (see PRICING.maxTradeWindowMove). options.weightFactor scales the
+ * pull of this trade. Runs inside the caller's transaction. Returns { resource, before, reference }
+ * or null when the resource has no price.
+ */
+async function recordTradeWithClient(client, resourceName, price, quantity, at = new Date(), options = {}) {
+  const key = (resourceName || '').toString().toLowerCase();
+  const rt = await client.query('SELECT id FROM resource_types WHERE lower(name) = $1', [key]);
+  if (!rt.rows.length) return null;
+  const current = (await lockPricesWithClient(client, [rt.rows[0].id]))[rt.rows[0].id];
+  if (!current) return null;
+
+  const open = await getWindowOpenWithClient(client, current.id, at);
+  const after = referenceAfterTrade(current.reference, current.base, price, quantity, { open, weightFactor: options.weightFactor });
+  await saveMovesWithClient(client, [{ resourceTypeId: current.id, before: current.reference, after, volume: Number(quantity), trades: 1 }], at);
+  return { resource: key, before: current.reference, reference: after };
+}
+
+/**
+ * Nudge the reference prices with the net production of a tick: flows { resource: produced - consumed }.
+ * Uses its own transaction when given the pool. Also prunes the candles past their retention.
+ * Returns [{ resource, before, reference }] for the prices that moved.
+ */
+async function applyTickFlows(clientOrPool, flows, at = new Date()) {
+  const usingClient = !!(clientOrPool && clientOrPool.query && clientOrPool.release);
+  const client = usingClient ? clientOrPool : await (clientOrPool || pool).connect();
+  try {
+    if (!usingClient) await client.query('BEGIN');
+
+    const names = Object.keys(flows || {}).filter(name => Number(flows[name]) !== 0).map(name => name.toLowerCase());
+    const moved = [];
+    if (names.length > 0) {
+      const types = await client.query('SELECT id, lower(name) AS name FROM resource_types WHERE lower(name) = ANY($1::text[])', [names]);
+      const prices = await lockPricesWithClient(client, types.rows.map(r => r.id));
+      const ids = Object.keys(prices).map(Number);
+      const stock = {};
+      if (ids.length > 0) {
+        const totals = await client.query(
+          'SELECT resource_type_id, SUM(amount) AS total FROM resource_inventory WHERE resource_type_id = ANY($1::int[]) GROUP BY resource_type_id',
+          [ids]
+        );
+        for (const r of totals.rows) stock[r.resource_type_id] = Number(r.total) || 0;
+      }
+
+      const moves = [];
+      for (const p of Object.values(prices)) {
+        const after = referenceAfterFlow(p.reference, p.base, flows[p.name], stock[p.id]);
+        if (after === p.reference) continue;
+        moves.push({ resourceTypeId: p.id, before: p.reference, after });
+        moved.push({ resource: p.name, before: p.reference, reference: after });
+      }
+      await saveMovesWithClient(client, moves, at);
+    }
+    await pruneCandlesWithClient(client, at);
+
+    if (!usingClient) await client.query('COMMIT');
+    return moved;
+  } catch (err) {
+    if (!usingClient) try { await client.query('ROLLBACK'); } catch (e) { /* ignore */ }
+    throw err;
+  } finally {
+    if (!usingClient) client.release();
+  }
+}
+
+async function pruneCandlesWithClient(client, at = new Date()) {
+  for (const { seconds, retentionSeconds } of Object.values(CANDLE_INTERVALS)) {
+    const cutoff = new Date(new Date(at).getTime() - retentionSeconds * 1000).toISOString();
+    await client.query('DELETE FROM market_candles WHERE interval_seconds = $1 AND bucket_start < $2', [seconds, cutoff]);
+  }
+}
+
+// { resource: reference price } for every resource; falls back to price_base like getPriceBaseMapWithClient
+async function getReferencePriceMapWithClient(clientOrPool) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const res = await client.query(
+    `SELECT lower(rt.name) AS name, rt.price_base, mp.reference_price
+     FROM resource_types rt LEFT JOIN market_prices mp ON mp.resource_type_id = rt.id`
+  );
+  const m = {};
+  for (const r of res.rows) m[r.name] = Number(r.reference_price) || Number(r.price_base) || 1;
+  return m;
+}
+
+// Reference price of one resource, or null if it is unknown or has no price_base
+async function getReferencePriceWithClient(clientOrPool, resourceName) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const res = await client.query(
+    `SELECT rt.price_base, mp.reference_price
+     FROM resource_types rt LEFT JOIN market_prices mp ON mp.resource_type_id = rt.id
+     WHERE lower(rt.name) = $1`,
+    [(resourceName || '').toString().toLowerCase()]
+  );
+  if (!res.rows.length) return null;
+  const price = Number(res.rows[0].reference_price) || Number(res.rows[0].price_base) || 0;
+  return price > 0 ? price : null;
+}
+
+/**
+ * Candles of one resource, oldest first. Intervals without moves or trades have no candle.
+ * Returns { resource, interval, intervalSeconds, basePrice, referencePrice, candles } or null
+ * when the resource is not tradable (unknown or gold).
+ */
+async function getPriceHistory(clientOrPool, resource, options = {}) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const key = (resource || '').toString().toLowerCase();
+  if (!key || key === 'gold') return null;
+  const rt = await client.query(
+    `SELECT rt.id, lower(rt.name) AS name, rt.price_base, mp.reference_price
+     FROM resource_types rt LEFT JOIN market_prices mp ON mp.resource_type_id = rt.id
+     WHERE lower(rt.name) = $1`,
+    [key]
+  );
+  if (!rt.rows.length) return null;
+  const row = rt.rows[0];
+
+  const interval = CANDLE_INTERVALS[options.interval] ? options.interval : PRICE_HISTORY.defaultInterval;
+  const { seconds } = CANDLE_INTERVALS[interval];
+  const limit = Math.min(PRICE_HISTORY.maxLimit, Math.max(1, parseInt(options.limit, 10) || PRICE_HISTORY.defaultLimit));
+  const res = await client.query(
+    `SELECT bucket_start, open, high, low, close, volume, trades FROM market_candles
+     WHERE resource_type_id = $1 AND interval_seconds = $2
+     ORDER BY bucket_start DESC LIMIT $3`,
+    [row.id, seconds, limit]
+  );
+  return {
+    resource: row.name,
+    interval,
+    intervalSeconds: seconds,
+    basePrice: Number(row.price_base) || null,
+    referencePrice: Number(row.reference_price) || Number(row.price_base) || null,
+    candles: res.rows.reverse().map(c => ({
+      start: new Date(c.bucket_start).toISOString(),
+      open: Number(c.open),
+      high: Number(c.high),
+      low: Number(c.low),
+      close: Number(c.close),
+      volume: Number(c.volume),
+      trades: Number(c.trades)
+    }))
+  };
+}
+
+module.exports = {
+  referenceAfterTrade,
+  referenceAfterFlow,
+  flowsFromTickResults,
+  recordTradeWithClient,
+  applyTickFlows,
+  getReferencePriceMapWithClient,
+  getReferencePriceWithClient,
+  getPriceHistory
+};
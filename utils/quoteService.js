@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const pool = require('../db');
+const { TRADE_QUOTE } = require('../constants/market');
+
+/**
+ * Trade quotes: POST /api/resources/market-price hands out a quote id that binds the user, buyer,
+ * seller, resource, quantity, side and unit price; POST /api/resources/trade only executes a trade
+ * through one. The id is `<payload>.<signature>` (base64url JSON + HMAC-SHA256), so issuing needs no
+ * storage; redemptions are recorded in trade_quote_redemptions so a quote works once.
+ */
+
+function quoteError(message, code, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+// Read on every call so tests and deployments can set it after the module is loaded
+function quoteSecret() {
+  return process.env.TRADE_QUOTE_SECRET || process.env.JWT_SECRET;
+}
+
+// Domain-separated so a quote signature can never pass for anything else signed with JWT_SECRET
+function sign(body) {
+  return crypto.createHmac('sha256', quoteSecret()).update(`trade-quote:${body}`).digest('base64url');
+}
+
+/**
+ * Signed, time-limited quote for one trade.
+ * quote: { userId, buyerId, sellerId, resource, quantity, action: 'buy'|'sell', price }
+ * Returns { quoteId, expiresAt }.
+ */
+function issueQuote(quote, now = new Date()) {
+  const expiresAt = new Date(new Date(now).getTime() + TRADE_QUOTE.ttlSeconds * 1000);
+  const payload = {
+    n: crypto.randomUUID(),
+    u: Number(quote.userId),
+    b: Number(quote.buyerId),
+    s: Number(quote.sellerId),
+    r: quote.resource.toString().toLowerCase(),
+    q: Number(quote.quantity),
+    a: quote.action === 'sell' ? 'sell' : 'buy',
+    p: Number(quote.price),
+    e: expiresAt.getTime()
+  };
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return { quoteId: `${body}.${sign(body)}`, expiresAt: expiresAt.toISOString() };
+}
+
+/**
+ * Check the signature and expiry of a quote id.
+ * Returns { nonce, userId, buyerId, sellerId, resource, quantity, action, price, expiresAt }.
+ * Throws QUOTE_INVALID (tampered or malformed) or QUOTE_EXPIRED.
+ */
+function verifyQuote(quoteId, now = new Date()) {
+  const parts = String(quoteId || '').split('.');
+  const invalid = () => quoteError('Presupuesto de intercambio no válido.', 'QUOTE_INVALID');
+  if (parts.length !== 2 || !parts[0] || !parts[1]) throw invalid();
+  const given = Buffer.from(parts[1]);
+  const expected = Buffer.from(sign(parts[0]));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) throw invalid();
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+  } catch (e) {
+    throw invalid();
+  }
+  const quote = {
+    nonce: payload.n,
+    userId: payload.u,
+    buyerId: payload.b,
+    sellerId: payload.s,
+    resource: payload.r,
+    quantity: payload.q,
+    action: payload.a,
+    price: payload.p,
+    expiresAt: new Date(payload.e).toISOString()
+  };
+  if (new Date(now).getTime() >= payload.e) {
+    throw quoteError('El presupuesto de intercambio ha caducado.', 'QUOTE_EXPIRED', { expiresAt: quote.expiresAt });
+  }
+  return quote;
+}
+
+/**
+ * Record the redemption inside the trade transaction; if the trade rolls back the quote stays usable.
+ * Throws QUOTE_USED when it was already redeemed.
+ */
+async function redeemQuoteWithClient(client, quote) {
+  const used = await client.query('SELECT nonce FROM trade_quote_redemptions WHERE nonce = $1', [quote.nonce]);
+  if (used.rows.length > 0) throw quoteError('El presupuesto de intercambio ya se ha usado.', 'QUOTE_USED');
+  try {
+    await client.query(
+      'INSERT INTO trade_quote_redemptions (nonce, user_id, expires_at) VALUES ($1, $2, $3)',
+      [quote.nonce, quote.userId, quote.expiresAt]
+    );
+  } catch (err) {
+    // Redeemed at the same time by another request
+    if (err && err.code === '23505') throw quoteError('El presupuesto de intercambio ya se ha usado.', 'QUOTE_USED');
+    throw err;
+  }
+}
+
+/**
+ * Relative move between the quoted and the current unit price.
+ * Returns the slippage, or throws QUOTE_PRICE_MOVED above TRADE_QUOTE.maxSlippage (or without a current price).
+ */
+function checkSlippage(quote, currentPrice) {
+  const current = currentPrice == null ? null : Number(currentPrice);
+  const slippage = current === null ? null : Math.abs(current - quote.price) / Math.max(1, quote.price);
+  if (slippage === null || slippage > TRADE_QUOTE.maxSlippage) {
+    throw quoteError('El precio ha cambiado desde el presupuesto.', 'QUOTE_PRICE_MOVED', {
+      quoted: quote.price,
+      current,
+      slippage: slippage === null ? null : Math.round(slippage * 10000) / 10000,
+      maxSlippage: TRADE_QUOTE.maxSlippage
+    });
+  }
+  return slippage;
+}
+
+// Expired quotes cannot be redeemed any more, so their redemption rows are no longer needed
+async function pruneRedemptions(clientOrPool, now = new Date()) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const res = await client.query('DELETE FROM trade_quote_redemptions WHERE expires_at < $1', [new Date(now).toISOString()]);
+  return res.rowCount || 0;
+}
+
+module.exports = {
+  issueQuote,
+  verifyQuote,
+  redeemQuoteWithClient,
+  checkSlippage,
+  pruneRedemptions
+};
@@ -0,0 +1,263 @@
+const pool = require('../db');
+const {
+  TECHNOLOGIES,
+  RESEARCH_COST_CURVE,
+  RESEARCH_TIME_CURVE,
+  MIN_COST_MULTIPLIER,
+  MIN_BUILD_TIME_MULTIPLIER,
+  RESEARCH_CANCEL_REFUND_RATIO
+} = require('../constants/technologies');
+const { LEDGER_REASONS } = require('../constants/ledger');
+
+function researchError(message, code, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+function mapResearchRow(r, now = new Date()) {
+  return {
+    id: r.id,
+    entity_id: r.entity_id,
+    technology: r.technology,
+    target_level: parseInt(r.target_level, 10),
+    cost: r.cost || {},
+    duration_seconds: parseInt(r.duration_seconds, 10),
+    started_at: r.started_at,
+    finish_at: r.finish_at,
+    status: r.status,
+    remaining_seconds: r.status === 'pending' ? Math.max(0, Math.ceil((new Date(r.finish_at) - now) / 1000)) : 0
+  };
+}
+
+/**
+ * Turn research levels ({ tech: level }) into the modifiers consumed by
+ * gameUtils.calculateProduction and costEngine:
+ *   { production: { resource: mult }, cost: { resource: mult }, buildTime: mult }
+ * Effects add up across levels and technologies; reductions are floored at the MIN_* constants.
+ */
+function getResearchModifiers(levels) {
+  const production = {};
+  const costReduction = {};
+  let buildTimeReduction = 0;
+  for (const [tech, rawLevel] of Object.entries(levels || {})) {
+    const def = TECHNOLOGIES[tech];
+    const level = parseInt(rawLevel, 10) || 0;
+    if (!def || level <= 0) continue;
+    const effects = def.effects || {};
+    for (const [res, pct] of Object.entries(effects.production || {})) {
+      production[res] = (production[res] || 0) + Number(pct) * level;
+    }
+    for (const [res, pct] of Object.entries(effects.costReduction || {})) {
+      costReduction[res] = (costReduction[res] || 0) + Number(pct) * level;
+    }
+    if (effects.buildTime) buildTimeReduction += Number(effects.buildTime) * level;
+  }
+
+  const modifiers = { production: {}, cost: {}, buildTime: Math.max(MIN_BUILD_TIME_MULTIPLIER, 1 - buildTimeReduction) };
+  for (const [res, bonus] of Object.entries(production)) modifiers.production[res] = 1 + bonus;
+  for (const [res, reduction] of Object.entries(costReduction)) modifiers.cost[res] = Math.max(MIN_COST_MULTIPLIER, 1 - reduction);
+  return modifiers;
+}
+
+// Resource cost of researching `tech` up to `level`
+function calculateResearchCost(tech, level) {
+  const def = TECHNOLOGIES[tech];
+  if (!def) return null;
+  const { applyCurve } = require('./costEngine');
+  const cost = {};
+  for (const [k, v] of Object.entries(def.cost || {})) {
+    const amount = Math.ceil(applyCurve(Number(v || 0), level, RESEARCH_COST_CURVE));
+    if (amount > 0) cost[k.toLowerCase()] = amount;
+  }
+  return cost;
+}
+
+// Research time in seconds to reach `level`, divided by the universe BUILD_SPEED like buildings
+function calculateResearchSeconds(tech, level) {
+  const def = TECHNOLOGIES[tech];
+  if (!def) return null;
+  const { applyCurve } = require('./costEngine');
+  const { BUILD_SPEED } = require('./gameUtils');
+  return Math.max(1, Math.floor(applyCurve(Number(def.baseSeconds) || 60, level, RESEARCH_TIME_CURVE) / (BUILD_SPEED || 1)));
+}
+
+/**
+ * Requirements of `tech` that are not met yet, given research levels and building levels.
+ * Returns [{ kind: 'technology'|'building', id, need, have }] (empty when unlocked).
+ */
+function getMissingRequirements(tech, levels, buildingLevels) {
+  const def = TECHNOLOGIES[tech];
+  const requires = (def && def.requires) || {};
+  const missing = [];
+  for (const [id, need] of Object.entries(requires.technologies || {})) {
+    const have = parseInt((levels || {})[id], 10) || 0;
+    if (have < need) missing.push({ kind: 'technology', id, need, have });
+  }
+  for (const [id, need] of Object.entries(requires.buildings || {})) {
+    const have = parseInt((buildingLevels || {})[id], 10) || 0;
+    if (have < need) missing.push({ kind: 'building', id, need, have });
+  }
+  return missing;
+}
+
+// Research levels of an entity: { tech: level }
+async function getResearchLevelsWithClient(clientOrPool, entityId) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const res = await client.query('SELECT technology, level FROM entity_research WHERE entity_id = $1', [entityId]);
+  return Object.fromEntries(res.rows.map(r => [r.technology, parseInt(r.level, 10) || 0]));
+}
+
+// Research modifiers of an entity plus the bonuses its faction bought with the treasury
+async function getModifiersWithClient(clientOrPool, entityId, now = new Date()) {
+  const modifiers = getResearchModifiers(await getResearchLevelsWithClient(clientOrPool, entityId));
+  return require('./treasuryService').withFactionBonusesWithClient(clientOrPool, entityId, modifiers, now);
+}
+
+async function getActiveResearchWithClient(clientOrPool, entityId, forUpdate = false) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const res = await client.query(
+    `SELECT * FROM research_queue WHERE entity_id = $1 AND status = 'pending' LIMIT 1` + (forUpdate ? ' FOR UPDATE' : ''),
+    [entityId]
+  );
+  return res.rows.length ? res.rows[0] : null;
+}
+
+/**
+ * Research tree as seen by an entity: every technology with its level, next-level cost and
+ * time, missing requirements and whether it can be started now, plus the active research.
+ */
+async function getResearchOverviewWithClient(clientOrPool, entityId) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const levels = await getResearchLevelsWithClient(client, entityId);
+  const buildingLevels = await require('./buildingsService').getBuildingLevelsWithClient(client, entityId);
+  const active = await getActiveResearchWithClient(client, entityId);
+  const resources = await require('./resourcesService').getResourcesWithClient(client, entityId);
+  const { getMissingResources } = require('./costEngine');
+
+  const technologies = Object.entries(TECHNOLOGIES).map(([id, def]) => {
+    const level = levels[id] || 0;
+    const maxed = level >= def.maxLevel;
+    const nextLevel = maxed ? null : level + 1;
+    const cost = maxed ? {} : calculateResearchCost(id, nextLevel);
+    const missingRequirements = getMissingRequirements(id, levels, buildingLevels);
+    const missing = getMissingResources(cost, resources);
+    return {
+      id,
+      name: def.name,
+      level,
+      maxLevel: def.maxLevel,
+      nextLevel,
+      cost,
+      timeSeconds: maxed ? null : calculateResearchSeconds(id, nextLevel),
+      effects: def.effects,
+      requires: def.requires || {},
+      missingRequirements,
+      missing,
+      canResearch: !maxed && !active && missingRequirements.length === 0 && Object.keys(missing).length === 0
+    };
+  });
+
+  return {
+    entityId,
+    levels,
+    modifiers: getResearchModifiers(levels),
+    active: active ? mapResearchRow(active) : null,
+    technologies
+  };
+}
+
+/**
+ * Pay for and start the next level of `tech`. Only one research runs at a time per entity.
+ * Throws INVALID_TECHNOLOGY, MAX_LEVEL, REQUIREMENTS_NOT_MET, RESEARCH_BUSY or INSUFFICIENT.
+ */
+async function startResearchWithClient(client, entityId, tech) {
+  const def = TECHNOLOGIES[tech];
+  if (!def) throw researchError(`Tecnología no válida: ${tech}`, 'INVALID_TECHNOLOGY', { technology: tech });
+
+  const active = await getActiveResearchWithClient(client, entityId, true);
+  if (active) {
+    throw researchError('Ya hay una investigación en curso.', 'RESEARCH_BUSY', { active: mapResearchRow(active) });
+  }
+
+  const levels = await getResearchLevelsWithClient(client, entityId);
+  const level = levels[tech] || 0;
+  if (level >= def.maxLevel) throw researchError(`${tech} ya está al nivel máximo (${def.maxLevel}).`, 'MAX_LEVEL', { technology: tech, maxLevel: def.maxLevel });
+
+  const missingRequirements = getMissingRequirements(tech, levels, await require('./buildingsService').getBuildingLevelsWithClient(client, entityId));
+  if (missingRequirements.length > 0) {
+    throw researchError(`Requisitos no cumplidos para ${tech}.`, 'REQUIREMENTS_NOT_MET', { technology: tech, missingRequirements });
+  }
+
+  const targetLevel = level + 1;
+  const cost = calculateResearchCost(tech, targetLevel);
+  const durationSeconds = calculateResearchSeconds(tech, targetLevel);
+  await require('./resourcesService').consumeResourcesWithClientGeneric(client, entityId, cost, {
+    reason: LEDGER_REASONS.RESEARCH,
+    details: { technology: tech, targetLevel }
+  });
+
+  const now = new Date();
+  const finishAt = new Date(now.getTime() + durationSeconds * 1000);
+  const ins = await client.query(
+    `INSERT INTO research_queue (entity_id, technology, target_level, cost, duration_seconds, started_at, finish_at, status)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,'pending') RETURNING *`,
+    [entityId, tech, targetLevel, JSON.stringify(cost), durationSeconds, now.toISOString(), finishAt.toISOString()]
+  );
+  return mapResearchRow(ins.rows[0], now);
+}
+
+/**
+ * Cancel the running research, refunding RESEARCH_CANCEL_REFUND_RATIO of its cost.
+ * Returns { research, refund } or null when nothing is being researched.
+ */
+async function cancelResearchWithClient(client, entityId) {
+  const active = await getActiveResearchWithClient(client, entityId, true);
+  if (!active) return null;
+  const refund = {};
+  for (const [k, v] of Object.entries(active.cost || {})) {
+    const amount = Math.floor(Number(v || 0) * RESEARCH_CANCEL_REFUND_RATIO);
+    if (amount > 0) refund[k] = amount;
+  }
+  await require('./resourcesService').adjustResourcesWithClientGeneric(client, entityId, refund, {
+    reason: LEDGER_REASONS.RESEARCH_REFUND,
+    refType: 'research_queue',
+    refId: active.id
+  });
+  const upd = await client.query(`UPDATE research_queue SET status = 'cancelled' WHERE id = $1 RETURNING *`, [active.id]);
+  return { research: mapResearchRow(upd.rows[0]), refund };
+}
+
+// Raise the technology level of a finished research (called by the resource generator tick)
+async function completeDueResearchWithClient(client, entityId, now = new Date()) {
+  const res = await client.query(
+    `SELECT * FROM research_queue WHERE entity_id = $1 AND status = 'pending' AND finish_at <= $2 FOR UPDATE`,
+    [entityId, now.toISOString()]
+  );
+  const completed = [];
+  for (const row of res.rows) {
+    await client.query(
+      `INSERT INTO entity_research (entity_id, technology, level, updated_at) VALUES ($1, $2, $3, now())
+       ON CONFLICT (entity_id, technology) DO UPDATE SET level = GREATEST(entity_research.level, EXCLUDED.level), updated_at = now()`,
+      [entityId, row.technology, row.target_level]
+    );
+    const upd = await client.query(`UPDATE research_queue SET status = 'completed', completed_at = finish_at WHERE id = $1 RETURNING *`, [row.id]);
+    completed.push(mapResearchRow(upd.rows[0], now));
+  }
+  return completed;
+}
+
+module.exports = {
+  getResearchModifiers,
+  calculateResearchCost,
+  calculateResearchSeconds,
+  getMissingRequirements,
+  getResearchLevelsWithClient,
+  getModifiersWithClient,
+  getActiveResearchWithClient,
+  getResearchOverviewWithClient,
+  startResearchWithClient,
+  cancelResearchWithClient,
+  completeDueResearchWithClient
+};
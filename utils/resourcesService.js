@@ -1,4 +1,5 @@
 const pool = require('../db');
+const { InsufficientResources } = require('./errors');
 
 // ----------------------------
 // Helpers for resource_types
@@ -95,10 +96,11 @@ async function getResources(entityId) {
 }
 
 // Set absolute amounts for provided resources { wood, stone, food }
-async function setResources(entityId, resources) {
+async function setResources(entityId, resources, meta = null) {
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
+    const before = await readForUpdateWithClient(client, entityId, ['wood', 'stone', 'food']);
     if (typeof resources.wood === 'number') {
       await client.query(
         `UPDATE resource_inventory SET amount = GREATEST(0, $1) WHERE entity_id = $2 AND resource_type_id = (SELECT id FROM resource_types WHERE name='wood')`,
@@ -121,8 +123,10 @@ async function setResources(entityId, resources) {
       `SELECT rt.name, ri.amount FROM resource_inventory ri JOIN resource_types rt ON ri.resource_type_id = rt.id WHERE ri.entity_id = $1`,
       [entityId]
     );
+    const after = Object.fromEntries(updated.rows.map(r => [r.name.toLowerCase(), parseInt(r.amount, 10)]));
+    await recordLedgerWithClient(client, entityId, before, after, meta, ['wood', 'stone', 'food']);
     await client.query('COMMIT');
-    return Object.fromEntries(updated.rows.map(r => [r.name.toLowerCase(), parseInt(r.amount, 10)]));
+    return after;
   } catch (err) {
     await client.query('ROLLBACK');
     throw err;
@@ -132,7 +136,8 @@ async function setResources(entityId, resources) {
 }
 
 // setResources using existing client (assumes caller manages transaction)
-async function setResourcesWithClient(client, entityId, resources) {
+async function setResourcesWithClient(client, entityId, resources, meta = null) {
+  const before = await readForUpdateWithClient(client, entityId, ['wood', 'stone', 'food']);
   if (typeof resources.wood === 'number') {
     await client.query(
       `UPDATE resource_inventory SET amount = GREATEST(0, $1) WHERE entity_id = $2 AND resource_type_id = (SELECT id FROM resource_types WHERE name='wood')`,
@@ -155,18 +160,25 @@ async function setResourcesWithClient(client, entityId, resources) {
     `SELECT rt.name, ri.amount FROM resource_inventory ri JOIN resource_types rt ON ri.resource_type_id = rt.id WHERE ri.entity_id = $1`,
     [entityId]
   );
-  return Object.fromEntries(updated.rows.map(r => [r.name.toLowerCase(), parseInt(r.amount, 10)]));
+  const after = Object.fromEntries(updated.rows.map(r => [r.name.toLowerCase(), parseInt(r.amount, 10)]));
+  await recordLedgerWithClient(client, entityId, before, after, meta, ['wood', 'stone', 'food']);
+  return after;
 }
 
 // Generic setter that accepts an object with arbitrary resource keys and updates them within the provided client transaction.
 // resources: { wood: 123, copper: 5, food: 10, ... }
-async function setResourcesWithClientGeneric(client, entityId, resources) {
+// meta: { reason, refType, refId, details } recorded in resource_ledger for every changed balance
+async function setResourcesWithClientGeneric(client, entityId, resources, meta = null) {
   // Load mapping resource name -> id once
   const resTypes = await client.query(`SELECT id, name FROM resource_types`);
   const nameToId = Object.fromEntries(resTypes.rows.map(r => [r.name.toLowerCase(), r.id]));
+  const keys = Object.keys(resources).filter(k => Object.prototype.hasOwnProperty.call(nameToId, k));
+  const before = await readForUpdateWithClient(client, entityId, keys);
 
   for (const [key, value] of Object.entries(resources)) {
     if (!Object.prototype.hasOwnProperty.call(nameToId, key)) continue; // ignore unknown resource keys
+    // Skip rows that already hold the target amount (the row exists and nothing changes)
+    if (Object.prototype.hasOwnProperty.call(before, key) && before[key] === Math.max(0, Number(value) || 0)) continue;
     // Upsert pattern: update existing row
     // Use INSERT ... ON CONFLICT to ensure the inventory row exists and set the absolute amount
     await client.query(
@@ -186,7 +198,23 @@ async function setResourcesWithClientGeneric(client, entityId, resources) {
   const knownKeys = Object.keys(nameToId);
   const ignored = providedKeys.filter(k => !knownKeys.includes(k));
   if (ignored && ignored.length > 0) console.warn(`[resourcesService] Ignored unknown resource keys for entity=${entityId}:`, ignored);
-  return Object.fromEntries(updated.rows.map(r => [r.name.toLowerCase(), parseInt(r.amount, 10)]));
+  const after = Object.fromEntries(updated.rows.map(r => [r.name.toLowerCase(), parseInt(r.amount, 10)]));
+  await recordLedgerWithClient(client, entityId, before, after, meta, keys);
+  return after;
+}
+
+// Bulk upsert of absolute amounts for many entities in one statement (jobs/batchTick.js).
+// rows: [{ entityId, resourceTypeId, amount }]. Does not write the ledger: the caller records it.
+async function upsertAmountsBulkWithClient(client, rows) {
+  if (!rows || rows.length === 0) return 0;
+  await client.query(
+    `INSERT INTO resource_inventory (entity_id, resource_type_id, amount)
+     SELECT u.entity_id, u.resource_type_id, GREATEST(0, u.amount)
+     FROM unnest($1::int[], $2::int[], $3::int[]) AS u(entity_id, resource_type_id, amount)
+     ON CONFLICT (entity_id, resource_type_id) DO UPDATE SET amount = EXCLUDED.amount`,
+    [rows.map(r => Number(r.entityId)), rows.map(r => Number(r.resourceTypeId)), rows.map(r => Number(r.amount) || 0)]
+  );
+  return rows.length;
 }
 
 // Return all resource type names as an array, client-aware
@@ -213,9 +241,27 @@ async function lockResourceRowsWithClient(client, entityId) {
   await client.query(`SELECT ri.id FROM resource_inventory ri WHERE ri.entity_id = $1 FOR UPDATE`, [entityId]);
 }
 
+// Lock and read the inventory rows of `keys` (lowercase names) before a mutation so the
+// ledger can record the exact balance change. Returns map name->amount.
+async function readForUpdateWithClient(client, entityId, keys) {
+  const res = await client.query(
+    `SELECT lower(rt.name) AS name, ri.amount FROM resource_inventory ri JOIN resource_types rt ON ri.resource_type_id = rt.id
+     WHERE ri.entity_id = $1 AND lower(rt.name) = ANY($2::text[]) FOR UPDATE OF ri`,
+    [entityId, keys]
+  );
+  return Object.fromEntries(res.rows.map(r => [r.name, parseInt(r.amount, 10) || 0]));
+}
+
+// Record the balance changes of a mutation in resource_ledger (same transaction).
+// meta: { reason, refType, refId, details } (see constants/ledger.js)
+async function recordLedgerWithClient(client, entityId, before, after, meta, keys) {
+  const ledgerService = require('./ledgerService');
+  await ledgerService.recordSnapshotDiffWithClient(client, entityId, before, after, meta, keys);
+}
+
 // Consume (subtract) costs atomically. costs: { wood, stone, food }
 // Returns updated resources or throws Error('Recursos insuficientes')
-async function consumeResources(entityId, costs) {
+async function consumeResources(entityId, costs, meta = null) {
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
@@ -236,12 +282,7 @@ async function consumeResources(entityId, costs) {
       const need = costs[key] || 0;
       if ((current[key] || 0) < need) {
         await client.query('ROLLBACK');
-        const err = new Error(`Recursos insuficientes: ${key} (necesita ${need}, tiene ${current[key] || 0})`);
-        err.code = 'INSUFFICIENT';
-        err.resource = key;
-        err.need = need;
-        err.have = current[key] || 0;
-        throw err;
+        throw new InsufficientResources(key, need, current[key] || 0);
       }
     }
 
@@ -269,8 +310,10 @@ async function consumeResources(entityId, costs) {
       `SELECT rt.name, ri.amount FROM resource_inventory ri JOIN resource_types rt ON ri.resource_type_id = rt.id WHERE ri.entity_id = $1`,
       [entityId]
     );
+    const after = Object.fromEntries(updated.rows.map(r => [r.name.toLowerCase(), parseInt(r.amount, 10)]));
+    await recordLedgerWithClient(client, entityId, current, after, meta, ['wood', 'stone', 'food']);
     await client.query('COMMIT');
-    return Object.fromEntries(updated.rows.map(r => [r.name.toLowerCase(), parseInt(r.amount, 10)]));
+    return after;
   } catch (err) {
     try { await client.query('ROLLBACK'); } catch (e) { /* ignore */ }
     throw err;
@@ -280,7 +323,7 @@ async function consumeResources(entityId, costs) {
 }
 
 // Consume using an existing client (assumes caller has begun transaction and locked rows as needed)
-async function consumeResourcesWithClient(client, entityId, costs) {
+async function consumeResourcesWithClient(client, entityId, costs, meta = null) {
   // lock rows
   const rows = await client.query(
     `SELECT rt.name, ri.amount
@@ -296,12 +339,7 @@ async function consumeResourcesWithClient(client, entityId, costs) {
   for (const key of ['wood', 'stone', 'food']) {
     const need = costs[key] || 0;
     if ((current[key] || 0) < need) {
-      const err = new Error(`Recursos insuficientes: ${key} (necesita ${need}, tiene ${current[key] || 0})`);
-      err.code = 'INSUFFICIENT';
-      err.resource = key;
-      err.need = need;
-      err.have = current[key] || 0;
-      throw err;
+      throw new InsufficientResources(key, need, current[key] || 0);
     }
   }
 
@@ -328,11 +366,14 @@ async function consumeResourcesWithClient(client, entityId, costs) {
     `SELECT rt.name, ri.amount FROM resource_inventory ri JOIN resource_types rt ON ri.resource_type_id = rt.id WHERE ri.entity_id = $1`,
     [entityId]
   );
-  return Object.fromEntries(updated.rows.map(r => [r.name.toLowerCase(), parseInt(r.amount, 10)]));
+  const after = Object.fromEntries(updated.rows.map(r => [r.name.toLowerCase(), parseInt(r.amount, 10)]));
+  await recordLedgerWithClient(client, entityId, current, after, meta, ['wood', 'stone', 'food']);
+  return after;
 }
 
 // Generic consume that supports arbitrary resource keys (e.g., lumber, baked_brick)
-async function consumeResourcesWithClientGeneric(client, entityId, costs) {
+// meta: { reason, refType, refId, details } recorded in resource_ledger
+async function consumeResourcesWithClientGeneric(client, entityId, costs, meta = null) {
   // lock rows
   const rows = await client.query(
     `SELECT rt.name, ri.amount
@@ -350,12 +391,7 @@ async function consumeResourcesWithClientGeneric(client, entityId, costs) {
     const key = (k || '').toString().toLowerCase();
     const req = Number(need) || 0;
     if ((current[key] || 0) < req) {
-      const err = new Error(`Recursos insuficientes: ${key} (necesita ${req}, tiene ${current[key] || 0})`);
-      err.code = 'INSUFFICIENT';
-      err.resource = key;
-      err.need = req;
-      err.have = current[key] || 0;
-      throw err;
+      throw new InsufficientResources(key, req, current[key] || 0);
     }
   }
 
@@ -382,12 +418,15 @@ async function consumeResourcesWithClientGeneric(client, entityId, costs) {
     `SELECT rt.name, ri.amount FROM resource_inventory ri JOIN resource_types rt ON ri.resource_type_id = rt.id WHERE ri.entity_id = $1`,
     [entityId]
   );
-  return Object.fromEntries(updated.rows.map(r => [r.name.toLowerCase(), parseInt(r.amount, 10)]));
+  const after = Object.fromEntries(updated.rows.map(r => [r.name.toLowerCase(), parseInt(r.amount, 10)]));
+  await recordLedgerWithClient(client, entityId, current, after, meta, Object.keys(costs || {}).map(k => k.toString().toLowerCase()));
+  return after;
 }
 
 // Adjust resources by deltas (positive to add, negative to subtract). Deltas keys are resource names lowercased.
 // Applies GREATEST(0, amount + delta) to avoid negative amounts. Returns updated snapshot map.
-async function adjustResourcesWithClientGeneric(client, entityId, deltas) {
+// meta: { reason, refType, refId, details } recorded in resource_ledger
+async function adjustResourcesWithClientGeneric(client, entityId, deltas, meta = null) {
   if (!deltas || Object.keys(deltas).length === 0) {
     const updated = await client.query(
       `SELECT rt.name, ri.amount FROM resource_inventory ri JOIN resource_types rt ON ri.resource_type_id = rt.id WHERE ri.entity_id = $1`,
@@ -398,6 +437,8 @@ async function adjustResourcesWithClientGeneric(client, entityId, deltas) {
 
   const resTypes = await client.query(`SELECT id, lower(name) as name FROM resource_types`);
   const nameToId = Object.fromEntries(resTypes.rows.map(r => [r.name, r.id]));
+  const keys = Object.keys(deltas).map(k => (k || '').toString().toLowerCase()).filter(k => Object.prototype.hasOwnProperty.call(nameToId, k));
+  const before = await readForUpdateWithClient(client, entityId, keys);
 
   for (const [k, v] of Object.entries(deltas)) {
     const key = (k || '').toString().toLowerCase();
@@ -415,7 +456,9 @@ async function adjustResourcesWithClientGeneric(client, entityId, deltas) {
     `SELECT rt.name, ri.amount FROM resource_inventory ri JOIN resource_types rt ON ri.resource_type_id = rt.id WHERE ri.entity_id = $1`,
     [entityId]
   );
-  return Object.fromEntries(updated.rows.map(r => [r.name.toLowerCase(), parseInt(r.amount, 10) || 0]));
+  const after = Object.fromEntries(updated.rows.map(r => [r.name.toLowerCase(), parseInt(r.amount, 10) || 0]));
+  await recordLedgerWithClient(client, entityId, before, after, meta, keys);
+  return after;
 }
 
 module.exports = {
@@ -434,6 +477,8 @@ module.exports.consumeResourcesWithClientGeneric = consumeResourcesWithClientGen
 // export client-aware helpers
 module.exports.getResourcesWithClient = getResourcesWithClient;
 module.exports.lockResourceRowsWithClient = lockResourceRowsWithClient;
+// bulk writer for the batch tick
+module.exports.upsertAmountsBulkWithClient = upsertAmountsBulkWithClient;
 // export adjust helper
 module.exports.adjustResourcesWithClientGeneric = adjustResourcesWithClientGeneric;
 // resource_types helpers
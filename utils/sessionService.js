@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../db');
+const { ACCESS_TOKEN_TTL_SECONDS, REFRESH_TOKEN_TTL_DAYS, REFRESH_TOKEN_BYTES } = require('../constants/auth');
+
+const JWT_SECRET = process.env.JWT_SECRET;
+
+function sessionError(message, code, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+// Only the sha256 of a refresh token is stored, so a database leak does not leak sessions
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Access token: { id, username, tv } where tv must match users.token_version (see middleware/auth.js)
+function createAccessToken(user) {
+  return jwt.sign(
+    { id: user.id, username: user.username, tv: Number(user.token_version) || 0 },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+}
+
+async function getTokenVersionWithClient(clientOrPool, userId) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const res = await client.query('SELECT token_version FROM users WHERE id = $1', [userId]);
+  return res.rows.length ? Number(res.rows[0].token_version) || 0 : null;
+}
+
+// Datos del usuario que se comprueban en cada petición autenticada: { tokenVersion, language } o null
+async function getTokenStateWithClient(clientOrPool, userId) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const res = await client.query('SELECT token_version, language FROM users WHERE id = $1', [userId]);
+  if (res.rows.length === 0) return null;
+  return { tokenVersion: Number(res.rows[0].token_version) || 0, language: res.rows[0].language || null };
+}
+
+/**
+ * Store a new refresh token for the user. familyId groups every token rotated from the
+ * same login (a new family is started when omitted). Returns { token, row }.
+ */
+async function issueRefreshTokenWithClient(clientOrPool, userId, familyId = null) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const token = crypto.randomBytes(REFRESH_TOKEN_BYTES).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 3600 * 1000);
+  const res = await client.query(
+    `INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id, user_id, family_id, expires_at`,
+    [userId, hashToken(token), familyId || crypto.randomUUID(), expiresAt.toISOString()]
+  );
+  return { token, row: res.rows[0] };
+}
+
+/**
+ * Access + refresh token pair for a user row ({ id, username, token_version }).
+ * Returns { token, refreshToken, expiresIn } (expiresIn in seconds, for the access token).
+ */
+async function issueSessionWithClient(clientOrPool, user, familyId = null) {
+  const refresh = await issueRefreshTokenWithClient(clientOrPool, user.id, familyId);
+  return { token: createAccessToken(user), refreshToken: refresh.token, expiresIn: ACCESS_TOKEN_TTL_SECONDS };
+}
+
+/**
+ * Exchange a refresh token for a new session, revoking the presented one (rotation).
+ * Must run inside a transaction. Throws:
+ *  - REFRESH_TOKEN_INVALID: unknown token or its user no longer exists
+ *  - REFRESH_TOKEN_EXPIRED
+ *  - REFRESH_TOKEN_REUSED: the token was already rotated or revoked; the whole family is
+ *    revoked as well, so the caller must COMMIT before reporting the error.
+ */
+async function rotateRefreshTokenWithClient(client, refreshToken) {
+  if (!refreshToken || typeof refreshToken !== 'string') throw sessionError('Refresh token no proporcionado.', 'REFRESH_TOKEN_INVALID');
+  const res = await client.query(
+    `SELECT rt.id, rt.user_id, rt.family_id, rt.expires_at, rt.revoked_at, u.username, u.token_version
+     FROM refresh_tokens rt
+     JOIN users u ON u.id = rt.user_id
+     WHERE rt.token_hash = $1
+     FOR UPDATE OF rt`,
+    [hashToken(refreshToken)]
+  );
+  if (res.rows.length === 0) throw sessionError('Refresh token inválido.', 'REFRESH_TOKEN_INVALID');
+  const row = res.rows[0];
+
+  if (row.revoked_at) {
+    // A rotated token showing up again means it was copied: end every session of that login
+    await client.query('UPDATE refresh_tokens SET revoked_at = now() WHERE family_id = $1 AND revoked_at IS NULL', [row.family_id]);
+    throw sessionError('Refresh token ya utilizado; se han cerrado las sesiones asociadas.', 'REFRESH_TOKEN_REUSED', { userId: row.user_id });
+  }
+  if (new Date(row.expires_at) <= new Date()) throw sessionError('Refresh token caducado.', 'REFRESH_TOKEN_EXPIRED');
+
+  const user = { id: row.user_id, username: row.username, token_version: row.token_version };
+  const refresh = await issueRefreshTokenWithClient(client, user.id, row.family_id);
+  await client.query('UPDATE refresh_tokens SET revoked_at = now(), replaced_by = $1 WHERE id = $2', [refresh.row.id, row.id]);
+  return { token: createAccessToken(user), refreshToken: refresh.token, expiresIn: ACCESS_TOKEN_TTL_SECONDS, user };
+}
+
+// Logout of one session. Returns true when an active token was revoked.
+async function revokeRefreshTokenWithClient(clientOrPool, refreshToken) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  if (!refreshToken || typeof refreshToken !== 'string') return false;
+  const res = await client.query(
+    'UPDATE refresh_tokens SET revoked_at = now() WHERE token_hash = $1 AND revoked_at IS NULL RETURNING id',
+    [hashToken(refreshToken)]
+  );
+  return res.rows.length > 0;
+}
+
+/**
+ * Invalidate every session of the user: bumps users.token_version (outstanding access tokens
+ * stop working) and revokes all refresh tokens. Used by logout-all and password changes.
+ * Returns the new token_version.
+ */
+async function revokeAllSessionsWithClient(clientOrPool, userId) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const res = await client.query('UPDATE users SET token_version = token_version + 1 WHERE id = $1 RETURNING token_version', [userId]);
+  if (res.rows.length === 0) throw sessionError('Usuario no encontrado.', 'USER_NOT_FOUND');
+  await client.query('UPDATE refresh_tokens SET revoked_at = now() WHERE user_id = $1 AND revoked_at IS NULL', [userId]);
+  return Number(res.rows[0].token_version);
+}
+
+module.exports = {
+  hashToken,
+  createAccessToken,
+  getTokenVersionWithClient,
+  getTokenStateWithClient,
+  issueRefreshTokenWithClient,
+  issueSessionWithClient,
+  rotateRefreshTokenWithClient,
+  revokeRefreshTokenWithClient,
+  revokeAllSessionsWithClient
+};
@@ -0,0 +1,185 @@
+const pool = require('../db');
+const {
+  STORAGE_BUILDINGS,
+  DEFAULT_STORAGE_BUILDING,
+  STORAGE_GROWTH,
+  STORAGE_CAPPED_ENTITY_TYPES
+} = require('../constants/storage');
+
+function storageError(message, code, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+// Building that stores `resource` (granary for food, treasury for gold, warehouse otherwise)
+function storageBuildingFor(resource) {
+  const key = (resource || '').toString().toLowerCase();
+  for (const [building, def] of Object.entries(STORAGE_BUILDINGS)) {
+    if (Array.isArray(def.resources) && def.resources.includes(key)) return building;
+  }
+  return DEFAULT_STORAGE_BUILDING;
+}
+
+function isCappedEntityType(type) {
+  return STORAGE_CAPPED_ENTITY_TYPES.includes((type || '').toString().toLowerCase());
+}
+
+// Capacity of one resource given the entity building levels ({ type: level })
+function calculateCapacity(resource, buildingLevels) {
+  const building = storageBuildingFor(resource);
+  const level = parseInt((buildingLevels || {})[building], 10) || 0;
+  return Math.floor(STORAGE_BUILDINGS[building].base * Math.pow(STORAGE_GROWTH, level));
+}
+
+// Capacity map for the given resource names
+function calculateCapacities(resourceNames, buildingLevels) {
+  const capacities = {};
+  for (const name of resourceNames || []) capacities[name.toLowerCase()] = calculateCapacity(name, buildingLevels);
+  return capacities;
+}
+
+/**
+ * Keep `after` within capacity: anything gained above the cap is discarded, but amounts
+ * that were already above it (eg. a storage building was never built) are not taken away.
+ * Returns { resources, discarded }.
+ */
+function clampToCapacity(before, after, capacities) {
+  const resources = Object.assign({}, after);
+  const discarded = {};
+  for (const [k, cap] of Object.entries(capacities || {})) {
+    if (typeof resources[k] !== 'number') continue;
+    const limit = Math.max(cap, Number((before || {})[k]) || 0);
+    if (resources[k] > limit) {
+      discarded[k] = resources[k] - limit;
+      resources[k] = limit;
+    }
+  }
+  return { resources, discarded };
+}
+
+/**
+ * Storage capacities of an entity. Returns null for uncapped entities (bazaars) and
+ * unknown ids, otherwise { resource: capacity } for every resource type.
+ */
+async function getCapacitiesWithClient(clientOrPool, entityId) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const ent = await client.query('SELECT type FROM entities WHERE id = $1', [entityId]);
+  if (!ent.rows.length || !isCappedEntityType(ent.rows[0].type)) return null;
+  const { getBuildingLevelsWithClient } = require('./buildingsService');
+  const { getResourceTypeNames } = require('./resourcesService');
+  const buildingLevels = await getBuildingLevelsWithClient(client, entityId);
+  return calculateCapacities(await getResourceTypeNames(client), buildingLevels);
+}
+
+/**
+ * Resources already on their way to the entity: in-transit caravans, plus what its open
+ * orders will bring (goods of buy orders, gold of sell orders). Returns { resource: amount }.
+ */
+async function getIncomingWithClient(clientOrPool, entityId) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const incoming = {};
+  const add = (k, v) => { incoming[k] = (incoming[k] || 0) + (parseInt(v, 10) || 0); };
+
+  const caravans = await client.query(
+    `SELECT cargo FROM caravans WHERE destination_entity_id = $1 AND status = 'in_transit'`,
+    [entityId]
+  );
+  for (const row of caravans.rows) {
+    for (const [k, v] of Object.entries(row.cargo || {})) add(k.toLowerCase(), v);
+  }
+
+  const orders = await client.query(
+    `SELECT lower(rt.name) AS resource, mo.side, SUM(mo.remaining) AS remaining, SUM(mo.remaining * mo.price) AS value
+     FROM market_orders mo JOIN resource_types rt ON rt.id = mo.resource_type_id
+     WHERE mo.entity_id = $1 AND mo.status = 'open'
+     GROUP BY lower(rt.name), mo.side`,
+    [entityId]
+  );
+  for (const row of orders.rows) {
+    if (row.side === 'buy') add(row.resource, row.remaining);
+    else add('gold', row.value);
+  }
+  return incoming;
+}
+
+/**
+ * Reject an operation that would credit `amounts` ({ resource: amount }) to the entity
+ * beyond its storage capacity, counting what is already in transit. No-op for uncapped
+ * entities. Throws STORAGE_FULL with { resource, capacity, have, incoming, need }.
+ */
+async function assertCanStoreWithClient(client, entityId, amounts) {
+  const capacities = await getCapacitiesWithClient(client, entityId);
+  if (!capacities) return;
+  const resourcesService = require('./resourcesService');
+  const inventory = await resourcesService.getResourcesWithClient(client, entityId);
+  const incoming = await getIncomingWithClient(client, entityId);
+  for (const [k, v] of Object.entries(amounts || {})) {
+    const key = k.toLowerCase();
+    const need = parseInt(v, 10) || 0;
+    if (need <= 0 || capacities[key] === undefined) continue;
+    const have = inventory[key] || 0;
+    const pending = incoming[key] || 0;
+    if (have + pending + need > capacities[key]) {
+      throw storageError(`Capacidad de almacenamiento insuficiente para ${key} (capacidad ${capacities[key]}, tiene ${have}, en camino ${pending}, recibe ${need})`, 'STORAGE_FULL', {
+        resource: key,
+        capacity: capacities[key],
+        have,
+        incoming: pending,
+        need
+      });
+    }
+  }
+}
+
+/**
+ * Per-resource storage report for /me and /resources:
+ * { capped, resources: { resource: { amount, capacity, productionPerTick, secondsToFull } } }
+ * secondsToFull is 0 when full and null when uncapped or not growing. It is estimated from
+ * the buildings' net production (gameUtils.calculateProduction with faction and research).
+ */
+async function getStorageReportWithClient(clientOrPool, entityId) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const gameUtils = require('./gameUtils');
+  const resourcesService = require('./resourcesService');
+  const entityService = require('./entityService');
+  const { getBuildings } = require('./buildingsService');
+
+  const entity = await entityService.getEntityById(client, entityId, false);
+  if (!entity) return null;
+  const capacities = await getCapacitiesWithClient(client, entityId);
+  const inventory = await resourcesService.getResourcesWithClient(client, entityId);
+
+  const buildings = await getBuildings(entityId);
+  const popCalc = await require('./populationService').calculateAvailablePopulationWithClient(client, entityId);
+  const popStats = gameUtils.calculatePopulationStats(buildings, parseInt(popCalc.total, 10) || 0);
+  const factionName = await require('./costEngine').getFactionNameWithClient(client, entity.faction_id);
+  const modifiers = await require('./researchService').getModifiersWithClient(client, entityId);
+  const perTick = gameUtils.calculateProduction(buildings, popStats, factionName || '', modifiers);
+
+  const report = {};
+  for (const [k, amount] of Object.entries(inventory)) {
+    const capacity = capacities ? (capacities[k] === undefined ? null : capacities[k]) : null;
+    const productionPerTick = Number(perTick[k] || 0);
+    let secondsToFull = null;
+    if (capacity !== null) {
+      if (amount >= capacity) secondsToFull = 0;
+      else if (productionPerTick > 0) secondsToFull = Math.ceil(((capacity - amount) / productionPerTick) * gameUtils.TICK_SECONDS);
+    }
+    report[k] = { amount, capacity, productionPerTick, secondsToFull };
+  }
+  return { entityId: Number(entityId), capped: capacities !== null, resources: report };
+}
+
+module.exports = {
+  storageBuildingFor,
+  isCappedEntityType,
+  calculateCapacity,
+  calculateCapacities,
+  clampToCapacity,
+  getCapacitiesWithClient,
+  getIncomingWithClient,
+  assertCanStoreWithClient,
+  getStorageReportWithClient
+};
@@ -0,0 +1,339 @@
+const pool = require('../db');
+const { TRADE_TAX, FACTION_TREASURY_BONUSES, FACTION_TREASURY_SPENDING } = require('../constants/treasury');
+const { RESOURCE_CATEGORIES } = require('./gameUtils');
+const { LEDGER_REASONS } = require('../constants/ledger');
+
+/**
+ * Trade taxes and faction treasuries. marketService.tradeWithClient and the order book call
+ * collectTradeTaxWithClient after crediting the seller; the tax goes to faction_treasuries,
+ * which factions spend on the timed bonuses of FACTION_TREASURY_BONUSES.
+ */
+
+function treasuryError(message, code, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+// Tax rate of one resource for a trade inside ('intra') or across ('cross') factions
+function taxRateFor(resource, scope, taxMultiplier = 1) {
+  const category = RESOURCE_CATEGORIES[(resource || '').toString().toLowerCase()] || 'common';
+  const rates = TRADE_TAX.rates[category] || TRADE_TAX.rates.common;
+  const rate = Number(rates[scope === 'intra' ? 'intra' : 'cross']) || 0;
+  return Math.max(0, rate * (Number(taxMultiplier) || 0));
+}
+
+// Tax on `gross` gold; rounded down so it never exceeds the rate
+function computeTax(gross, rate) {
+  return Math.max(0, Math.floor(Math.round(Number(gross) * rate * 1e6) / 1e6));
+}
+
+/**
+ * Combined effects of active bonus names:
+ * { production: { resource: mult }, taxMultiplier }
+ */
+function bonusEffects(bonuses) {
+  const production = {};
+  let taxMultiplier = 1;
+  for (const name of bonuses || []) {
+    const effects = (FACTION_TREASURY_BONUSES[name] && FACTION_TREASURY_BONUSES[name].effects) || {};
+    for (const [res, mult] of Object.entries(effects.production || {})) {
+      production[res] = (production[res] || 1) * Number(mult);
+    }
+    if (effects.taxMultiplier != null) taxMultiplier *= Number(effects.taxMultiplier);
+  }
+  return { production, taxMultiplier };
+}
+
+// Research modifiers (researchService.getResearchModifiers) with the production bonuses on top
+function applyBonusesToModifiers(modifiers, bonuses) {
+  const { production } = bonusEffects(bonuses);
+  if (Object.keys(production).length === 0) return modifiers;
+  const merged = Object.assign({}, modifiers, { production: Object.assign({}, (modifiers && modifiers.production) || {}) });
+  for (const [res, mult] of Object.entries(production)) {
+    merged.production[res] = (Number(merged.production[res]) || 1) * mult;
+  }
+  return merged;
+}
+
+/**
+ * Active bonuses at `now` of the given factions (all of them when `factionIds` is null).
+ * Returns Map factionId -> [bonus name].
+ */
+async function getActiveBonusesWithClient(clientOrPool, factionIds = null, now = new Date()) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const at = new Date(now).toISOString();
+  const res = factionIds
+    ? await client.query(
+      'SELECT faction_id, bonus FROM faction_bonuses WHERE faction_id = ANY($1::int[]) AND starts_at <= $2 AND expires_at > $2',
+      [factionIds.map(Number), at]
+    )
+    : await client.query('SELECT faction_id, bonus FROM faction_bonuses WHERE starts_at <= $1 AND expires_at > $1', [at]);
+  const byFaction = new Map();
+  for (const r of res.rows) {
+    const id = Number(r.faction_id);
+    if (!byFaction.has(id)) byFaction.set(id, []);
+    byFaction.get(id).push(r.bonus);
+  }
+  return byFaction;
+}
+
+// `modifiers` of an entity with the active bonuses of its faction applied
+async function withFactionBonusesWithClient(clientOrPool, entityId, modifiers, now = new Date()) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const res = await client.query('SELECT faction_id FROM entities WHERE id = $1', [entityId]);
+  const factionId = res.rows.length ? res.rows[0].faction_id : null;
+  if (!factionId) return modifiers;
+  const active = await getActiveBonusesWithClient(client, [factionId], now);
+  return applyBonusesToModifiers(modifiers, active.get(Number(factionId)) || []);
+}
+
+async function creditTreasuryWithClient(client, factionId, amount) {
+  await client.query(
+    `INSERT INTO faction_treasuries (faction_id, balance, tax_collected, updated_at) VALUES ($1, $2, $2, now())
+     ON CONFLICT (faction_id) DO UPDATE SET
+       balance = faction_treasuries.balance + EXCLUDED.balance,
+       tax_collected = faction_treasuries.tax_collected + EXCLUDED.tax_collected,
+       updated_at = now()`,
+    [factionId, amount]
+  );
+}
+
+/**
+ * Tax a trade whose seller has already been credited `gross` gold: the tax leaves the seller's
+ * gold and lands in the treasury of the seller's faction (the buyer's if the seller has none).
+ * trade: { sellerId, buyerId, resource, gross, refType, refId, now }
+ * Returns { amount, rate, scope, factionId }.
+ */
+async function collectTradeTaxWithClient(client, trade) {
+  const resource = trade.resource.toString().toLowerCase();
+  const res = await client.query('SELECT id, faction_id FROM entities WHERE id = ANY($1::int[])', [[Number(trade.sellerId), Number(trade.buyerId)]]);
+  const factionOf = new Map(res.rows.map(r => [Number(r.id), r.faction_id ? Number(r.faction_id) : null]));
+  const sellerFaction = factionOf.get(Number(trade.sellerId)) || null;
+  const buyerFaction = factionOf.get(Number(trade.buyerId)) || null;
+  const scope = sellerFaction && sellerFaction === buyerFaction ? 'intra' : 'cross';
+
+  let taxMultiplier = 1;
+  if (sellerFaction) {
+    const active = await getActiveBonusesWithClient(client, [sellerFaction], trade.now || new Date());
+    taxMultiplier = bonusEffects(active.get(sellerFaction) || []).taxMultiplier;
+  }
+  const rate = taxRateFor(resource, scope, taxMultiplier);
+  const amount = computeTax(trade.gross, rate);
+  const factionId = sellerFaction || buyerFaction;
+  if (amount <= 0) return { amount: 0, rate, scope, factionId };
+
+  const resourcesService = require('./resourcesService');
+  await resourcesService.adjustResourcesWithClientGeneric(client, trade.sellerId, { gold: -amount }, {
+    reason: LEDGER_REASONS.TRADE_TAX,
+    refType: trade.refType || null,
+    refId: trade.refId || null,
+    details: { resource, gross: Number(trade.gross), rate, scope, factionId, counterpartyId: Number(trade.buyerId) }
+  });
+  if (factionId) await creditTreasuryWithClient(client, factionId, amount);
+
+  const rt = await resourcesService.getResourceTypeByNameWithClient(client, resource);
+  await client.query(
+    `INSERT INTO trade_taxes (faction_id, resource_type_id, payer_entity_id, counterparty_entity_id, scope, rate, gross, amount, ref_type, ref_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [factionId, rt.id, trade.sellerId, trade.buyerId, scope, rate, Number(trade.gross), amount, trade.refType || null, trade.refId || null]
+  );
+  return { amount, rate, scope, factionId };
+}
+
+/**
+ * Tax goods handed to an entity outside a trade (alliance warehouse distributions). There is no
+ * price, so each resource is valued at its reference price and taxed at the `cross` rate (the
+ * warehouse belongs to no faction). The receiver pays it in gold into its faction treasury.
+ * transfer: { receiverId, resources: { resource: amount }, refType, refId, now }
+ * Throws INSUFFICIENT when the receiver cannot pay. Returns { amount, factionId }.
+ */
+async function collectTransferTaxWithClient(client, transfer) {
+  const res = await client.query('SELECT faction_id FROM entities WHERE id = $1', [transfer.receiverId]);
+  const factionId = res.rows.length && res.rows[0].faction_id ? Number(res.rows[0].faction_id) : null;
+  let taxMultiplier = 1;
+  if (factionId) {
+    const active = await getActiveBonusesWithClient(client, [factionId], transfer.now || new Date());
+    taxMultiplier = bonusEffects(active.get(factionId) || []).taxMultiplier;
+  }
+
+  const prices = await require('./pricingService').getReferencePriceMapWithClient(client);
+  const taxes = [];
+  for (const [name, quantity] of Object.entries(transfer.resources)) {
+    const resource = name.toLowerCase();
+    const gross = Math.round((prices[resource] || 0) * Number(quantity));
+    const rate = taxRateFor(resource, 'cross', taxMultiplier);
+    const amount = computeTax(gross, rate);
+    if (amount > 0) taxes.push({ resource, gross, rate, amount });
+  }
+  const total = taxes.reduce((sum, t) => sum + t.amount, 0);
+  if (total <= 0) return { amount: 0, factionId };
+
+  const resourcesService = require('./resourcesService');
+  await resourcesService.consumeResourcesWithClientGeneric(client, transfer.receiverId, { gold: total }, {
+    reason: LEDGER_REASONS.TRADE_TAX,
+    refType: transfer.refType || null,
+    refId: transfer.refId || null,
+    details: { resources: transfer.resources, scope: 'cross', factionId }
+  });
+  if (factionId) await creditTreasuryWithClient(client, factionId, total);
+
+  const typeIds = await resourcesService.getResourceTypeIdMapWithClient(client);
+  for (const t of taxes) {
+    await client.query(
+      `INSERT INTO trade_taxes (faction_id, resource_type_id, payer_entity_id, counterparty_entity_id, scope, rate, gross, amount, ref_type, ref_id)
+       VALUES ($1, $2, $3, NULL, 'cross', $4, $5, $6, $7, $8)`,
+      [factionId, typeIds[t.resource], transfer.receiverId, t.rate, t.gross, t.amount, transfer.refType || null, transfer.refId || null]
+    );
+  }
+  return { amount: total, factionId };
+}
+
+// Throws unless `userId` may spend the treasury of `factionId` (see FACTION_TREASURY_SPENDING):
+// FACTION_MEMBER_TOO_NEW for settlements younger than minMemberHours, FACTION_SPEND_COOLDOWN
+// when the user bought a bonus in the last userCooldownHours. Both carry { availableAt }.
+async function assertCanSpendWithClient(client, factionId, userId, at) {
+  const settlement = await client.query(
+    "SELECT created_at FROM entities WHERE user_id = $1 AND faction_id = $2 AND type = 'player' ORDER BY id LIMIT 1",
+    [userId, factionId]
+  );
+  const joinedAt = settlement.rows.length ? new Date(settlement.rows[0].created_at) : at;
+  const memberFrom = new Date(joinedAt.getTime() + FACTION_TREASURY_SPENDING.minMemberHours * 3600 * 1000);
+  if (memberFrom > at) {
+    throw treasuryError('Tu asentamiento es demasiado reciente para gastar el tesoro de la facción.', 'FACTION_MEMBER_TOO_NEW', {
+      minMemberHours: FACTION_TREASURY_SPENDING.minMemberHours,
+      availableAt: memberFrom.toISOString()
+    });
+  }
+
+  const cooldownMs = FACTION_TREASURY_SPENDING.userCooldownHours * 3600 * 1000;
+  const last = await client.query(
+    'SELECT starts_at FROM faction_bonuses WHERE faction_id = $1 AND purchased_by = $2 AND starts_at > $3 ORDER BY starts_at DESC LIMIT 1',
+    [factionId, userId, new Date(at.getTime() - cooldownMs).toISOString()]
+  );
+  if (last.rows.length > 0) {
+    const availableAt = new Date(new Date(last.rows[0].starts_at).getTime() + cooldownMs);
+    throw treasuryError('Ya compraste una bonificación de facción hace poco.', 'FACTION_SPEND_COOLDOWN', {
+      retryAfter: Math.ceil((availableAt - at) / 1000),
+      availableAt: availableAt.toISOString()
+    });
+  }
+}
+
+/**
+ * Spend the treasury of `factionId` on `bonus`, active from `now` for its durationHours.
+ * Throws FACTION_BONUS_ACTIVE while the same bonus is running, FACTION_MEMBER_TOO_NEW or
+ * FACTION_SPEND_COOLDOWN when `userId` may not spend yet (assertCanSpendWithClient) and
+ * TREASURY_INSUFFICIENT ({ balance, need }) when the treasury cannot pay it.
+ * Returns the faction_bonuses row.
+ */
+async function purchaseBonusWithClient(client, factionId, bonus, userId = null, now = new Date()) {
+  const def = FACTION_TREASURY_BONUSES[bonus];
+  if (!def) throw treasuryError(`Bonificación no válida: ${bonus}`, 'INVALID_BONUS', { bonus });
+  const at = new Date(now);
+
+  const treasury = await client.query('SELECT balance FROM faction_treasuries WHERE faction_id = $1 FOR UPDATE', [factionId]);
+  const balance = treasury.rows.length ? Number(treasury.rows[0].balance) : 0;
+
+  const active = await getActiveBonusesWithClient(client, [factionId], at);
+  if ((active.get(Number(factionId)) || []).includes(bonus)) {
+    throw treasuryError('La facción ya tiene esa bonificación activa.', 'FACTION_BONUS_ACTIVE', { bonus });
+  }
+  if (userId) await assertCanSpendWithClient(client, factionId, userId, at);
+  if (balance < def.cost) {
+    throw treasuryError('El tesoro de la facción no tiene oro suficiente.', 'TREASURY_INSUFFICIENT', { balance, need: def.cost });
+  }
+
+  await client.query(
+    'UPDATE faction_treasuries SET balance = balance - $2, spent = spent + $2, updated_at = now() WHERE faction_id = $1',
+    [factionId, def.cost]
+  );
+  const expiresAt = new Date(at.getTime() + def.durationHours * 3600 * 1000);
+  const res = await client.query(
+    `INSERT INTO faction_bonuses (faction_id, bonus, cost, purchased_by, starts_at, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+    [factionId, bonus, def.cost, userId, at.toISOString(), expiresAt.toISOString()]
+  );
+  return res.rows[0];
+}
+
+/**
+ * Treasury balances and the tax collected in the last `hours`:
+ * { since, hours, totals: { collected, destroyed, trades },
+ *   factions: [{ faction_id, name, balance, taxCollected, spent,
+ *                recent: { collected, trades, byScope, byCategory }, activeBonuses }] }
+ * taxCollected/spent are all-time; `destroyed` is the tax of trades where no side had a faction.
+ */
+async function getTreasuryReport(clientOrPool, options = {}) {
+  const client = clientOrPool && clientOrPool.query ? clientOrPool : pool;
+  const now = options.now ? new Date(options.now) : new Date();
+  const hours = Number(options.hours) || TRADE_TAX.reportDefaultHours;
+  const since = new Date(now.getTime() - hours * 3600 * 1000);
+
+  const factions = await client.query(
+    `SELECT f.id, f.name, t.balance, t.tax_collected, t.spent FROM factions f
+     LEFT JOIN faction_treasuries t ON t.faction_id = f.id ORDER BY f.id`
+  );
+  const taxes = await client.query(
+    `SELECT t.faction_id, t.scope, rt.name, SUM(t.amount) AS amount, COUNT(*) AS trades FROM trade_taxes t
+     JOIN resource_types rt ON rt.id = t.resource_type_id
+     WHERE t.created_at >= $1 GROUP BY t.faction_id, t.scope, rt.name`,
+    [since.toISOString()]
+  );
+  const bonuses = await client.query(
+    'SELECT faction_id, bonus, expires_at FROM faction_bonuses WHERE starts_at <= $1 AND expires_at > $1 ORDER BY expires_at',
+    [now.toISOString()]
+  );
+
+  const totals = { collected: 0, destroyed: 0, trades: 0 };
+  const recentBy = new Map();
+  for (const r of taxes.rows) {
+    const amount = Number(r.amount) || 0;
+    const trades = Number(r.trades) || 0;
+    totals.trades += trades;
+    if (!r.faction_id) {
+      totals.destroyed += amount;
+      continue;
+    }
+    totals.collected += amount;
+    const id = Number(r.faction_id);
+    if (!recentBy.has(id)) recentBy.set(id, { collected: 0, trades: 0, byScope: { intra: 0, cross: 0 }, byCategory: {} });
+    const recent = recentBy.get(id);
+    const category = RESOURCE_CATEGORIES[(r.name || '').toLowerCase()] || 'common';
+    recent.collected += amount;
+    recent.trades += trades;
+    recent.byScope[r.scope] = (recent.byScope[r.scope] || 0) + amount;
+    recent.byCategory[category] = (recent.byCategory[category] || 0) + amount;
+  }
+
+  return {
+    since: since.toISOString(),
+    hours,
+    totals,
+    factions: factions.rows.map(f => ({
+      faction_id: f.id,
+      name: f.name,
+      balance: Number(f.balance) || 0,
+      taxCollected: Number(f.tax_collected) || 0,
+      spent: Number(f.spent) || 0,
+      recent: recentBy.get(Number(f.id)) || { collected: 0, trades: 0, byScope: { intra: 0, cross: 0 }, byCategory: {} },
+      activeBonuses: bonuses.rows
+        .filter(b => Number(b.faction_id) === Number(f.id))
+        .map(b => ({ bonus: b.bonus, expires_at: new Date(b.expires_at).toISOString() }))
+    }))
+  };
+}
+
+module.exports = {
+  taxRateFor,
+  computeTax,
+  bonusEffects,
+  applyBonusesToModifiers,
+  getActiveBonusesWithClient,
+  withFactionBonusesWithClient,
+  collectTradeTaxWithClient,
+  collectTransferTaxWithClient,
+  purchaseBonusWithClient,
+  getTreasuryReport
+};